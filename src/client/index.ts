@@ -2,7 +2,14 @@
  * Vista Auth - Client Exports
  */
 
-export { AuthProvider, useAuth } from "./provider";
+export {
+  AuthProvider,
+  useAuth,
+  useCan,
+  useMagicLinkCallback,
+  useSessions,
+} from "./provider";
 export type { AuthProviderProps } from "./provider";
 export { SessionStorage } from "./storage";
+export { isPasskeySupported, createPasskey, getPasskey } from "./passkeys";
 export { WebSocketSync } from "./websocket";
@@ -0,0 +1,111 @@
+/**
+ * Vista Auth - Passkeys
+ * Browser side of WebAuthn: converts between the server's JSON options and
+ * navigator.credentials
+ */
+
+import type {
+  PasskeyAuthenticationOptions,
+  PasskeyAuthenticationResponse,
+  PasskeyRegistrationOptions,
+  PasskeyRegistrationResponse,
+} from "../types";
+
+export function isPasskeySupported(): boolean {
+  return (
+    typeof window !== "undefined" &&
+    typeof window.PublicKeyCredential === "function" &&
+    !!navigator.credentials
+  );
+}
+
+/**
+ * Create a passkey with options from generatePasskeyRegistrationOptions()
+ */
+export async function createPasskey(
+  options: PasskeyRegistrationOptions
+): Promise<PasskeyRegistrationResponse> {
+  const credential = (await navigator.credentials.create({
+    publicKey: {
+      ...options,
+      challenge: fromBase64Url(options.challenge),
+      user: { ...options.user, id: fromBase64Url(options.user.id) },
+      excludeCredentials: options.excludeCredentials.map((c) => ({
+        ...c,
+        id: fromBase64Url(c.id),
+        transports: c.transports as AuthenticatorTransport[] | undefined,
+      })),
+    },
+  })) as PublicKeyCredential | null;
+  if (!credential) {
+    throw new Error("Passkey creation was cancelled");
+  }
+
+  const response = credential.response as AuthenticatorAttestationResponse;
+  return {
+    id: credential.id,
+    rawId: toBase64Url(credential.rawId),
+    type: "public-key",
+    response: {
+      clientDataJSON: toBase64Url(response.clientDataJSON),
+      attestationObject: toBase64Url(response.attestationObject),
+      transports: response.getTransports?.(),
+    },
+  };
+}
+
+/**
+ * Sign with a passkey using options from generatePasskeyAuthenticationOptions()
+ */
+export async function getPasskey(
+  options: PasskeyAuthenticationOptions
+): Promise<PasskeyAuthenticationResponse> {
+  const credential = (await navigator.credentials.get({
+    publicKey: {
+      ...options,
+      challenge: fromBase64Url(options.challenge),
+      allowCredentials: options.allowCredentials.map((c) => ({
+        ...c,
+        id: fromBase64Url(c.id),
+        transports: c.transports as AuthenticatorTransport[] | undefined,
+      })),
+    },
+  })) as PublicKeyCredential | null;
+  if (!credential) {
+    throw new Error("Passkey sign-in was cancelled");
+  }
+
+  const response = credential.response as AuthenticatorAssertionResponse;
+  return {
+    id: credential.id,
+    rawId: toBase64Url(credential.rawId),
+    type: "public-key",
+    response: {
+      clientDataJSON: toBase64Url(response.clientDataJSON),
+      authenticatorData: toBase64Url(response.authenticatorData),
+      signature: toBase64Url(response.signature),
+      userHandle: response.userHandle ? toBase64Url(response.userHandle) : null,
+    },
+  };
+}
+
+function toBase64Url(buffer: ArrayBuffer): string {
+  let binary = "";
+  for (const byte of new Uint8Array(buffer)) {
+    binary += String.fromCharCode(byte);
+  }
+  return btoa(binary)
+    .replace(/\+/g, "-")
+    .replace(/\//g, "_")
+    .replace(/=+$/, "");
+}
+
+function fromBase64Url(value: string): Uint8Array<ArrayBuffer> {
+  const base64 = value.replace(/-/g, "+").replace(/_/g, "/");
+  const binary = atob(base64.padEnd(Math.ceil(base64.length / 4) * 4, "="));
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) {
+    bytes[i] = binary.charCodeAt(i);
+  }
+  return bytes;
+}
@@ -9,35 +9,115 @@ import {
   useState,
   useEffect,
   useCallback,
+  useMemo,
+  useRef,
   ReactNode,
 } from "react";
 import type {
   User,
   Session,
   AuthConfig,
+  AuthError,
+  AuthResult,
+  ActiveOrganization,
+  Impersonator,
+  PasswordRuleFailure,
   SignInCredentials,
   SignUpData,
 } from "../types";
+import { createRoleResolver, scopeToOrganization } from "../roles";
+import { createPolicy } from "../policy";
+import { createErrorCatalog } from "../i18n";
 import { SessionStorage } from "./storage";
+import { createPasskey, getPasskey } from "./passkeys";
 import { WebSocketSync } from "./websocket";
 import { showToast, showError } from "../ui/toast";
 
 interface AuthContextValue {
   user: User | null;
   session: Session | null;
+  impersonator: Impersonator | null; // Set while an admin acts as this user
+  organization: ActiveOrganization | null; // Role checks include its membership roles as 'org:<role>'
   isLoading: boolean;
   isAuthenticated: boolean;
   error: string | null;
+  locale: string; // The negotiated locale for toasts and error messages
+  mfaRequired: boolean; // true after signIn until verifyMfa succeeds
   signIn: (
     credentials: SignInCredentials
+  ) => Promise<{ success: boolean; error?: string; mfaRequired?: boolean }>;
+  verifyMfa: (code: string) => Promise<{ success: boolean; error?: string }>;
+  cancelMfa: () => void;
+  signInWithMagicLink: (
+    email: string,
+    options?: { callbackUrl?: string }
   ) => Promise<{ success: boolean; error?: string }>;
-  signUp: (data: SignUpData) => Promise<{ success: boolean; error?: string }>;
+  verifyMagicLink: (token?: string) => Promise<{
+    success: boolean;
+    error?: string;
+    mfaRequired?: boolean;
+    callbackUrl?: string; // From the link, when it is on this origin
+  }>;
+  registerPasskey: (
+    name?: string
+  ) => Promise<{ success: boolean; error?: string }>;
+  signInWithPasskey: (
+    email?: string
+  ) => Promise<{ success: boolean; error?: string }>;
+  signUp: (data: SignUpData) => Promise<{
+    success: boolean;
+    verificationRequired?: boolean; // Created, but not signed in until the email is confirmed
+    error?: string;
+    failedRules?: PasswordRuleFailure[]; // Set for WEAK_PASSWORD errors
+  }>;
   signOut: () => Promise<void>;
+  refreshSession: () => Promise<boolean>;
+  resendVerification: (
+    email?: string
+  ) => Promise<{ success: boolean; error?: string }>;
+  changePassword: (
+    currentPassword: string,
+    newPassword: string,
+    options?: { revokeOtherSessions?: boolean }
+  ) => Promise<{
+    success: boolean;
+    error?: string;
+    failedRules?: PasswordRuleFailure[]; // Set for WEAK_PASSWORD errors
+  }>;
+  changeEmail: (
+    newEmail: string,
+    currentPassword: string
+  ) => Promise<{ success: boolean; error?: string }>;
+  confirmEmailChange: (
+    token?: string
+  ) => Promise<{ success: boolean; error?: string }>;
+  listSessions: () => Promise<{
+    success: boolean;
+    error?: string;
+    sessions?: Session[];
+  }>;
+  revokeSession: (
+    sessionId: string
+  ) => Promise<{ success: boolean; error?: string }>;
+  revokeOtherSessions: () => Promise<{ success: boolean; error?: string }>;
+  impersonate: (
+    userId: string
+  ) => Promise<{ success: boolean; error?: string }>;
+  stopImpersonation: () => Promise<{ success: boolean; error?: string }>;
+  switchOrganization: (
+    organizationId: string | null
+  ) => Promise<{ success: boolean; error?: string }>;
   updateUser: (data: Partial<User>) => void;
   hasRole: (role: string) => boolean;
   hasPermission: (permission: string) => boolean;
   hasAnyRole: (roles: string[]) => boolean;
   hasAllRoles: (roles: string[]) => boolean;
+  can: (
+    action: string,
+    resource?: any,
+    context?: Record<string, any>
+  ) => boolean;
+  t: (key: string, params?: Record<string, any>) => string;
 }
 
 const AuthContext = createContext<AuthContextValue | undefined>(undefined);
@@ -46,17 +126,45 @@ export interface AuthProviderProps {
   children: ReactNode;
   config?: AuthConfig;
   apiEndpoint?: string; // e.g., '/api/auth' or 'https://api.example.com/auth'
+  locale?: string; // e.g. 'fr' - defaults to the browser's languages
 }
 
 export function AuthProvider({
   children,
   config = {},
   apiEndpoint = "/api/auth",
+  locale,
 }: AuthProviderProps) {
   const [user, setUser] = useState<User | null>(null);
   const [session, setSession] = useState<Session | null>(null);
   const [isLoading, setIsLoading] = useState(true);
   const [error, setError] = useState<string | null>(null);
+  const [tokenExpiresAt, setTokenExpiresAt] = useState<number | null>(null);
+  const [mfaChallenge, setMfaChallenge] = useState<string | null>(null);
+
+  const catalog = useMemo(
+    () =>
+      createErrorCatalog({ locale: config.locale, messages: config.messages }),
+    [config.locale, config.messages]
+  );
+  const activeLocale = useMemo(
+    () =>
+      catalog.negotiate(
+        locale ??
+          (typeof navigator !== "undefined" ? navigator.languages : null)
+      ),
+    [catalog, locale]
+  );
+
+  const t = useCallback(
+    (key: string, params?: Record<string, any>) =>
+      catalog.format(key, params, activeLocale) ?? key,
+    [catalog, activeLocale]
+  );
+
+  // Translate a server error from its code, so toasts follow this locale
+  const errorText = (error: AuthError | undefined, fallbackKey: string) =>
+    error ? catalog.formatError(error, activeLocale) : t(fallbackKey);
 
   const storage = new SessionStorage(config);
   const wsSync = config.sessionSyncEnabled
@@ -84,6 +192,7 @@ export function AuthProvider({
           const data = await response.json();
           setSession(data.session);
           setUser(data.session.user);
+          setTokenExpiresAt(getTokenExpiry(token));
 
           // Start WebSocket sync if enabled
           if (wsSync) {
@@ -93,8 +202,8 @@ export function AuthProvider({
               setUser(updatedSession.user);
             });
           }
-        } else {
-          // Invalid session, clear storage
+        } else if (!(await refreshSession())) {
+          // Invalid session and no usable refresh token, clear storage
           storage.clearToken();
         }
       } catch (error) {
@@ -121,14 +230,70 @@ export function AuthProvider({
         signOut();
         config.onSessionExpired?.();
         if (config.errorMessagesEnabled !== false) {
-          showError("Session expired. Please sign in again.");
+          showError(t("SESSION_EXPIRED_TOAST"));
         }
       }
     };
 
     const interval = setInterval(checkExpiry, 60000); // Check every minute
     return () => clearInterval(interval);
-  }, [session]);
+  }, [session, locale]);
+
+  // Refresh the access token shortly before it expires
+  useEffect(() => {
+    if (!tokenExpiresAt) return;
+
+    const delay = Math.max(tokenExpiresAt - Date.now() - 60000, 0);
+    const timeout = setTimeout(refreshSession, delay);
+    return () => clearTimeout(timeout);
+  }, [tokenExpiresAt]);
+
+  // Follow refreshes and sign-outs from other tabs, so this tab neither
+  // replays a refresh token they already used nor keeps a dead session
+  useEffect(() => {
+    if (typeof window === "undefined") return;
+
+    const onStorage = async (event: StorageEvent) => {
+      if (!storage.isRefreshTokenEvent(event)) return;
+      if (event.newValue === null) {
+        setTokenExpiresAt(null);
+        setUser(null);
+        setSession(null);
+        wsSync?.disconnect();
+        return;
+      }
+      const token = await storage.getTokenAsync();
+      if (token) setTokenExpiresAt(getTokenExpiry(token));
+    };
+
+    window.addEventListener("storage", onStorage);
+    return () => window.removeEventListener("storage", onStorage);
+  }, []);
+
+  // Store tokens and user after any successful sign-in flow
+  const completeSignIn = (result: AuthResult, welcomeMessage: string) => {
+    storage.setToken(result.token);
+    storage.setRefreshToken(result.refreshToken);
+    setTokenExpiresAt(result.tokenExpiresAt);
+    setMfaChallenge(null);
+    setSession(result.session);
+    setUser(result.user);
+
+    config.onSignIn?.(result.user);
+
+    if (config.toastEnabled !== false) {
+      showToast(welcomeMessage);
+    }
+
+    // Start WebSocket sync if enabled
+    if (wsSync) {
+      wsSync.connect(result.token);
+      wsSync.onSessionUpdate((updatedSession) => {
+        setSession(updatedSession);
+        setUser(updatedSession.user);
+      });
+    }
+  };
 
   const signIn = useCallback(
     async (credentials: SignInCredentials) => {
@@ -145,30 +310,70 @@ export function AuthProvider({
         const data = await response.json();
 
         if (data.success) {
-          storage.setToken(data.data.token);
-          setSession(data.data.session);
-          setUser(data.data.user);
+          completeSignIn(
+            data.data,
+            t("WELCOME_BACK", {
+              name: data.data.user.name || data.data.user.email,
+            })
+          );
+          return { success: true };
+        } else if (data.error?.code === "MFA_REQUIRED") {
+          // Password accepted - wait for the second factor
+          setMfaChallenge(data.error.details?.challengeToken ?? null);
+          return { success: false, mfaRequired: true };
+        } else {
+          const errorMessage = errorText(data.error, "SIGN_IN_FAILED");
+          setError(errorMessage);
+          if (config.errorMessagesEnabled !== false) {
+            showError(errorMessage);
+          }
+          return { success: false, error: errorMessage };
+        }
+      } catch (error: any) {
+        const errorMessage = error.message || t("NETWORK_ERROR");
+        setError(errorMessage);
+        config.onError?.({ code: "NETWORK_ERROR", message: errorMessage });
+        if (config.errorMessagesEnabled !== false) {
+          showError(errorMessage);
+        }
+        return { success: false, error: errorMessage };
+      }
+    },
+    [apiEndpoint, config, locale]
+  );
 
-          config.onSignIn?.(data.data.user);
+  const verifyMfa = useCallback(
+    async (code: string) => {
+      if (!mfaChallenge) {
+        return { success: false, error: t("MFA_CHALLENGE_MISSING") };
+      }
 
-          if (config.toastEnabled !== false) {
-            showToast(
-              `Welcome back, ${data.data.user.name || data.data.user.email}!`
-            );
-          }
+      try {
+        setError(null); // Clear previous errors
+        const response = await fetch(`${apiEndpoint}/mfa/verify`, {
+          method: "POST",
+          headers: {
+            "Content-Type": "application/json",
+          },
+          body: JSON.stringify({ challengeToken: mfaChallenge, code }),
+        });
 
-          // Start WebSocket sync if enabled
-          if (wsSync) {
-            wsSync.connect(data.data.token);
-            wsSync.onSessionUpdate((updatedSession) => {
-              setSession(updatedSession);
-              setUser(updatedSession.user);
-            });
-          }
+        const result = await response.json();
 
+        if (result.success) {
+          completeSignIn(
+            result.data,
+            t("WELCOME_BACK", {
+              name: result.data.user.name || result.data.user.email,
+            })
+          );
           return { success: true };
         } else {
-          const errorMessage = data.error?.message || "Sign in failed";
+          // An expired challenge cannot be retried - start over
+          if (result.error?.code === "INVALID_MFA_CHALLENGE") {
+            setMfaChallenge(null);
+          }
+          const errorMessage = errorText(result.error, "MFA_FAILED");
           setError(errorMessage);
           if (config.errorMessagesEnabled !== false) {
             showError(errorMessage);
@@ -176,7 +381,7 @@ export function AuthProvider({
           return { success: false, error: errorMessage };
         }
       } catch (error: any) {
-        const errorMessage = error.message || "Network error";
+        const errorMessage = error.message || t("NETWORK_ERROR");
         setError(errorMessage);
         config.onError?.({ code: "NETWORK_ERROR", message: errorMessage });
         if (config.errorMessagesEnabled !== false) {
@@ -185,56 +390,264 @@ export function AuthProvider({
         return { success: false, error: errorMessage };
       }
     },
-    [apiEndpoint, config]
+    [apiEndpoint, config, locale, mfaChallenge]
   );
 
-  const signUp = useCallback(
-    async (data: SignUpData) => {
+  const cancelMfa = useCallback(() => {
+    setMfaChallenge(null);
+  }, []);
+
+  const signInWithMagicLink = useCallback(
+    async (email: string, options: { callbackUrl?: string } = {}) => {
       try {
         setError(null); // Clear previous errors
-        const response = await fetch(`${apiEndpoint}/signup`, {
+        const response = await fetch(`${apiEndpoint}/magic-link`, {
           method: "POST",
           headers: {
             "Content-Type": "application/json",
           },
-          body: JSON.stringify(data),
+          body: JSON.stringify({ email, callbackUrl: options.callbackUrl }),
         });
 
         const result = await response.json();
 
         if (result.success) {
-          storage.setToken(result.data.token);
-          setSession(result.data.session);
-          setUser(result.data.user);
+          if (config.toastEnabled !== false) {
+            showToast(t("MAGIC_LINK_SENT", { email }));
+          }
+          return { success: true };
+        } else {
+          const errorMessage = errorText(result.error, "MAGIC_LINK_FAILED");
+          setError(errorMessage);
+          if (config.errorMessagesEnabled !== false) {
+            showError(errorMessage);
+          }
+          return { success: false, error: errorMessage };
+        }
+      } catch (error: any) {
+        const errorMessage = error.message || t("NETWORK_ERROR");
+        setError(errorMessage);
+        config.onError?.({ code: "NETWORK_ERROR", message: errorMessage });
+        if (config.errorMessagesEnabled !== false) {
+          showError(errorMessage);
+        }
+        return { success: false, error: errorMessage };
+      }
+    },
+    [apiEndpoint, config, locale]
+  );
 
-          config.onSignIn?.(result.data.user);
+  // Complete a magic-link sign-in - reads ?token= from the current URL
+  // when no token is passed
+  const verifyMagicLink = useCallback(
+    async (token?: string) => {
+      const callbackUrl = getSameOriginUrl(
+        new URLSearchParams(window.location.search).get("callbackUrl")
+      );
+      const linkToken = token || takeLinkToken();
+      if (!linkToken) {
+        return { success: false, error: t("MAGIC_LINK_TOKEN_MISSING") };
+      }
 
+      try {
+        setError(null); // Clear previous errors
+        const response = await fetch(`${apiEndpoint}/magic-link/verify`, {
+          method: "POST",
+          headers: {
+            "Content-Type": "application/json",
+          },
+          body: JSON.stringify({ token: linkToken }),
+        });
+
+        const result = await response.json();
+
+        if (result.success && result.data.verificationRequired) {
           if (config.toastEnabled !== false) {
             showToast(
-              `Welcome, ${result.data.user.name || result.data.user.email}!`
+              t("VERIFICATION_EMAIL_SENT", { email: result.data.user.email })
             );
           }
+          return { success: true, verificationRequired: true };
+        } else if (result.success) {
+          completeSignIn(
+            result.data,
+            t("WELCOME", {
+              name: result.data.user.name || result.data.user.email,
+            })
+          );
+          return { success: true, callbackUrl };
+        } else if (result.error?.code === "MFA_REQUIRED") {
+          setMfaChallenge(result.error.details?.challengeToken ?? null);
+          return { success: false, mfaRequired: true, callbackUrl };
+        } else {
+          const errorMessage = errorText(result.error, "MAGIC_LINK_INVALID");
+          setError(errorMessage);
+          if (config.errorMessagesEnabled !== false) {
+            showError(errorMessage);
+          }
+          return { success: false, error: errorMessage };
+        }
+      } catch (error: any) {
+        const errorMessage = error.message || t("NETWORK_ERROR");
+        setError(errorMessage);
+        config.onError?.({ code: "NETWORK_ERROR", message: errorMessage });
+        if (config.errorMessagesEnabled !== false) {
+          showError(errorMessage);
+        }
+        return { success: false, error: errorMessage };
+      }
+    },
+    [apiEndpoint, config, locale]
+  );
 
-          // Start WebSocket sync if enabled
-          if (wsSync) {
-            wsSync.connect(result.data.token);
-            wsSync.onSessionUpdate((updatedSession) => {
-              setSession(updatedSession);
-              setUser(updatedSession.user);
-            });
+  // Add a passkey to the signed-in account
+  const registerPasskey = useCallback(
+    async (name?: string) => {
+      const token = storage.getToken();
+      if (!token) {
+        return { success: false, error: t("PASSKEY_SIGN_IN_REQUIRED") };
+      }
+
+      try {
+        setError(null); // Clear previous errors
+        const headers = {
+          "Content-Type": "application/json",
+          Authorization: `Bearer ${token}`,
+        };
+        const optionsResponse = await fetch(
+          `${apiEndpoint}/passkey/register/options`,
+          { method: "POST", headers }
+        );
+        const options = await optionsResponse.json();
+        if (!options.success) {
+          throw new Error(errorText(options.error, "PASSKEY_ADD_FAILED"));
+        }
+
+        const credential = await createPasskey(options.data);
+        const response = await fetch(`${apiEndpoint}/passkey/register/verify`, {
+          method: "POST",
+          headers,
+          body: JSON.stringify({ response: credential, name }),
+        });
+
+        const result = await response.json();
+
+        if (result.success) {
+          if (config.toastEnabled !== false) {
+            showToast(t("PASSKEY_ADDED"));
           }
+          return { success: true };
+        } else {
+          throw new Error(errorText(result.error, "PASSKEY_ADD_FAILED"));
+        }
+      } catch (error: any) {
+        // Also reached when the user dismisses the browser prompt
+        const errorMessage = error.message || t("PASSKEY_ADD_FAILED");
+        setError(errorMessage);
+        config.onError?.({ code: "PASSKEY_ERROR", message: errorMessage });
+        if (config.errorMessagesEnabled !== false) {
+          showError(errorMessage);
+        }
+        return { success: false, error: errorMessage };
+      }
+    },
+    [apiEndpoint, config, locale]
+  );
+
+  const signInWithPasskey = useCallback(
+    async (email?: string) => {
+      try {
+        setError(null); // Clear previous errors
+        const optionsResponse = await fetch(
+          `${apiEndpoint}/passkey/authenticate/options`,
+          {
+            method: "POST",
+            headers: {
+              "Content-Type": "application/json",
+            },
+            body: JSON.stringify({ email }),
+          }
+        );
+        const options = await optionsResponse.json();
+        if (!options.success) {
+          throw new Error(errorText(options.error, "PASSKEY_SIGN_IN_FAILED"));
+        }
 
+        const credential = await getPasskey(options.data);
+        const response = await fetch(
+          `${apiEndpoint}/passkey/authenticate/verify`,
+          {
+            method: "POST",
+            headers: {
+              "Content-Type": "application/json",
+            },
+            body: JSON.stringify({ response: credential }),
+          }
+        );
+
+        const result = await response.json();
+
+        if (result.success) {
+          completeSignIn(
+            result.data,
+            t("WELCOME_BACK", {
+              name: result.data.user.name || result.data.user.email,
+            })
+          );
           return { success: true };
         } else {
-          const errorMessage = result.error?.message || "Sign up failed";
+          throw new Error(errorText(result.error, "PASSKEY_SIGN_IN_FAILED"));
+        }
+      } catch (error: any) {
+        // Also reached when the user dismisses the browser prompt
+        const errorMessage = error.message || t("PASSKEY_SIGN_IN_FAILED");
+        setError(errorMessage);
+        config.onError?.({ code: "PASSKEY_ERROR", message: errorMessage });
+        if (config.errorMessagesEnabled !== false) {
+          showError(errorMessage);
+        }
+        return { success: false, error: errorMessage };
+      }
+    },
+    [apiEndpoint, config, locale]
+  );
+
+  const signUp = useCallback(
+    async (data: SignUpData) => {
+      try {
+        setError(null); // Clear previous errors
+        const response = await fetch(`${apiEndpoint}/signup`, {
+          method: "POST",
+          headers: {
+            "Content-Type": "application/json",
+          },
+          body: JSON.stringify(data),
+        });
+
+        const result = await response.json();
+
+        if (result.success) {
+          completeSignIn(
+            result.data,
+            t("WELCOME", {
+              name: result.data.user.name || result.data.user.email,
+            })
+          );
+          return { success: true };
+        } else {
+          const errorMessage = errorText(result.error, "SIGN_UP_FAILED");
           setError(errorMessage);
           if (config.errorMessagesEnabled !== false) {
             showError(errorMessage);
           }
-          return { success: false, error: errorMessage };
+          return {
+            success: false,
+            error: errorMessage,
+            failedRules: result.error?.details?.failedRules,
+          };
         }
       } catch (error: any) {
-        const errorMessage = error.message || "Network error";
+        const errorMessage = error.message || t("NETWORK_ERROR");
         setError(errorMessage);
         config.onError?.({ code: "NETWORK_ERROR", message: errorMessage });
         if (config.errorMessagesEnabled !== false) {
@@ -243,7 +656,7 @@ export function AuthProvider({
         return { success: false, error: errorMessage };
       }
     },
-    [apiEndpoint, config]
+    [apiEndpoint, config, locale]
   );
 
   const signOut = useCallback(async () => {
@@ -261,16 +674,489 @@ export function AuthProvider({
       console.error("[Vista Auth] Sign out request failed:", error);
     } finally {
       storage.clearToken();
+      storage.clearRefreshToken();
+      setTokenExpiresAt(null);
       setUser(null);
       setSession(null);
       wsSync?.disconnect();
       config.onSignOut?.();
 
       if (config.toastEnabled !== false) {
-        showToast("Signed out successfully");
+        showToast(t("SIGNED_OUT"));
+      }
+    }
+  }, [apiEndpoint, session, config, locale]);
+
+  const refreshSession = useCallback(async () => {
+    const staleRefreshToken = storage.getRefreshToken();
+    if (!staleRefreshToken) return false;
+
+    return storage.withRefreshLock(async () => {
+      const refreshToken = storage.getRefreshToken();
+      if (!refreshToken) return false;
+      // Another tab refreshed while this one waited - use its tokens
+      if (refreshToken !== staleRefreshToken) {
+        return adoptToken(await storage.getTokenAsync());
+      }
+
+      return requestRefresh(refreshToken);
+    });
+  }, [apiEndpoint, config, locale]);
+
+  const adoptToken = async (token: string | null) => {
+    if (!token) return false;
+    try {
+      const response = await fetch(`${apiEndpoint}/session`, {
+        headers: {
+          Authorization: `Bearer ${token}`,
+        },
+      });
+      if (!response.ok) return false;
+
+      const data = await response.json();
+      setTokenExpiresAt(getTokenExpiry(token));
+      setSession(data.session);
+      setUser(data.session.user);
+      return true;
+    } catch (error) {
+      console.error("[Vista Auth] Session refresh failed:", error);
+      return false;
+    }
+  };
+
+  const requestRefresh = async (refreshToken: string) => {
+    try {
+      const response = await fetch(`${apiEndpoint}/refresh`, {
+        method: "POST",
+        headers: {
+          "Content-Type": "application/json",
+        },
+        body: JSON.stringify({ refreshToken }),
+      });
+
+      const result = await response.json();
+
+      if (result.success) {
+        // Written before the lock is released, for the tabs waiting on it
+        await storage.setToken(result.data.token);
+        storage.setRefreshToken(result.data.refreshToken);
+        setTokenExpiresAt(result.data.tokenExpiresAt);
+        setSession(result.data.session);
+        setUser(result.data.user);
+        return true;
+      }
+
+      // Expired, revoked or replayed refresh token - the session is over
+      storage.clearToken();
+      storage.clearRefreshToken();
+      setTokenExpiresAt(null);
+      setUser(null);
+      setSession(null);
+      if (result.error?.code === "SESSION_IDLE_TIMEOUT") {
+        config.onSessionExpired?.();
+        if (config.errorMessagesEnabled !== false) {
+          showError(t("IDLE_SIGNED_OUT"));
+        }
       }
+      return false;
+    } catch (error) {
+      console.error("[Vista Auth] Session refresh failed:", error);
+      return false;
     }
-  }, [apiEndpoint, session, config]);
+  };
+
+  const resendVerification = useCallback(
+    async (email?: string) => {
+      const address = email || user?.email;
+      if (!address) {
+        return { success: false, error: t("VERIFICATION_EMAIL_MISSING") };
+      }
+
+      try {
+        const response = await fetch(`${apiEndpoint}/verify-email/resend`, {
+          method: "POST",
+          headers: {
+            "Content-Type": "application/json",
+          },
+          body: JSON.stringify({ email: address }),
+        });
+
+        const result = await response.json();
+
+        if (result.success) {
+          if (config.toastEnabled !== false) {
+            showToast(t("VERIFICATION_EMAIL_SENT", { email: address }));
+          }
+          return { success: true };
+        } else {
+          const errorMessage = errorText(
+            result.error,
+            "VERIFICATION_EMAIL_FAILED"
+          );
+          if (config.errorMessagesEnabled !== false) {
+            showError(errorMessage);
+          }
+          return { success: false, error: errorMessage };
+        }
+      } catch (error: any) {
+        const errorMessage = error.message || t("NETWORK_ERROR");
+        config.onError?.({ code: "NETWORK_ERROR", message: errorMessage });
+        if (config.errorMessagesEnabled !== false) {
+          showError(errorMessage);
+        }
+        return { success: false, error: errorMessage };
+      }
+    },
+    [apiEndpoint, config, locale, user]
+  );
+
+  const changePassword = useCallback(
+    async (
+      currentPassword: string,
+      newPassword: string,
+      options: { revokeOtherSessions?: boolean } = {}
+    ) => {
+      const token = storage.getToken();
+      if (!token) {
+        return { success: false, error: t("PASSWORD_CHANGE_SIGN_IN_REQUIRED") };
+      }
+
+      try {
+        setError(null); // Clear previous errors
+        const response = await fetch(`${apiEndpoint}/password/change`, {
+          method: "POST",
+          headers: {
+            "Content-Type": "application/json",
+            Authorization: `Bearer ${token}`,
+          },
+          body: JSON.stringify({ currentPassword, newPassword, ...options }),
+        });
+
+        const result = await response.json();
+
+        if (result.success) {
+          // Other sessions were revoked - switch to the new one
+          if (result.data) {
+            storage.setToken(result.data.token);
+            storage.setRefreshToken(result.data.refreshToken);
+            setTokenExpiresAt(result.data.tokenExpiresAt);
+            setSession(result.data.session);
+            setUser(result.data.user);
+          }
+          if (config.toastEnabled !== false) {
+            showToast(t("PASSWORD_CHANGED"));
+          }
+          return { success: true };
+        } else {
+          const errorMessage = errorText(
+            result.error,
+            "PASSWORD_CHANGE_FAILED"
+          );
+          setError(errorMessage);
+          if (config.errorMessagesEnabled !== false) {
+            showError(errorMessage);
+          }
+          return {
+            success: false,
+            error: errorMessage,
+            failedRules: result.error?.details?.failedRules,
+          };
+        }
+      } catch (error: any) {
+        const errorMessage = error.message || t("NETWORK_ERROR");
+        setError(errorMessage);
+        config.onError?.({ code: "NETWORK_ERROR", message: errorMessage });
+        if (config.errorMessagesEnabled !== false) {
+          showError(errorMessage);
+        }
+        return { success: false, error: errorMessage };
+      }
+    },
+    [apiEndpoint, config, locale]
+  );
+
+  // Sends a confirmation link to the new address - the email only changes
+  // once it is opened
+  const changeEmail = useCallback(
+    async (newEmail: string, currentPassword: string) => {
+      const token = storage.getToken();
+      if (!token) {
+        return { success: false, error: t("EMAIL_CHANGE_SIGN_IN_REQUIRED") };
+      }
+
+      try {
+        setError(null); // Clear previous errors
+        const response = await fetch(`${apiEndpoint}/email/change`, {
+          method: "POST",
+          headers: {
+            "Content-Type": "application/json",
+            Authorization: `Bearer ${token}`,
+          },
+          body: JSON.stringify({ newEmail, currentPassword }),
+        });
+
+        const result = await response.json();
+
+        if (result.success) {
+          if (config.toastEnabled !== false) {
+            showToast(t("EMAIL_CHANGE_SENT", { email: newEmail }));
+          }
+          return { success: true };
+        } else {
+          const errorMessage = errorText(result.error, "EMAIL_CHANGE_FAILED");
+          setError(errorMessage);
+          if (config.errorMessagesEnabled !== false) {
+            showError(errorMessage);
+          }
+          return { success: false, error: errorMessage };
+        }
+      } catch (error: any) {
+        const errorMessage = error.message || t("NETWORK_ERROR");
+        setError(errorMessage);
+        config.onError?.({ code: "NETWORK_ERROR", message: errorMessage });
+        if (config.errorMessagesEnabled !== false) {
+          showError(errorMessage);
+        }
+        return { success: false, error: errorMessage };
+      }
+    },
+    [apiEndpoint, config, locale]
+  );
+
+  // Complete an email change - reads ?token= from the current URL when no
+  // token is passed
+  const confirmEmailChange = useCallback(
+    async (token?: string) => {
+      const linkToken = token || takeLinkToken();
+      if (!linkToken) {
+        return { success: false, error: t("EMAIL_CHANGE_TOKEN_MISSING") };
+      }
+
+      try {
+        setError(null); // Clear previous errors
+        const response = await fetch(`${apiEndpoint}/email/change/confirm`, {
+          method: "POST",
+          headers: {
+            "Content-Type": "application/json",
+          },
+          body: JSON.stringify({ token: linkToken }),
+        });
+
+        const result = await response.json();
+
+        if (result.success) {
+          // The link may be opened in a browser signed in as someone else
+          const changedUser: User = result.data.user;
+          setUser((current) =>
+            current?.id === changedUser.id ? changedUser : current
+          );
+          setSession((current) =>
+            current?.userId === changedUser.id
+              ? { ...current, user: changedUser }
+              : current
+          );
+          if (config.toastEnabled !== false) {
+            showToast(t("EMAIL_CHANGED", { email: changedUser.email }));
+          }
+          return { success: true };
+        } else {
+          const errorMessage = errorText(result.error, "EMAIL_CHANGE_INVALID");
+          setError(errorMessage);
+          if (config.errorMessagesEnabled !== false) {
+            showError(errorMessage);
+          }
+          return { success: false, error: errorMessage };
+        }
+      } catch (error: any) {
+        const errorMessage = error.message || t("NETWORK_ERROR");
+        setError(errorMessage);
+        config.onError?.({ code: "NETWORK_ERROR", message: errorMessage });
+        if (config.errorMessagesEnabled !== false) {
+          showError(errorMessage);
+        }
+        return { success: false, error: errorMessage };
+      }
+    },
+    [apiEndpoint, config, locale]
+  );
+
+  // POST a session revocation with the current access token
+  const postSessionAction = async (
+    path: string,
+    body: Record<string, any>,
+    successMessage: string
+  ) => {
+    const token = storage.getToken();
+    if (!token) {
+      return { success: false, error: t("NOT_SIGNED_IN") };
+    }
+
+    try {
+      const response = await fetch(`${apiEndpoint}${path}`, {
+        method: "POST",
+        headers: {
+          "Content-Type": "application/json",
+          Authorization: `Bearer ${token}`,
+        },
+        body: JSON.stringify(body),
+      });
+
+      const result = await response.json();
+
+      if (result.success) {
+        if (config.toastEnabled !== false) {
+          showToast(successMessage);
+        }
+        return { success: true };
+      } else {
+        const errorMessage = errorText(result.error, "SIGN_OUT_FAILED");
+        if (config.errorMessagesEnabled !== false) {
+          showError(errorMessage);
+        }
+        return { success: false, error: errorMessage };
+      }
+    } catch (error: any) {
+      const errorMessage = error.message || t("NETWORK_ERROR");
+      config.onError?.({ code: "NETWORK_ERROR", message: errorMessage });
+      if (config.errorMessagesEnabled !== false) {
+        showError(errorMessage);
+      }
+      return { success: false, error: errorMessage };
+    }
+  };
+
+  // Sessions of the signed-in user, most recently used first
+  const listSessions = useCallback(async () => {
+    const token = storage.getToken();
+    if (!token) {
+      return { success: false, error: t("NOT_SIGNED_IN") };
+    }
+
+    try {
+      const response = await fetch(`${apiEndpoint}/sessions`, {
+        headers: {
+          Authorization: `Bearer ${token}`,
+        },
+      });
+
+      const result = await response.json();
+
+      if (result.success) {
+        return { success: true, sessions: result.data as Session[] };
+      }
+      return {
+        success: false,
+        error: errorText(result.error, "SESSIONS_LOAD_FAILED"),
+      };
+    } catch (error: any) {
+      const errorMessage = error.message || t("NETWORK_ERROR");
+      config.onError?.({ code: "NETWORK_ERROR", message: errorMessage });
+      return { success: false, error: errorMessage };
+    }
+  }, [apiEndpoint, config, locale]);
+
+  const revokeSession = useCallback(
+    async (sessionId: string) => {
+      // Revoking this device's session is just signing out
+      if (sessionId === session?.sessionId) {
+        await signOut();
+        return { success: true };
+      }
+
+      return postSessionAction(
+        "/sessions/revoke",
+        { sessionId },
+        t("SESSION_SIGNED_OUT")
+      );
+    },
+    [apiEndpoint, config, locale, session, signOut]
+  );
+
+  const revokeOtherSessions = useCallback(
+    () =>
+      postSessionAction(
+        "/sessions/revoke-others",
+        {},
+        t("OTHER_SESSIONS_SIGNED_OUT")
+      ),
+    [apiEndpoint, config, locale]
+  );
+
+  // POST with the current access token and switch to the returned session
+  const switchSession = async (
+    path: string,
+    body: Record<string, any>,
+    successMessage: string
+  ) => {
+    const token = storage.getToken();
+    if (!token) {
+      return { success: false, error: t("NOT_SIGNED_IN") };
+    }
+
+    try {
+      setError(null); // Clear previous errors
+      const response = await fetch(`${apiEndpoint}${path}`, {
+        method: "POST",
+        headers: {
+          "Content-Type": "application/json",
+          Authorization: `Bearer ${token}`,
+        },
+        body: JSON.stringify(body),
+      });
+
+      const result = await response.json();
+
+      if (result.success) {
+        storage.setToken(result.data.token);
+        storage.setRefreshToken(result.data.refreshToken);
+        setTokenExpiresAt(result.data.tokenExpiresAt);
+        setSession(result.data.session);
+        setUser(result.data.user);
+        if (config.toastEnabled !== false) {
+          showToast(successMessage);
+        }
+        return { success: true };
+      } else {
+        const errorMessage = errorText(result.error, "SWITCH_USER_FAILED");
+        setError(errorMessage);
+        if (config.errorMessagesEnabled !== false) {
+          showError(errorMessage);
+        }
+        return { success: false, error: errorMessage };
+      }
+    } catch (error: any) {
+      const errorMessage = error.message || t("NETWORK_ERROR");
+      setError(errorMessage);
+      config.onError?.({ code: "NETWORK_ERROR", message: errorMessage });
+      if (config.errorMessagesEnabled !== false) {
+        showError(errorMessage);
+      }
+      return { success: false, error: errorMessage };
+    }
+  };
+
+  // The admin's own session stays signed in on the server meanwhile
+  const impersonate = useCallback(
+    (userId: string) =>
+      switchSession("/impersonate", { userId }, t("IMPERSONATION_STARTED")),
+    [apiEndpoint, config, locale]
+  );
+
+  const stopImpersonation = useCallback(
+    () => switchSession("/impersonate/stop", {}, t("IMPERSONATION_ENDED")),
+    [apiEndpoint, config, locale]
+  );
+
+  // null leaves the organization, keeping only global roles
+  const switchOrganization = useCallback(
+    (organizationId: string | null) =>
+      switchSession(
+        "/organizations/switch",
+        { organizationId },
+        organizationId ? t("ORGANIZATION_SWITCHED") : t("ORGANIZATION_CLEARED")
+      ),
+    [apiEndpoint, config, locale]
+  );
 
   const updateUser = useCallback(
     (data: Partial<User>) => {
@@ -284,53 +1170,148 @@ export function AuthProvider({
     [user, session]
   );
 
+  // Same resolver as the server, so inherited roles and wildcards agree
+  const roleResolver = useMemo(
+    () => createRoleResolver(config.roles),
+    [config.roles]
+  );
+  const scopedUser = useMemo(
+    () => scopeToOrganization(user, session?.organization),
+    [user, session?.organization]
+  );
+
   const hasRole = useCallback(
     (role: string) => {
-      return user?.roles?.includes(role) ?? false;
+      return roleResolver.hasRole(scopedUser, role);
     },
-    [user]
+    [scopedUser, roleResolver]
   );
 
   const hasPermission = useCallback(
     (permission: string) => {
-      return user?.permissions?.includes(permission) ?? false;
+      return roleResolver.hasPermission(scopedUser, permission);
     },
-    [user]
+    [scopedUser, roleResolver]
   );
 
   const hasAnyRole = useCallback(
     (roles: string[]) => {
-      return roles.some((role) => user?.roles?.includes(role)) ?? false;
+      return roles.some((role) => roleResolver.hasRole(scopedUser, role));
     },
-    [user]
+    [scopedUser, roleResolver]
   );
 
   const hasAllRoles = useCallback(
     (roles: string[]) => {
-      return roles.every((role) => user?.roles?.includes(role)) ?? false;
+      return roles.every((role) => roleResolver.hasRole(scopedUser, role));
     },
-    [user]
+    [scopedUser, roleResolver]
+  );
+
+  const policy = useMemo(
+    () => createPolicy({ rules: config.policies, roles: config.roles }),
+    [config.policies, config.roles]
+  );
+
+  const can = useCallback(
+    (action: string, resource?: any, context?: Record<string, any>) => {
+      return policy.can(scopedUser, action, resource, context);
+    },
+    [scopedUser, policy]
   );
 
   const value: AuthContextValue = {
     user,
     session,
+    impersonator: session?.impersonator ?? null,
+    organization: session?.organization ?? null,
     isLoading,
     isAuthenticated: !!user,
     error,
+    locale: activeLocale,
+    mfaRequired: !!mfaChallenge,
     signIn,
+    verifyMfa,
+    cancelMfa,
+    signInWithMagicLink,
+    verifyMagicLink,
+    registerPasskey,
+    signInWithPasskey,
     signUp,
     signOut,
+    refreshSession,
+    resendVerification,
+    changePassword,
+    changeEmail,
+    confirmEmailChange,
+    listSessions,
+    revokeSession,
+    revokeOtherSessions,
+    impersonate,
+    stopImpersonation,
+    switchOrganization,
     updateUser,
     hasRole,
     hasPermission,
     hasAnyRole,
     hasAllRoles,
+    can,
+    t,
   };
 
   return <AuthContext.Provider value={value}>{children}</AuthContext.Provider>;
 }
 
+/**
+ * Read the expiry of a JWT without verifying it. Encrypted tokens carry a
+ * copy of it in their (readable) header.
+ */
+function getTokenExpiry(token: string): number | null {
+  try {
+    const segments = token.split(".");
+    const part = segments.length === 5 ? segments[0] : segments[1];
+    const json = atob(part.replace(/-/g, "+").replace(/_/g, "/"));
+    const { exp } = JSON.parse(json);
+    return typeof exp === "number" ? exp * 1000 : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Read ?token= from the current URL and remove it, keeping the single-use
+ * token out of history and Referer headers
+ */
+function takeLinkToken(): string | null {
+  const params = new URLSearchParams(window.location.search);
+  const token = params.get("token");
+  if (token) {
+    params.delete("token");
+    const query = params.toString();
+    window.history.replaceState(
+      null,
+      "",
+      `${window.location.pathname}${query ? `?${query}` : ""}`
+    );
+  }
+  return token;
+}
+
+/**
+ * Resolve a URL against this origin, or null when it points elsewhere
+ */
+function getSameOriginUrl(url: string | null): string | undefined {
+  if (!url) return undefined;
+  try {
+    const resolved = new URL(url, window.location.origin);
+    return resolved.origin === window.location.origin
+      ? resolved.pathname + resolved.search + resolved.hash
+      : undefined;
+  } catch {
+    return undefined;
+  }
+}
+
 export function useAuth() {
   const context = useContext(AuthContext);
   if (!context) {
@@ -338,3 +1319,116 @@ export function useAuth() {
   }
   return context;
 }
+
+/**
+ * Whether the signed-in user may perform an action on a resource
+ */
+export function useCan(
+  action: string,
+  resource?: any,
+  context?: Record<string, any>
+): boolean {
+  return useAuth().can(action, resource, context);
+}
+
+/**
+ * Active sessions of the signed-in user, for a "where you're signed in"
+ * settings page. Loads on mount and again after each revocation.
+ */
+export function useSessions() {
+  const {
+    session,
+    isAuthenticated,
+    listSessions,
+    revokeSession,
+    revokeOtherSessions,
+    t,
+  } = useAuth();
+  const [sessions, setSessions] = useState<(Session & { current: boolean })[]>(
+    []
+  );
+  const [isLoading, setIsLoading] = useState(true);
+  const [error, setError] = useState<string | null>(null);
+
+  const refresh = useCallback(async () => {
+    setIsLoading(true);
+    const result = await listSessions();
+    if (result.success) {
+      setSessions(
+        result.sessions!.map((s) => ({
+          ...s,
+          current: s.sessionId === session?.sessionId,
+        }))
+      );
+      setError(null);
+    } else {
+      setError(result.error || t("SESSIONS_LOAD_FAILED"));
+    }
+    setIsLoading(false);
+  }, [listSessions, session]);
+
+  useEffect(() => {
+    if (isAuthenticated) {
+      refresh();
+    } else {
+      setSessions([]);
+      setIsLoading(false);
+    }
+  }, [isAuthenticated, session?.sessionId]);
+
+  const revoke = useCallback(
+    async (sessionId: string) => {
+      const result = await revokeSession(sessionId);
+      if (result.success) await refresh();
+      return result;
+    },
+    [revokeSession, refresh]
+  );
+
+  const revokeOthers = useCallback(async () => {
+    const result = await revokeOtherSessions();
+    if (result.success) await refresh();
+    return result;
+  }, [revokeOtherSessions, refresh]);
+
+  return { sessions, isLoading, error, refresh, revoke, revokeOthers };
+}
+
+/**
+ * Magic-link callback page helper.
+ * Completes the sign-in once on mount, then redirects to the link's
+ * callbackUrl (or `defaultRedirect`) unless `redirect` is false.
+ */
+export function useMagicLinkCallback(
+  options: { redirect?: boolean; defaultRedirect?: string } = {}
+) {
+  const { verifyMagicLink, t } = useAuth();
+  const [status, setStatus] = useState<
+    "verifying" | "success" | "mfa_required" | "error"
+  >("verifying");
+  const [error, setError] = useState<string | null>(null);
+  // The token is single-use, so never verify twice (e.g. StrictMode effects)
+  const started = useRef(false);
+
+  useEffect(() => {
+    if (started.current) return;
+    started.current = true;
+
+    verifyMagicLink().then((result) => {
+      if (result.success) {
+        setStatus("success");
+        const target = result.callbackUrl || options.defaultRedirect;
+        if (options.redirect !== false && target) {
+          window.location.replace(target);
+        }
+      } else if (result.mfaRequired) {
+        setStatus("mfa_required");
+      } else {
+        setStatus("error");
+        setError(result.error || t("SIGN_IN_FAILED"));
+      }
+    });
+  }, []);
+
+  return { status, error };
+}
@@ -10,8 +10,16 @@ export class SessionStorage {
   private dbName = "vista-auth";
   private storeName = "sessions";
   private db: IDBDatabase | null = null;
+  private tokenKey: string;
+  private refreshTokenKey: string;
 
   constructor(config: AuthConfig = {}) {
+    // Separate keys per instance, so realms in one app do not share tokens
+    this.tokenKey = config.cookieName || "vista-auth-token";
+    this.refreshTokenKey = config.cookieName
+      ? `${config.cookieName}-refresh`
+      : "vista-auth-refresh-token";
+
     const configuredStorage = config.sessionStorage || "localStorage";
     this.storageType =
       configuredStorage === "cookie" ? "localStorage" : configuredStorage;
@@ -46,7 +54,7 @@ export class SessionStorage {
     } else {
       const storage =
         this.storageType === "localStorage" ? localStorage : sessionStorage;
-      storage.setItem("vista-auth-token", token);
+      storage.setItem(this.tokenKey, token);
     }
   }
 
@@ -57,11 +65,11 @@ export class SessionStorage {
       console.warn(
         "[Vista Auth] IndexedDB getToken is async. Using localStorage fallback."
       );
-      return localStorage.getItem("vista-auth-token");
+      return localStorage.getItem(this.tokenKey);
     } else {
       const storage =
         this.storageType === "localStorage" ? localStorage : sessionStorage;
-      return storage.getItem("vista-auth-token");
+      return storage.getItem(this.tokenKey);
     }
   }
 
@@ -79,8 +87,53 @@ export class SessionStorage {
     } else {
       const storage =
         this.storageType === "localStorage" ? localStorage : sessionStorage;
-      storage.removeItem("vista-auth-token");
+      storage.removeItem(this.tokenKey);
+    }
+  }
+
+  setRefreshToken(refreshToken: string): void {
+    this.getWebStorage().setItem(this.refreshTokenKey, refreshToken);
+  }
+
+  getRefreshToken(): string | null {
+    return this.getWebStorage().getItem(this.refreshTokenKey);
+  }
+
+  clearRefreshToken(): void {
+    this.getWebStorage().removeItem(this.refreshTokenKey);
+  }
+
+  /**
+   * Whether a storage event from another tab changed the refresh token
+   */
+  isRefreshTokenEvent(event: StorageEvent): boolean {
+    return (
+      event.key === this.refreshTokenKey &&
+      event.storageArea === this.getWebStorage()
+    );
+  }
+
+  /**
+   * Run a refresh while holding a lock shared by every tab of this origin.
+   * Tabs share the refresh token but each one can be used only once, so
+   * the tabs that wait should adopt the winner's tokens instead of sending
+   * the old one again. Without the Web Locks API the refresh runs unlocked.
+   */
+  async withRefreshLock<T>(refresh: () => Promise<T>): Promise<T> {
+    const locks = typeof navigator !== "undefined" ? navigator.locks : null;
+    // sessionStorage is per tab, so there is nothing to share
+    if (!locks || this.storageType === "sessionStorage") {
+      return refresh();
     }
+    return locks.request(`${this.refreshTokenKey}-lock`, refresh);
+  }
+
+  private getWebStorage(): Storage {
+    // Refresh tokens are small and read synchronously, so IndexedDB mode
+    // keeps them in localStorage
+    return this.storageType === "sessionStorage"
+      ? sessionStorage
+      : localStorage;
   }
 
   private async setIndexedDBToken(token: string): Promise<void> {
@@ -91,7 +144,7 @@ export class SessionStorage {
     return new Promise((resolve, reject) => {
       const transaction = this.db!.transaction([this.storeName], "readwrite");
       const store = transaction.objectStore(this.storeName);
-      const request = store.put(token, "vista-auth-token");
+      const request = store.put(token, this.tokenKey);
 
       request.onsuccess = () => resolve();
       request.onerror = () => reject(request.error);
@@ -106,7 +159,7 @@ export class SessionStorage {
     return new Promise((resolve, reject) => {
       const transaction = this.db!.transaction([this.storeName], "readonly");
       const store = transaction.objectStore(this.storeName);
-      const request = store.get("vista-auth-token");
+      const request = store.get(this.tokenKey);
 
       request.onsuccess = () => resolve(request.result || null);
       request.onerror = () => reject(request.error);
@@ -121,7 +174,7 @@ export class SessionStorage {
     return new Promise((resolve, reject) => {
       const transaction = this.db!.transaction([this.storeName], "readwrite");
       const store = transaction.objectStore(this.storeName);
-      const request = store.delete("vista-auth-token");
+      const request = store.delete(this.tokenKey);
 
       request.onsuccess = () => resolve();
       request.onerror = () => reject(request.error);
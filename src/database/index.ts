@@ -3,7 +3,22 @@
  * Pre-built adapters for common databases
  */
 
-import type { DatabaseAdapter, User, Session } from "../types";
+import type {
+  DatabaseAdapter,
+  User,
+  Session,
+  RefreshTokenRecord,
+  VerificationToken,
+  LoginAttempts,
+  LinkedAccount,
+  PasskeyCredential,
+  AuditEvent,
+  AuditEventQuery,
+  Organization,
+  Membership,
+  OrganizationInvitation,
+  ApiKey,
+} from "../types";
 
 /**
  * Prisma Adapter
@@ -61,6 +76,271 @@ export function createPrismaAdapter(prisma: any): DatabaseAdapter {
     async deleteUserSessions(userId: string) {
       await prisma.session.deleteMany({ where: { userId } });
     },
+
+    async findUserSessions(userId: string) {
+      const sessions = await prisma.session.findMany({
+        where: { userId, expiresAt: { gt: new Date() } },
+      });
+      return sessions.map((session: any) => session.data as Session);
+    },
+
+    async updateSession(sessionId: string, data: Partial<Session>) {
+      const session = await prisma.session.findUnique({
+        where: { id: sessionId },
+      });
+      if (!session) return;
+      const updated = { ...session.data, ...data };
+      await prisma.session.update({
+        where: { id: sessionId },
+        data: { expiresAt: new Date(updated.expiresAt), data: updated },
+      });
+    },
+
+    // Organization records live in a JSON data column, like sessions
+    async createOrganization(organization: Organization) {
+      await prisma.organization.create({
+        data: { id: organization.id, data: organization },
+      });
+      return organization;
+    },
+
+    async findOrganizationById(id: string) {
+      const row = await prisma.organization.findUnique({ where: { id } });
+      return (row?.data as Organization) || null;
+    },
+
+    async createMembership(membership: Membership) {
+      await prisma.membership.create({
+        data: {
+          id: membership.id,
+          organizationId: membership.organizationId,
+          userId: membership.userId,
+          data: membership,
+        },
+      });
+      return membership;
+    },
+
+    async findMembership(organizationId: string, userId: string) {
+      const row = await prisma.membership.findFirst({
+        where: { organizationId, userId },
+      });
+      return (row?.data as Membership) || null;
+    },
+
+    async findUserMemberships(userId: string) {
+      const rows = await prisma.membership.findMany({ where: { userId } });
+      return rows.map((row: any) => row.data as Membership);
+    },
+
+    async findOrganizationMemberships(organizationId: string) {
+      const rows = await prisma.membership.findMany({
+        where: { organizationId },
+      });
+      return rows.map((row: any) => row.data as Membership);
+    },
+
+    async updateMembership(id: string, data: Partial<Membership>) {
+      const row = await prisma.membership.findUnique({ where: { id } });
+      if (!row) return;
+      await prisma.membership.update({
+        where: { id },
+        data: { data: { ...row.data, ...data } },
+      });
+    },
+
+    async deleteMembership(id: string) {
+      await prisma.membership.delete({ where: { id } });
+    },
+
+    async createInvitation(invitation: OrganizationInvitation) {
+      await prisma.organizationInvitation.create({
+        data: {
+          id: invitation.id,
+          tokenHash: invitation.tokenHash,
+          organizationId: invitation.organizationId,
+          data: invitation,
+        },
+      });
+      return invitation;
+    },
+
+    async findInvitation(tokenHash: string) {
+      const row = await prisma.organizationInvitation.findUnique({
+        where: { tokenHash },
+      });
+      return (row?.data as OrganizationInvitation) || null;
+    },
+
+    async findOrganizationInvitations(organizationId: string) {
+      const rows = await prisma.organizationInvitation.findMany({
+        where: { organizationId },
+      });
+      return rows.map((row: any) => row.data as OrganizationInvitation);
+    },
+
+    async deleteInvitation(id: string) {
+      await prisma.organizationInvitation.deleteMany({ where: { id } });
+    },
+
+    async createApiKey(apiKey: ApiKey) {
+      await prisma.apiKey.create({
+        data: {
+          id: apiKey.id,
+          prefix: apiKey.prefix,
+          userId: apiKey.userId,
+          data: apiKey,
+        },
+      });
+      return apiKey;
+    },
+
+    async findApiKeyByPrefix(prefix: string) {
+      const row = await prisma.apiKey.findUnique({ where: { prefix } });
+      return (row?.data as ApiKey) || null;
+    },
+
+    async findUserApiKeys(userId: string) {
+      const rows = await prisma.apiKey.findMany({ where: { userId } });
+      return rows.map((row: any) => row.data as ApiKey);
+    },
+
+    async updateApiKey(id: string, data: Partial<ApiKey>) {
+      const row = await prisma.apiKey.findUnique({ where: { id } });
+      if (!row) return;
+      await prisma.apiKey.update({
+        where: { id },
+        data: { data: { ...row.data, ...data } },
+      });
+    },
+
+    async createRefreshToken(record: RefreshTokenRecord) {
+      await prisma.refreshToken.create({
+        data: {
+          id: record.id,
+          tokenHash: record.tokenHash,
+          familyId: record.familyId,
+          data: record,
+        },
+      });
+      return record;
+    },
+
+    async findRefreshToken(tokenHash: string) {
+      const row = await prisma.refreshToken.findUnique({
+        where: { tokenHash },
+      });
+      return (row?.data as RefreshTokenRecord) || null;
+    },
+
+    async updateRefreshToken(id: string, data: Partial<RefreshTokenRecord>) {
+      const row = await prisma.refreshToken.findUnique({ where: { id } });
+      if (!row) return;
+      await prisma.refreshToken.update({
+        where: { id },
+        data: { data: { ...row.data, ...data } },
+      });
+    },
+
+    async markRefreshTokenUsed(id: string, usedAt: number) {
+      const row = await prisma.refreshToken.findUnique({ where: { id } });
+      if (!row || row.data.usedAt || row.data.revokedAt) return false;
+      // Only matches while the record is still the one read above
+      const { count } = await prisma.refreshToken.updateMany({
+        where: { id, data: { equals: row.data } },
+        data: { data: { ...row.data, usedAt } },
+      });
+      return count === 1;
+    },
+
+    async revokeRefreshTokenFamily(familyId: string) {
+      const now = Date.now();
+      const rows = await prisma.refreshToken.findMany({ where: { familyId } });
+      for (const row of rows) {
+        if (row.data.revokedAt) continue;
+        await prisma.refreshToken.update({
+          where: { id: row.id },
+          data: { data: { ...row.data, revokedAt: now } },
+        });
+      }
+    },
+
+    async createPasskey(passkey: PasskeyCredential) {
+      await prisma.passkey.create({
+        data: { id: passkey.id, userId: passkey.userId, data: passkey },
+      });
+      return passkey;
+    },
+
+    async findPasskey(credentialId: string) {
+      const row = await prisma.passkey.findUnique({
+        where: { id: credentialId },
+      });
+      return (row?.data as PasskeyCredential) || null;
+    },
+
+    async findUserPasskeys(userId: string) {
+      const rows = await prisma.passkey.findMany({ where: { userId } });
+      return rows.map((row: any) => row.data as PasskeyCredential);
+    },
+
+    async updatePasskey(
+      credentialId: string,
+      data: Partial<PasskeyCredential>
+    ) {
+      const row = await prisma.passkey.findUnique({
+        where: { id: credentialId },
+      });
+      if (!row) return;
+      await prisma.passkey.update({
+        where: { id: credentialId },
+        data: { data: { ...row.data, ...data } },
+      });
+    },
+
+    async deletePasskey(credentialId: string) {
+      await prisma.passkey.deleteMany({ where: { id: credentialId } });
+    },
+
+    async createVerificationToken(token: VerificationToken) {
+      await prisma.verificationToken.create({
+        data: { tokenHash: token.tokenHash, data: token },
+      });
+      return token;
+    },
+
+    async useVerificationToken(tokenHash: string) {
+      // delete() fails when another request already used the token
+      try {
+        const row = await prisma.verificationToken.delete({
+          where: { tokenHash },
+        });
+        return row.data as VerificationToken;
+      } catch (error: any) {
+        if (error?.code === "P2025") return null;
+        throw error;
+      }
+    },
+
+    async linkAccount(account: LinkedAccount) {
+      await prisma.linkedAccount.create({
+        data: {
+          id: `${account.provider}:${account.providerAccountId}`,
+          userId: account.userId,
+          data: account,
+        },
+      });
+      return account;
+    },
+
+    async findUserByAccount(provider: string, providerAccountId: string) {
+      const row = await prisma.linkedAccount.findUnique({
+        where: { id: `${provider}:${providerAccountId}` },
+      });
+      if (!row) return null;
+      const user = await prisma.user.findUnique({ where: { id: row.userId } });
+      return user as User | null;
+    },
   };
 }
 
@@ -71,6 +351,21 @@ export function createPrismaAdapter(prisma: any): DatabaseAdapter {
 export function createMongoAdapter(db: any): DatabaseAdapter {
   const users = db.collection("users");
   const sessions = db.collection("sessions");
+  const organizations = db.collection("organizations");
+  const memberships = db.collection("memberships");
+  const invitations = db.collection("organization_invitations");
+  const apiKeys = db.collection("api_keys");
+  const refreshTokens = db.collection("refresh_tokens");
+  const passkeys = db.collection("passkeys");
+  const verificationTokens = db.collection("verification_tokens");
+  const linkedAccounts = db.collection("linked_accounts");
+
+  // Records are stored with _id set to their id
+  const fromDoc = (doc: any) => {
+    if (!doc) return null;
+    const { _id, ...record } = doc;
+    return record;
+  };
 
   return {
     async findUserByEmail(email: string) {
@@ -119,6 +414,179 @@ export function createMongoAdapter(db: any): DatabaseAdapter {
     async deleteUserSessions(userId: string) {
       await sessions.deleteMany({ userId });
     },
+
+    async findUserSessions(userId: string) {
+      const docs = await sessions
+        .find({ userId, expiresAt: { $gt: new Date() } })
+        .toArray();
+      return docs.map((doc: any) => doc.data as Session);
+    },
+
+    async updateSession(sessionId: string, data: Partial<Session>) {
+      const update: Record<string, any> = {};
+      for (const [key, value] of Object.entries(data)) {
+        update[`data.${key}`] = value;
+      }
+      if (data.expiresAt) {
+        update.expiresAt = new Date(data.expiresAt);
+      }
+      await sessions.updateOne({ _id: sessionId }, { $set: update });
+    },
+
+    async createOrganization(organization: Organization) {
+      await organizations.insertOne({ _id: organization.id, ...organization });
+      return organization;
+    },
+
+    async findOrganizationById(id: string) {
+      return fromDoc(await organizations.findOne({ _id: id }));
+    },
+
+    async createMembership(membership: Membership) {
+      await memberships.insertOne({ _id: membership.id, ...membership });
+      return membership;
+    },
+
+    async findMembership(organizationId: string, userId: string) {
+      return fromDoc(await memberships.findOne({ organizationId, userId }));
+    },
+
+    async findUserMemberships(userId: string) {
+      const docs = await memberships.find({ userId }).toArray();
+      return docs.map(fromDoc);
+    },
+
+    async findOrganizationMemberships(organizationId: string) {
+      const docs = await memberships.find({ organizationId }).toArray();
+      return docs.map(fromDoc);
+    },
+
+    async updateMembership(id: string, data: Partial<Membership>) {
+      await memberships.updateOne({ _id: id }, { $set: data });
+    },
+
+    async deleteMembership(id: string) {
+      await memberships.deleteOne({ _id: id });
+    },
+
+    async createInvitation(invitation: OrganizationInvitation) {
+      await invitations.insertOne({ _id: invitation.id, ...invitation });
+      return invitation;
+    },
+
+    async findInvitation(tokenHash: string) {
+      return fromDoc(await invitations.findOne({ tokenHash }));
+    },
+
+    async findOrganizationInvitations(organizationId: string) {
+      const docs = await invitations.find({ organizationId }).toArray();
+      return docs.map(fromDoc);
+    },
+
+    async deleteInvitation(id: string) {
+      await invitations.deleteOne({ _id: id });
+    },
+
+    async createApiKey(apiKey: ApiKey) {
+      await apiKeys.insertOne({ _id: apiKey.id, ...apiKey });
+      return apiKey;
+    },
+
+    async findApiKeyByPrefix(prefix: string) {
+      return fromDoc(await apiKeys.findOne({ prefix }));
+    },
+
+    async findUserApiKeys(userId: string) {
+      const docs = await apiKeys.find({ userId }).toArray();
+      return docs.map(fromDoc);
+    },
+
+    async updateApiKey(id: string, data: Partial<ApiKey>) {
+      await apiKeys.updateOne({ _id: id }, { $set: data });
+    },
+
+    async createRefreshToken(record: RefreshTokenRecord) {
+      await refreshTokens.insertOne({ _id: record.id, ...record });
+      return record;
+    },
+
+    async findRefreshToken(tokenHash: string) {
+      return fromDoc(await refreshTokens.findOne({ tokenHash }));
+    },
+
+    async updateRefreshToken(id: string, data: Partial<RefreshTokenRecord>) {
+      await refreshTokens.updateOne({ _id: id }, { $set: data });
+    },
+
+    async markRefreshTokenUsed(id: string, usedAt: number) {
+      const result = await refreshTokens.updateOne(
+        { _id: id, usedAt: { $exists: false }, revokedAt: { $exists: false } },
+        { $set: { usedAt } }
+      );
+      return result.modifiedCount === 1;
+    },
+
+    async revokeRefreshTokenFamily(familyId: string) {
+      await refreshTokens.updateMany(
+        { familyId, revokedAt: { $exists: false } },
+        { $set: { revokedAt: Date.now() } }
+      );
+    },
+
+    async createPasskey(passkey: PasskeyCredential) {
+      await passkeys.insertOne({ _id: passkey.id, ...passkey });
+      return passkey;
+    },
+
+    async findPasskey(credentialId: string) {
+      return fromDoc(await passkeys.findOne({ _id: credentialId }));
+    },
+
+    async findUserPasskeys(userId: string) {
+      const docs = await passkeys.find({ userId }).toArray();
+      return docs.map(fromDoc);
+    },
+
+    async updatePasskey(
+      credentialId: string,
+      data: Partial<PasskeyCredential>
+    ) {
+      await passkeys.updateOne({ _id: credentialId }, { $set: data });
+    },
+
+    async deletePasskey(credentialId: string) {
+      await passkeys.deleteOne({ _id: credentialId });
+    },
+
+    async createVerificationToken(token: VerificationToken) {
+      await verificationTokens.insertOne({ _id: token.tokenHash, ...token });
+      return token;
+    },
+
+    async useVerificationToken(tokenHash: string) {
+      const result = await verificationTokens.findOneAndDelete(
+        { _id: tokenHash },
+        { includeResultMetadata: true }
+      );
+      return fromDoc(result?.value);
+    },
+
+    async linkAccount(account: LinkedAccount) {
+      await linkedAccounts.insertOne({
+        _id: `${account.provider}:${account.providerAccountId}`,
+        ...account,
+      });
+      return account;
+    },
+
+    async findUserByAccount(provider: string, providerAccountId: string) {
+      const account = await linkedAccounts.findOne({
+        _id: `${provider}:${providerAccountId}`,
+      });
+      if (!account) return null;
+      const user = await users.findOne({ _id: account.userId });
+      return user ? { ...user, id: user._id.toString() } : null;
+    },
   };
 }
 
@@ -196,75 +664,409 @@ export function createSupabaseAdapter(supabase: any): DatabaseAdapter {
     async deleteUserSessions(userId: string) {
       await supabase.from("sessions").delete().eq("user_id", userId);
     },
-  };
-}
 
-/**
- * PostgreSQL Adapter (using pg library)
- */
-export function createPostgresAdapter(pool: any): DatabaseAdapter {
-  return {
-    async findUserByEmail(email: string) {
-      const result = await pool.query("SELECT * FROM users WHERE email = $1", [
-        email,
-      ]);
-      return result.rows[0] || null;
+    async findUserSessions(userId: string) {
+      const { data, error } = await supabase
+        .from("sessions")
+        .select("data")
+        .eq("user_id", userId)
+        .gt("expires_at", new Date().toISOString());
+      if (error) throw error;
+      return (data || []).map((row: any) => row.data as Session);
     },
 
-    async findUserById(id: string) {
-      const result = await pool.query("SELECT * FROM users WHERE id = $1", [
-        id,
-      ]);
-      return result.rows[0] || null;
+    async updateSession(sessionId: string, data: Partial<Session>) {
+      const { data: row } = await supabase
+        .from("sessions")
+        .select("data")
+        .eq("id", sessionId)
+        .single();
+      if (!row) return;
+      const updated = { ...row.data, ...data };
+      await supabase
+        .from("sessions")
+        .update({ expires_at: new Date(updated.expiresAt), data: updated })
+        .eq("id", sessionId);
     },
 
-    async createUser(data: Partial<User>) {
-      const result = await pool.query(
-        "INSERT INTO users (id, email, name, roles, permissions, metadata) VALUES ($1, $2, $3, $4, $5, $6) RETURNING *",
-        [
-          data.id,
-          data.email,
-          data.name,
-          data.roles,
-          data.permissions,
-          data.metadata,
-        ]
-      );
-      return result.rows[0];
+    // Organization records live in a JSON data column, like sessions
+    async createOrganization(organization: Organization) {
+      const { error } = await supabase
+        .from("organizations")
+        .insert({ id: organization.id, data: organization });
+      if (error) throw error;
+      return organization;
     },
 
-    async updateUser(id: string, data: Partial<User>) {
-      const fields = Object.keys(data)
-        .map((key, i) => `${key} = $${i + 2}`)
-        .join(", ");
-      const values = [id, ...Object.values(data)];
-      const result = await pool.query(
-        `UPDATE users SET ${fields} WHERE id = $1 RETURNING *`,
-        values
-      );
-      return result.rows[0];
+    async findOrganizationById(id: string) {
+      const { data } = await supabase
+        .from("organizations")
+        .select("data")
+        .eq("id", id)
+        .single();
+      return data?.data || null;
     },
 
-    async deleteUser(id: string) {
-      await pool.query("DELETE FROM users WHERE id = $1", [id]);
+    async createMembership(membership: Membership) {
+      const { error } = await supabase.from("memberships").insert({
+        id: membership.id,
+        organization_id: membership.organizationId,
+        user_id: membership.userId,
+        data: membership,
+      });
+      if (error) throw error;
+      return membership;
     },
 
-    async createSession(userId: string, sessionData: any) {
-      await pool.query(
-        "INSERT INTO sessions (id, user_id, expires_at, data) VALUES ($1, $2, $3, $4)",
-        [
-          sessionData.sessionId,
-          userId,
-          new Date(sessionData.expiresAt),
-          sessionData,
-        ]
-      );
-      return sessionData as Session;
+    async findMembership(organizationId: string, userId: string) {
+      const { data } = await supabase
+        .from("memberships")
+        .select("data")
+        .eq("organization_id", organizationId)
+        .eq("user_id", userId)
+        .single();
+      return data?.data || null;
     },
 
-    async getSession(sessionId: string) {
-      const result = await pool.query(
-        "SELECT data FROM sessions WHERE id = $1",
+    async findUserMemberships(userId: string) {
+      const { data, error } = await supabase
+        .from("memberships")
+        .select("data")
+        .eq("user_id", userId);
+      if (error) throw error;
+      return (data || []).map((row: any) => row.data as Membership);
+    },
+
+    async findOrganizationMemberships(organizationId: string) {
+      const { data, error } = await supabase
+        .from("memberships")
+        .select("data")
+        .eq("organization_id", organizationId);
+      if (error) throw error;
+      return (data || []).map((row: any) => row.data as Membership);
+    },
+
+    async updateMembership(id: string, data: Partial<Membership>) {
+      const { data: row } = await supabase
+        .from("memberships")
+        .select("data")
+        .eq("id", id)
+        .single();
+      if (!row) return;
+      await supabase
+        .from("memberships")
+        .update({ data: { ...row.data, ...data } })
+        .eq("id", id);
+    },
+
+    async deleteMembership(id: string) {
+      await supabase.from("memberships").delete().eq("id", id);
+    },
+
+    async createInvitation(invitation: OrganizationInvitation) {
+      const { error } = await supabase.from("organization_invitations").insert({
+        id: invitation.id,
+        token_hash: invitation.tokenHash,
+        organization_id: invitation.organizationId,
+        data: invitation,
+      });
+      if (error) throw error;
+      return invitation;
+    },
+
+    async findInvitation(tokenHash: string) {
+      const { data } = await supabase
+        .from("organization_invitations")
+        .select("data")
+        .eq("token_hash", tokenHash)
+        .single();
+      return data?.data || null;
+    },
+
+    async findOrganizationInvitations(organizationId: string) {
+      const { data, error } = await supabase
+        .from("organization_invitations")
+        .select("data")
+        .eq("organization_id", organizationId);
+      if (error) throw error;
+      return (data || []).map((row: any) => row.data as OrganizationInvitation);
+    },
+
+    async deleteInvitation(id: string) {
+      await supabase.from("organization_invitations").delete().eq("id", id);
+    },
+
+    async createApiKey(apiKey: ApiKey) {
+      const { error } = await supabase.from("api_keys").insert({
+        id: apiKey.id,
+        prefix: apiKey.prefix,
+        user_id: apiKey.userId,
+        data: apiKey,
+      });
+      if (error) throw error;
+      return apiKey;
+    },
+
+    async findApiKeyByPrefix(prefix: string) {
+      const { data } = await supabase
+        .from("api_keys")
+        .select("data")
+        .eq("prefix", prefix)
+        .single();
+      return data?.data || null;
+    },
+
+    async findUserApiKeys(userId: string) {
+      const { data, error } = await supabase
+        .from("api_keys")
+        .select("data")
+        .eq("user_id", userId);
+      if (error) throw error;
+      return (data || []).map((row: any) => row.data as ApiKey);
+    },
+
+    async updateApiKey(id: string, data: Partial<ApiKey>) {
+      const { data: row } = await supabase
+        .from("api_keys")
+        .select("data")
+        .eq("id", id)
+        .single();
+      if (!row) return;
+      await supabase
+        .from("api_keys")
+        .update({ data: { ...row.data, ...data } })
+        .eq("id", id);
+    },
+
+    async createRefreshToken(record: RefreshTokenRecord) {
+      const { error } = await supabase.from("refresh_tokens").insert({
+        id: record.id,
+        token_hash: record.tokenHash,
+        family_id: record.familyId,
+        data: record,
+      });
+      if (error) throw error;
+      return record;
+    },
+
+    async findRefreshToken(tokenHash: string) {
+      const { data } = await supabase
+        .from("refresh_tokens")
+        .select("data")
+        .eq("token_hash", tokenHash)
+        .single();
+      return data?.data || null;
+    },
+
+    async updateRefreshToken(id: string, data: Partial<RefreshTokenRecord>) {
+      const { data: row } = await supabase
+        .from("refresh_tokens")
+        .select("data")
+        .eq("id", id)
+        .single();
+      if (!row) return;
+      await supabase
+        .from("refresh_tokens")
+        .update({ data: { ...row.data, ...data } })
+        .eq("id", id);
+    },
+
+    async markRefreshTokenUsed(id: string, usedAt: number) {
+      const { data: row } = await supabase
+        .from("refresh_tokens")
+        .select("data")
+        .eq("id", id)
+        .single();
+      if (!row || row.data.usedAt || row.data.revokedAt) return false;
+      // The filters make the update a no-op if another request was faster
+      const { data, error } = await supabase
+        .from("refresh_tokens")
+        .update({ data: { ...row.data, usedAt } })
+        .eq("id", id)
+        .is("data->usedAt", null)
+        .is("data->revokedAt", null)
+        .select("id");
+      if (error) throw error;
+      return data?.length === 1;
+    },
+
+    async revokeRefreshTokenFamily(familyId: string) {
+      const now = Date.now();
+      const { data: rows, error } = await supabase
+        .from("refresh_tokens")
+        .select("id, data")
+        .eq("family_id", familyId);
+      if (error) throw error;
+      for (const row of rows || []) {
+        if (row.data.revokedAt) continue;
+        await supabase
+          .from("refresh_tokens")
+          .update({ data: { ...row.data, revokedAt: now } })
+          .eq("id", row.id);
+      }
+    },
+
+    async createPasskey(passkey: PasskeyCredential) {
+      const { error } = await supabase.from("passkeys").insert({
+        id: passkey.id,
+        user_id: passkey.userId,
+        data: passkey,
+      });
+      if (error) throw error;
+      return passkey;
+    },
+
+    async findPasskey(credentialId: string) {
+      const { data } = await supabase
+        .from("passkeys")
+        .select("data")
+        .eq("id", credentialId)
+        .single();
+      return data?.data || null;
+    },
+
+    async findUserPasskeys(userId: string) {
+      const { data, error } = await supabase
+        .from("passkeys")
+        .select("data")
+        .eq("user_id", userId);
+      if (error) throw error;
+      return (data || []).map((row: any) => row.data as PasskeyCredential);
+    },
+
+    async updatePasskey(
+      credentialId: string,
+      data: Partial<PasskeyCredential>
+    ) {
+      const { data: row } = await supabase
+        .from("passkeys")
+        .select("data")
+        .eq("id", credentialId)
+        .single();
+      if (!row) return;
+      await supabase
+        .from("passkeys")
+        .update({ data: { ...row.data, ...data } })
+        .eq("id", credentialId);
+    },
+
+    async deletePasskey(credentialId: string) {
+      await supabase.from("passkeys").delete().eq("id", credentialId);
+    },
+
+    async createVerificationToken(token: VerificationToken) {
+      const { error } = await supabase.from("verification_tokens").insert({
+        token_hash: token.tokenHash,
+        data: token,
+      });
+      if (error) throw error;
+      return token;
+    },
+
+    async useVerificationToken(tokenHash: string) {
+      // Returns the deleted row, so only one request gets the token
+      const { data, error } = await supabase
+        .from("verification_tokens")
+        .delete()
+        .eq("token_hash", tokenHash)
+        .select("data");
+      if (error) throw error;
+      return data?.[0]?.data || null;
+    },
+
+    async linkAccount(account: LinkedAccount) {
+      const { error } = await supabase.from("linked_accounts").insert({
+        id: `${account.provider}:${account.providerAccountId}`,
+        user_id: account.userId,
+        data: account,
+      });
+      if (error) throw error;
+      return account;
+    },
+
+    async findUserByAccount(provider: string, providerAccountId: string) {
+      const { data: account } = await supabase
+        .from("linked_accounts")
+        .select("user_id")
+        .eq("id", `${provider}:${providerAccountId}`)
+        .single();
+      if (!account) return null;
+      const { data, error } = await supabase
+        .from("users")
+        .select("*")
+        .eq("id", account.user_id)
+        .single();
+      return error ? null : data;
+    },
+  };
+}
+
+/**
+ * PostgreSQL Adapter (using pg library)
+ */
+export function createPostgresAdapter(pool: any): DatabaseAdapter {
+  return {
+    async findUserByEmail(email: string) {
+      const result = await pool.query("SELECT * FROM users WHERE email = $1", [
+        email,
+      ]);
+      return result.rows[0] || null;
+    },
+
+    async findUserById(id: string) {
+      const result = await pool.query("SELECT * FROM users WHERE id = $1", [
+        id,
+      ]);
+      return result.rows[0] || null;
+    },
+
+    async createUser(data: Partial<User>) {
+      const result = await pool.query(
+        "INSERT INTO users (id, email, name, roles, permissions, metadata) VALUES ($1, $2, $3, $4, $5, $6) RETURNING *",
+        [
+          data.id,
+          data.email,
+          data.name,
+          data.roles,
+          data.permissions,
+          data.metadata,
+        ]
+      );
+      return result.rows[0];
+    },
+
+    async updateUser(id: string, data: Partial<User>) {
+      const fields = Object.keys(data)
+        .map((key, i) => `${key} = $${i + 2}`)
+        .join(", ");
+      const values = [id, ...Object.values(data)];
+      const result = await pool.query(
+        `UPDATE users SET ${fields} WHERE id = $1 RETURNING *`,
+        values
+      );
+      return result.rows[0];
+    },
+
+    async deleteUser(id: string) {
+      await pool.query("DELETE FROM users WHERE id = $1", [id]);
+    },
+
+    async createSession(userId: string, sessionData: any) {
+      await pool.query(
+        "INSERT INTO sessions (id, user_id, expires_at, data) VALUES ($1, $2, $3, $4)",
+        [
+          sessionData.sessionId,
+          userId,
+          new Date(sessionData.expiresAt),
+          sessionData,
+        ]
+      );
+      return sessionData as Session;
+    },
+
+    async getSession(sessionId: string) {
+      const result = await pool.query(
+        "SELECT data FROM sessions WHERE id = $1",
         [sessionId]
       );
       return result.rows[0]?.data || null;
@@ -277,6 +1079,269 @@ export function createPostgresAdapter(pool: any): DatabaseAdapter {
     async deleteUserSessions(userId: string) {
       await pool.query("DELETE FROM sessions WHERE user_id = $1", [userId]);
     },
+
+    async findUserSessions(userId: string) {
+      const result = await pool.query(
+        "SELECT data FROM sessions WHERE user_id = $1 AND expires_at > NOW()",
+        [userId]
+      );
+      return result.rows.map((row: any) => row.data as Session);
+    },
+
+    async updateSession(sessionId: string, data: Partial<Session>) {
+      // Assumes a JSONB data column
+      await pool.query(
+        "UPDATE sessions SET data = data || $2::jsonb, expires_at = COALESCE($3, expires_at) WHERE id = $1",
+        [
+          sessionId,
+          JSON.stringify(data),
+          data.expiresAt ? new Date(data.expiresAt) : null,
+        ]
+      );
+    },
+
+    // Organization records live in a JSONB data column, like sessions
+    async createOrganization(organization: Organization) {
+      await pool.query("INSERT INTO organizations (id, data) VALUES ($1, $2)", [
+        organization.id,
+        organization,
+      ]);
+      return organization;
+    },
+
+    async findOrganizationById(id: string) {
+      const result = await pool.query(
+        "SELECT data FROM organizations WHERE id = $1",
+        [id]
+      );
+      return result.rows[0]?.data || null;
+    },
+
+    async createMembership(membership: Membership) {
+      await pool.query(
+        "INSERT INTO memberships (id, organization_id, user_id, data) VALUES ($1, $2, $3, $4)",
+        [
+          membership.id,
+          membership.organizationId,
+          membership.userId,
+          membership,
+        ]
+      );
+      return membership;
+    },
+
+    async findMembership(organizationId: string, userId: string) {
+      const result = await pool.query(
+        "SELECT data FROM memberships WHERE organization_id = $1 AND user_id = $2",
+        [organizationId, userId]
+      );
+      return result.rows[0]?.data || null;
+    },
+
+    async findUserMemberships(userId: string) {
+      const result = await pool.query(
+        "SELECT data FROM memberships WHERE user_id = $1",
+        [userId]
+      );
+      return result.rows.map((row: any) => row.data as Membership);
+    },
+
+    async findOrganizationMemberships(organizationId: string) {
+      const result = await pool.query(
+        "SELECT data FROM memberships WHERE organization_id = $1",
+        [organizationId]
+      );
+      return result.rows.map((row: any) => row.data as Membership);
+    },
+
+    async updateMembership(id: string, data: Partial<Membership>) {
+      await pool.query(
+        "UPDATE memberships SET data = data || $2::jsonb WHERE id = $1",
+        [id, JSON.stringify(data)]
+      );
+    },
+
+    async deleteMembership(id: string) {
+      await pool.query("DELETE FROM memberships WHERE id = $1", [id]);
+    },
+
+    async createInvitation(invitation: OrganizationInvitation) {
+      await pool.query(
+        "INSERT INTO organization_invitations (id, token_hash, organization_id, data) VALUES ($1, $2, $3, $4)",
+        [
+          invitation.id,
+          invitation.tokenHash,
+          invitation.organizationId,
+          invitation,
+        ]
+      );
+      return invitation;
+    },
+
+    async findInvitation(tokenHash: string) {
+      const result = await pool.query(
+        "SELECT data FROM organization_invitations WHERE token_hash = $1",
+        [tokenHash]
+      );
+      return result.rows[0]?.data || null;
+    },
+
+    async findOrganizationInvitations(organizationId: string) {
+      const result = await pool.query(
+        "SELECT data FROM organization_invitations WHERE organization_id = $1",
+        [organizationId]
+      );
+      return result.rows.map((row: any) => row.data as OrganizationInvitation);
+    },
+
+    async deleteInvitation(id: string) {
+      await pool.query("DELETE FROM organization_invitations WHERE id = $1", [
+        id,
+      ]);
+    },
+
+    async createApiKey(apiKey: ApiKey) {
+      await pool.query(
+        "INSERT INTO api_keys (id, prefix, user_id, data) VALUES ($1, $2, $3, $4)",
+        [apiKey.id, apiKey.prefix, apiKey.userId, apiKey]
+      );
+      return apiKey;
+    },
+
+    async findApiKeyByPrefix(prefix: string) {
+      const result = await pool.query(
+        "SELECT data FROM api_keys WHERE prefix = $1",
+        [prefix]
+      );
+      return result.rows[0]?.data || null;
+    },
+
+    async findUserApiKeys(userId: string) {
+      const result = await pool.query(
+        "SELECT data FROM api_keys WHERE user_id = $1",
+        [userId]
+      );
+      return result.rows.map((row: any) => row.data as ApiKey);
+    },
+
+    async updateApiKey(id: string, data: Partial<ApiKey>) {
+      await pool.query(
+        "UPDATE api_keys SET data = data || $2::jsonb WHERE id = $1",
+        [id, JSON.stringify(data)]
+      );
+    },
+
+    async createRefreshToken(record: RefreshTokenRecord) {
+      await pool.query(
+        "INSERT INTO refresh_tokens (id, token_hash, family_id, data) VALUES ($1, $2, $3, $4)",
+        [record.id, record.tokenHash, record.familyId, record]
+      );
+      return record;
+    },
+
+    async findRefreshToken(tokenHash: string) {
+      const result = await pool.query(
+        "SELECT data FROM refresh_tokens WHERE token_hash = $1",
+        [tokenHash]
+      );
+      return result.rows[0]?.data || null;
+    },
+
+    async updateRefreshToken(id: string, data: Partial<RefreshTokenRecord>) {
+      await pool.query(
+        "UPDATE refresh_tokens SET data = data || $2::jsonb WHERE id = $1",
+        [id, JSON.stringify(data)]
+      );
+    },
+
+    async markRefreshTokenUsed(id: string, usedAt: number) {
+      const result = await pool.query(
+        "UPDATE refresh_tokens SET data = data || jsonb_build_object('usedAt', $2::bigint) WHERE id = $1 AND data->'usedAt' IS NULL AND data->'revokedAt' IS NULL",
+        [id, usedAt]
+      );
+      return result.rowCount === 1;
+    },
+
+    async revokeRefreshTokenFamily(familyId: string) {
+      await pool.query(
+        "UPDATE refresh_tokens SET data = data || jsonb_build_object('revokedAt', $2::bigint) WHERE family_id = $1 AND data->'revokedAt' IS NULL",
+        [familyId, Date.now()]
+      );
+    },
+
+    async createPasskey(passkey: PasskeyCredential) {
+      await pool.query(
+        "INSERT INTO passkeys (id, user_id, data) VALUES ($1, $2, $3)",
+        [passkey.id, passkey.userId, passkey]
+      );
+      return passkey;
+    },
+
+    async findPasskey(credentialId: string) {
+      const result = await pool.query(
+        "SELECT data FROM passkeys WHERE id = $1",
+        [credentialId]
+      );
+      return result.rows[0]?.data || null;
+    },
+
+    async findUserPasskeys(userId: string) {
+      const result = await pool.query(
+        "SELECT data FROM passkeys WHERE user_id = $1",
+        [userId]
+      );
+      return result.rows.map((row: any) => row.data as PasskeyCredential);
+    },
+
+    async updatePasskey(
+      credentialId: string,
+      data: Partial<PasskeyCredential>
+    ) {
+      await pool.query(
+        "UPDATE passkeys SET data = data || $2::jsonb WHERE id = $1",
+        [credentialId, JSON.stringify(data)]
+      );
+    },
+
+    async deletePasskey(credentialId: string) {
+      await pool.query("DELETE FROM passkeys WHERE id = $1", [credentialId]);
+    },
+
+    async createVerificationToken(token: VerificationToken) {
+      await pool.query(
+        "INSERT INTO verification_tokens (token_hash, data) VALUES ($1, $2)",
+        [token.tokenHash, token]
+      );
+      return token;
+    },
+
+    async useVerificationToken(tokenHash: string) {
+      const result = await pool.query(
+        "DELETE FROM verification_tokens WHERE token_hash = $1 RETURNING data",
+        [tokenHash]
+      );
+      return result.rows[0]?.data || null;
+    },
+
+    async linkAccount(account: LinkedAccount) {
+      await pool.query(
+        "INSERT INTO linked_accounts (id, user_id, data) VALUES ($1, $2, $3)",
+        [
+          `${account.provider}:${account.providerAccountId}`,
+          account.userId,
+          account,
+        ]
+      );
+      return account;
+    },
+
+    async findUserByAccount(provider: string, providerAccountId: string) {
+      const result = await pool.query(
+        "SELECT users.* FROM linked_accounts JOIN users ON users.id = linked_accounts.user_id WHERE linked_accounts.id = $1",
+        [`${provider}:${providerAccountId}`]
+      );
+      return result.rows[0] || null;
+    },
   };
 }
 
@@ -310,39 +1375,290 @@ export function createFirebaseAdapter(firestore: any): DatabaseAdapter {
       return { ...data, id } as User;
     },
 
-    async deleteUser(id: string) {
-      await firestore.collection("users").doc(id).delete();
+    async deleteUser(id: string) {
+      await firestore.collection("users").doc(id).delete();
+    },
+
+    async createSession(userId: string, sessionData: any) {
+      await firestore
+        .collection("sessions")
+        .doc(sessionData.sessionId)
+        .set({
+          userId,
+          expiresAt: new Date(sessionData.expiresAt),
+          data: sessionData,
+        });
+      return sessionData as Session;
+    },
+
+    async getSession(sessionId: string) {
+      const doc = await firestore.collection("sessions").doc(sessionId).get();
+      return doc.exists ? doc.data().data : null;
+    },
+
+    async deleteSession(sessionId: string) {
+      await firestore.collection("sessions").doc(sessionId).delete();
+    },
+
+    async deleteUserSessions(userId: string) {
+      const snapshot = await firestore
+        .collection("sessions")
+        .where("userId", "==", userId)
+        .get();
+      const batch = firestore.batch();
+      snapshot.docs.forEach((doc: any) => batch.delete(doc.ref));
+      await batch.commit();
+    },
+
+    async findUserSessions(userId: string) {
+      // Expiry is filtered here so no composite index is needed
+      const snapshot = await firestore
+        .collection("sessions")
+        .where("userId", "==", userId)
+        .get();
+      const now = Date.now();
+      return snapshot.docs
+        .map((doc: any) => doc.data().data as Session)
+        .filter((session: Session) => now < session.expiresAt);
+    },
+
+    async updateSession(sessionId: string, data: Partial<Session>) {
+      const update: Record<string, any> = {};
+      for (const [key, value] of Object.entries(data)) {
+        update[`data.${key}`] = value;
+      }
+      if (data.expiresAt) {
+        update.expiresAt = new Date(data.expiresAt);
+      }
+      await firestore.collection("sessions").doc(sessionId).update(update);
+    },
+
+    async createOrganization(organization: Organization) {
+      await firestore
+        .collection("organizations")
+        .doc(organization.id)
+        .set(organization);
+      return organization;
+    },
+
+    async findOrganizationById(id: string) {
+      const doc = await firestore.collection("organizations").doc(id).get();
+      return doc.exists ? (doc.data() as Organization) : null;
+    },
+
+    async createMembership(membership: Membership) {
+      await firestore
+        .collection("memberships")
+        .doc(membership.id)
+        .set(membership);
+      return membership;
+    },
+
+    async findMembership(organizationId: string, userId: string) {
+      const snapshot = await firestore
+        .collection("memberships")
+        .where("organizationId", "==", organizationId)
+        .where("userId", "==", userId)
+        .get();
+      return snapshot.empty ? null : (snapshot.docs[0].data() as Membership);
+    },
+
+    async findUserMemberships(userId: string) {
+      const snapshot = await firestore
+        .collection("memberships")
+        .where("userId", "==", userId)
+        .get();
+      return snapshot.docs.map((doc: any) => doc.data() as Membership);
+    },
+
+    async findOrganizationMemberships(organizationId: string) {
+      const snapshot = await firestore
+        .collection("memberships")
+        .where("organizationId", "==", organizationId)
+        .get();
+      return snapshot.docs.map((doc: any) => doc.data() as Membership);
+    },
+
+    async updateMembership(id: string, data: Partial<Membership>) {
+      await firestore.collection("memberships").doc(id).update(data);
+    },
+
+    async deleteMembership(id: string) {
+      await firestore.collection("memberships").doc(id).delete();
+    },
+
+    async createInvitation(invitation: OrganizationInvitation) {
+      await firestore
+        .collection("organizationInvitations")
+        .doc(invitation.id)
+        .set(invitation);
+      return invitation;
+    },
+
+    async findInvitation(tokenHash: string) {
+      const snapshot = await firestore
+        .collection("organizationInvitations")
+        .where("tokenHash", "==", tokenHash)
+        .get();
+      return snapshot.empty
+        ? null
+        : (snapshot.docs[0].data() as OrganizationInvitation);
+    },
+
+    async findOrganizationInvitations(organizationId: string) {
+      const snapshot = await firestore
+        .collection("organizationInvitations")
+        .where("organizationId", "==", organizationId)
+        .get();
+      return snapshot.docs.map(
+        (doc: any) => doc.data() as OrganizationInvitation
+      );
+    },
+
+    async deleteInvitation(id: string) {
+      await firestore.collection("organizationInvitations").doc(id).delete();
+    },
+
+    async createApiKey(apiKey: ApiKey) {
+      await firestore.collection("apiKeys").doc(apiKey.id).set(apiKey);
+      return apiKey;
+    },
+
+    async findApiKeyByPrefix(prefix: string) {
+      const snapshot = await firestore
+        .collection("apiKeys")
+        .where("prefix", "==", prefix)
+        .get();
+      return snapshot.empty ? null : (snapshot.docs[0].data() as ApiKey);
+    },
+
+    async findUserApiKeys(userId: string) {
+      const snapshot = await firestore
+        .collection("apiKeys")
+        .where("userId", "==", userId)
+        .get();
+      return snapshot.docs.map((doc: any) => doc.data() as ApiKey);
+    },
+
+    async updateApiKey(id: string, data: Partial<ApiKey>) {
+      await firestore.collection("apiKeys").doc(id).update(data);
+    },
+
+    async createRefreshToken(record: RefreshTokenRecord) {
+      await firestore.collection("refreshTokens").doc(record.id).set(record);
+      return record;
+    },
+
+    async findRefreshToken(tokenHash: string) {
+      const snapshot = await firestore
+        .collection("refreshTokens")
+        .where("tokenHash", "==", tokenHash)
+        .get();
+      return snapshot.empty
+        ? null
+        : (snapshot.docs[0].data() as RefreshTokenRecord);
+    },
+
+    async updateRefreshToken(id: string, data: Partial<RefreshTokenRecord>) {
+      await firestore.collection("refreshTokens").doc(id).update(data);
+    },
+
+    async markRefreshTokenUsed(id: string, usedAt: number) {
+      const ref = firestore.collection("refreshTokens").doc(id);
+      return firestore.runTransaction(async (transaction: any) => {
+        const doc = await transaction.get(ref);
+        if (!doc.exists || doc.data().usedAt || doc.data().revokedAt) {
+          return false;
+        }
+        transaction.update(ref, { usedAt });
+        return true;
+      });
+    },
+
+    async revokeRefreshTokenFamily(familyId: string) {
+      const now = Date.now();
+      const snapshot = await firestore
+        .collection("refreshTokens")
+        .where("familyId", "==", familyId)
+        .get();
+      const batch = firestore.batch();
+      for (const doc of snapshot.docs) {
+        if (!doc.data().revokedAt) batch.update(doc.ref, { revokedAt: now });
+      }
+      await batch.commit();
+    },
+
+    async createPasskey(passkey: PasskeyCredential) {
+      await firestore.collection("passkeys").doc(passkey.id).set(passkey);
+      return passkey;
+    },
+
+    async findPasskey(credentialId: string) {
+      const doc = await firestore
+        .collection("passkeys")
+        .doc(credentialId)
+        .get();
+      return doc.exists ? (doc.data() as PasskeyCredential) : null;
+    },
+
+    async findUserPasskeys(userId: string) {
+      const snapshot = await firestore
+        .collection("passkeys")
+        .where("userId", "==", userId)
+        .get();
+      return snapshot.docs.map((doc: any) => doc.data() as PasskeyCredential);
+    },
+
+    async updatePasskey(
+      credentialId: string,
+      data: Partial<PasskeyCredential>
+    ) {
+      await firestore.collection("passkeys").doc(credentialId).update(data);
     },
 
-    async createSession(userId: string, sessionData: any) {
-      await firestore
-        .collection("sessions")
-        .doc(sessionData.sessionId)
-        .set({
-          userId,
-          expiresAt: new Date(sessionData.expiresAt),
-          data: sessionData,
-        });
-      return sessionData as Session;
+    async deletePasskey(credentialId: string) {
+      await firestore.collection("passkeys").doc(credentialId).delete();
     },
 
-    async getSession(sessionId: string) {
-      const doc = await firestore.collection("sessions").doc(sessionId).get();
-      return doc.exists ? doc.data().data : null;
+    async createVerificationToken(token: VerificationToken) {
+      await firestore
+        .collection("verificationTokens")
+        .doc(token.tokenHash)
+        .set(token);
+      return token;
+    },
+
+    async useVerificationToken(tokenHash: string) {
+      const ref = firestore.collection("verificationTokens").doc(tokenHash);
+      return firestore.runTransaction(async (transaction: any) => {
+        const doc = await transaction.get(ref);
+        if (!doc.exists) return null;
+        transaction.delete(ref);
+        return doc.data() as VerificationToken;
+      });
     },
 
-    async deleteSession(sessionId: string) {
-      await firestore.collection("sessions").doc(sessionId).delete();
+    async linkAccount(account: LinkedAccount) {
+      // Document IDs cannot contain '/', which account IDs might
+      const id = encodeURIComponent(
+        `${account.provider}:${account.providerAccountId}`
+      );
+      await firestore.collection("linkedAccounts").doc(id).set(account);
+      return account;
     },
 
-    async deleteUserSessions(userId: string) {
-      const snapshot = await firestore
-        .collection("sessions")
-        .where("userId", "==", userId)
+    async findUserByAccount(provider: string, providerAccountId: string) {
+      const id = encodeURIComponent(`${provider}:${providerAccountId}`);
+      const account = await firestore
+        .collection("linkedAccounts")
+        .doc(id)
         .get();
-      const batch = firestore.batch();
-      snapshot.docs.forEach((doc: any) => batch.delete(doc.ref));
-      await batch.commit();
+      if (!account.exists) return null;
+      const doc = await firestore
+        .collection("users")
+        .doc(account.data().userId)
+        .get();
+      return doc.exists ? { ...doc.data(), id: doc.id } : null;
     },
   };
 }
@@ -356,6 +1672,19 @@ export function createMemoryAdapter(): DatabaseAdapter {
   const users = new Map<string, User>();
   const usersByEmail = new Map<string, User>();
   const sessions = new Map<string, Session>();
+  const refreshTokens = new Map<string, RefreshTokenRecord>();
+  const verificationTokens = new Map<string, VerificationToken>();
+  const loginAttempts = new Map<
+    string,
+    { attempts: LoginAttempts; expiresAt: number }
+  >();
+  const accounts = new Map<string, LinkedAccount>();
+  const passkeys = new Map<string, PasskeyCredential>();
+  const auditEvents: AuditEvent[] = [];
+  const organizations = new Map<string, Organization>();
+  const memberships = new Map<string, Membership>();
+  const invitations = new Map<string, OrganizationInvitation>();
+  const apiKeys = new Map<string, ApiKey>();
 
   return {
     async findUserByEmail(email: string) {
@@ -379,6 +1708,7 @@ export function createMemoryAdapter(): DatabaseAdapter {
 
       const updatedUser = { ...existingUser, ...data };
       users.set(id, updatedUser);
+      usersByEmail.delete(existingUser.email); // The old address is free again
       usersByEmail.set(updatedUser.email, updatedUser);
       return updatedUser;
     },
@@ -412,6 +1742,237 @@ export function createMemoryAdapter(): DatabaseAdapter {
         }
       }
     },
+
+    async findUserSessions(userId: string) {
+      const now = Date.now();
+      return Array.from(sessions.values()).filter(
+        (session) => session.userId === userId && now < session.expiresAt
+      );
+    },
+
+    async updateSession(sessionId: string, data: Partial<Session>) {
+      const session = sessions.get(sessionId);
+      if (session) {
+        sessions.set(sessionId, { ...session, ...data });
+      }
+    },
+
+    async createRefreshToken(record: RefreshTokenRecord) {
+      refreshTokens.set(record.tokenHash, record);
+      return record;
+    },
+
+    async findRefreshToken(tokenHash: string) {
+      return refreshTokens.get(tokenHash) || null;
+    },
+
+    async updateRefreshToken(id: string, data: Partial<RefreshTokenRecord>) {
+      for (const [tokenHash, record] of refreshTokens.entries()) {
+        if (record.id === id) {
+          refreshTokens.set(tokenHash, { ...record, ...data });
+        }
+      }
+    },
+
+    async markRefreshTokenUsed(id: string, usedAt: number) {
+      for (const [tokenHash, record] of refreshTokens.entries()) {
+        if (record.id === id) {
+          if (record.usedAt || record.revokedAt) return false;
+          refreshTokens.set(tokenHash, { ...record, usedAt });
+          return true;
+        }
+      }
+      return false;
+    },
+
+    async revokeRefreshTokenFamily(familyId: string) {
+      const now = Date.now();
+      for (const [tokenHash, record] of refreshTokens.entries()) {
+        if (record.familyId === familyId && !record.revokedAt) {
+          refreshTokens.set(tokenHash, { ...record, revokedAt: now });
+        }
+      }
+    },
+
+    async createVerificationToken(token: VerificationToken) {
+      verificationTokens.set(token.tokenHash, token);
+      return token;
+    },
+
+    async useVerificationToken(tokenHash: string) {
+      const token = verificationTokens.get(tokenHash) || null;
+      verificationTokens.delete(tokenHash);
+      return token;
+    },
+
+    async getLoginAttempts(key: string) {
+      const entry = loginAttempts.get(key);
+      if (!entry || Date.now() >= entry.expiresAt) return null;
+      return entry.attempts;
+    },
+
+    async setLoginAttempts(
+      key: string,
+      attempts: LoginAttempts,
+      expiresAt: number
+    ) {
+      loginAttempts.set(key, { attempts, expiresAt });
+    },
+
+    async deleteLoginAttempts(key: string) {
+      loginAttempts.delete(key);
+    },
+
+    async createPasskey(passkey: PasskeyCredential) {
+      passkeys.set(passkey.id, passkey);
+      return passkey;
+    },
+
+    async findPasskey(credentialId: string) {
+      return passkeys.get(credentialId) || null;
+    },
+
+    async findUserPasskeys(userId: string) {
+      return Array.from(passkeys.values()).filter((p) => p.userId === userId);
+    },
+
+    async updatePasskey(
+      credentialId: string,
+      data: Partial<PasskeyCredential>
+    ) {
+      const passkey = passkeys.get(credentialId);
+      if (passkey) {
+        passkeys.set(credentialId, { ...passkey, ...data });
+      }
+    },
+
+    async deletePasskey(credentialId: string) {
+      passkeys.delete(credentialId);
+    },
+
+    async createAuditEvent(event: AuditEvent) {
+      auditEvents.push(event);
+    },
+
+    async listAuditEvents(query: AuditEventQuery) {
+      const types = query.type ? [query.type].flat() : null;
+      return [...auditEvents]
+        .reverse()
+        .filter(
+          (e) =>
+            (!query.userId || e.userId === query.userId) &&
+            (!types || types.includes(e.type)) &&
+            (!query.outcome || e.outcome === query.outcome) &&
+            (query.from === undefined || e.timestamp >= query.from) &&
+            (query.to === undefined || e.timestamp <= query.to)
+        )
+        .sort((a, b) => b.timestamp - a.timestamp)
+        .slice(0, query.limit ?? 100);
+    },
+
+    async linkAccount(account: LinkedAccount) {
+      accounts.set(`${account.provider}:${account.providerAccountId}`, account);
+      return account;
+    },
+
+    async findUserByAccount(provider: string, providerAccountId: string) {
+      const account = accounts.get(`${provider}:${providerAccountId}`);
+      return account ? users.get(account.userId) || null : null;
+    },
+
+    async createOrganization(organization: Organization) {
+      organizations.set(organization.id, organization);
+      return organization;
+    },
+
+    async findOrganizationById(id: string) {
+      return organizations.get(id) || null;
+    },
+
+    async createMembership(membership: Membership) {
+      memberships.set(membership.id, membership);
+      return membership;
+    },
+
+    async findMembership(organizationId: string, userId: string) {
+      for (const membership of memberships.values()) {
+        if (
+          membership.organizationId === organizationId &&
+          membership.userId === userId
+        ) {
+          return membership;
+        }
+      }
+      return null;
+    },
+
+    async findUserMemberships(userId: string) {
+      return Array.from(memberships.values()).filter(
+        (m) => m.userId === userId
+      );
+    },
+
+    async findOrganizationMemberships(organizationId: string) {
+      return Array.from(memberships.values()).filter(
+        (m) => m.organizationId === organizationId
+      );
+    },
+
+    async updateMembership(id: string, data: Partial<Membership>) {
+      const membership = memberships.get(id);
+      if (membership) {
+        memberships.set(id, { ...membership, ...data });
+      }
+    },
+
+    async deleteMembership(id: string) {
+      memberships.delete(id);
+    },
+
+    async createInvitation(invitation: OrganizationInvitation) {
+      invitations.set(invitation.id, invitation);
+      return invitation;
+    },
+
+    async findInvitation(tokenHash: string) {
+      for (const invitation of invitations.values()) {
+        if (invitation.tokenHash === tokenHash) return invitation;
+      }
+      return null;
+    },
+
+    async findOrganizationInvitations(organizationId: string) {
+      return Array.from(invitations.values()).filter(
+        (i) => i.organizationId === organizationId
+      );
+    },
+
+    async deleteInvitation(id: string) {
+      invitations.delete(id);
+    },
+
+    async createApiKey(apiKey: ApiKey) {
+      apiKeys.set(apiKey.id, apiKey);
+      return apiKey;
+    },
+
+    async findApiKeyByPrefix(prefix: string) {
+      for (const apiKey of apiKeys.values()) {
+        if (apiKey.prefix === prefix) return apiKey;
+      }
+      return null;
+    },
+
+    async findUserApiKeys(userId: string) {
+      return Array.from(apiKeys.values()).filter((k) => k.userId === userId);
+    },
+
+    async updateApiKey(id: string, data: Partial<ApiKey>) {
+      const apiKey = apiKeys.get(id);
+      if (apiKey) {
+        apiKeys.set(id, { ...apiKey, ...data });
+      }
+    },
   };
 }
 
@@ -423,6 +1984,10 @@ export function createMemoryAdapter(): DatabaseAdapter {
 export function createBrowserStorageAdapter(): DatabaseAdapter {
   const USERS_KEY = "vista-auth-users";
   const SESSIONS_KEY = "vista-auth-sessions";
+  const ORGANIZATIONS_KEY = "vista-auth-organizations";
+  const MEMBERSHIPS_KEY = "vista-auth-memberships";
+  const INVITATIONS_KEY = "vista-auth-invitations";
+  const API_KEYS_KEY = "vista-auth-api-keys";
 
   // Helper functions for localStorage operations
   const getUsers = (): Map<string, User> => {
@@ -469,6 +2034,27 @@ export function createBrowserStorageAdapter(): DatabaseAdapter {
     }
   };
 
+  // Organizations, memberships and invitations, keyed by ID
+  const getRecords = <T>(key: string): Map<string, T> => {
+    if (typeof window === "undefined") return new Map(); // SSR safety
+    try {
+      const data = localStorage.getItem(key);
+      if (!data) return new Map();
+      return new Map(Object.entries(JSON.parse(data)));
+    } catch {
+      return new Map();
+    }
+  };
+
+  const saveRecords = <T>(key: string, records: Map<string, T>): void => {
+    if (typeof window === "undefined") return; // SSR safety
+    try {
+      localStorage.setItem(key, JSON.stringify(Object.fromEntries(records)));
+    } catch (error) {
+      console.error(`Failed to save ${key} to localStorage:`, error);
+    }
+  };
+
   return {
     async findUserByEmail(email: string) {
       const users = getUsers();
@@ -538,6 +2124,135 @@ export function createBrowserStorageAdapter(): DatabaseAdapter {
       }
       saveSessions(sessions);
     },
+
+    async findUserSessions(userId: string) {
+      const now = Date.now();
+      return Array.from(getSessions().values()).filter(
+        (session) => session.userId === userId && now < session.expiresAt
+      );
+    },
+
+    async updateSession(sessionId: string, data: Partial<Session>) {
+      const sessions = getSessions();
+      const session = sessions.get(sessionId);
+      if (!session) return;
+      sessions.set(sessionId, { ...session, ...data });
+      saveSessions(sessions);
+    },
+
+    async createOrganization(organization: Organization) {
+      const organizations = getRecords<Organization>(ORGANIZATIONS_KEY);
+      organizations.set(organization.id, organization);
+      saveRecords(ORGANIZATIONS_KEY, organizations);
+      return organization;
+    },
+
+    async findOrganizationById(id: string) {
+      return getRecords<Organization>(ORGANIZATIONS_KEY).get(id) || null;
+    },
+
+    async createMembership(membership: Membership) {
+      const memberships = getRecords<Membership>(MEMBERSHIPS_KEY);
+      memberships.set(membership.id, membership);
+      saveRecords(MEMBERSHIPS_KEY, memberships);
+      return membership;
+    },
+
+    async findMembership(organizationId: string, userId: string) {
+      for (const membership of getRecords<Membership>(
+        MEMBERSHIPS_KEY
+      ).values()) {
+        if (
+          membership.organizationId === organizationId &&
+          membership.userId === userId
+        ) {
+          return membership;
+        }
+      }
+      return null;
+    },
+
+    async findUserMemberships(userId: string) {
+      return Array.from(
+        getRecords<Membership>(MEMBERSHIPS_KEY).values()
+      ).filter((m) => m.userId === userId);
+    },
+
+    async findOrganizationMemberships(organizationId: string) {
+      return Array.from(
+        getRecords<Membership>(MEMBERSHIPS_KEY).values()
+      ).filter((m) => m.organizationId === organizationId);
+    },
+
+    async updateMembership(id: string, data: Partial<Membership>) {
+      const memberships = getRecords<Membership>(MEMBERSHIPS_KEY);
+      const membership = memberships.get(id);
+      if (!membership) return;
+      memberships.set(id, { ...membership, ...data });
+      saveRecords(MEMBERSHIPS_KEY, memberships);
+    },
+
+    async deleteMembership(id: string) {
+      const memberships = getRecords<Membership>(MEMBERSHIPS_KEY);
+      memberships.delete(id);
+      saveRecords(MEMBERSHIPS_KEY, memberships);
+    },
+
+    async createInvitation(invitation: OrganizationInvitation) {
+      const invitations = getRecords<OrganizationInvitation>(INVITATIONS_KEY);
+      invitations.set(invitation.id, invitation);
+      saveRecords(INVITATIONS_KEY, invitations);
+      return invitation;
+    },
+
+    async findInvitation(tokenHash: string) {
+      for (const invitation of getRecords<OrganizationInvitation>(
+        INVITATIONS_KEY
+      ).values()) {
+        if (invitation.tokenHash === tokenHash) return invitation;
+      }
+      return null;
+    },
+
+    async findOrganizationInvitations(organizationId: string) {
+      return Array.from(
+        getRecords<OrganizationInvitation>(INVITATIONS_KEY).values()
+      ).filter((i) => i.organizationId === organizationId);
+    },
+
+    async deleteInvitation(id: string) {
+      const invitations = getRecords<OrganizationInvitation>(INVITATIONS_KEY);
+      invitations.delete(id);
+      saveRecords(INVITATIONS_KEY, invitations);
+    },
+
+    async createApiKey(apiKey: ApiKey) {
+      const apiKeys = getRecords<ApiKey>(API_KEYS_KEY);
+      apiKeys.set(apiKey.id, apiKey);
+      saveRecords(API_KEYS_KEY, apiKeys);
+      return apiKey;
+    },
+
+    async findApiKeyByPrefix(prefix: string) {
+      for (const apiKey of getRecords<ApiKey>(API_KEYS_KEY).values()) {
+        if (apiKey.prefix === prefix) return apiKey;
+      }
+      return null;
+    },
+
+    async findUserApiKeys(userId: string) {
+      return Array.from(getRecords<ApiKey>(API_KEYS_KEY).values()).filter(
+        (k) => k.userId === userId
+      );
+    },
+
+    async updateApiKey(id: string, data: Partial<ApiKey>) {
+      const apiKeys = getRecords<ApiKey>(API_KEYS_KEY);
+      const apiKey = apiKeys.get(id);
+      if (!apiKey) return;
+      apiKeys.set(id, { ...apiKey, ...data });
+      saveRecords(API_KEYS_KEY, apiKeys);
+    },
   };
 }
 
@@ -551,10 +2266,18 @@ export function createLocalStorageFirstAdapter(): DatabaseAdapter {
   const users = new Map<string, User>();
   const usersByEmail = new Map<string, User>();
   const sessions = new Map<string, Session>();
+  const organizations = new Map<string, Organization>();
+  const memberships = new Map<string, Membership>();
+  const invitations = new Map<string, OrganizationInvitation>();
+  const apiKeys = new Map<string, ApiKey>();
 
   // localStorage keys
   const USERS_KEY = "vista-auth-users-lsf";
   const SESSIONS_KEY = "vista-auth-sessions-lsf";
+  const ORGANIZATIONS_KEY = "vista-auth-organizations-lsf";
+  const MEMBERSHIPS_KEY = "vista-auth-memberships-lsf";
+  const INVITATIONS_KEY = "vista-auth-invitations-lsf";
+  const API_KEYS_KEY = "vista-auth-api-keys-lsf";
   const SYNC_KEY = "vista-auth-sync-timestamp";
 
   // Client-side localStorage helpers
@@ -572,6 +2295,24 @@ export function createLocalStorageFirstAdapter(): DatabaseAdapter {
       const sessionsObj = Object.fromEntries(sessions);
       localStorage.setItem(SESSIONS_KEY, JSON.stringify(sessionsObj));
 
+      // Save organizations, memberships, invitations and API keys
+      localStorage.setItem(
+        ORGANIZATIONS_KEY,
+        JSON.stringify(Object.fromEntries(organizations))
+      );
+      localStorage.setItem(
+        MEMBERSHIPS_KEY,
+        JSON.stringify(Object.fromEntries(memberships))
+      );
+      localStorage.setItem(
+        INVITATIONS_KEY,
+        JSON.stringify(Object.fromEntries(invitations))
+      );
+      localStorage.setItem(
+        API_KEYS_KEY,
+        JSON.stringify(Object.fromEntries(apiKeys))
+      );
+
       // Save sync timestamp
       localStorage.setItem(SYNC_KEY, Date.now().toString());
 
@@ -612,6 +2353,22 @@ export function createLocalStorageFirstAdapter(): DatabaseAdapter {
         }
       }
 
+      // Load organizations, memberships, invitations and API keys
+      const records: Array<[string, Map<string, any>]> = [
+        [ORGANIZATIONS_KEY, organizations],
+        [MEMBERSHIPS_KEY, memberships],
+        [INVITATIONS_KEY, invitations],
+        [API_KEYS_KEY, apiKeys],
+      ];
+      for (const [key, map] of records) {
+        const data = localStorage.getItem(key);
+        if (!data) continue;
+        map.clear();
+        for (const [id, record] of Object.entries(JSON.parse(data))) {
+          map.set(id, record);
+        }
+      }
+
       const syncTime = localStorage.getItem(SYNC_KEY);
       console.log("[Vista Auth] Loaded from localStorage:", {
         users: users.size,
@@ -727,5 +2484,123 @@ export function createLocalStorageFirstAdapter(): DatabaseAdapter {
       // Sync to localStorage
       syncToLocalStorage();
     },
+
+    async findUserSessions(userId: string) {
+      const now = Date.now();
+      return Array.from(sessions.values()).filter(
+        (session) => session.userId === userId && now < session.expiresAt
+      );
+    },
+
+    async updateSession(sessionId: string, data: Partial<Session>) {
+      const session = sessions.get(sessionId);
+      if (!session) return;
+
+      // Update server memory
+      sessions.set(sessionId, { ...session, ...data });
+
+      // Sync to localStorage
+      syncToLocalStorage();
+    },
+
+    async createOrganization(organization: Organization) {
+      organizations.set(organization.id, organization);
+      syncToLocalStorage();
+      return organization;
+    },
+
+    async findOrganizationById(id: string) {
+      return organizations.get(id) || null;
+    },
+
+    async createMembership(membership: Membership) {
+      memberships.set(membership.id, membership);
+      syncToLocalStorage();
+      return membership;
+    },
+
+    async findMembership(organizationId: string, userId: string) {
+      for (const membership of memberships.values()) {
+        if (
+          membership.organizationId === organizationId &&
+          membership.userId === userId
+        ) {
+          return membership;
+        }
+      }
+      return null;
+    },
+
+    async findUserMemberships(userId: string) {
+      return Array.from(memberships.values()).filter(
+        (m) => m.userId === userId
+      );
+    },
+
+    async findOrganizationMemberships(organizationId: string) {
+      return Array.from(memberships.values()).filter(
+        (m) => m.organizationId === organizationId
+      );
+    },
+
+    async updateMembership(id: string, data: Partial<Membership>) {
+      const membership = memberships.get(id);
+      if (!membership) return;
+      memberships.set(id, { ...membership, ...data });
+      syncToLocalStorage();
+    },
+
+    async deleteMembership(id: string) {
+      memberships.delete(id);
+      syncToLocalStorage();
+    },
+
+    async createInvitation(invitation: OrganizationInvitation) {
+      invitations.set(invitation.id, invitation);
+      syncToLocalStorage();
+      return invitation;
+    },
+
+    async findInvitation(tokenHash: string) {
+      for (const invitation of invitations.values()) {
+        if (invitation.tokenHash === tokenHash) return invitation;
+      }
+      return null;
+    },
+
+    async findOrganizationInvitations(organizationId: string) {
+      return Array.from(invitations.values()).filter(
+        (i) => i.organizationId === organizationId
+      );
+    },
+
+    async deleteInvitation(id: string) {
+      invitations.delete(id);
+      syncToLocalStorage();
+    },
+
+    async createApiKey(apiKey: ApiKey) {
+      apiKeys.set(apiKey.id, apiKey);
+      syncToLocalStorage();
+      return apiKey;
+    },
+
+    async findApiKeyByPrefix(prefix: string) {
+      for (const apiKey of apiKeys.values()) {
+        if (apiKey.prefix === prefix) return apiKey;
+      }
+      return null;
+    },
+
+    async findUserApiKeys(userId: string) {
+      return Array.from(apiKeys.values()).filter((k) => k.userId === userId);
+    },
+
+    async updateApiKey(id: string, data: Partial<ApiKey>) {
+      const apiKey = apiKeys.get(id);
+      if (!apiKey) return;
+      apiKeys.set(id, { ...apiKey, ...data });
+      syncToLocalStorage();
+    },
   };
 }
@@ -22,6 +22,7 @@ export function ProtectedRoute({
   roles,
   permissions,
   requireAll = false,
+  forbidImpersonation = false,
   redirect,
   onUnauthorized,
   fallback,
@@ -31,6 +32,7 @@ export function ProtectedRoute({
     isAuthenticated,
     isLoading,
     user,
+    impersonator,
     hasRole,
     hasPermission,
     hasAllRoles,
@@ -54,6 +56,14 @@ export function ProtectedRoute({
     return <>{fallback || <div>Unauthorized</div>}</>;
   }
 
+  // Check impersonation
+  if (forbidImpersonation && impersonator) {
+    if (onUnauthorized) {
+      onUnauthorized();
+    }
+    return <>{fallback || <div>Not available while impersonating</div>}</>;
+  }
+
   // Check roles
   if (roles && roles.length > 0) {
     const hasRequiredRoles = requireAll
@@ -84,6 +94,34 @@ export function ProtectedRoute({
   return <>{children}</>;
 }
 
+export interface CanProps {
+  action: string;
+  resource?: any;
+  context?: Record<string, any>;
+  children: ReactNode;
+  fallback?: ReactNode; // Rendered when the action is not allowed
+}
+
+/**
+ * Can Component
+ * Renders children only when the policy allows the action
+ */
+export function Can({
+  action,
+  resource,
+  context,
+  children,
+  fallback = null,
+}: CanProps) {
+  const { isLoading, can } = useAuth();
+
+  if (isLoading || !can(action, resource, context)) {
+    return <>{fallback}</>;
+  }
+
+  return <>{children}</>;
+}
+
 /**
  * Higher-order component for protecting routes
  */
@@ -107,6 +145,7 @@ export function useRouteGuard(config: RouteGuardConfig) {
   const {
     isAuthenticated,
     isLoading,
+    impersonator,
     hasRole,
     hasPermission,
     hasAllRoles,
@@ -125,6 +164,16 @@ export function useRouteGuard(config: RouteGuardConfig) {
       return;
     }
 
+    // Check impersonation
+    if (config.forbidImpersonation && impersonator) {
+      if (config.redirect) {
+        window.location.href = config.redirect;
+      } else if (config.onUnauthorized) {
+        config.onUnauthorized();
+      }
+      return;
+    }
+
     // Check roles
     if (config.roles && config.roles.length > 0) {
       const hasRequiredRoles = config.requireAll
@@ -153,7 +202,7 @@ export function useRouteGuard(config: RouteGuardConfig) {
         }
       }
     }
-  }, [isLoading, isAuthenticated, config]);
+  }, [isLoading, isAuthenticated, impersonator, config]);
 }
 
 /**
@@ -0,0 +1,154 @@
+/**
+ * Vista Auth - Messages
+ * Localized text for error codes and client toasts. Shared by the server,
+ * which negotiates a locale from Accept-Language, and by AuthProvider.
+ */
+
+import type { AuthError, MessageCatalog } from "./types";
+import { en } from "./locales/en";
+import { es } from "./locales/es";
+import { fr } from "./locales/fr";
+import { de } from "./locales/de";
+
+export const builtInMessages: Record<string, MessageCatalog> = {
+  en,
+  es,
+  fr,
+  de,
+};
+
+export interface ErrorCatalog {
+  locale: string; // The default locale
+  locales: string[];
+  negotiate(preferred?: string | readonly string[] | null): string;
+  format(
+    key: string,
+    params?: Record<string, any>,
+    locale?: string
+  ): string | undefined;
+  formatError(error: AuthError, locale?: string): string;
+}
+
+/**
+ * Create a catalog from the built-in locales plus custom ones. Custom
+ * messages override built-in keys per locale, so a partial catalog only
+ * needs the keys it changes. Lookups fall back from 'fr-CA' to 'fr', then
+ * to the default locale, then to English.
+ */
+export function createErrorCatalog(
+  options: { locale?: string; messages?: Record<string, MessageCatalog> } = {}
+): ErrorCatalog {
+  const catalogs = new Map<string, MessageCatalog>();
+  for (const [locale, messages] of Object.entries(builtInMessages)) {
+    catalogs.set(locale.toLowerCase(), messages);
+  }
+  for (const [locale, messages] of Object.entries(options.messages ?? {})) {
+    const key = locale.toLowerCase();
+    catalogs.set(key, { ...catalogs.get(key), ...messages });
+  }
+
+  const locales = Array.from(catalogs.keys());
+  const defaultLocale = (options.locale ?? "en").toLowerCase();
+
+  const format = (
+    key: string,
+    params: Record<string, any> = {},
+    locale: string = defaultLocale
+  ): string | undefined => {
+    for (const candidate of fallbackChain(
+      locale.toLowerCase(),
+      defaultLocale
+    )) {
+      const template = catalogs.get(candidate)?.[key];
+      if (template !== undefined) {
+        return template.replace(/\{(\w+)\}/g, (match, name) =>
+          params[name] !== undefined ? String(params[name]) : match
+        );
+      }
+    }
+    return undefined;
+  };
+
+  return {
+    locale: defaultLocale,
+    locales,
+    negotiate: (preferred) =>
+      negotiateLocale(preferred, locales, defaultLocale),
+    format,
+    formatError(error, locale) {
+      const failedRules = error.details?.failedRules;
+      if (error.code === "WEAK_PASSWORD" && Array.isArray(failedRules)) {
+        const messages = failedRules.map(
+          (failure: any) =>
+            format(`WEAK_PASSWORD.${failure.rule}`, failure.params, locale) ??
+            failure.message
+        );
+        if (messages.length > 0) return messages.join(". ");
+      }
+
+      return (
+        format(error.messageKey ?? error.code, error.details, locale) ??
+        error.message
+      );
+    },
+  };
+}
+
+/**
+ * Pick the best available locale for an Accept-Language header or a list
+ * such as navigator.languages. Exact tags win over a shared base language
+ * ('fr-CA' matches 'fr'); nothing matching returns the fallback.
+ */
+export function negotiateLocale(
+  preferred: string | readonly string[] | null | undefined,
+  available: readonly string[],
+  fallback: string = "en"
+): string {
+  const wanted =
+    typeof preferred === "string"
+      ? parseAcceptLanguage(preferred)
+      : (preferred ?? []).map((tag) => tag.toLowerCase());
+  const supported = available.map((locale) => locale.toLowerCase());
+
+  for (const tag of wanted) {
+    if (tag === "*") return fallback;
+    const exact = supported.indexOf(tag);
+    if (exact !== -1) return available[exact];
+    const base = supported.indexOf(tag.split("-")[0]);
+    if (base !== -1) return available[base];
+  }
+  return fallback;
+}
+
+/**
+ * Language tags from an Accept-Language header, highest quality first
+ */
+function parseAcceptLanguage(header: string): string[] {
+  return header
+    .split(",")
+    .map((part, index) => {
+      const [tag, ...attributes] = part.trim().split(";");
+      const quality = attributes
+        .map((attribute) => attribute.trim())
+        .find((attribute) => attribute.startsWith("q="));
+      const q = quality ? parseFloat(quality.slice(2)) : 1;
+      return { tag: tag.trim().toLowerCase(), q: isNaN(q) ? 0 : q, index };
+    })
+    .filter((entry) => entry.tag && entry.q > 0)
+    .sort((a, b) => b.q - a.q || a.index - b.index)
+    .map((entry) => entry.tag);
+}
+
+/**
+ * Locales to try for a lookup, most specific first
+ */
+function fallbackChain(locale: string, defaultLocale: string): string[] {
+  const chain = [
+    locale,
+    locale.split("-")[0],
+    defaultLocale,
+    defaultLocale.split("-")[0],
+    "en",
+  ];
+  return chain.filter((candidate, index) => chain.indexOf(candidate) === index);
+}
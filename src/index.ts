@@ -3,5 +3,8 @@
  */
 
 export * from "./types";
+export * from "./roles";
+export * from "./policy";
+export * from "./i18n";
 export * from "./client/provider";
 export * from "./guards/index";
@@ -0,0 +1,168 @@
+/**
+ * Vista Auth - German messages
+ */
+
+import type { MessageCatalog } from "../types";
+
+export const de: MessageCatalog = {
+  // Server errors
+  ACCOUNT_LOCKED:
+    "Zu viele fehlgeschlagene Anmeldeversuche. Bitte versuche es später erneut.",
+  ALREADY_MEMBER: "Dieser Benutzer ist bereits Mitglied der Organisation",
+  API_KEY_EXPIRED: "Der API-Schlüssel ist abgelaufen",
+  API_KEY_NOT_FOUND: "API-Schlüssel nicht gefunden",
+  API_KEY_REVOKED: "Der API-Schlüssel wurde widerrufen",
+  AUDIT_QUERY_UNSUPPORTED:
+    "Das konfigurierte Audit-Log kann nicht abgefragt werden",
+  EMAIL_NOT_VERIFIED: "Bitte bestätige vor der Anmeldung deine E-Mail-Adresse",
+  EMAIL_UNCHANGED: "Die neue E-Mail-Adresse entspricht der aktuellen",
+  IMPERSONATION_FORBIDDEN: "Du darfst nicht als andere Benutzer handeln",
+  "IMPERSONATION_FORBIDDEN.nested":
+    "Beende die Benutzerübernahme, bevor du zu einem anderen Benutzer wechselst",
+  "IMPERSONATION_FORBIDDEN.target":
+    "Dieser Benutzer kann nicht übernommen werden",
+  IMPERSONATION_NOT_CONFIGURED: "Benutzerübernahme ist nicht konfiguriert",
+  INTERNAL_ERROR: "Ein unerwarteter Fehler ist aufgetreten",
+  INVALID_API_KEY: "Ungültiger API-Schlüssel",
+  INVALID_API_KEY_NAME: "Ein Name für den API-Schlüssel ist erforderlich",
+  INVALID_CALLBACK_URL:
+    "Die Callback-URL muss ein relativer Pfad sein oder denselben Ursprung wie magicLinkUrl haben",
+  INVALID_CREDENTIALS: "Ungültige E-Mail-Adresse oder ungültiges Passwort",
+  "INVALID_CREDENTIALS.currentPassword": "Das aktuelle Passwort ist falsch",
+  INVALID_EMAIL: "Ungültige E-Mail-Adresse",
+  INVALID_EMAIL_CHANGE_TOKEN:
+    "Ungültiger oder abgelaufener Link zur E-Mail-Änderung",
+  INVALID_INVITATION: "Ungültige oder abgelaufene Einladung",
+  INVALID_MAGIC_LINK: "Ungültiger oder abgelaufener Anmeldelink",
+  INVALID_MFA_CHALLENGE: "Ungültige oder abgelaufene Zwei-Faktor-Anfrage",
+  INVALID_MFA_CODE: "Ungültiger Zwei-Faktor-Code",
+  INVALID_OAUTH_STATE: "Ungültige oder abgelaufene Anmeldeanfrage",
+  INVALID_ORGANIZATION: "Ein Name für die Organisation ist erforderlich",
+  INVALID_PASSKEY: "Der Passkey konnte nicht überprüft werden",
+  "INVALID_PASSKEY.registration":
+    "Die Passkey-Registrierung konnte nicht überprüft werden",
+  "INVALID_PASSKEY.unknown": "Passkey nicht erkannt",
+  INVALID_PASSKEY_CHALLENGE: "Ungültige oder abgelaufene Passkey-Anfrage",
+  INVALID_REFRESH_TOKEN: "Ungültiges Aktualisierungstoken",
+  INVALID_RESET_TOKEN:
+    "Ungültiges oder abgelaufenes Token zum Zurücksetzen des Passworts",
+  INVALID_ROLE:
+    "Diese Rollen können in dieser Organisation nicht vergeben werden",
+  INVALID_SCOPE:
+    "Die Berechtigungen eines API-Schlüssels müssen Berechtigungen sein, die du besitzt",
+  INVALID_TOKEN: "Ungültiges oder abgelaufenes Token",
+  INVALID_VERIFICATION_TOKEN: "Ungültiges oder abgelaufenes Bestätigungstoken",
+  INVITATION_EMAIL_MISMATCH:
+    "Diese Einladung wurde an eine andere E-Mail-Adresse gesendet",
+  INVITATION_NOT_FOUND: "Einladung nicht gefunden",
+  LAST_OWNER: "Eine Organisation braucht mindestens einen Eigentümer",
+  MAGIC_LINK_THROTTLED:
+    "Bitte warte, bevor du einen weiteren Anmeldelink anforderst",
+  MEMBER_NOT_FOUND: "Mitglied nicht gefunden",
+  MFA_ALREADY_ENABLED:
+    "Die Zwei-Faktor-Authentifizierung ist bereits aktiviert",
+  MFA_NOT_ENABLED: "Die Zwei-Faktor-Authentifizierung ist nicht aktiviert",
+  MFA_NOT_ENROLLED:
+    "Die Einrichtung der Zwei-Faktor-Authentifizierung wurde nicht gestartet",
+  MFA_REQUIRED: "Zwei-Faktor-Authentifizierung erforderlich",
+  NOT_A_MEMBER: "Du bist kein Mitglied dieser Organisation",
+  NOT_IMPERSONATING: "In dieser Sitzung wird kein Benutzer übernommen",
+  NO_DATABASE: "Kein Datenbankadapter konfiguriert",
+  NO_MAILER: "Kein E-Mail-Versand konfiguriert",
+  OAUTH_ACCOUNT_NOT_LINKED:
+    "Es gibt bereits ein Konto mit dieser E-Mail-Adresse. Melde dich mit deinem Passwort an, um fortzufahren.",
+  OAUTH_DENIED: "Die Anmeldung mit {provider} wurde abgebrochen oder abgelehnt",
+  OAUTH_EMAIL_REQUIRED: "{provider} hat keine E-Mail-Adresse übermittelt",
+  OAUTH_PROVIDER_ERROR: "Die Anmeldung mit {provider} ist fehlgeschlagen",
+  ORGANIZATIONS_NOT_CONFIGURED: "Organisationen sind nicht konfiguriert",
+  ORGANIZATION_FORBIDDEN:
+    "Du kannst die Mitglieder dieser Organisation nicht verwalten",
+  "ORGANIZATION_FORBIDDEN.owners": "Nur Eigentümer können Eigentümer verwalten",
+  "ORGANIZATION_FORBIDDEN.self":
+    "Du kannst deine eigenen Rollen oder Berechtigungen nicht erweitern",
+  "ORGANIZATION_FORBIDDEN.permissions":
+    "Du kannst nur Berechtigungen vergeben, die du selbst hast",
+  ORGANIZATION_NOT_FOUND: "Organisation nicht gefunden",
+  PASSKEYS_NOT_CONFIGURED: "Passkeys sind nicht konfiguriert",
+  PASSKEY_EXISTS: "Dieser Passkey ist bereits registriert",
+  PASSKEY_NOT_FOUND: "Passkey nicht gefunden",
+  PASSWORD_RESET_THROTTLED:
+    "Bitte warte, bevor du ein weiteres Zurücksetzen des Passworts anforderst",
+  REFRESH_TOKEN_EXPIRED: "Das Aktualisierungstoken ist abgelaufen",
+  REFRESH_TOKEN_REUSED: "Das Aktualisierungstoken wurde bereits verwendet",
+  SESSION_EXPIRED: "Die Sitzung ist abgelaufen",
+  SESSION_IDLE_TIMEOUT: "Die Sitzung wurde nach längerer Inaktivität beendet",
+  SESSION_NOT_FOUND: "Sitzung nicht gefunden",
+  SESSION_REVOKED: "Die Sitzung wurde widerrufen",
+  "SESSION_REVOKED.ended":
+    "Deine Sitzung wurde beendet. Bitte melde dich erneut an.",
+  TOO_MANY_ATTEMPTS:
+    "Zu viele fehlgeschlagene Anmeldeversuche von dieser Adresse. Bitte versuche es später erneut.",
+  UNKNOWN_PROVIDER: "Der OAuth-Anbieter „{provider}“ ist nicht konfiguriert",
+  USER_EXISTS: "Ein Benutzer mit dieser E-Mail-Adresse existiert bereits",
+  USER_NOT_FOUND: "Benutzer nicht gefunden",
+  VERIFICATION_THROTTLED:
+    "Bitte warte, bevor du eine weitere Bestätigungs-E-Mail anforderst",
+
+  // Password policy rules, joined into the WEAK_PASSWORD message
+  WEAK_PASSWORD: "Das Passwort erfüllt die Anforderungen nicht",
+  "WEAK_PASSWORD.minLength":
+    "Das Passwort muss mindestens {min} Zeichen lang sein",
+  "WEAK_PASSWORD.maxLength":
+    "Das Passwort darf höchstens {max} Bytes lang sein",
+  "WEAK_PASSWORD.requireLowercase":
+    "Das Passwort muss einen Kleinbuchstaben enthalten",
+  "WEAK_PASSWORD.requireUppercase":
+    "Das Passwort muss einen Großbuchstaben enthalten",
+  "WEAK_PASSWORD.requireNumber": "Das Passwort muss eine Ziffer enthalten",
+  "WEAK_PASSWORD.requireSymbol":
+    "Das Passwort muss ein Sonderzeichen enthalten",
+  "WEAK_PASSWORD.personalInfo":
+    "Das Passwort darf weder deinen Namen noch deine E-Mail-Adresse enthalten",
+  "WEAK_PASSWORD.commonPassword":
+    "Das Passwort ist zu verbreitet oder ist in einem Datenleck aufgetaucht",
+
+  // AuthProvider toasts and errors
+  NETWORK_ERROR: "Netzwerkfehler",
+  NOT_SIGNED_IN: "Nicht angemeldet",
+  WELCOME: "Willkommen, {name}!",
+  WELCOME_BACK: "Willkommen zurück, {name}!",
+  SIGN_IN_FAILED: "Anmeldung fehlgeschlagen",
+  SIGN_UP_FAILED: "Registrierung fehlgeschlagen",
+  SIGNED_OUT: "Erfolgreich abgemeldet",
+  SIGN_OUT_FAILED: "Abmelden fehlgeschlagen",
+  SESSION_EXPIRED_TOAST: "Sitzung abgelaufen. Bitte melde dich erneut an.",
+  IDLE_SIGNED_OUT: "Nach längerer Inaktivität abgemeldet.",
+  MFA_CHALLENGE_MISSING: "Keine ausstehende Zwei-Faktor-Anfrage",
+  MFA_FAILED: "Zwei-Faktor-Überprüfung fehlgeschlagen",
+  MAGIC_LINK_SENT: "Dein Anmeldelink wurde an {email} gesendet",
+  MAGIC_LINK_FAILED: "Der Anmeldelink konnte nicht gesendet werden",
+  MAGIC_LINK_TOKEN_MISSING: "Der Link enthält kein Anmeldetoken",
+  MAGIC_LINK_INVALID: "Der Anmeldelink ist ungültig oder abgelaufen",
+  PASSKEY_SIGN_IN_REQUIRED: "Melde dich an, um einen Passkey hinzuzufügen",
+  PASSKEY_ADDED: "Passkey hinzugefügt",
+  PASSKEY_ADD_FAILED: "Der Passkey konnte nicht hinzugefügt werden",
+  PASSKEY_SIGN_IN_FAILED: "Anmeldung mit Passkey fehlgeschlagen",
+  VERIFICATION_EMAIL_MISSING: "Keine E-Mail-Adresse zum Bestätigen",
+  VERIFICATION_EMAIL_SENT: "Bestätigungs-E-Mail an {email} gesendet",
+  VERIFICATION_EMAIL_FAILED:
+    "Die Bestätigungs-E-Mail konnte nicht gesendet werden",
+  PASSWORD_CHANGE_SIGN_IN_REQUIRED: "Melde dich an, um dein Passwort zu ändern",
+  PASSWORD_CHANGED: "Passwort geändert",
+  PASSWORD_CHANGE_FAILED: "Das Passwort konnte nicht geändert werden",
+  EMAIL_CHANGE_SIGN_IN_REQUIRED:
+    "Melde dich an, um deine E-Mail-Adresse zu ändern",
+  EMAIL_CHANGE_SENT: "Bestätigungslink an {email} gesendet",
+  EMAIL_CHANGE_FAILED: "Die E-Mail-Adresse konnte nicht geändert werden",
+  EMAIL_CHANGE_TOKEN_MISSING: "Der Link enthält kein Bestätigungstoken",
+  EMAIL_CHANGE_INVALID: "Der Bestätigungslink ist ungültig oder abgelaufen",
+  EMAIL_CHANGED: "E-Mail-Adresse geändert in {email}",
+  SESSIONS_LOAD_FAILED: "Sitzungen konnten nicht geladen werden",
+  SESSION_SIGNED_OUT: "Abgemeldet",
+  OTHER_SESSIONS_SIGNED_OUT: "Auf allen anderen Geräten abgemeldet",
+  SWITCH_USER_FAILED: "Benutzerwechsel fehlgeschlagen",
+  IMPERSONATION_STARTED: "Benutzerübernahme gestartet",
+  IMPERSONATION_ENDED: "Benutzerübernahme beendet",
+  ORGANIZATION_SWITCHED: "Organisation gewechselt",
+  ORGANIZATION_CLEARED: "Organisation abgewählt",
+};
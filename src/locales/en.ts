@@ -0,0 +1,149 @@
+/**
+ * Vista Auth - English messages
+ * The reference catalog - every other locale translates these keys
+ */
+
+import type { MessageCatalog } from "../types";
+
+export const en: MessageCatalog = {
+  // Server errors
+  ACCOUNT_LOCKED: "Too many failed sign-in attempts. Please try again later.",
+  ALREADY_MEMBER: "This user is already a member of the organization",
+  API_KEY_EXPIRED: "API key has expired",
+  API_KEY_NOT_FOUND: "API key not found",
+  API_KEY_REVOKED: "API key has been revoked",
+  AUDIT_QUERY_UNSUPPORTED: "The configured audit log cannot be queried",
+  EMAIL_NOT_VERIFIED: "Please verify your email address before signing in",
+  EMAIL_UNCHANGED: "The new email address is the same as the current one",
+  IMPERSONATION_FORBIDDEN: "You are not allowed to impersonate users",
+  "IMPERSONATION_FORBIDDEN.nested":
+    "Stop impersonating before switching to another user",
+  "IMPERSONATION_FORBIDDEN.target": "This user cannot be impersonated",
+  IMPERSONATION_NOT_CONFIGURED: "Impersonation is not configured",
+  INTERNAL_ERROR: "An unexpected error occurred",
+  INVALID_API_KEY: "Invalid API key",
+  INVALID_API_KEY_NAME: "API key name is required",
+  INVALID_CALLBACK_URL:
+    "Callback URL must be a relative path or on the same origin as magicLinkUrl",
+  INVALID_CREDENTIALS: "Invalid email or password",
+  "INVALID_CREDENTIALS.currentPassword": "Current password is incorrect",
+  INVALID_EMAIL: "Invalid email address",
+  INVALID_EMAIL_CHANGE_TOKEN: "Invalid or expired email change link",
+  INVALID_INVITATION: "Invalid or expired invitation",
+  INVALID_MAGIC_LINK: "Invalid or expired sign-in link",
+  INVALID_MFA_CHALLENGE: "Invalid or expired two-factor challenge",
+  INVALID_MFA_CODE: "Invalid two-factor code",
+  INVALID_OAUTH_STATE: "Invalid or expired sign-in request",
+  INVALID_ORGANIZATION: "Organization name is required",
+  INVALID_PASSKEY: "Passkey could not be verified",
+  "INVALID_PASSKEY.registration": "Passkey registration could not be verified",
+  "INVALID_PASSKEY.unknown": "Passkey not recognized",
+  INVALID_PASSKEY_CHALLENGE: "Invalid or expired passkey request",
+  INVALID_REFRESH_TOKEN: "Invalid refresh token",
+  INVALID_RESET_TOKEN: "Invalid or expired password reset token",
+  INVALID_ROLE: "These roles cannot be assigned in this organization",
+  INVALID_SCOPE: "API key scopes must be permissions you have",
+  INVALID_TOKEN: "Invalid or expired token",
+  INVALID_VERIFICATION_TOKEN: "Invalid or expired verification token",
+  INVITATION_EMAIL_MISMATCH:
+    "This invitation was sent to a different email address",
+  INVITATION_NOT_FOUND: "Invitation not found",
+  LAST_OWNER: "An organization needs at least one owner",
+  MAGIC_LINK_THROTTLED: "Please wait before requesting another sign-in link",
+  MEMBER_NOT_FOUND: "Member not found",
+  MFA_ALREADY_ENABLED: "Two-factor authentication is already enabled",
+  MFA_NOT_ENABLED: "Two-factor authentication is not enabled",
+  MFA_NOT_ENROLLED: "Two-factor enrollment has not been started",
+  MFA_REQUIRED: "Two-factor authentication required",
+  NOT_A_MEMBER: "You are not a member of this organization",
+  NOT_IMPERSONATING: "This session is not impersonating a user",
+  NO_DATABASE: "Database adapter not configured",
+  NO_MAILER: "Mailer not configured",
+  OAUTH_ACCOUNT_NOT_LINKED:
+    "An account with this email already exists. Sign in with your password to continue.",
+  OAUTH_DENIED: "Sign-in with {provider} was cancelled or denied",
+  OAUTH_EMAIL_REQUIRED: "{provider} did not share an email address",
+  OAUTH_PROVIDER_ERROR: "Sign-in with {provider} failed",
+  ORGANIZATIONS_NOT_CONFIGURED: "Organizations are not configured",
+  ORGANIZATION_FORBIDDEN: "You cannot manage members of this organization",
+  "ORGANIZATION_FORBIDDEN.owners": "Only owners can manage owners",
+  "ORGANIZATION_FORBIDDEN.self":
+    "You cannot raise your own roles or permissions",
+  "ORGANIZATION_FORBIDDEN.permissions":
+    "You can only grant permissions you have",
+  ORGANIZATION_NOT_FOUND: "Organization not found",
+  PASSKEYS_NOT_CONFIGURED: "Passkeys are not configured",
+  PASSKEY_EXISTS: "This passkey is already registered",
+  PASSKEY_NOT_FOUND: "Passkey not found",
+  PASSWORD_RESET_THROTTLED:
+    "Please wait before requesting another password reset",
+  REFRESH_TOKEN_EXPIRED: "Refresh token has expired",
+  REFRESH_TOKEN_REUSED: "Refresh token has already been used",
+  SESSION_EXPIRED: "Session has expired",
+  SESSION_IDLE_TIMEOUT: "Session ended after a period of inactivity",
+  SESSION_NOT_FOUND: "Session not found",
+  SESSION_REVOKED: "Session has been revoked",
+  "SESSION_REVOKED.ended": "Your session has ended. Please sign in again.",
+  TOO_MANY_ATTEMPTS:
+    "Too many failed sign-in attempts from this address. Please try again later.",
+  UNKNOWN_PROVIDER: 'OAuth provider "{provider}" is not configured',
+  USER_EXISTS: "User with this email already exists",
+  USER_NOT_FOUND: "User not found",
+  VERIFICATION_THROTTLED:
+    "Please wait before requesting another verification email",
+
+  // Password policy rules, joined into the WEAK_PASSWORD message
+  WEAK_PASSWORD: "Password does not meet the requirements",
+  "WEAK_PASSWORD.minLength": "Password must be at least {min} characters",
+  "WEAK_PASSWORD.maxLength": "Password must be at most {max} bytes",
+  "WEAK_PASSWORD.requireLowercase": "Password must contain a lowercase letter",
+  "WEAK_PASSWORD.requireUppercase": "Password must contain an uppercase letter",
+  "WEAK_PASSWORD.requireNumber": "Password must contain a number",
+  "WEAK_PASSWORD.requireSymbol": "Password must contain a symbol",
+  "WEAK_PASSWORD.personalInfo":
+    "Password must not contain your name or email address",
+  "WEAK_PASSWORD.commonPassword":
+    "Password is too common or has appeared in a data breach",
+
+  // AuthProvider toasts and errors
+  NETWORK_ERROR: "Network error",
+  NOT_SIGNED_IN: "Not signed in",
+  WELCOME: "Welcome, {name}!",
+  WELCOME_BACK: "Welcome back, {name}!",
+  SIGN_IN_FAILED: "Sign in failed",
+  SIGN_UP_FAILED: "Sign up failed",
+  SIGNED_OUT: "Signed out successfully",
+  SIGN_OUT_FAILED: "Could not sign out",
+  SESSION_EXPIRED_TOAST: "Session expired. Please sign in again.",
+  IDLE_SIGNED_OUT: "Signed out after a period of inactivity.",
+  MFA_CHALLENGE_MISSING: "No pending two-factor challenge",
+  MFA_FAILED: "Two-factor verification failed",
+  MAGIC_LINK_SENT: "Check {email} for your sign-in link",
+  MAGIC_LINK_FAILED: "Could not send sign-in link",
+  MAGIC_LINK_TOKEN_MISSING: "No sign-in token in the link",
+  MAGIC_LINK_INVALID: "Sign-in link is invalid or expired",
+  PASSKEY_SIGN_IN_REQUIRED: "Sign in to add a passkey",
+  PASSKEY_ADDED: "Passkey added",
+  PASSKEY_ADD_FAILED: "Could not add passkey",
+  PASSKEY_SIGN_IN_FAILED: "Passkey sign in failed",
+  VERIFICATION_EMAIL_MISSING: "No email address to verify",
+  VERIFICATION_EMAIL_SENT: "Verification email sent to {email}",
+  VERIFICATION_EMAIL_FAILED: "Could not send verification email",
+  PASSWORD_CHANGE_SIGN_IN_REQUIRED: "Sign in to change your password",
+  PASSWORD_CHANGED: "Password changed",
+  PASSWORD_CHANGE_FAILED: "Could not change password",
+  EMAIL_CHANGE_SIGN_IN_REQUIRED: "Sign in to change your email",
+  EMAIL_CHANGE_SENT: "Confirmation link sent to {email}",
+  EMAIL_CHANGE_FAILED: "Could not change email",
+  EMAIL_CHANGE_TOKEN_MISSING: "No confirmation token in the link",
+  EMAIL_CHANGE_INVALID: "Confirmation link is invalid or expired",
+  EMAIL_CHANGED: "Email changed to {email}",
+  SESSIONS_LOAD_FAILED: "Could not load sessions",
+  SESSION_SIGNED_OUT: "Signed out",
+  OTHER_SESSIONS_SIGNED_OUT: "Signed out of all other devices",
+  SWITCH_USER_FAILED: "Could not switch user",
+  IMPERSONATION_STARTED: "Impersonation started",
+  IMPERSONATION_ENDED: "Impersonation ended",
+  ORGANIZATION_SWITCHED: "Organization switched",
+  ORGANIZATION_CLEARED: "Organization cleared",
+};
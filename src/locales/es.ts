@@ -0,0 +1,173 @@
+/**
+ * Vista Auth - Spanish messages
+ */
+
+import type { MessageCatalog } from "../types";
+
+export const es: MessageCatalog = {
+  // Server errors
+  ACCOUNT_LOCKED:
+    "Demasiados intentos de inicio de sesión fallidos. Inténtalo de nuevo más tarde.",
+  ALREADY_MEMBER: "Este usuario ya es miembro de la organización",
+  API_KEY_EXPIRED: "La clave de API ha caducado",
+  API_KEY_NOT_FOUND: "Clave de API no encontrada",
+  API_KEY_REVOKED: "La clave de API ha sido revocada",
+  AUDIT_QUERY_UNSUPPORTED:
+    "No se puede consultar el registro de auditoría configurado",
+  EMAIL_NOT_VERIFIED:
+    "Verifica tu dirección de correo electrónico antes de iniciar sesión",
+  EMAIL_UNCHANGED:
+    "La nueva dirección de correo electrónico es igual a la actual",
+  IMPERSONATION_FORBIDDEN: "No tienes permiso para suplantar a usuarios",
+  "IMPERSONATION_FORBIDDEN.nested":
+    "Deja de suplantar antes de cambiar a otro usuario",
+  "IMPERSONATION_FORBIDDEN.target": "Este usuario no puede ser suplantado",
+  IMPERSONATION_NOT_CONFIGURED: "La suplantación no está configurada",
+  INTERNAL_ERROR: "Se ha producido un error inesperado",
+  INVALID_API_KEY: "Clave de API no válida",
+  INVALID_API_KEY_NAME: "El nombre de la clave de API es obligatorio",
+  INVALID_CALLBACK_URL:
+    "La URL de retorno debe ser una ruta relativa o estar en el mismo origen que magicLinkUrl",
+  INVALID_CREDENTIALS: "Correo electrónico o contraseña incorrectos",
+  "INVALID_CREDENTIALS.currentPassword": "La contraseña actual es incorrecta",
+  INVALID_EMAIL: "Dirección de correo electrónico no válida",
+  INVALID_EMAIL_CHANGE_TOKEN:
+    "El enlace de cambio de correo no es válido o ha caducado",
+  INVALID_INVITATION: "La invitación no es válida o ha caducado",
+  INVALID_MAGIC_LINK:
+    "El enlace de inicio de sesión no es válido o ha caducado",
+  INVALID_MFA_CHALLENGE:
+    "La verificación en dos pasos no es válida o ha caducado",
+  INVALID_MFA_CODE: "Código de verificación en dos pasos no válido",
+  INVALID_OAUTH_STATE:
+    "La solicitud de inicio de sesión no es válida o ha caducado",
+  INVALID_ORGANIZATION: "El nombre de la organización es obligatorio",
+  INVALID_PASSKEY: "No se pudo verificar la llave de acceso",
+  "INVALID_PASSKEY.registration":
+    "No se pudo verificar el registro de la llave de acceso",
+  "INVALID_PASSKEY.unknown": "Llave de acceso no reconocida",
+  INVALID_PASSKEY_CHALLENGE:
+    "La solicitud de llave de acceso no es válida o ha caducado",
+  INVALID_REFRESH_TOKEN: "Token de actualización no válido",
+  INVALID_RESET_TOKEN:
+    "El token de restablecimiento de contraseña no es válido o ha caducado",
+  INVALID_ROLE: "Estos roles no se pueden asignar en esta organización",
+  INVALID_SCOPE:
+    "Los alcances de la clave de API deben ser permisos que tengas",
+  INVALID_TOKEN: "El token no es válido o ha caducado",
+  INVALID_VERIFICATION_TOKEN:
+    "El token de verificación no es válido o ha caducado",
+  INVITATION_EMAIL_MISMATCH:
+    "Esta invitación se envió a otra dirección de correo electrónico",
+  INVITATION_NOT_FOUND: "Invitación no encontrada",
+  LAST_OWNER: "Una organización necesita al menos un propietario",
+  MAGIC_LINK_THROTTLED:
+    "Espera antes de solicitar otro enlace de inicio de sesión",
+  MEMBER_NOT_FOUND: "Miembro no encontrado",
+  MFA_ALREADY_ENABLED: "La verificación en dos pasos ya está activada",
+  MFA_NOT_ENABLED: "La verificación en dos pasos no está activada",
+  MFA_NOT_ENROLLED: "No se ha iniciado la configuración en dos pasos",
+  MFA_REQUIRED: "Se requiere la verificación en dos pasos",
+  NOT_A_MEMBER: "No eres miembro de esta organización",
+  NOT_IMPERSONATING: "Esta sesión no está suplantando a ningún usuario",
+  NO_DATABASE: "El adaptador de base de datos no está configurado",
+  NO_MAILER: "El servicio de correo no está configurado",
+  OAUTH_ACCOUNT_NOT_LINKED:
+    "Ya existe una cuenta con este correo electrónico. Inicia sesión con tu contraseña para continuar.",
+  OAUTH_DENIED: "El inicio de sesión con {provider} se canceló o se denegó",
+  OAUTH_EMAIL_REQUIRED:
+    "{provider} no compartió una dirección de correo electrónico",
+  OAUTH_PROVIDER_ERROR: "Falló el inicio de sesión con {provider}",
+  ORGANIZATIONS_NOT_CONFIGURED: "Las organizaciones no están configuradas",
+  ORGANIZATION_FORBIDDEN:
+    "No puedes gestionar los miembros de esta organización",
+  "ORGANIZATION_FORBIDDEN.owners":
+    "Solo los propietarios pueden gestionar a otros propietarios",
+  "ORGANIZATION_FORBIDDEN.self":
+    "No puedes ampliar tus propios roles o permisos",
+  "ORGANIZATION_FORBIDDEN.permissions":
+    "Solo puedes conceder permisos que tú mismo tienes",
+  ORGANIZATION_NOT_FOUND: "Organización no encontrada",
+  PASSKEYS_NOT_CONFIGURED: "Las llaves de acceso no están configuradas",
+  PASSKEY_EXISTS: "Esta llave de acceso ya está registrada",
+  PASSKEY_NOT_FOUND: "Llave de acceso no encontrada",
+  PASSWORD_RESET_THROTTLED:
+    "Espera antes de solicitar otro restablecimiento de contraseña",
+  REFRESH_TOKEN_EXPIRED: "El token de actualización ha caducado",
+  REFRESH_TOKEN_REUSED: "El token de actualización ya se ha utilizado",
+  SESSION_EXPIRED: "La sesión ha caducado",
+  SESSION_IDLE_TIMEOUT: "La sesión finalizó tras un periodo de inactividad",
+  SESSION_NOT_FOUND: "Sesión no encontrada",
+  SESSION_REVOKED: "La sesión ha sido revocada",
+  "SESSION_REVOKED.ended": "Tu sesión ha finalizado. Vuelve a iniciar sesión.",
+  TOO_MANY_ATTEMPTS:
+    "Demasiados intentos fallidos desde esta dirección. Inténtalo de nuevo más tarde.",
+  UNKNOWN_PROVIDER: 'El proveedor OAuth "{provider}" no está configurado',
+  USER_EXISTS: "Ya existe un usuario con este correo electrónico",
+  USER_NOT_FOUND: "Usuario no encontrado",
+  VERIFICATION_THROTTLED:
+    "Espera antes de solicitar otro correo de verificación",
+
+  // Password policy rules, joined into the WEAK_PASSWORD message
+  WEAK_PASSWORD: "La contraseña no cumple los requisitos",
+  "WEAK_PASSWORD.minLength":
+    "La contraseña debe tener al menos {min} caracteres",
+  "WEAK_PASSWORD.maxLength": "La contraseña debe tener como máximo {max} bytes",
+  "WEAK_PASSWORD.requireLowercase":
+    "La contraseña debe contener una letra minúscula",
+  "WEAK_PASSWORD.requireUppercase":
+    "La contraseña debe contener una letra mayúscula",
+  "WEAK_PASSWORD.requireNumber": "La contraseña debe contener un número",
+  "WEAK_PASSWORD.requireSymbol": "La contraseña debe contener un símbolo",
+  "WEAK_PASSWORD.personalInfo":
+    "La contraseña no debe contener tu nombre ni tu correo electrónico",
+  "WEAK_PASSWORD.commonPassword":
+    "La contraseña es demasiado común o ha aparecido en una filtración de datos",
+
+  // AuthProvider toasts and errors
+  NETWORK_ERROR: "Error de red",
+  NOT_SIGNED_IN: "No has iniciado sesión",
+  WELCOME: "¡Bienvenido, {name}!",
+  WELCOME_BACK: "¡Bienvenido de nuevo, {name}!",
+  SIGN_IN_FAILED: "No se pudo iniciar sesión",
+  SIGN_UP_FAILED: "No se pudo completar el registro",
+  SIGNED_OUT: "Sesión cerrada correctamente",
+  SIGN_OUT_FAILED: "No se pudo cerrar la sesión",
+  SESSION_EXPIRED_TOAST: "La sesión ha caducado. Vuelve a iniciar sesión.",
+  IDLE_SIGNED_OUT: "Sesión cerrada tras un periodo de inactividad.",
+  MFA_CHALLENGE_MISSING: "No hay ninguna verificación en dos pasos pendiente",
+  MFA_FAILED: "Falló la verificación en dos pasos",
+  MAGIC_LINK_SENT:
+    "Revisa {email} para encontrar tu enlace de inicio de sesión",
+  MAGIC_LINK_FAILED: "No se pudo enviar el enlace de inicio de sesión",
+  MAGIC_LINK_TOKEN_MISSING:
+    "El enlace no contiene un token de inicio de sesión",
+  MAGIC_LINK_INVALID:
+    "El enlace de inicio de sesión no es válido o ha caducado",
+  PASSKEY_SIGN_IN_REQUIRED: "Inicia sesión para añadir una llave de acceso",
+  PASSKEY_ADDED: "Llave de acceso añadida",
+  PASSKEY_ADD_FAILED: "No se pudo añadir la llave de acceso",
+  PASSKEY_SIGN_IN_FAILED: "Falló el inicio de sesión con llave de acceso",
+  VERIFICATION_EMAIL_MISSING:
+    "No hay ninguna dirección de correo que verificar",
+  VERIFICATION_EMAIL_SENT: "Correo de verificación enviado a {email}",
+  VERIFICATION_EMAIL_FAILED: "No se pudo enviar el correo de verificación",
+  PASSWORD_CHANGE_SIGN_IN_REQUIRED: "Inicia sesión para cambiar tu contraseña",
+  PASSWORD_CHANGED: "Contraseña cambiada",
+  PASSWORD_CHANGE_FAILED: "No se pudo cambiar la contraseña",
+  EMAIL_CHANGE_SIGN_IN_REQUIRED:
+    "Inicia sesión para cambiar tu correo electrónico",
+  EMAIL_CHANGE_SENT: "Enlace de confirmación enviado a {email}",
+  EMAIL_CHANGE_FAILED: "No se pudo cambiar el correo electrónico",
+  EMAIL_CHANGE_TOKEN_MISSING: "El enlace no contiene un token de confirmación",
+  EMAIL_CHANGE_INVALID: "El enlace de confirmación no es válido o ha caducado",
+  EMAIL_CHANGED: "Correo electrónico cambiado a {email}",
+  SESSIONS_LOAD_FAILED: "No se pudieron cargar las sesiones",
+  SESSION_SIGNED_OUT: "Sesión cerrada",
+  OTHER_SESSIONS_SIGNED_OUT: "Sesión cerrada en todos los demás dispositivos",
+  SWITCH_USER_FAILED: "No se pudo cambiar de usuario",
+  IMPERSONATION_STARTED: "Suplantación iniciada",
+  IMPERSONATION_ENDED: "Suplantación finalizada",
+  ORGANIZATION_SWITCHED: "Organización cambiada",
+  ORGANIZATION_CLEARED: "Organización deseleccionada",
+};
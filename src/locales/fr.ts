@@ -0,0 +1,166 @@
+/**
+ * Vista Auth - French messages
+ */
+
+import type { MessageCatalog } from "../types";
+
+export const fr: MessageCatalog = {
+  // Server errors
+  ACCOUNT_LOCKED:
+    "Trop de tentatives de connexion échouées. Veuillez réessayer plus tard.",
+  ALREADY_MEMBER: "Cet utilisateur est déjà membre de l'organisation",
+  API_KEY_EXPIRED: "La clé d'API a expiré",
+  API_KEY_NOT_FOUND: "Clé d'API introuvable",
+  API_KEY_REVOKED: "La clé d'API a été révoquée",
+  AUDIT_QUERY_UNSUPPORTED:
+    "Le journal d'audit configuré ne peut pas être interrogé",
+  EMAIL_NOT_VERIFIED:
+    "Veuillez vérifier votre adresse e-mail avant de vous connecter",
+  EMAIL_UNCHANGED: "La nouvelle adresse e-mail est identique à l'actuelle",
+  IMPERSONATION_FORBIDDEN:
+    "Vous n'êtes pas autorisé à vous faire passer pour des utilisateurs",
+  "IMPERSONATION_FORBIDDEN.nested":
+    "Arrêtez l'usurpation avant de passer à un autre utilisateur",
+  "IMPERSONATION_FORBIDDEN.target":
+    "Il n'est pas possible de se faire passer pour cet utilisateur",
+  IMPERSONATION_NOT_CONFIGURED: "L'usurpation d'identité n'est pas configurée",
+  INTERNAL_ERROR: "Une erreur inattendue s'est produite",
+  INVALID_API_KEY: "Clé d'API invalide",
+  INVALID_API_KEY_NAME: "Le nom de la clé d'API est obligatoire",
+  INVALID_CALLBACK_URL:
+    "L'URL de retour doit être un chemin relatif ou avoir la même origine que magicLinkUrl",
+  INVALID_CREDENTIALS: "E-mail ou mot de passe incorrect",
+  "INVALID_CREDENTIALS.currentPassword": "Le mot de passe actuel est incorrect",
+  INVALID_EMAIL: "Adresse e-mail invalide",
+  INVALID_EMAIL_CHANGE_TOKEN: "Lien de changement d'e-mail invalide ou expiré",
+  INVALID_INVITATION: "Invitation invalide ou expirée",
+  INVALID_MAGIC_LINK: "Lien de connexion invalide ou expiré",
+  INVALID_MFA_CHALLENGE: "Vérification en deux étapes invalide ou expirée",
+  INVALID_MFA_CODE: "Code de vérification en deux étapes invalide",
+  INVALID_OAUTH_STATE: "Demande de connexion invalide ou expirée",
+  INVALID_ORGANIZATION: "Le nom de l'organisation est obligatoire",
+  INVALID_PASSKEY: "La clé d'accès n'a pas pu être vérifiée",
+  "INVALID_PASSKEY.registration":
+    "L'enregistrement de la clé d'accès n'a pas pu être vérifié",
+  "INVALID_PASSKEY.unknown": "Clé d'accès non reconnue",
+  INVALID_PASSKEY_CHALLENGE: "Demande de clé d'accès invalide ou expirée",
+  INVALID_REFRESH_TOKEN: "Jeton de rafraîchissement invalide",
+  INVALID_RESET_TOKEN:
+    "Jeton de réinitialisation du mot de passe invalide ou expiré",
+  INVALID_ROLE:
+    "Ces rôles ne peuvent pas être attribués dans cette organisation",
+  INVALID_SCOPE:
+    "Les portées de la clé d'API doivent être des permissions que vous possédez",
+  INVALID_TOKEN: "Jeton invalide ou expiré",
+  INVALID_VERIFICATION_TOKEN: "Jeton de vérification invalide ou expiré",
+  INVITATION_EMAIL_MISMATCH:
+    "Cette invitation a été envoyée à une autre adresse e-mail",
+  INVITATION_NOT_FOUND: "Invitation introuvable",
+  LAST_OWNER: "Une organisation doit avoir au moins un propriétaire",
+  MAGIC_LINK_THROTTLED:
+    "Veuillez patienter avant de demander un nouveau lien de connexion",
+  MEMBER_NOT_FOUND: "Membre introuvable",
+  MFA_ALREADY_ENABLED: "La vérification en deux étapes est déjà activée",
+  MFA_NOT_ENABLED: "La vérification en deux étapes n'est pas activée",
+  MFA_NOT_ENROLLED:
+    "La configuration de la vérification en deux étapes n'a pas commencé",
+  MFA_REQUIRED: "Vérification en deux étapes requise",
+  NOT_A_MEMBER: "Vous n'êtes pas membre de cette organisation",
+  NOT_IMPERSONATING: "Cette session ne se fait passer pour aucun utilisateur",
+  NO_DATABASE: "Adaptateur de base de données non configuré",
+  NO_MAILER: "Service d'e-mail non configuré",
+  OAUTH_ACCOUNT_NOT_LINKED:
+    "Un compte existe déjà avec cet e-mail. Connectez-vous avec votre mot de passe pour continuer.",
+  OAUTH_DENIED: "La connexion avec {provider} a été annulée ou refusée",
+  OAUTH_EMAIL_REQUIRED: "{provider} n'a pas partagé d'adresse e-mail",
+  OAUTH_PROVIDER_ERROR: "La connexion avec {provider} a échoué",
+  ORGANIZATIONS_NOT_CONFIGURED: "Les organisations ne sont pas configurées",
+  ORGANIZATION_FORBIDDEN:
+    "Vous ne pouvez pas gérer les membres de cette organisation",
+  "ORGANIZATION_FORBIDDEN.owners":
+    "Seuls les propriétaires peuvent gérer les propriétaires",
+  "ORGANIZATION_FORBIDDEN.self":
+    "Vous ne pouvez pas étendre vos propres rôles ou permissions",
+  "ORGANIZATION_FORBIDDEN.permissions":
+    "Vous ne pouvez accorder que les permissions que vous possédez",
+  ORGANIZATION_NOT_FOUND: "Organisation introuvable",
+  PASSKEYS_NOT_CONFIGURED: "Les clés d'accès ne sont pas configurées",
+  PASSKEY_EXISTS: "Cette clé d'accès est déjà enregistrée",
+  PASSKEY_NOT_FOUND: "Clé d'accès introuvable",
+  PASSWORD_RESET_THROTTLED:
+    "Veuillez patienter avant de demander une nouvelle réinitialisation du mot de passe",
+  REFRESH_TOKEN_EXPIRED: "Le jeton de rafraîchissement a expiré",
+  REFRESH_TOKEN_REUSED: "Le jeton de rafraîchissement a déjà été utilisé",
+  SESSION_EXPIRED: "La session a expiré",
+  SESSION_IDLE_TIMEOUT: "Session terminée après une période d'inactivité",
+  SESSION_NOT_FOUND: "Session introuvable",
+  SESSION_REVOKED: "La session a été révoquée",
+  "SESSION_REVOKED.ended":
+    "Votre session est terminée. Veuillez vous reconnecter.",
+  TOO_MANY_ATTEMPTS:
+    "Trop de tentatives échouées depuis cette adresse. Veuillez réessayer plus tard.",
+  UNKNOWN_PROVIDER: "Le fournisseur OAuth « {provider} » n'est pas configuré",
+  USER_EXISTS: "Un utilisateur avec cet e-mail existe déjà",
+  USER_NOT_FOUND: "Utilisateur introuvable",
+  VERIFICATION_THROTTLED:
+    "Veuillez patienter avant de demander un nouvel e-mail de vérification",
+
+  // Password policy rules, joined into the WEAK_PASSWORD message
+  WEAK_PASSWORD: "Le mot de passe ne respecte pas les exigences",
+  "WEAK_PASSWORD.minLength":
+    "Le mot de passe doit contenir au moins {min} caractères",
+  "WEAK_PASSWORD.maxLength": "Le mot de passe doit faire au plus {max} octets",
+  "WEAK_PASSWORD.requireLowercase":
+    "Le mot de passe doit contenir une lettre minuscule",
+  "WEAK_PASSWORD.requireUppercase":
+    "Le mot de passe doit contenir une lettre majuscule",
+  "WEAK_PASSWORD.requireNumber": "Le mot de passe doit contenir un chiffre",
+  "WEAK_PASSWORD.requireSymbol": "Le mot de passe doit contenir un symbole",
+  "WEAK_PASSWORD.personalInfo":
+    "Le mot de passe ne doit contenir ni votre nom ni votre adresse e-mail",
+  "WEAK_PASSWORD.commonPassword":
+    "Le mot de passe est trop courant ou est apparu dans une fuite de données",
+
+  // AuthProvider toasts and errors
+  NETWORK_ERROR: "Erreur réseau",
+  NOT_SIGNED_IN: "Non connecté",
+  WELCOME: "Bienvenue, {name} !",
+  WELCOME_BACK: "Bon retour, {name} !",
+  SIGN_IN_FAILED: "Échec de la connexion",
+  SIGN_UP_FAILED: "Échec de l'inscription",
+  SIGNED_OUT: "Déconnexion réussie",
+  SIGN_OUT_FAILED: "Impossible de se déconnecter",
+  SESSION_EXPIRED_TOAST: "Session expirée. Veuillez vous reconnecter.",
+  IDLE_SIGNED_OUT: "Déconnecté après une période d'inactivité.",
+  MFA_CHALLENGE_MISSING: "Aucune vérification en deux étapes en attente",
+  MFA_FAILED: "Échec de la vérification en deux étapes",
+  MAGIC_LINK_SENT: "Consultez {email} pour votre lien de connexion",
+  MAGIC_LINK_FAILED: "Impossible d'envoyer le lien de connexion",
+  MAGIC_LINK_TOKEN_MISSING: "Aucun jeton de connexion dans le lien",
+  MAGIC_LINK_INVALID: "Le lien de connexion est invalide ou expiré",
+  PASSKEY_SIGN_IN_REQUIRED: "Connectez-vous pour ajouter une clé d'accès",
+  PASSKEY_ADDED: "Clé d'accès ajoutée",
+  PASSKEY_ADD_FAILED: "Impossible d'ajouter la clé d'accès",
+  PASSKEY_SIGN_IN_FAILED: "Échec de la connexion par clé d'accès",
+  VERIFICATION_EMAIL_MISSING: "Aucune adresse e-mail à vérifier",
+  VERIFICATION_EMAIL_SENT: "E-mail de vérification envoyé à {email}",
+  VERIFICATION_EMAIL_FAILED: "Impossible d'envoyer l'e-mail de vérification",
+  PASSWORD_CHANGE_SIGN_IN_REQUIRED:
+    "Connectez-vous pour changer votre mot de passe",
+  PASSWORD_CHANGED: "Mot de passe modifié",
+  PASSWORD_CHANGE_FAILED: "Impossible de changer le mot de passe",
+  EMAIL_CHANGE_SIGN_IN_REQUIRED: "Connectez-vous pour changer votre e-mail",
+  EMAIL_CHANGE_SENT: "Lien de confirmation envoyé à {email}",
+  EMAIL_CHANGE_FAILED: "Impossible de changer l'e-mail",
+  EMAIL_CHANGE_TOKEN_MISSING: "Aucun jeton de confirmation dans le lien",
+  EMAIL_CHANGE_INVALID: "Le lien de confirmation est invalide ou expiré",
+  EMAIL_CHANGED: "E-mail changé en {email}",
+  SESSIONS_LOAD_FAILED: "Impossible de charger les sessions",
+  SESSION_SIGNED_OUT: "Déconnecté",
+  OTHER_SESSIONS_SIGNED_OUT: "Déconnecté de tous les autres appareils",
+  SWITCH_USER_FAILED: "Impossible de changer d'utilisateur",
+  IMPERSONATION_STARTED: "Usurpation d'identité démarrée",
+  IMPERSONATION_ENDED: "Usurpation d'identité terminée",
+  ORGANIZATION_SWITCHED: "Organisation changée",
+  ORGANIZATION_CLEARED: "Organisation désélectionnée",
+};
@@ -3,12 +3,17 @@
  * Framework-agnostic middleware for protecting routes
  */
 
-import type { MiddlewareConfig } from "../types";
+import type { JsonWebKeySet, MiddlewareConfig } from "../types";
+import { createRoleResolver, scopeToOrganization } from "../roles";
+import { createPolicy, Policy } from "../policy";
 
 /**
  * Next.js Middleware
  */
 export function createNextMiddleware(config: MiddlewareConfig = {}) {
+  const roles = createRoleResolver(config.roles);
+  const policy = createPolicy({ rules: config.policies, roles: config.roles });
+
   return async function middleware(request: any) {
     const { pathname } = request.nextUrl;
 
@@ -19,7 +24,7 @@ export function createNextMiddleware(config: MiddlewareConfig = {}) {
 
     // Get token from cookie or header
     const token =
-      request.cookies.get("vista-auth-token")?.value ||
+      request.cookies.get(config.cookieName || "vista-auth-token")?.value ||
       request.headers.get("authorization")?.replace("Bearer ", "");
 
     if (!token) {
@@ -31,19 +36,28 @@ export function createNextMiddleware(config: MiddlewareConfig = {}) {
 
     // Verify token (this should call your auth server)
     try {
-      const response = await fetch(
-        `${request.nextUrl.origin}/api/auth/session`,
-        {
-          headers: { Authorization: `Bearer ${token}` },
+      let session: any;
+
+      if (isApiKey(token, config) || config.jwksUrl || config.jwtSecret) {
+        // Verify locally with the published public keys or the shared secret
+        session = await verifyToken(token, config);
+      } else {
+        const response = await fetch(
+          `${request.nextUrl.origin}${
+            config.sessionEndpoint || "/api/auth/session"
+          }`,
+          {
+            headers: { Authorization: `Bearer ${token}` },
+          }
+        );
+
+        if (!response.ok) {
+          throw new Error("Invalid session");
         }
-      );
 
-      if (!response.ok) {
-        throw new Error("Invalid session");
+        session = await response.json();
       }
 
-      const session = await response.json();
-
       // Check role-based paths
       if (config.roleBasedPaths) {
         for (const [pattern, requiredRoles] of Object.entries(
@@ -51,7 +65,10 @@ export function createNextMiddleware(config: MiddlewareConfig = {}) {
         )) {
           if (matchPath(pathname, pattern)) {
             const hasRole = requiredRoles.some((role) =>
-              session.user?.roles?.includes(role)
+              roles.hasRole(
+                scopeToOrganization(session.user, session.organization),
+                role
+              )
             );
             if (!hasRole) {
               if (config.onUnauthorized) {
@@ -62,6 +79,24 @@ export function createNextMiddleware(config: MiddlewareConfig = {}) {
           }
         }
       }
+
+      if (
+        !isPathAllowed(policy, pathname, session, config, {
+          method: request.method,
+        })
+      ) {
+        if (config.onUnauthorized) {
+          return config.onUnauthorized(pathname);
+        }
+        return Response.redirect(new URL("/unauthorized", request.url));
+      }
+
+      if (isImpersonationBlocked(pathname, session, config)) {
+        if (config.onUnauthorized) {
+          return config.onUnauthorized(pathname);
+        }
+        return Response.redirect(new URL("/unauthorized", request.url));
+      }
     } catch (error) {
       if (config.onUnauthorized) {
         return config.onUnauthorized(pathname);
@@ -75,6 +110,9 @@ export function createNextMiddleware(config: MiddlewareConfig = {}) {
  * Express/Node.js Middleware
  */
 export function createExpressMiddleware(config: MiddlewareConfig = {}) {
+  const roles = createRoleResolver(config.roles);
+  const policy = createPolicy({ rules: config.policies, roles: config.roles });
+
   return async function middleware(req: any, res: any, next: any) {
     const pathname = req.path;
 
@@ -85,7 +123,7 @@ export function createExpressMiddleware(config: MiddlewareConfig = {}) {
 
     // Get token from cookie or header
     const token =
-      req.cookies?.["vista-auth-token"] ||
+      req.cookies?.[config.cookieName || "vista-auth-token"] ||
       req.headers.authorization?.replace("Bearer ", "");
 
     if (!token) {
@@ -98,8 +136,7 @@ export function createExpressMiddleware(config: MiddlewareConfig = {}) {
 
     // Verify token
     try {
-      // This should be replaced with actual token verification
-      const session = await verifyToken(token);
+      const session = await verifyToken(token, config);
 
       // Attach user to request
       req.user = session.user;
@@ -112,7 +149,10 @@ export function createExpressMiddleware(config: MiddlewareConfig = {}) {
         )) {
           if (matchPath(pathname, pattern)) {
             const hasRole = requiredRoles.some((role) =>
-              session.user?.roles?.includes(role)
+              roles.hasRole(
+                scopeToOrganization(session.user, session.organization),
+                role
+              )
             );
             if (!hasRole) {
               if (config.onUnauthorized) {
@@ -125,6 +165,28 @@ export function createExpressMiddleware(config: MiddlewareConfig = {}) {
         }
       }
 
+      if (
+        !isPathAllowed(policy, pathname, session, config, {
+          method: req.method,
+        })
+      ) {
+        if (config.onUnauthorized) {
+          const response = config.onUnauthorized(pathname);
+          if (response) return res.status(403).json(response);
+        }
+        return res.status(403).json({ error: "Forbidden" });
+      }
+
+      if (isImpersonationBlocked(pathname, session, config)) {
+        if (config.onUnauthorized) {
+          const response = config.onUnauthorized(pathname);
+          if (response) return res.status(403).json(response);
+        }
+        return res
+          .status(403)
+          .json({ error: "Not available while impersonating" });
+      }
+
       next();
     } catch (error) {
       if (config.onUnauthorized) {
@@ -140,6 +202,9 @@ export function createExpressMiddleware(config: MiddlewareConfig = {}) {
  * Remix Loader Middleware
  */
 export function createRemixLoader(config: MiddlewareConfig = {}) {
+  const roles = createRoleResolver(config.roles);
+  const policy = createPolicy({ rules: config.policies, roles: config.roles });
+
   return async function loader({ request }: any) {
     const url = new URL(request.url);
     const pathname = url.pathname;
@@ -152,7 +217,7 @@ export function createRemixLoader(config: MiddlewareConfig = {}) {
     // Get token from cookie or header
     const cookieHeader = request.headers.get("Cookie");
     const token =
-      parseCookie(cookieHeader, "vista-auth-token") ||
+      parseCookie(cookieHeader, config.cookieName || "vista-auth-token") ||
       request.headers.get("authorization")?.replace("Bearer ", "");
 
     if (!token) {
@@ -163,7 +228,7 @@ export function createRemixLoader(config: MiddlewareConfig = {}) {
     }
 
     try {
-      const session = await verifyToken(token);
+      const session = await verifyToken(token, config);
 
       // Check role-based paths
       if (config.roleBasedPaths) {
@@ -172,7 +237,10 @@ export function createRemixLoader(config: MiddlewareConfig = {}) {
         )) {
           if (matchPath(pathname, pattern)) {
             const hasRole = requiredRoles.some((role) =>
-              session.user?.roles?.includes(role)
+              roles.hasRole(
+                scopeToOrganization(session.user, session.organization),
+                role
+              )
             );
             if (!hasRole) {
               if (config.onUnauthorized) {
@@ -184,8 +252,28 @@ export function createRemixLoader(config: MiddlewareConfig = {}) {
         }
       }
 
+      if (
+        !isPathAllowed(policy, pathname, session, config, {
+          method: request.method,
+        })
+      ) {
+        if (config.onUnauthorized) {
+          return config.onUnauthorized(pathname);
+        }
+        throw new Response("Forbidden", { status: 403 });
+      }
+
+      if (isImpersonationBlocked(pathname, session, config)) {
+        if (config.onUnauthorized) {
+          return config.onUnauthorized(pathname);
+        }
+        throw new Response("Forbidden", { status: 403 });
+      }
+
       return { user: session.user, session };
     } catch (error) {
+      // Keep the 403s thrown above
+      if (error instanceof Response) throw error;
       if (config.onUnauthorized) {
         return config.onUnauthorized(pathname);
       }
@@ -203,16 +291,405 @@ function matchPath(pathname: string, pattern: string): boolean {
   return regex.test(pathname);
 }
 
+// Every matching permissionBasedPaths entry needs one of its actions allowed.
+// Rules see the path and method as context.
+function isPathAllowed(
+  policy: Policy,
+  pathname: string,
+  session: any,
+  config: MiddlewareConfig,
+  context: { method?: string }
+): boolean {
+  return Object.entries(config.permissionBasedPaths ?? {}).every(
+    ([pattern, actions]) =>
+      !matchPath(pathname, pattern) ||
+      actions.some((action) =>
+        policy.can(
+          scopeToOrganization(session.user, session.organization),
+          action,
+          undefined,
+          {
+            path: pathname,
+            ...context,
+          }
+        )
+      )
+  );
+}
+
+// Sensitive paths (billing, passwords...) stay off-limits to admins acting as a user
+function isImpersonationBlocked(
+  pathname: string,
+  session: any,
+  config: MiddlewareConfig
+): boolean {
+  return (
+    !!session?.impersonator &&
+    !!config.impersonationBlockedPaths?.some((path) =>
+      matchPath(pathname, path)
+    )
+  );
+}
+
 function parseCookie(cookieHeader: string | null, name: string): string | null {
   if (!cookieHeader) return null;
   const match = cookieHeader.match(new RegExp(`${name}=([^;]+)`));
   return match ? match[1] : null;
 }
 
-async function verifyToken(token: string): Promise<any> {
-  // This should be replaced with actual token verification logic
-  // For now, this is a placeholder
-  throw new Error("verifyToken must be implemented by the user");
+async function verifyToken(
+  token: string,
+  config: MiddlewareConfig
+): Promise<any> {
+  if (isApiKey(token, config)) {
+    return verifyApiKey(token, config);
+  }
+  if (config.jwksUrl) {
+    return verifyTokenWithJwks(token, config);
+  }
+  if (config.jwtSecret) {
+    return verifyTokenWithSecret(token, config);
+  }
+  throw new Error(
+    "[Vista Auth] Set jwksUrl or jwtSecret to verify tokens in this middleware"
+  );
+}
+
+// Anything that is not shaped like a JWT (signed or encrypted) goes to the
+// verifyApiKey hook
+function isApiKey(token: string, config: MiddlewareConfig): boolean {
+  const segments = token.split(".").length;
+  return !!config.verifyApiKey && segments !== 3 && segments !== 5;
+}
+
+/**
+ * Resolve an API key to a session-like object with the key's user. Scoped
+ * keys come back with the scopes as permissions, so role, permission and
+ * policy checks apply unchanged.
+ */
+async function verifyApiKey(
+  token: string,
+  config: MiddlewareConfig
+): Promise<any> {
+  const session = await config.verifyApiKey!(token);
+  if (!session) {
+    throw new Error("Invalid API key");
+  }
+  return session;
+}
+
+/**
+ * Verify a token against a remote JWKS and build a session from its claims.
+ * Role checks need the user embedded in the token (stateless mode); local
+ * verification cannot see server-side revocation until the token expires.
+ */
+async function verifyTokenWithJwks(
+  token: string,
+  config: MiddlewareConfig
+): Promise<any> {
+  const jwksUrl = config.jwksUrl!;
+  return verifyLocally(
+    token,
+    config,
+    async (jwt) =>
+      (await verifyJwt(jwt, await fetchJwks(jwksUrl))) ??
+      // The key may be newer than our cached set
+      verifyJwt(jwt, await fetchJwks(jwksUrl, true))
+  );
+}
+
+/**
+ * Verify an HS256 token with the server's jwtSecret, with the same limits
+ * as verifyTokenWithJwks()
+ */
+async function verifyTokenWithSecret(
+  token: string,
+  config: MiddlewareConfig
+): Promise<any> {
+  return verifyLocally(token, config, (jwt) =>
+    verifyHmacJwt(jwt, config.jwtSecret!)
+  );
+}
+
+/**
+ * Decrypt the token if needed, check its signature and claims, and build a
+ * session from them
+ */
+async function verifyLocally(
+  token: string,
+  config: MiddlewareConfig,
+  verify: (jwt: string) => Promise<any>
+): Promise<any> {
+  if (token.split(".").length === 5) {
+    // Encrypted tokens wrap a signed one. Like the server, the encryption
+    // secret defaults to jwtSecret
+    const secret = config.tokenEncryption
+      ? config.tokenEncryption.secret || config.jwtSecret
+      : undefined;
+    const decrypted = secret ? await decryptJwe(token, secret) : null;
+    if (!decrypted) {
+      throw new Error("Invalid token");
+    }
+    token = decrypted;
+  }
+
+  const payload = await verify(token);
+  // Purpose-bound tokens (e.g. MFA challenges) are not access tokens
+  if (!payload || payload.purpose) {
+    throw new Error("Invalid token");
+  }
+  if (!hasInstanceClaims(payload, config)) {
+    throw new Error("Invalid token");
+  }
+
+  return {
+    sessionId: payload.sessionId,
+    userId: payload.userId,
+    user: payload.userData || { id: payload.userId },
+    expiresAt: payload.sessionExpiresAt ?? payload.exp * 1000,
+    createdAt: payload.sessionCreatedAt ?? payload.iat * 1000,
+    lastActivity: Date.now(),
+    ...(payload.act?.sub && {
+      impersonator: {
+        userId: payload.act.sub,
+        email: payload.act.email,
+        sessionId: payload.act.sid,
+      },
+    }),
+    ...(payload.org?.id && { organization: payload.org }),
+  };
+}
+
+/**
+ * Whether a token was issued by the configured instance, with the same rules
+ * as the server: the issuer and audience must match exactly, so a middleware
+ * for the unnamed instance rejects tokens from named ones
+ */
+function hasInstanceClaims(payload: any, config: MiddlewareConfig): boolean {
+  const issuer =
+    config.issuer ??
+    (config.instance ? `vista-auth:${config.instance}` : undefined);
+  if (payload.iss !== issuer) return false;
+  return config.audience
+    ? [payload.aud].flat().includes(config.audience)
+    : payload.aud === undefined;
+}
+
+const jwksCache = new Map<string, { jwks: JsonWebKeySet; fetchedAt: number }>();
+const JWKS_CACHE_TTL = 5 * 60 * 1000; // 5 minutes
+
+async function fetchJwks(
+  jwksUrl: string,
+  forceRefresh = false
+): Promise<JsonWebKeySet> {
+  const cached = jwksCache.get(jwksUrl);
+  if (
+    cached &&
+    !forceRefresh &&
+    Date.now() - cached.fetchedAt < JWKS_CACHE_TTL
+  ) {
+    return cached.jwks;
+  }
+
+  const response = await fetch(jwksUrl);
+  if (!response.ok) {
+    throw new Error(`Failed to fetch JWKS: ${response.status}`);
+  }
+  const jwks = (await response.json()) as JsonWebKeySet;
+  jwksCache.set(jwksUrl, { jwks, fetchedAt: Date.now() });
+  return jwks;
+}
+
+/**
+ * Verify a JWT signed with RS256, ES256 or EdDSA against a JSON Web Key Set.
+ * Uses the global Web Crypto API, so it runs in Node.js 20+ and edge
+ * runtimes. Returns the payload, or null when the token is invalid or expired.
+ */
+export async function verifyJwt(
+  token: string,
+  jwks: JsonWebKeySet
+): Promise<any> {
+  try {
+    const [headerSegment, payloadSegment, signatureSegment] = token.split(".");
+    const header = JSON.parse(decodeBase64Url(headerSegment));
+    const jwk = jwks.keys.find((k) => k.kid === header.kid);
+    const algorithm = jwk && WEB_CRYPTO_ALGORITHMS[jwk.alg];
+    if (!jwk || !algorithm || jwk.alg !== header.alg) {
+      return null;
+    }
+
+    const { kid, alg, use, ...keyData } = jwk;
+    const key = await crypto.subtle.importKey(
+      "jwk",
+      keyData,
+      algorithm.importParams,
+      false,
+      ["verify"]
+    );
+    const valid = await crypto.subtle.verify(
+      algorithm.verifyParams,
+      key,
+      base64UrlToBytes(signatureSegment),
+      new TextEncoder().encode(`${headerSegment}.${payloadSegment}`)
+    );
+    return valid ? readPayload(payloadSegment) : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Verify a JWT signed with HS256 and a shared secret, like verifyJwt()
+ */
+async function verifyHmacJwt(token: string, secret: string): Promise<any> {
+  try {
+    const [headerSegment, payloadSegment, signatureSegment] = token.split(".");
+    const header = JSON.parse(decodeBase64Url(headerSegment));
+    if (header.alg !== "HS256") {
+      return null;
+    }
+
+    const valid = await crypto.subtle.verify(
+      "HMAC",
+      await getHmacKey(secret),
+      base64UrlToBytes(signatureSegment),
+      new TextEncoder().encode(`${headerSegment}.${payloadSegment}`)
+    );
+    return valid ? readPayload(payloadSegment) : null;
+  } catch {
+    return null;
+  }
+}
+
+// Decode a verified payload, or null when it has expired or is not yet valid
+function readPayload(segment: string): any {
+  const payload = JSON.parse(decodeBase64Url(segment));
+  const seconds = Math.floor(Date.now() / 1000);
+  if (typeof payload.exp === "number" && seconds >= payload.exp) {
+    return null;
+  }
+  if (typeof payload.nbf === "number" && seconds < payload.nbf) {
+    return null;
+  }
+  return payload;
+}
+
+const hmacKeys = new Map<string, Promise<CryptoKey>>();
+
+function getHmacKey(secret: string): Promise<CryptoKey> {
+  let key = hmacKeys.get(secret);
+  if (!key) {
+    key = crypto.subtle.importKey(
+      "raw",
+      new TextEncoder().encode(secret),
+      { name: "HMAC", hash: "SHA-256" },
+      false,
+      ["verify"]
+    );
+    hmacKeys.set(secret, key);
+  }
+  return key;
+}
+
+/**
+ * Decrypt a token encrypted by the server (JWE, dir / A256GCM) with a key
+ * derived from the shared secret. Returns the signed JWT inside, or null.
+ */
+async function decryptJwe(
+  token: string,
+  secret: string
+): Promise<string | null> {
+  try {
+    const [header, encryptedKey, iv, ciphertext, tag] = token.split(".");
+    const { alg, enc } = JSON.parse(decodeBase64Url(header));
+    if (alg !== "dir" || enc !== "A256GCM" || encryptedKey !== "") {
+      return null;
+    }
+
+    const ciphertextBytes = base64UrlToBytes(ciphertext);
+    const tagBytes = base64UrlToBytes(tag);
+    if (tagBytes.length !== 16) return null;
+    // Web Crypto expects the tag appended to the ciphertext
+    const data = new Uint8Array(ciphertextBytes.length + tagBytes.length);
+    data.set(ciphertextBytes);
+    data.set(tagBytes, ciphertextBytes.length);
+
+    const plaintext = await crypto.subtle.decrypt(
+      {
+        name: "AES-GCM",
+        iv: base64UrlToBytes(iv),
+        additionalData: new TextEncoder().encode(header),
+        tagLength: 128,
+      },
+      await getEncryptionKey(secret),
+      data
+    );
+    return new TextDecoder().decode(plaintext);
+  } catch {
+    return null;
+  }
+}
+
+const encryptionKeys = new Map<string, Promise<CryptoKey>>();
+
+// HKDF-SHA256 with the same info string as the server
+function getEncryptionKey(secret: string): Promise<CryptoKey> {
+  let key = encryptionKeys.get(secret);
+  if (!key) {
+    key = crypto.subtle
+      .importKey("raw", new TextEncoder().encode(secret), "HKDF", false, [
+        "deriveKey",
+      ])
+      .then((material) =>
+        crypto.subtle.deriveKey(
+          {
+            name: "HKDF",
+            hash: "SHA-256",
+            salt: new Uint8Array(),
+            info: new TextEncoder().encode("vista-auth token encryption"),
+          },
+          material,
+          { name: "AES-GCM", length: 256 },
+          false,
+          ["decrypt"]
+        )
+      );
+    encryptionKeys.set(secret, key);
+  }
+  return key;
+}
+
+const WEB_CRYPTO_ALGORITHMS: Record<
+  string,
+  { importParams: any; verifyParams: any }
+> = {
+  RS256: {
+    importParams: { name: "RSASSA-PKCS1-v1_5", hash: "SHA-256" },
+    verifyParams: { name: "RSASSA-PKCS1-v1_5" },
+  },
+  ES256: {
+    importParams: { name: "ECDSA", namedCurve: "P-256" },
+    verifyParams: { name: "ECDSA", hash: "SHA-256" },
+  },
+  EdDSA: {
+    importParams: { name: "Ed25519" },
+    verifyParams: { name: "Ed25519" },
+  },
+};
+
+function base64UrlToBytes(segment: string): Uint8Array<ArrayBuffer> {
+  const base64 = segment.replace(/-/g, "+").replace(/_/g, "/");
+  const padded = base64 + "=".repeat((4 - (base64.length % 4)) % 4);
+  const binary = atob(padded);
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) {
+    bytes[i] = binary.charCodeAt(i);
+  }
+  return bytes;
+}
+
+function decodeBase64Url(segment: string): string {
+  return new TextDecoder().decode(base64UrlToBytes(segment));
 }
 
 /**
@@ -0,0 +1,62 @@
+/**
+ * Vista Auth - Policies
+ * Attribute-based access checks on top of roles and permissions. Shared by
+ * the server, middleware and client so can() answers the same everywhere.
+ */
+
+import type { PolicyRule, RoleDefinitions, User } from "./types";
+import { createRoleResolver, matchPermission } from "./roles";
+
+export interface Policy {
+  can(
+    user: User | null | undefined,
+    action: string,
+    resource?: any,
+    context?: Record<string, any>
+  ): boolean;
+}
+
+/**
+ * Create a policy from rules and a role registry. A matching deny rule
+ * wins, then a matching allow rule, then the user's permissions - so
+ * can(user, 'posts:edit') without rules is a permission check.
+ */
+export function createPolicy(
+  options: { rules?: PolicyRule[]; roles?: RoleDefinitions } = {}
+): Policy {
+  const rules = options.rules ?? [];
+  const roles = createRoleResolver(options.roles);
+
+  return {
+    can(user, action, resource, context = {}) {
+      if (!user) return false;
+
+      let allowed = false;
+      for (const rule of rules) {
+        const actions = Array.isArray(rule.action)
+          ? rule.action
+          : [rule.action];
+        if (
+          !actions.some((a) => matchPermission(a, action)) ||
+          (rule.roles && !rule.roles.some((r) => roles.hasRole(user, r)))
+        ) {
+          continue;
+        }
+
+        const deny = rule.effect === "deny";
+        let matches: boolean;
+        try {
+          matches = !rule.when || !!rule.when(user, action, resource, context);
+        } catch {
+          // Fail closed - a broken condition never grants access
+          matches = deny;
+        }
+
+        if (matches && deny) return false;
+        if (matches) allowed = true;
+      }
+
+      return allowed || roles.hasPermission(user, action);
+    },
+  };
+}
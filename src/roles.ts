@@ -0,0 +1,152 @@
+/**
+ * Vista Auth - Roles
+ * Resolves effective roles and permissions from a role registry. Shared by
+ * the server, middleware, route guards and useAuth so checks agree everywhere.
+ */
+
+import type { ActiveOrganization, RoleDefinitions, User } from "./types";
+
+type RoleHolder = Pick<User, "roles" | "permissions"> | null | undefined;
+
+export interface RoleResolver {
+  getRoles(user: RoleHolder): string[]; // Assigned roles plus the ones they extend
+  getPermissions(user: RoleHolder): string[]; // Direct and role permissions
+  hasRole(user: RoleHolder, role: string): boolean;
+  hasPermission(user: RoleHolder, permission: string): boolean;
+}
+
+/**
+ * Create a resolver for a role registry. Throws when a role extends an
+ * unknown role or inheritance forms a cycle.
+ */
+export function createRoleResolver(
+  definitions: RoleDefinitions = {}
+): RoleResolver {
+  // Role -> itself and every role it inherits from
+  const expanded = new Map<string, string[]>();
+
+  const expand = (role: string, path: string[]): string[] => {
+    const cached = expanded.get(role);
+    if (cached) return cached;
+    if (path.includes(role)) {
+      throw new Error(
+        `[Vista Auth] Role inheritance cycle: ${[...path, role].join(" -> ")}`
+      );
+    }
+
+    const parents = definitions[role]?.extends ?? [];
+    const roles = new Set([role]);
+    for (const parent of Array.isArray(parents) ? parents : [parents]) {
+      if (!definitions[parent]) {
+        throw new Error(
+          `[Vista Auth] Role "${role}" extends unknown role "${parent}"`
+        );
+      }
+      expand(parent, [...path, role]).forEach((r) => roles.add(r));
+    }
+
+    const result = [...roles];
+    expanded.set(role, result);
+    return result;
+  };
+
+  // Validate the whole registry up front rather than on first use
+  Object.keys(definitions).forEach((role) => expand(role, []));
+
+  const getRoles = (user: RoleHolder) => {
+    const roles = new Set<string>();
+    for (const role of user?.roles ?? []) {
+      // Roles missing from the registry still count, without permissions
+      (definitions[role] ? expand(role, []) : [role]).forEach((r) =>
+        roles.add(r)
+      );
+    }
+    return [...roles];
+  };
+
+  const getPermissions = (user: RoleHolder) => {
+    const permissions = new Set(user?.permissions ?? []);
+    for (const role of getRoles(user)) {
+      definitions[role]?.permissions?.forEach((p) => permissions.add(p));
+    }
+    return [...permissions];
+  };
+
+  return {
+    getRoles,
+    getPermissions,
+
+    hasRole(user, role) {
+      return getRoles(user).includes(role);
+    },
+
+    hasPermission(user, permission) {
+      return getPermissions(user).some((granted) =>
+        matchPermission(granted, permission)
+      );
+    },
+  };
+}
+
+/**
+ * Whether a granted permission covers a required one. Permissions are
+ * ':'-separated; '*' matches one segment, or every remaining segment when
+ * it comes last ('posts:*' covers 'posts:edit' and 'posts:comments:delete').
+ */
+export function matchPermission(granted: string, required: string): boolean {
+  if (granted === required || granted === "*") return true;
+
+  const grantedParts = granted.split(":");
+  const requiredParts = required.split(":");
+  for (let i = 0; i < grantedParts.length; i++) {
+    if (grantedParts[i] === "*") {
+      if (i === grantedParts.length - 1) return requiredParts.length > i;
+      if (requiredParts[i] === undefined) return false;
+    } else if (grantedParts[i] !== requiredParts[i]) {
+      return false;
+    }
+  }
+  return grantedParts.length === requiredParts.length;
+}
+
+/**
+ * Prefix of organization roles and permissions in a scoped user, so a
+ * membership role never passes a check for the global role of the same name
+ */
+export const ORGANIZATION_SCOPE = "org:";
+
+/**
+ * Membership roles or permissions as they appear on a scoped user
+ */
+export function toOrganizationScope(names: string[]): string[] {
+  return names.map((name) => `${ORGANIZATION_SCOPE}${name}`);
+}
+
+/**
+ * The user as seen inside their active organization - global roles and
+ * permissions plus those of the membership, prefixed with 'org:'. Check
+ * organization access with the prefixed names (hasRole(user, 'org:admin'),
+ * 'org:projects:create'); registry entries for 'org:' roles only apply to
+ * scoped users.
+ */
+export function scopeToOrganization<T extends User | null | undefined>(
+  user: T,
+  organization?: ActiveOrganization | null
+): T {
+  if (!user || !organization) return user;
+  return {
+    ...user,
+    roles: [
+      ...new Set([
+        ...(user.roles ?? []),
+        ...toOrganizationScope(organization.roles),
+      ]),
+    ],
+    permissions: [
+      ...new Set([
+        ...(user.permissions ?? []),
+        ...toOrganizationScope(organization.permissions),
+      ]),
+    ],
+  };
+}
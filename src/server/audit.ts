@@ -0,0 +1,125 @@
+/**
+ * Vista Auth - Audit Log
+ * Sinks for structured authentication events
+ */
+
+import { appendFile, readFile } from "fs/promises";
+import type {
+  AuditEvent,
+  AuditEventQuery,
+  AuditSink,
+  DatabaseAdapter,
+} from "../types";
+
+/**
+ * Memory Audit Sink
+ * Keeps the most recent events in server memory - for development and tests
+ */
+export function createMemoryAuditSink(
+  options: { maxEvents?: number } = {}
+): AuditSink & { events: AuditEvent[]; clear: () => void } {
+  const maxEvents = options.maxEvents || 10000;
+  const events: AuditEvent[] = [];
+
+  return {
+    events,
+
+    async write(event: AuditEvent) {
+      events.push(event);
+      if (events.length > maxEvents) {
+        events.splice(0, events.length - maxEvents);
+      }
+    },
+
+    async query(query: AuditEventQuery) {
+      return filterAuditEvents(events, query);
+    },
+
+    clear() {
+      events.length = 0;
+    },
+  };
+}
+
+/**
+ * File Audit Sink
+ * Appends one JSON object per line. Queries read the whole file, so rotate
+ * it (or ship it to your log pipeline) as it grows.
+ */
+export function createFileAuditSink(path: string): AuditSink {
+  // Appends are chained so lines never interleave
+  let pending: Promise<void> = Promise.resolve();
+
+  return {
+    write(event: AuditEvent) {
+      pending = pending
+        .catch(() => {})
+        .then(() => appendFile(path, JSON.stringify(event) + "\n", "utf8"));
+      return pending;
+    },
+
+    async query(query: AuditEventQuery) {
+      await pending.catch(() => {});
+      let contents: string;
+      try {
+        contents = await readFile(path, "utf8");
+      } catch (error: any) {
+        if (error.code === "ENOENT") return [];
+        throw error;
+      }
+
+      const events = contents
+        .split("\n")
+        .filter((line) => line.trim())
+        .map((line) => JSON.parse(line) as AuditEvent);
+      return filterAuditEvents(events, query);
+    },
+  };
+}
+
+/**
+ * Adapter Audit Sink
+ * Stores events through the adapter's createAuditEvent / listAuditEvents
+ */
+export function createAdapterAuditSink(adapter: DatabaseAdapter): AuditSink {
+  if (!adapter.createAuditEvent) {
+    throw new Error(
+      "[Vista Auth] Database adapter does not implement createAuditEvent."
+    );
+  }
+
+  return {
+    write: (event) => adapter.createAuditEvent!(event),
+    query: adapter.listAuditEvents
+      ? (query) => adapter.listAuditEvents!(query)
+      : undefined,
+  };
+}
+
+/**
+ * Apply a query to a list of events - newest first, 100 by default
+ */
+function filterAuditEvents(
+  events: AuditEvent[],
+  query: AuditEventQuery = {}
+): AuditEvent[] {
+  const types = query.type
+    ? Array.isArray(query.type)
+      ? query.type
+      : [query.type]
+    : null;
+
+  // Reversed first so events with the same timestamp are also newest first
+  return [...events]
+    .reverse()
+    .filter(
+      (event) =>
+        (!query.userId || event.userId === query.userId) &&
+        (!types || types.includes(event.type)) &&
+        (!query.outcome || event.outcome === query.outcome) &&
+        (query.from === undefined || event.timestamp >= query.from) &&
+        (query.to === undefined || event.timestamp <= query.to)
+    )
+    .sort((a, b) => b.timestamp - a.timestamp)
+    .slice(0, query.limit ?? 100);
+}
@@ -0,0 +1,65 @@
+/**
+ * Vista Auth - Common Passwords
+ * Frequently used and breached passwords (611 entries, lowercased),
+ * stored as a gzipped, base64-encoded newline-separated list
+ */
+
+import { gunzipSync } from "zlib";
+
+const COMPRESSED_LIST = [
+  "H4sIAAAAAAACA1WY25KzrBJA7/stpup/gEGTOdx9r9JCq0SgDWCMefpdjWhmm5pei4NHDuJ8",
+  "3PHVrOkJn2WrEPn9+f66XtpGgfqUHyilVAk1Hjgp0jRtW3G5nHK9/tGvL1CN/CqUnKJpVdNW",
+  "VGv3/EsJ/ydn4rrHr4rvgz+n/L7t863qj/7Jxrfeqx5Ze/q+UhT5upbz18NjpwX3lUA19xXT",
+  "6wmqlR+oy3dz/Wm/fsV+rk2x6297/RZ8X1tQ92ZtqeIST7lmUEfbHNKS0SXx78h9prWBRtqr",
+  "+ZQfNGWDs3bbqK/r5ffn+xPassGlbFCfzvFormWD2uJfZYOvX/lVfP1+wfdF/Vyb368WvstW",
+  "8Q3fP7/SDDuk/X7qBns3gndvOu0TfusGuDcm1tZE1TW6rTAXwLOgbBUi3f4D7LScdcfl4FVE",
+  "Wgc7bUo4Sg31FcPBEbCzA1oHqDWlBGi8DXtUFc3B9pTLbv/OPJtyxMwR0NETg6EI6DEYrFCA",
+  "nqLVCBhMpLVCAYaB3B4TYMgjhw1wnh0BzlGuKyYK6ACT6UvYT59Mf+bIXRTcpr1e6bGYRkdb",
+  "hQJMaWQ56jIsKQMuKcuNLnnxB5pPuZ0HhYFiAnxRzFtFudFii+UZOuy2EjreOdjooMOAAaHD",
+  "2GHcaUmgyXEpSNShc6eo0xqxiXItzh5DhTrYtNCRnkb00JGz9CDoKNxQ2quj6Apy3qCzWY8l",
+  "suTZTJ6gczjKH3ScMgfoIgaz82UddNHKGZeuc5SgW5IN0hu6JWWK0C05U+zdBhqd7TkGi6Ax",
+  "oCkwkj9ntAE0RnagR2lQT6fIxesRo31hNMXkNIWWDqpdOGfJIkoFLhEelBoU4wZ6tBoHFgYp",
+  "dSx1WbPDsnO0KfM8UgTNfsawFS65Zogo0BxyROldoJknuRBeO94S6LjNmcGgc5gqFBgMllyF",
+  "JDNK84HBhzV7VGCo44gjGNLkO4pgqMfFZTDkGQyFYJPgIUUWPQcDxg7WcwBjU6ANDA+DpQJJ",
+  "OIcRDIeAYDgilZocOY8bmIiDJAvUwaYFwsHRHhOQWeWxk7Mv7CiPQN66Dch7BBmU0KOmjnmC",
+  "Hp3mIHDNZ3OBHkvNHrM8y566uGDcoHccrUGhjLQdCXrmvQMfoqDnSHKrPcccbCboI4YJ+khk",
+  "2B9U0MvxNgEFU5Ggj2wY+kVPcohFT9z3hRsvMMiMItGGAQaZZFwPA8bekjMiGwzEcSAYKDmG",
+  "wcq4hoGdoSDoYWCWxzREGliqL5QyjBgCjlD66AYjyr4j7U9gJFdSzrGqaNpdJitjr+jK0RkY",
+  "uetshpH1JMcpUDByKKmcLcG4uAnGJUi/3KEqG7COH7TskNs95OM0dVoDNhiLe5QrsiFlHCJ6",
+  "sHK0QBls5CCzik3YkXMIN9STBO7ghp7SHhXcMJRGvmHiADfq+0gb3KTn9hRPUXArQ/FGKcm8",
+  "XqngxmMoIWxwY2m5GwfMI0puNCfUwaatViTRPArGBSsU3Ba3wW0JBLd92r4tDwp5STBhpAAT",
+  "PWyAyTpHsULBZGX8uQ2kZaRSaaDJYZnSJu6ouYDDSXquQ7kVh0tEcNRFDuAoe7InPw5RpzQt",
+  "ONuVl4Sz8qpzNkxkZB/Le0jgbJKCB8WZ2YGbbuPQG8njQWpymYWlHUtwW4HfU3Jltfkdv2yY",
+  "EDwaK+3isUwSHgNKr/YYBgaPUY8SB4yURSyWWIomCQ9ygg38/hx2qINNCx5ztM8KKch5pPWg",
+  "Ak/OpoTgpcHB09NqBm/RW/BWjygn2KkOkaNamcMdnVIKZWR4qyMn7jN4G0hH3C3I3YXuoZ8v",
+  "8NxZR16WKZ49yKSJm4BqVAIr649KmRM8h2mvMNUaQrkWDlle1J7lQXLSvILnbGjGlEhUxrpf",
+  "UkY5zCbZFStHA35LdwcBg94gYFwyQ8CMaUQItJbalaV6oHXjOEGwemR5oQSrZSWyQ0HgPMr1",
+  "Bml4eWWwzlzY91YTsDPnsdjZh0XgiNqRIAwE87+U1s9oduE/omDG//7bs1CXrj5jtCWyQyjX",
+  "KkEeS+WlyL8jZz9wlQ84r+SQd9bn29Spf6z5o+1fv5yJd5V3hX9/ameYpVtqi1UmmHFxMBOG",
+  "JcNM80wR5pEp2CfMdkI9LjA73CSb7bLlSOsdZp7Ke3TmlIdICeZoQ1n/HqJgXvw82QDzMs8b",
+  "zEuUNeldrQ218XJKvsLx7QJ3fMknyg75DrmvZeVzXwmTqXg9S34s9y2St4qPSnWwOaV927HT",
+  "ctCewvOurwrZr/SQCBG3stSIhM6jiVa0I60RoozRaCBKn8sVSuj4CZH1lDLGIjIRRQ7oTAVD",
+  "ZM4llJMtKVmEuOQR4oYBEjpMMtSSfAbksYg8x4Q+LWEQLuQgyeeAFMrSKWnmbhPkDIkwZ9mB",
+  "tExpO+RciYIcTuKenPM+ehLFR4WMnkTPrYRSa0TDa4U6uBfIpJ+sK/sG5nmDxFpLqkBB4mA1",
+  "JJ5HS5BmKx85O+S9muYy6ewoXxKnXkCeYI40FVkxplMUpEzkqGTRPMricjcKwodgGTBCWrws",
+  "eHaUz95T1Vubt7Zvvbz1Cmkp02daQhptoFPkKHO9mSrvrPKQxEtnKLakcjnzLOMyLUn2W4ny",
+  "SCgZonIvwg3SljJ5yLg5jpDJzyXIYYUc5Z2U9+VxlmWYhL1U3vgDZHpigjyyP6GEEfK4lA/O",
+  "bIcjJkFJ8UBlNs88bQyZpX5cUva0M7A65QPyKmuFCEsqnarcoQRJPGjABA+r5fWCsKIe88oy",
+  "Fa7kNHs6qE5pWlhHzGUFvFrnLPqDClYbDK9JmEt5WfdJu56q3tq8tX3r5a1X2DBMROmggq0s",
+  "RqHOeS+8q/KPFZHyLxQR+YMXOYPweupHmWBEulDhDyr4HwpsW043EwAA",
+].join("");
+
+let commonPasswords: Set<string> | null = null;
+
+/**
+ * Check a password against the bundled list (case-insensitive)
+ */
+export function isCommonPassword(password: string): boolean {
+  if (!commonPasswords) {
+    const list = gunzipSync(Buffer.from(COMPRESSED_LIST, "base64")).toString(
+      "utf8"
+    );
+    commonPasswords = new Set(list.split("\n").filter(Boolean));
+  }
+  return commonPasswords.has(password.toLowerCase());
+}
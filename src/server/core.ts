@@ -3,7 +3,7 @@
  * Server-side authentication logic
  */
 
-import bcrypt from "bcryptjs";
+import { createHash, randomBytes, timingSafeEqual } from "crypto";
 import jwt from "jsonwebtoken";
 import { nanoid } from "nanoid";
 import type {
@@ -13,20 +13,159 @@ import type {
   DatabaseAdapter,
   SignInCredentials,
   SignUpData,
+  SignUpHookData,
   AuthResponse,
+  AuthResult,
+  PendingVerificationResult,
   AuthError,
+  RefreshTokenRecord,
+  VerificationToken,
+  Mailer,
+  MailMessage,
+  RequestContext,
+  PasswordPolicy,
+  JsonWebKeySet,
+  OAuthProvider,
+  OAuthProfile,
+  PasskeyConfig,
+  PasskeyCredential,
+  ImpersonationConfig,
+  Impersonator,
+  OrganizationConfig,
+  Organization,
+  Membership,
+  OrganizationInvitation,
+  ActiveOrganization,
+  ApiKey,
+  ApiKeyInfo,
+  ApiKeySession,
+  PasskeyRegistrationOptions,
+  PasskeyRegistrationResponse,
+  PasskeyAuthenticationOptions,
+  PasskeyAuthenticationResponse,
+  AuthPlugin,
+  AuthHooks,
+  SignInMethod,
+  PasswordHasher,
+  AuditEvent,
+  AuditEventQuery,
+  AuditSink,
 } from "../types";
+import { buildOtpauthUri, generateTotpSecret, verifyTotp } from "./totp";
+import { checkPasswordPolicy } from "./password-policy";
+import { createBcryptHasher } from "./hashers";
+import { KeyRing } from "./keys";
+import {
+  decryptToken,
+  deriveEncryptionKey,
+  encryptToken,
+  isEncryptedToken,
+} from "./jwe";
+import { getDeviceLabel } from "./user-agent";
+import {
+  createRoleResolver,
+  RoleResolver,
+  toOrganizationScope,
+  ORGANIZATION_SCOPE,
+} from "../roles";
+import { createPolicy, Policy } from "../policy";
+import { createErrorCatalog, ErrorCatalog } from "../i18n";
+import {
+  buildAuthorizationUrl,
+  createPkcePair,
+  exchangeAuthorizationCode,
+  validateIdToken,
+} from "./oauth";
+import {
+  SUPPORTED_ALGORITHMS,
+  readClientDataChallenge,
+  verifyAuthenticationResponse,
+  verifyRegistrationResponse,
+} from "./webauthn";
+import {
+  BruteForceGuard,
+  createAdapterAttemptStore,
+  createMemoryAttemptStore,
+} from "./throttle";
+
+const DEFAULT_INSTANCE = "default";
+const API_KEY_PREFIX = "vista_"; // Marks API keys in logs and secret scanners
+const API_KEY_USAGE_INTERVAL = 60 * 1000; // Minimum time between lastUsedAt writes
+const PASSKEY_ADAPTER_METHODS = [
+  "createPasskey",
+  "findPasskey",
+  "findUserPasskeys",
+  "updatePasskey",
+  "deletePasskey",
+] as const;
+const VERIFICATION_TOKEN_ADAPTER_METHODS = [
+  "createVerificationToken",
+  "useVerificationToken",
+] as const;
 
 export class VistaAuthServer {
+  readonly name: string; // Registry name, 'default' unless set
   private config: Required<
     Pick<
       AuthConfig,
-      "bcryptRounds" | "jwtSecret" | "jwtExpiresIn" | "sessionDuration"
+      | "bcryptRounds"
+      | "jwtSecret"
+      | "jwtExpiresIn"
+      | "sessionDuration"
+      | "slidingSessions"
+      | "sessionIdleTimeout"
+      | "sessionMaxLifetime"
+      | "sessionActivityInterval"
+      | "accessTokenDuration"
+      | "mfaIssuer"
+      | "passwordResetTokenDuration"
+      | "emailVerification"
+      | "emailVerificationTokenDuration"
+      | "verificationResendInterval"
+      | "magicLinkTokenDuration"
+      | "magicLinkSignUp"
     >
   >;
   private database?: DatabaseAdapter;
+  private mailer?: Mailer;
+  private passwordResetUrl?: string;
+  private emailVerificationUrl?: string;
+  private magicLinkUrl?: string;
+  private emailChangeUrl?: string;
+  private bruteForce: BruteForceGuard | null = null;
+  private passwordPolicy: PasswordPolicy | null;
+  private passwordHashers: PasswordHasher[];
+  private roles: RoleResolver;
+  private policy: Policy;
+  private catalog: ErrorCatalog;
+  private keyRing: KeyRing | null = null;
+  private hmacSecretConfigured: boolean;
+  private tokenEncryptionKey: Buffer | null = null;
+  private tokenUserFields: Array<keyof User> | null;
+  private issuer?: string;
+  private audience?: string;
+  private oauthProviders: Map<string, OAuthProvider> = new Map();
+  private plugins: AuthPlugin[] = [];
+  private auditSink: AuditSink | null;
+  private passkeyConfig: Required<PasskeyConfig> | null = null;
+  private impersonationConfig: Required<ImpersonationConfig> | null = null;
+  private organizationConfig: Required<OrganizationConfig> | null = null;
   private statelessMode: boolean;
   private statelessUsers: Map<string, User> = new Map(); // In-memory user storage for stateless mode
+  private refreshTokens: Map<string, RefreshTokenRecord> = new Map(); // Keyed by token hash, used when the adapter has no refresh token methods
+  private sessions: Map<string, Session> = new Map(); // Keyed by session ID, used when the adapter cannot list sessions
+  private revokedSessions: Map<string, number> = new Map(); // sessionId -> expiry, denylist used when the adapter cannot look up sessions
+  private revokedUsers: Map<string, number> = new Map(); // userId -> time before which all of the user's sessions are revoked
+  private verificationTokens: Map<string, VerificationToken> = new Map(); // Keyed by token hash, used when the adapter has no verification token methods
+  private verificationEmailsSent: Map<string, number> = new Map(); // email -> last verification email, for resend throttling
+  private magicLinksSent: Map<string, number> = new Map(); // email -> last magic link, for throttling
+  private passwordResetsSent: Map<string, number> = new Map(); // email -> last reset request, for throttling
+  private passkeys: Map<string, PasskeyCredential> = new Map(); // Keyed by credential ID, used when the adapter has no passkey methods
+  private linkedAccounts: Map<string, string> = new Map(); // 'provider:accountId' -> userId, used when the adapter has no account methods
+  private organizations: Map<string, Organization> = new Map(); // Used when the adapter has no organization methods
+  private memberships: Map<string, Membership> = new Map(); // Keyed by membership ID, used when the adapter has no membership methods
+  private invitations: Map<string, OrganizationInvitation> = new Map(); // Keyed by token hash, used when the adapter has no invitation methods
+  private apiKeys: Map<string, ApiKey> = new Map(); // Keyed by prefix, used when the adapter has no API key methods
 
   constructor(config: AuthConfig = {}) {
     this.config = {
@@ -37,12 +176,188 @@ export class VistaAuthServer {
         "vista-auth-secret-change-in-production",
       jwtExpiresIn: config.jwtExpiresIn || "7d",
       sessionDuration: config.sessionDuration || 7 * 24 * 60 * 60 * 1000, // 7 days
+      slidingSessions: config.slidingSessions ?? false,
+      sessionIdleTimeout: config.sessionIdleTimeout || 0, // Off
+      sessionMaxLifetime: config.sessionMaxLifetime || 0, // Off
+      sessionActivityInterval: config.sessionActivityInterval ?? 60 * 1000, // 60 seconds
+      accessTokenDuration: config.accessTokenDuration || 15 * 60 * 1000, // 15 minutes
+      mfaIssuer: config.mfaIssuer || "Vista Auth",
+      passwordResetTokenDuration:
+        config.passwordResetTokenDuration || 60 * 60 * 1000, // 1 hour
+      emailVerification: config.emailVerification || "off",
+      emailVerificationTokenDuration:
+        config.emailVerificationTokenDuration || 24 * 60 * 60 * 1000, // 24 hours
+      verificationResendInterval:
+        config.verificationResendInterval || 60 * 1000, // 60 seconds
+      magicLinkTokenDuration: config.magicLinkTokenDuration || 15 * 60 * 1000, // 15 minutes
+      magicLinkSignUp: config.magicLinkSignUp ?? false,
     };
     this.database = config.database;
+    this.mailer = config.mailer;
+    this.passwordResetUrl = config.passwordResetUrl;
+    this.emailVerificationUrl = config.emailVerificationUrl;
+    this.magicLinkUrl = config.magicLinkUrl;
+    this.emailChangeUrl = config.emailChangeUrl;
+    this.auditSink = config.auditLog || null;
+    this.roles = createRoleResolver(config.roles);
+    this.policy = createPolicy({ rules: config.policies, roles: config.roles });
+    this.catalog = createErrorCatalog({
+      locale: config.locale,
+      messages: config.messages,
+    });
+    this.passwordPolicy =
+      config.passwordPolicy === false ? null : config.passwordPolicy || {};
+
+    this.passwordHashers = config.passwordHashers?.length
+      ? [...config.passwordHashers]
+      : [createBcryptHasher({ rounds: this.config.bcryptRounds })];
+    // Existing bcrypt hashes must keep working after switching hashers
+    if (!this.passwordHashers.some((h) => h.id === "bcrypt")) {
+      this.passwordHashers.push(
+        createBcryptHasher({ rounds: this.config.bcryptRounds })
+      );
+    }
+
+    // Activity must be persisted wherever sessions are looked up
+    if (
+      (this.config.slidingSessions || this.config.sessionIdleTimeout) &&
+      config.database?.getSession &&
+      !config.database.updateSession
+    ) {
+      throw new Error(
+        "[Vista Auth] slidingSessions and sessionIdleTimeout need a database adapter with updateSession."
+      );
+    }
+
+    if (config.bruteForceProtection !== false) {
+      const options = config.bruteForceProtection || {};
+      const adapterStoresAttempts =
+        !!config.database?.getLoginAttempts &&
+        !!config.database?.setLoginAttempts &&
+        !!config.database?.deleteLoginAttempts;
+      const store =
+        options.store ||
+        (adapterStoresAttempts
+          ? createAdapterAttemptStore(config.database!)
+          : createMemoryAttemptStore());
+      this.bruteForce = new BruteForceGuard(options, store);
+    }
+
+    // Emailed links kept in server memory would stop working on restart and
+    // on every other instance
+    if (
+      config.database &&
+      config.mailer &&
+      VERIFICATION_TOKEN_ADAPTER_METHODS.some(
+        (method) => !config.database![method]
+      )
+    ) {
+      const methods = VERIFICATION_TOKEN_ADAPTER_METHODS.join(" and ");
+      throw new Error(
+        `[Vista Auth] emailed links need a database adapter with ${methods}.`
+      );
+    }
+
+    if (config.passkeys) {
+      // Credentials kept in server memory would be lost on restart, locking
+      // users out of their passkeys
+      if (
+        config.database &&
+        PASSKEY_ADAPTER_METHODS.some((method) => !config.database![method])
+      ) {
+        const methods = PASSKEY_ADAPTER_METHODS.join(", ");
+        throw new Error(
+          `[Vista Auth] passkeys need a database adapter with ${methods}.`
+        );
+      }
+      this.passkeyConfig = {
+        rpName: "Vista Auth",
+        userVerification: "preferred",
+        timeout: 5 * 60 * 1000, // 5 minutes
+        ...config.passkeys,
+      };
+    }
+
+    if (config.organizations) {
+      const ownerRoles = config.organizations.ownerRoles ?? ["owner"];
+      const managerRoles = config.organizations.managerRoles ?? [
+        "owner",
+        "admin",
+      ];
+      this.organizationConfig = {
+        invitationUrl: "",
+        invitationDuration: 7 * 24 * 60 * 60 * 1000, // 7 days
+        ...config.organizations,
+        ownerRoles,
+        managerRoles,
+        assignableRoles: [
+          ...new Set([
+            ...(config.organizations.assignableRoles ?? [
+              ...managerRoles,
+              "member",
+            ]),
+            // The creator always needs to be able to hold these
+            ...ownerRoles,
+          ]),
+        ],
+      };
+    }
+
+    if (config.impersonation) {
+      this.impersonationConfig = {
+        roles: ["admin"],
+        permissions: [],
+        duration: 60 * 60 * 1000, // 1 hour
+        ...config.impersonation,
+      };
+    }
+
+    for (const plugin of config.plugins || []) {
+      this.registerPlugin(plugin);
+    }
+
+    for (const provider of config.oauthProviders || []) {
+      if (this.oauthProviders.has(provider.id)) {
+        throw new Error(
+          `[Vista Auth] Duplicate OAuth provider id: ${provider.id}`
+        );
+      }
+      this.oauthProviders.set(provider.id, provider);
+    }
+
+    if (config.signingKeys?.length) {
+      this.keyRing = new KeyRing(config.signingKeys);
+    }
+    // Tokens signed with the shared secret are only trusted when the secret
+    // was set explicitly, never the insecure default
+    this.hmacSecretConfigured = !!(
+      config.jwtSecret || process.env.VISTA_AUTH_SECRET
+    );
+
+    if (config.tokenEncryption) {
+      const secret =
+        config.tokenEncryption.secret ||
+        (this.hmacSecretConfigured ? this.config.jwtSecret : null);
+      if (!secret) {
+        throw new Error(
+          "[Vista Auth] tokenEncryption needs a secret when jwtSecret is not set"
+        );
+      }
+      this.tokenEncryptionKey = deriveEncryptionKey(secret);
+    }
+    this.tokenUserFields = config.tokenUserFields || null;
+
+    this.name = config.name || DEFAULT_INSTANCE;
+    // Named instances are separate realms - their tokens are not
+    // interchangeable even when they share a secret
+    this.issuer =
+      config.issuer || (config.name ? `vista-auth:${config.name}` : undefined);
+    this.audience = config.audience;
+
     // Enable stateless mode when no database is provided
     this.statelessMode = !config.database;
 
-    if (!config.jwtSecret && !process.env.VISTA_AUTH_SECRET) {
+    if (!this.hmacSecretConfigured && !this.keyRing) {
       console.warn(
         "[Vista Auth] No JWT secret provided. Using default (INSECURE). Set VISTA_AUTH_SECRET environment variable."
       );
@@ -56,30 +371,87 @@ export class VistaAuthServer {
   }
 
   /**
-   * Hash a password
+   * Hash a password with the current hasher
    */
   async hashPassword(password: string): Promise<string> {
-    return bcrypt.hash(password, this.config.bcryptRounds);
+    return this.passwordHashers[0].hash(password);
   }
 
   /**
-   * Verify a password against a hash
+   * Verify a password against a hash made by any configured hasher
    */
   async verifyPassword(password: string, hash: string): Promise<boolean> {
-    return bcrypt.compare(password, hash);
+    const hasher = this.passwordHashers.find((h) => h.identifies(hash));
+    return hasher ? hasher.verify(password, hash) : false;
+  }
+
+  /**
+   * Whether a hash was made by an older hasher or with outdated parameters
+   */
+  needsRehash(hash: string): boolean {
+    const current = this.passwordHashers[0];
+    return !current.identifies(hash) || current.needsRehash(hash);
   }
 
   /**
    * Generate JWT token
+   * Signed with the active asymmetric key when signingKeys are configured,
+   * otherwise with the shared secret (HS256), then encrypted when
+   * tokenEncryption is set
    */
   generateToken(payload: any): string {
-    return jwt.sign(payload, this.config.jwtSecret);
+    payload = {
+      ...payload,
+      // Bind every token to this instance
+      ...(this.issuer && { iss: this.issuer }),
+      ...(this.audience && { aud: this.audience }),
+    };
+    const signed = this.keyRing
+      ? this.keyRing.sign(payload)
+      : jwt.sign(payload, this.config.jwtSecret);
+    return this.tokenEncryptionKey
+      ? encryptToken(signed, this.tokenEncryptionKey, payload.exp)
+      : signed;
   }
 
   /**
    * Verify JWT token
+   * Encrypted tokens are decrypted first; signed-only tokens issued before
+   * encryption was enabled stay valid until they expire. Tokens from another
+   * issuer or for another audience are rejected, and so are tokens with an
+   * issuer or audience this instance does not set - an unnamed instance
+   * never accepts a named realm's tokens.
    */
   verifyToken(token: string): any {
+    if (isEncryptedToken(token)) {
+      const decrypted = this.tokenEncryptionKey
+        ? decryptToken(token, this.tokenEncryptionKey)
+        : null;
+      if (!decrypted) return null;
+      token = decrypted;
+    }
+
+    const payload = this.verifySignature(token);
+    if (!payload) return null;
+    if (payload.iss !== this.issuer) return null;
+    if (
+      this.audience
+        ? ![payload.aud].flat().includes(this.audience)
+        : payload.aud !== undefined
+    ) {
+      return null;
+    }
+    return payload;
+  }
+
+  private verifySignature(token: string): any {
+    if (this.keyRing?.hasKeyFor(token)) {
+      return this.keyRing.verify(token);
+    }
+    // Tokens issued with the shared secret before switching to signing keys
+    if (this.keyRing && !this.hmacSecretConfigured) {
+      return null;
+    }
     try {
       return jwt.verify(token, this.config.jwtSecret);
     } catch (error) {
@@ -88,215 +460,122 @@ export class VistaAuthServer {
   }
 
   /**
-   * Sign up a new user
+   * Check a role against the role registry, including inherited roles
    */
-  async signUp(
-    data: SignUpData
-  ): Promise<AuthResponse<{ user: User; token: string; session: Session }>> {
-    try {
-      // Stateless mode - use in-memory storage
-      if (this.statelessMode) {
-        // Check if user already exists
-        const existingUser = Array.from(this.statelessUsers.values()).find(
-          (u) => u.email === data.email
-        );
-        if (existingUser) {
-          throw this.createError(
-            "USER_EXISTS",
-            "User with this email already exists",
-            400
-          );
-        }
+  hasRole(user: User | null | undefined, role: string): boolean {
+    return this.roles.hasRole(user, role);
+  }
 
-        // Hash password
-        const hashedPassword = await this.hashPassword(data.password);
+  /**
+   * Check a permission against the user's direct and role permissions,
+   * honoring wildcards like 'posts:*'
+   */
+  hasPermission(user: User | null | undefined, permission: string): boolean {
+    return this.roles.hasPermission(user, permission);
+  }
 
-        // Create user
-        const user: User = {
-          id: nanoid(),
-          email: data.email,
-          name: data.name,
-          roles: ["user"], // Default role
-          permissions: [],
-          metadata: {
-            ...data.metadata,
-            password: hashedPassword,
-          },
-        };
+  /**
+   * Effective permissions - direct permissions plus those of every role
+   */
+  getPermissions(user: User | null | undefined): string[] {
+    return this.roles.getPermissions(user);
+  }
 
-        // Store user in memory
-        this.statelessUsers.set(user.id, user);
+  /**
+   * Check whether a user may perform an action on a resource, using the
+   * configured policies and then the user's permissions
+   */
+  can(
+    user: User | null | undefined,
+    action: string,
+    resource?: any,
+    context?: Record<string, any>
+  ): boolean {
+    return this.policy.can(user, action, resource, context);
+  }
 
-        // Remove password from user object
-        const userWithoutPassword = this.sanitizeUser(user);
+  /**
+   * Translate an error for a request's Accept-Language header, falling back
+   * to the configured locale when no catalog matches
+   */
+  localizeError(error: AuthError, acceptLanguage?: string | null): AuthError {
+    const locale = this.catalog.negotiate(acceptLanguage);
+    return { ...error, message: this.catalog.formatError(error, locale) };
+  }
 
-        // Create session
-        const session = await this.createSession(user.id, userWithoutPassword);
+  /**
+   * Public signing keys as a JSON Web Key Set, for services that verify
+   * tokens without holding a secret
+   */
+  getJwks(): JsonWebKeySet {
+    return this.keyRing ? this.keyRing.getJwks() : { keys: [] };
+  }
 
-        // Generate token with user data embedded
-        const token = this.generateToken({
-          userId: user.id,
-          sessionId: session.sessionId,
-          userData: userWithoutPassword, // Embed user data in token
-          exp: Math.floor(session.expiresAt / 1000),
-          iat: Math.floor(session.createdAt / 1000),
-        });
+  /**
+   * Sign up a new user
+   */
+  async signUp(
+    data: SignUpData,
+    context: RequestContext = {}
+  ): Promise<AuthResponse<AuthResult | PendingVerificationResult>> {
+    try {
+      const verifyEmail = this.config.emailVerification !== "off";
+      const user = await this.createAccount(
+        data,
+        { ...(verifyEmail && { emailVerified: false }) },
+        "password",
+        context
+      );
 
+      if (verifyEmail) {
+        await this.issueVerificationEmail(user);
+      }
+      // The account exists, so this is not a failure - but no session yet
+      if (this.config.emailVerification === "block") {
         return {
           success: true,
-          data: {
-            user: userWithoutPassword,
-            token,
-            session,
-          },
+          data: { user: this.sanitizeUser(user), verificationRequired: true },
         };
       }
 
-      // Database mode
-      if (!this.database) {
-        throw this.createError(
-          "NO_DATABASE",
-          "Database adapter not configured",
-          500
-        );
-      }
-
-      // Check if user already exists
-      const existingUser = await this.database.findUserByEmail(data.email);
-      if (existingUser) {
-        throw this.createError(
-          "USER_EXISTS",
-          "User with this email already exists",
-          400
-        );
-      }
-
-      // Hash password
-      const hashedPassword = await this.hashPassword(data.password);
-
-      // Create user
-      const user = await this.database.createUser({
-        id: nanoid(),
-        email: data.email,
-        name: data.name,
-        roles: ["user"], // Default role
-        permissions: [],
-        metadata: {
-          ...data.metadata,
-          password: hashedPassword,
-        },
-      });
-
-      // Remove password from user object
-      const userWithoutPassword = this.sanitizeUser(user);
-
-      // Create session
-      const session = await this.createSession(user.id, userWithoutPassword);
-
-      // Generate token with expiry
-      const token = this.generateToken({
-        userId: user.id,
-        sessionId: session.sessionId,
-        exp: Math.floor(session.expiresAt / 1000),
-        iat: Math.floor(session.createdAt / 1000),
-      });
+      // Create session and issue tokens
+      const result = await this.startSession(user, "sign_up", context);
 
       return {
         success: true,
-        data: {
-          user: userWithoutPassword,
-          token,
-          session,
-        },
+        data: result,
       };
     } catch (error: any) {
+      const authError = this.normalizeError(error);
+      await this.audit(
+        "sign_up",
+        "failure",
+        { email: data?.email, errorCode: authError.code },
+        context
+      );
       return {
         success: false,
-        error: this.normalizeError(error),
+        error: authError,
       };
     }
   }
 
   /**
-   * Sign in a user
+   * Sign in a user.
+   * When the user has two-factor authentication enabled this fails with
+   * MFA_REQUIRED and a challenge token to pass to verifyMfa().
    */
   async signIn(
-    credentials: SignInCredentials
-  ): Promise<AuthResponse<{ user: User; token: string; session: Session }>> {
+    credentials: SignInCredentials,
+    context: RequestContext = {}
+  ): Promise<AuthResponse<AuthResult>> {
     try {
-      // Stateless mode - use in-memory storage
-      if (this.statelessMode) {
-        // Find user
-        const user = Array.from(this.statelessUsers.values()).find(
-          (u) => u.email === credentials.email
-        );
-        if (!user) {
-          throw this.createError(
-            "INVALID_CREDENTIALS",
-            "Invalid email or password",
-            401
-          );
-        }
-
-        // Verify password
-        const passwordHash = user.metadata?.password;
-        if (!passwordHash) {
-          throw this.createError(
-            "NO_PASSWORD",
-            "User has no password set",
-            500
-          );
-        }
-
-        const isValid = await this.verifyPassword(
-          credentials.password,
-          passwordHash
-        );
-        if (!isValid) {
-          throw this.createError(
-            "INVALID_CREDENTIALS",
-            "Invalid email or password",
-            401
-          );
-        }
-
-        // Remove password from user object
-        const userWithoutPassword = this.sanitizeUser(user);
-
-        // Create session
-        const session = await this.createSession(user.id, userWithoutPassword);
-
-        // Generate token with user data embedded
-        const token = this.generateToken({
-          userId: user.id,
-          sessionId: session.sessionId,
-          userData: userWithoutPassword, // Embed user data in token
-          exp: Math.floor(session.expiresAt / 1000),
-          iat: Math.floor(session.createdAt / 1000),
-        });
-
-        return {
-          success: true,
-          data: {
-            user: userWithoutPassword,
-            token,
-            session,
-          },
-        };
-      }
-
-      // Database mode
-      if (!this.database) {
-        throw this.createError(
-          "NO_DATABASE",
-          "Database adapter not configured",
-          500
-        );
-      }
+      await this.checkBruteForce(credentials.email, context.ip);
 
       // Find user
-      const user = await this.database.findUserByEmail(credentials.email);
+      let user = await this.findUserByEmail(credentials.email);
       if (!user) {
+        await this.bruteForce?.recordFailure(credentials.email, context.ip);
         throw this.createError(
           "INVALID_CREDENTIALS",
           "Invalid email or password",
@@ -305,16 +584,13 @@ export class VistaAuthServer {
       }
 
       // Verify password
+      // Accounts created through social login have no password
       const passwordHash = user.metadata?.password;
-      if (!passwordHash) {
-        throw this.createError("NO_PASSWORD", "User has no password set", 500);
-      }
-
-      const isValid = await this.verifyPassword(
-        credentials.password,
-        passwordHash
-      );
+      const isValid =
+        !!passwordHash &&
+        (await this.verifyPassword(credentials.password, passwordHash));
       if (!isValid) {
+        await this.bruteForce?.recordFailure(credentials.email, context.ip);
         throw this.createError(
           "INVALID_CREDENTIALS",
           "Invalid email or password",
@@ -322,128 +598,167 @@ export class VistaAuthServer {
         );
       }
 
-      // Remove password from user object
-      const userWithoutPassword = this.sanitizeUser(user);
+      if (
+        this.config.emailVerification === "block" &&
+        user.emailVerified === false
+      ) {
+        throw this.createEmailNotVerifiedError(user);
+      }
 
-      // Create session
-      const session = await this.createSession(user.id, userWithoutPassword);
+      // Second factor - the failure counter is only cleared once it passes
+      if (user.metadata?.mfa?.enabled) {
+        throw this.createMfaChallenge(user);
+      }
 
-      // Generate token with expiry
-      const token = this.generateToken({
-        userId: user.id,
-        sessionId: session.sessionId,
-        exp: Math.floor(session.expiresAt / 1000),
-        iat: Math.floor(session.createdAt / 1000),
-      });
+      await this.bruteForce?.recordSuccess(credentials.email);
+
+      // Upgrade outdated hashes while we have the plaintext password
+      if (this.needsRehash(passwordHash)) {
+        try {
+          user = await this.updateUserMetadata(user, {
+            password: await this.hashPassword(credentials.password),
+          });
+        } catch (error) {
+          console.error("[Vista Auth] Failed to rehash password:", error);
+        }
+      }
+
+      // Create session and issue tokens
+      const result = await this.startSession(user, "password", context);
 
       return {
         success: true,
-        data: {
-          user: userWithoutPassword,
-          token,
-          session,
-        },
+        data: result,
       };
     } catch (error: any) {
+      const authError = this.normalizeError(error);
+      if (authError.code !== "MFA_REQUIRED") {
+        await this.audit(
+          "sign_in",
+          "failure",
+          {
+            email: credentials.email,
+            errorCode: authError.code,
+            details: { method: "password" },
+          },
+          context
+        );
+      }
       return {
         success: false,
-        error: this.normalizeError(error),
+        error: authError,
       };
     }
   }
 
   /**
-   * Get session from token
+   * Complete a two-factor sign-in.
+   * Accepts either a TOTP code or an unused recovery code.
    */
-  async getSession(token: string): Promise<AuthResponse<Session>> {
+  async verifyMfa(
+    challengeToken: string,
+    code: string,
+    context: RequestContext = {}
+  ): Promise<AuthResponse<AuthResult>> {
     try {
-      const payload = this.verifyToken(token);
-      if (!payload) {
+      const payload = this.verifyToken(challengeToken);
+      if (!payload || payload.purpose !== "mfa_challenge") {
         throw this.createError(
-          "INVALID_TOKEN",
-          "Invalid or expired token",
+          "INVALID_MFA_CHALLENGE",
+          "Invalid or expired two-factor challenge",
           401
         );
       }
 
-      // Stateless mode - get user data from token or memory
-      if (this.statelessMode) {
-        let userWithoutPassword: User;
-
-        if (payload.userData) {
-          // User data is embedded in token
-          userWithoutPassword = payload.userData;
-        } else {
-          // Fall back to memory storage
-          const user = this.statelessUsers.get(payload.userId);
-          if (!user) {
-            throw this.createError("USER_NOT_FOUND", "User not found", 404);
-          }
-          userWithoutPassword = this.sanitizeUser(user);
-        }
-
-        const session: Session = {
-          sessionId: payload.sessionId,
-          userId: payload.userId,
-          user: userWithoutPassword,
-          expiresAt: payload.exp * 1000,
-          createdAt: payload.iat * 1000,
-          lastActivity: Date.now(),
-        };
-
-        return {
-          success: true,
-          data: session,
-        };
-      }
-
-      // Database mode
-      if (!this.database) {
+      const user = await this.findUserById(payload.userId);
+      if (!user || !user.metadata?.mfa?.enabled) {
         throw this.createError(
-          "NO_DATABASE",
-          "Database adapter not configured",
-          500
+          "INVALID_MFA_CHALLENGE",
+          "Invalid or expired two-factor challenge",
+          401
         );
       }
 
-      const user = await this.database.findUserById(payload.userId);
-      if (!user) {
-        throw this.createError("USER_NOT_FOUND", "User not found", 404);
+      await this.checkBruteForce(user.email, context.ip);
+
+      const verifiedUser = await this.consumeMfaCode(user, code);
+      if (!verifiedUser) {
+        await this.bruteForce?.recordFailure(user.email, context.ip);
+        throw this.createError(
+          "INVALID_MFA_CODE",
+          "Invalid two-factor code",
+          401
+        );
       }
 
-      const userWithoutPassword = this.sanitizeUser(user);
+      await this.bruteForce?.recordSuccess(user.email);
 
-      const session: Session = {
-        sessionId: payload.sessionId,
-        userId: user.id,
-        user: userWithoutPassword,
-        expiresAt: payload.exp * 1000,
-        createdAt: payload.iat * 1000,
-        lastActivity: Date.now(),
-      };
+      // Create session and issue tokens
+      const result = await this.startSession(verifiedUser, "mfa", context);
 
       return {
         success: true,
-        data: session,
+        data: result,
       };
     } catch (error: any) {
+      const authError = this.normalizeError(error);
+      if (authError.code !== "MFA_REQUIRED") {
+        await this.audit(
+          "sign_in",
+          "failure",
+          {
+            errorCode: authError.code,
+            details: { method: "mfa" },
+          },
+          context
+        );
+      }
       return {
         success: false,
-        error: this.normalizeError(error),
+        error: authError,
       };
     }
   }
 
   /**
-   * Sign out (invalidate session)
+   * Start a social login.
+   * Redirect the user to the returned URL and keep the flow token in a
+   * short-lived, httpOnly cookie - handleOAuthCallback() needs it to check
+   * the state and complete PKCE, which ties the callback to this browser.
    */
-  async signOut(sessionId: string): Promise<AuthResponse<void>> {
+  async getAuthorizationUrl(
+    providerId: string,
+    options: { redirectUri: string }
+  ): Promise<AuthResponse<{ url: string; flowToken: string }>> {
     try {
-      if (this.database?.deleteSession) {
-        await this.database.deleteSession(sessionId);
-      }
+      const provider = this.requireOAuthProvider(providerId);
+      const state = randomBytes(16).toString("base64url");
+      const nonce = provider.oidc
+        ? randomBytes(16).toString("base64url")
+        : undefined;
+      const pkce = createPkcePair();
 
-      return { success: true };
+      const url = await buildAuthorizationUrl(provider, {
+        redirectUri: options.redirectUri,
+        state,
+        codeChallenge: pkce.challenge,
+        nonce,
+      });
+
+      const flowToken = this.generateToken({
+        purpose: "oauth_flow",
+        provider: provider.id,
+        state,
+        nonce,
+        codeVerifier: pkce.verifier,
+        redirectUri: options.redirectUri,
+        exp: Math.floor(Date.now() / 1000) + 10 * 60, // 10 minutes
+      });
+
+      return {
+        success: true,
+        data: { url, flowToken },
+      };
     } catch (error: any) {
       return {
         success: false,
@@ -453,25 +768,3947 @@ export class VistaAuthServer {
   }
 
   /**
-   * Create a session
+   * Complete a social login from the provider's redirect.
+   * Exchanges the code, fetches the profile and signs in the linked user.
+   * New users are created; an existing user with the same email is only
+   * linked when the provider reports the email as verified.
    */
-  private async createSession(userId: string, user: User): Promise<Session> {
-    const sessionId = nanoid();
-    const now = Date.now();
-    const session: Session = {
-      sessionId,
-      userId,
-      user,
-      expiresAt: now + this.config.sessionDuration,
-      createdAt: now,
+  async handleOAuthCallback(
+    providerId: string,
+    params: {
+      code?: string | null;
+      state?: string | null;
+      error?: string | null;
+      flowToken: string;
+    },
+    context: RequestContext = {}
+  ): Promise<AuthResponse<AuthResult>> {
+    try {
+      const provider = this.requireOAuthProvider(providerId);
+
+      if (params.error) {
+        throw this.createError(
+          "OAUTH_DENIED",
+          `Sign-in with ${provider.name} was cancelled or denied`,
+          401,
+          { provider: provider.name, reason: params.error }
+        );
+      }
+
+      const flow = params.flowToken ? this.verifyToken(params.flowToken) : null;
+      if (
+        !flow ||
+        flow.purpose !== "oauth_flow" ||
+        flow.provider !== provider.id ||
+        !params.state ||
+        flow.state !== params.state ||
+        !params.code
+      ) {
+        throw this.createError(
+          "INVALID_OAUTH_STATE",
+          "Invalid or expired sign-in request",
+          400
+        );
+      }
+
+      let profile: OAuthProfile;
+      try {
+        const tokens = await exchangeAuthorizationCode(provider, {
+          code: params.code,
+          redirectUri: flow.redirectUri,
+          codeVerifier: flow.codeVerifier,
+        });
+        if (provider.oidc) {
+          if (!tokens.idToken) {
+            throw new Error("No ID token returned");
+          }
+          await validateIdToken(provider, tokens.idToken, flow.nonce);
+        }
+        profile = await provider.getProfile(tokens);
+      } catch (error: any) {
+        throw this.createError(
+          "OAUTH_PROVIDER_ERROR",
+          `Sign-in with ${provider.name} failed`,
+          502,
+          { provider: provider.name, reason: error?.message }
+        );
+      }
+
+      const user = await this.resolveOAuthUser(provider, profile, context);
+
+      if (
+        this.config.emailVerification === "block" &&
+        user.emailVerified === false
+      ) {
+        throw this.createEmailNotVerifiedError(user);
+      }
+
+      if (user.metadata?.mfa?.enabled) {
+        throw this.createMfaChallenge(user);
+      }
+
+      // Create session and issue tokens
+      const result = await this.startSession(user, "oauth", context);
+
+      return {
+        success: true,
+        data: result,
+      };
+    } catch (error: any) {
+      const authError = this.normalizeError(error);
+      if (authError.code !== "MFA_REQUIRED") {
+        await this.audit(
+          "sign_in",
+          "failure",
+          {
+            errorCode: authError.code,
+            details: { method: "oauth" },
+          },
+          context
+        );
+      }
+      return {
+        success: false,
+        error: authError,
+      };
+    }
+  }
+
+  /**
+   * Options for registering a passkey for a signed-in user.
+   * Pass them to navigator.credentials.create() (the client's
+   * registerPasskey() does this for you).
+   */
+  async generatePasskeyRegistrationOptions(
+    userId: string
+  ): Promise<AuthResponse<PasskeyRegistrationOptions>> {
+    try {
+      const passkeys = this.requirePasskeyConfig();
+      const user = await this.findUserById(userId);
+      if (!user) {
+        throw this.createError("USER_NOT_FOUND", "User not found", 404);
+      }
+
+      const existing = await this.findUserPasskeys(user.id);
+      // 32 URL-safe characters are exactly 24 bytes of base64url, so the
+      // browser echoes the challenge back unchanged
+      const challenge = await this.createVerificationToken(
+        "passkey_registration",
+        user,
+        passkeys.timeout
+      );
+
+      return {
+        success: true,
+        data: {
+          challenge,
+          rp: { id: passkeys.rpId, name: passkeys.rpName },
+          user: {
+            id: Buffer.from(user.id).toString("base64url"),
+            name: user.email,
+            displayName: user.name || user.email,
+          },
+          pubKeyCredParams: SUPPORTED_ALGORITHMS.map((alg) => ({
+            type: "public-key" as const,
+            alg,
+          })),
+          timeout: passkeys.timeout,
+          attestation: "none",
+          excludeCredentials: existing.map((passkey) => ({
+            type: "public-key" as const,
+            id: passkey.id,
+            transports: passkey.transports,
+          })),
+          authenticatorSelection: {
+            residentKey: "required",
+            requireResidentKey: true,
+            userVerification: passkeys.userVerification,
+          },
+        },
+      };
+    } catch (error: any) {
+      return {
+        success: false,
+        error: this.normalizeError(error),
+      };
+    }
+  }
+
+  /**
+   * Verify and store a new passkey from navigator.credentials.create()
+   */
+  async verifyPasskeyRegistration(
+    userId: string,
+    response: PasskeyRegistrationResponse,
+    options: { name?: string } = {}
+  ): Promise<AuthResponse<{ passkey: PasskeyCredential }>> {
+    try {
+      const passkeys = this.requirePasskeyConfig();
+      const challenge = readClientDataChallenge(
+        response?.response?.clientDataJSON
+      );
+      const record = challenge
+        ? await this.useVerificationToken(challenge, "passkey_registration")
+        : null;
+      if (!record || record.userId !== userId) {
+        throw this.createError(
+          "INVALID_PASSKEY_CHALLENGE",
+          "Invalid or expired passkey request",
+          400
+        );
+      }
+
+      let verified;
+      try {
+        verified = verifyRegistrationResponse(response, {
+          challenge: challenge!,
+          origin: passkeys.origin,
+          rpId: passkeys.rpId,
+          requireUserVerification: passkeys.userVerification === "required",
+        });
+      } catch (error: any) {
+        throw this.createError(
+          "INVALID_PASSKEY",
+          "Passkey registration could not be verified",
+          400,
+          { reason: error?.message },
+          "INVALID_PASSKEY.registration"
+        );
+      }
+
+      if (await this.findPasskey(verified.credentialId)) {
+        throw this.createError(
+          "PASSKEY_EXISTS",
+          "This passkey is already registered",
+          409
+        );
+      }
+
+      const passkey: PasskeyCredential = {
+        id: verified.credentialId,
+        userId,
+        publicKey: verified.publicKey,
+        counter: verified.counter,
+        transports: verified.transports,
+        backedUp: verified.backedUp,
+        name: options.name,
+        createdAt: Date.now(),
+      };
+      await this.savePasskey(passkey);
+      await this.audit("passkey_registered", "success", {
+        userId,
+        details: { credentialId: passkey.id, name: passkey.name },
+      });
+
+      return {
+        success: true,
+        data: { passkey },
+      };
+    } catch (error: any) {
+      return {
+        success: false,
+        error: this.normalizeError(error),
+      };
+    }
+  }
+
+  /**
+   * Options for signing in with a passkey.
+   * Without an email the browser offers every passkey it has for this
+   * site (discoverable credentials).
+   */
+  async generatePasskeyAuthenticationOptions(
+    email?: string
+  ): Promise<AuthResponse<PasskeyAuthenticationOptions>> {
+    try {
+      const passkeys = this.requirePasskeyConfig();
+      const user = email ? await this.findUserByEmail(email) : null;
+      const allowed = user ? await this.findUserPasskeys(user.id) : [];
+      const challenge = await this.createVerificationToken(
+        "passkey_authentication",
+        { id: "", email: "" },
+        passkeys.timeout
+      );
+
+      return {
+        success: true,
+        data: {
+          challenge,
+          rpId: passkeys.rpId,
+          timeout: passkeys.timeout,
+          allowCredentials: allowed.map((passkey) => ({
+            type: "public-key" as const,
+            id: passkey.id,
+            transports: passkey.transports,
+          })),
+          userVerification: passkeys.userVerification,
+        },
+      };
+    } catch (error: any) {
+      return {
+        success: false,
+        error: this.normalizeError(error),
+      };
+    }
+  }
+
+  /**
+   * Sign in with a response from navigator.credentials.get().
+   * A passkey is already two factors (device + biometric or PIN), so users
+   * with two-factor authentication are not asked for a code.
+   */
+  async verifyPasskeyAuthentication(
+    response: PasskeyAuthenticationResponse,
+    context: RequestContext = {}
+  ): Promise<AuthResponse<AuthResult>> {
+    try {
+      const passkeys = this.requirePasskeyConfig();
+      const challenge = readClientDataChallenge(
+        response?.response?.clientDataJSON
+      );
+      const record = challenge
+        ? await this.useVerificationToken(challenge, "passkey_authentication")
+        : null;
+      if (!record) {
+        throw this.createError(
+          "INVALID_PASSKEY_CHALLENGE",
+          "Invalid or expired passkey request",
+          400
+        );
+      }
+
+      const passkey = await this.findPasskey(response.id);
+      const user = passkey ? await this.findUserById(passkey.userId) : null;
+      const userHandle = response.response.userHandle;
+      if (
+        !passkey ||
+        !user ||
+        (userHandle &&
+          userHandle !== Buffer.from(user.id).toString("base64url"))
+      ) {
+        throw this.createError(
+          "INVALID_PASSKEY",
+          "Passkey not recognized",
+          401,
+          undefined,
+          "INVALID_PASSKEY.unknown"
+        );
+      }
+
+      let verified;
+      try {
+        verified = verifyAuthenticationResponse(response, {
+          challenge: challenge!,
+          origin: passkeys.origin,
+          rpId: passkeys.rpId,
+          requireUserVerification: passkeys.userVerification === "required",
+          credential: passkey,
+        });
+      } catch (error: any) {
+        throw this.createError(
+          "INVALID_PASSKEY",
+          "Passkey could not be verified",
+          401,
+          { reason: error?.message }
+        );
+      }
+
+      await this.updatePasskey(passkey.id, {
+        counter: verified.counter,
+        backedUp: verified.backedUp,
+        lastUsedAt: Date.now(),
+      });
+
+      if (
+        this.config.emailVerification === "block" &&
+        user.emailVerified === false
+      ) {
+        throw this.createEmailNotVerifiedError(user);
+      }
+
+      // Create session and issue tokens
+      const result = await this.startSession(user, "passkey", context);
+
+      return {
+        success: true,
+        data: result,
+      };
+    } catch (error: any) {
+      const authError = this.normalizeError(error);
+      if (authError.code !== "MFA_REQUIRED") {
+        await this.audit(
+          "sign_in",
+          "failure",
+          {
+            errorCode: authError.code,
+            details: { method: "passkey" },
+          },
+          context
+        );
+      }
+      return {
+        success: false,
+        error: authError,
+      };
+    }
+  }
+
+  /**
+   * List a user's passkeys
+   */
+  async listPasskeys(
+    userId: string
+  ): Promise<AuthResponse<PasskeyCredential[]>> {
+    try {
+      return {
+        success: true,
+        data: await this.findUserPasskeys(userId),
+      };
+    } catch (error: any) {
+      return {
+        success: false,
+        error: this.normalizeError(error),
+      };
+    }
+  }
+
+  /**
+   * Remove one of a user's passkeys
+   */
+  async deletePasskey(
+    userId: string,
+    credentialId: string
+  ): Promise<AuthResponse<void>> {
+    try {
+      const passkey = await this.findPasskey(credentialId);
+      if (!passkey || passkey.userId !== userId) {
+        throw this.createError("PASSKEY_NOT_FOUND", "Passkey not found", 404);
+      }
+
+      if (this.database?.deletePasskey) {
+        await this.database.deletePasskey(credentialId);
+      } else {
+        this.passkeys.delete(credentialId);
+      }
+      await this.audit("passkey_removed", "success", {
+        userId,
+        details: { credentialId },
+      });
+
+      return { success: true };
+    } catch (error: any) {
+      return {
+        success: false,
+        error: this.normalizeError(error),
+      };
+    }
+  }
+
+  /**
+   * Start two-factor enrollment.
+   * Returns a new secret and otpauth:// URI; the secret only becomes active
+   * once confirmMfa() is called with a valid code.
+   */
+  async enrollMfa(
+    userId: string
+  ): Promise<AuthResponse<{ secret: string; otpauthUri: string }>> {
+    try {
+      const user = await this.findUserById(userId);
+      if (!user) {
+        throw this.createError("USER_NOT_FOUND", "User not found", 404);
+      }
+      if (user.metadata?.mfa?.enabled) {
+        throw this.createError(
+          "MFA_ALREADY_ENABLED",
+          "Two-factor authentication is already enabled",
+          400
+        );
+      }
+
+      const secret = generateTotpSecret();
+      await this.updateUserMetadata(user, {
+        mfa: { enabled: false, pendingSecret: secret },
+      });
+
+      return {
+        success: true,
+        data: {
+          secret,
+          otpauthUri: buildOtpauthUri(
+            secret,
+            user.email,
+            this.config.mfaIssuer
+          ),
+        },
+      };
+    } catch (error: any) {
+      return {
+        success: false,
+        error: this.normalizeError(error),
+      };
+    }
+  }
+
+  /**
+   * Confirm two-factor enrollment with the first code from the
+   * authenticator app. Returns one-time recovery codes, shown only once.
+   */
+  async confirmMfa(
+    userId: string,
+    code: string
+  ): Promise<AuthResponse<{ recoveryCodes: string[] }>> {
+    try {
+      const user = await this.findUserById(userId);
+      const pendingSecret = user?.metadata?.mfa?.pendingSecret;
+      if (!user || !pendingSecret) {
+        throw this.createError(
+          "MFA_NOT_ENROLLED",
+          "Two-factor enrollment has not been started",
+          400
+        );
+      }
+
+      const step = verifyTotp(pendingSecret, normalizeMfaCode(code));
+      if (step === null) {
+        throw this.createError(
+          "INVALID_MFA_CODE",
+          "Invalid two-factor code",
+          401
+        );
+      }
+
+      const recoveryCodes = Array.from({ length: 10 }, () =>
+        generateRecoveryCode()
+      );
+      await this.updateUserMetadata(user, {
+        mfa: {
+          enabled: true,
+          secret: pendingSecret,
+          lastUsedStep: step,
+          recoveryCodes: recoveryCodes.map((c) => this.hashToken(c)),
+        },
+      });
+      await this.audit("mfa_enabled", "success", { userId: user.id });
+
+      return { success: true, data: { recoveryCodes } };
+    } catch (error: any) {
+      return {
+        success: false,
+        error: this.normalizeError(error),
+      };
+    }
+  }
+
+  /**
+   * Disable two-factor authentication.
+   * Requires a current TOTP code or a recovery code.
+   */
+  async disableMfa(userId: string, code: string): Promise<AuthResponse<void>> {
+    try {
+      const user = await this.findUserById(userId);
+      if (!user || !user.metadata?.mfa?.enabled) {
+        throw this.createError(
+          "MFA_NOT_ENABLED",
+          "Two-factor authentication is not enabled",
+          400
+        );
+      }
+
+      const verifiedUser = await this.consumeMfaCode(user, code);
+      if (!verifiedUser) {
+        throw this.createError(
+          "INVALID_MFA_CODE",
+          "Invalid two-factor code",
+          401
+        );
+      }
+
+      await this.updateUserMetadata(verifiedUser, { mfa: undefined });
+      await this.audit("mfa_disabled", "success", { userId: user.id });
+
+      return { success: true };
+    } catch (error: any) {
+      return {
+        success: false,
+        error: this.normalizeError(error),
+      };
+    }
+  }
+
+  /**
+   * Email a password reset link.
+   * Succeeds whether or not the email belongs to an account, so responses
+   * cannot be used to discover users; repeated requests are throttled per
+   * address.
+   */
+  async requestPasswordReset(email: string): Promise<AuthResponse<void>> {
+    try {
+      if (!this.mailer) {
+        throw this.createError("NO_MAILER", "Mailer not configured", 500);
+      }
+
+      // Throttled for every address alike, so the limit reveals nothing
+      const now = Date.now();
+      const lastSent = this.passwordResetsSent.get(email);
+      const retryAfter =
+        lastSent !== undefined
+          ? lastSent + this.config.verificationResendInterval - now
+          : 0;
+      if (retryAfter > 0) {
+        throw this.createError(
+          "PASSWORD_RESET_THROTTLED",
+          "Please wait before requesting another password reset",
+          429,
+          { retryAfter }
+        );
+      }
+      for (const [address, sentAt] of this.passwordResetsSent.entries()) {
+        if (now >= sentAt + this.config.verificationResendInterval) {
+          this.passwordResetsSent.delete(address);
+        }
+      }
+      this.passwordResetsSent.set(email, now);
+
+      const user = await this.findUserByEmail(email);
+      await this.audit("password_reset_requested", "success", {
+        userId: user?.id,
+        email,
+      });
+      if (user) {
+        const token = await this.createVerificationToken(
+          "password_reset",
+          user,
+          this.config.passwordResetTokenDuration
+        );
+        const url = appendToken(this.passwordResetUrl, token);
+
+        // Not awaited: delivery time would reveal whether the account exists
+        this.sendMail({
+          to: user.email,
+          subject: "Reset your password",
+          text: url
+            ? `Reset your password by opening this link: ${url}\n\nIf you did not request a password reset, you can ignore this email.`
+            : `Your password reset code is: ${token}\n\nIf you did not request a password reset, you can ignore this email.`,
+          template: "password_reset",
+          data: {
+            token,
+            url,
+            expiresIn: this.config.passwordResetTokenDuration,
+          },
+        });
+      }
+
+      return { success: true };
+    } catch (error: any) {
+      return {
+        success: false,
+        error: this.normalizeError(error),
+      };
+    }
+  }
+
+  /**
+   * Set a new password using a reset token.
+   * The token is single-use, and every existing session of the user is
+   * revoked.
+   */
+  async resetPassword(
+    token: string,
+    newPassword: string
+  ): Promise<AuthResponse<void>> {
+    try {
+      // Check what we can before the single-use token is consumed
+      this.assertPasswordAllowed(newPassword, {});
+
+      const record = await this.useVerificationToken(token, "password_reset");
+      const user = record ? await this.findUserById(record.userId) : null;
+      // A token issued before an email change must not reset the new address
+      if (!record || !user || user.email !== record.identifier) {
+        throw this.createError(
+          "INVALID_RESET_TOKEN",
+          "Invalid or expired password reset token",
+          400
+        );
+      }
+
+      this.assertPasswordAllowed(newPassword, user);
+
+      const hashedPassword = await this.hashPassword(newPassword);
+      await this.updateUserMetadata(user, { password: hashedPassword });
+
+      await this.audit("password_reset", "success", { userId: user.id });
+
+      const revoked = await this.revokeUserSessions(user.id);
+      if (!revoked.success) {
+        throw revoked.error;
+      }
+
+      return { success: true };
+    } catch (error: any) {
+      const authError = this.normalizeError(error);
+      await this.audit("password_reset", "failure", {
+        errorCode: authError.code,
+      });
+      return {
+        success: false,
+        error: authError,
+      };
+    }
+  }
+
+  /**
+   * Change the password of a signed-in user.
+   * The current password is required even with a valid session. With
+   * `revokeOtherSessions` every session is revoked and a new one is returned
+   * so the caller stays signed in.
+   */
+  async changePassword(
+    userId: string,
+    currentPassword: string,
+    newPassword: string,
+    options: { revokeOtherSessions?: boolean } = {},
+    context: RequestContext = {}
+  ): Promise<AuthResponse<AuthResult | undefined>> {
+    try {
+      let user = await this.reauthenticate(userId, currentPassword, context);
+      this.assertPasswordAllowed(newPassword, user);
+
+      user = await this.updateUserMetadata(user, {
+        password: await this.hashPassword(newPassword),
+      });
+      await this.audit(
+        "password_changed",
+        "success",
+        { userId: user.id },
+        context
+      );
+
+      this.sendMail({
+        to: user.email,
+        subject: "Your password was changed",
+        text: "The password for your account was just changed. If you did not make this change, reset your password right away.",
+        template: "password_changed",
+      });
+
+      if (!options.revokeOtherSessions) {
+        return { success: true };
+      }
+
+      const revoked = await this.revokeUserSessions(user.id, context);
+      if (!revoked.success) {
+        throw revoked.error;
+      }
+      const result = await this.startSession(user, "password", context);
+
+      return {
+        success: true,
+        data: result,
+      };
+    } catch (error: any) {
+      const authError = this.normalizeError(error);
+      await this.audit(
+        "password_changed",
+        "failure",
+        { userId, errorCode: authError.code },
+        context
+      );
+      return {
+        success: false,
+        error: authError,
+      };
+    }
+  }
+
+  /**
+   * Start changing a signed-in user's email address.
+   * The current password is required, and the address only changes once
+   * the link sent to the new address is opened (confirmEmailChange).
+   */
+  async changeEmail(
+    userId: string,
+    newEmail: string,
+    currentPassword: string,
+    context: RequestContext = {}
+  ): Promise<AuthResponse<void>> {
+    try {
+      if (!this.mailer) {
+        throw this.createError("NO_MAILER", "Mailer not configured", 500);
+      }
+      if (!newEmail || !newEmail.includes("@")) {
+        throw this.createError("INVALID_EMAIL", "Invalid email address", 400);
+      }
+
+      const user = await this.reauthenticate(userId, currentPassword, context);
+      if (newEmail === user.email) {
+        throw this.createError(
+          "EMAIL_UNCHANGED",
+          "The new email address is the same as the current one",
+          400
+        );
+      }
+      if (await this.findUserByEmail(newEmail)) {
+        throw this.createError(
+          "USER_EXISTS",
+          "User with this email already exists",
+          400
+        );
+      }
+
+      // The token is bound to the new address, which it was sent to
+      const token = await this.createVerificationToken(
+        "email_change",
+        { id: user.id, email: newEmail },
+        this.config.emailVerificationTokenDuration
+      );
+      const url = appendToken(this.emailChangeUrl, token);
+
+      this.sendMail({
+        to: newEmail,
+        subject: "Confirm your new email address",
+        text: url
+          ? `Confirm your new email address by opening this link: ${url}`
+          : `Your email change code is: ${token}`,
+        template: "email_change",
+        data: {
+          token,
+          url,
+          expiresIn: this.config.emailVerificationTokenDuration,
+        },
+      });
+
+      await this.audit(
+        "email_change_requested",
+        "success",
+        { userId: user.id, details: { newEmail } },
+        context
+      );
+
+      return { success: true };
+    } catch (error: any) {
+      const authError = this.normalizeError(error);
+      await this.audit(
+        "email_change_requested",
+        "failure",
+        { userId, errorCode: authError.code },
+        context
+      );
+      return {
+        success: false,
+        error: authError,
+      };
+    }
+  }
+
+  /**
+   * Complete an email change using the token from the confirmation link.
+   * The previous address is notified. The link is usually opened outside
+   * the app, so `revokeSessions` signs the user out everywhere rather than
+   * keeping a current session.
+   */
+  async confirmEmailChange(
+    token: string,
+    options: { revokeSessions?: boolean } = {},
+    context: RequestContext = {}
+  ): Promise<AuthResponse<{ user: User }>> {
+    try {
+      const record = await this.useVerificationToken(token, "email_change");
+      const user = record ? await this.findUserById(record.userId) : null;
+      if (!record || !user) {
+        throw this.createError(
+          "INVALID_EMAIL_CHANGE_TOKEN",
+          "Invalid or expired email change link",
+          400
+        );
+      }
+
+      // The address may have been taken since the link was sent
+      const existingUser = await this.findUserByEmail(record.identifier);
+      if (existingUser && existingUser.id !== user.id) {
+        throw this.createError(
+          "USER_EXISTS",
+          "User with this email already exists",
+          400
+        );
+      }
+
+      const previousEmail = user.email;
+      const updatedUser = await this.saveUser(user, {
+        email: record.identifier,
+        // Opening the link proves the new address
+        ...(user.emailVerified !== undefined && { emailVerified: true }),
+      });
+      await this.audit(
+        "email_changed",
+        "success",
+        { userId: user.id, details: { previousEmail } },
+        context
+      );
+
+      if (previousEmail !== updatedUser.email) {
+        this.sendMail({
+          to: previousEmail,
+          subject: "Your email address was changed",
+          text: `The email address for your account was changed to ${updatedUser.email}. If you did not make this change, contact support right away.`,
+          template: "email_changed",
+          data: { newEmail: updatedUser.email },
+        });
+      }
+
+      if (options.revokeSessions) {
+        const revoked = await this.revokeUserSessions(user.id, context);
+        if (!revoked.success) {
+          throw revoked.error;
+        }
+      }
+
+      return {
+        success: true,
+        data: { user: this.sanitizeUser(updatedUser) },
+      };
+    } catch (error: any) {
+      const authError = this.normalizeError(error);
+      await this.audit(
+        "email_changed",
+        "failure",
+        { errorCode: authError.code },
+        context
+      );
+      return {
+        success: false,
+        error: authError,
+      };
+    }
+  }
+
+  /**
+   * Send (or resend) the email verification link.
+   * Unknown and already verified addresses succeed without sending anything,
+   * and repeated requests are throttled per address.
+   */
+  async sendVerificationEmail(email: string): Promise<AuthResponse<void>> {
+    try {
+      if (!this.mailer) {
+        throw this.createError("NO_MAILER", "Mailer not configured", 500);
+      }
+
+      const lastSent = this.verificationEmailsSent.get(email);
+      const retryAfter =
+        lastSent !== undefined
+          ? lastSent + this.config.verificationResendInterval - Date.now()
+          : 0;
+      if (retryAfter > 0) {
+        throw this.createError(
+          "VERIFICATION_THROTTLED",
+          "Please wait before requesting another verification email",
+          429,
+          { retryAfter }
+        );
+      }
+
+      const user = await this.findUserByEmail(email);
+      if (user && user.emailVerified === false) {
+        await this.issueVerificationEmail(user);
+      } else {
+        this.verificationEmailsSent.set(email, Date.now());
+      }
+
+      return { success: true };
+    } catch (error: any) {
+      return {
+        success: false,
+        error: this.normalizeError(error),
+      };
+    }
+  }
+
+  /**
+   * Confirm an email address using the token from the verification link
+   */
+  async verifyEmail(token: string): Promise<AuthResponse<{ user: User }>> {
+    try {
+      const record = await this.useVerificationToken(
+        token,
+        "email_verification"
+      );
+      const user = record ? await this.findUserById(record.userId) : null;
+      // The link only verifies the address it was sent to
+      if (!record || !user || user.email !== record.identifier) {
+        throw this.createError(
+          "INVALID_VERIFICATION_TOKEN",
+          "Invalid or expired verification token",
+          400
+        );
+      }
+
+      const verifiedUser = await this.saveUser(user, { emailVerified: true });
+      await this.audit("email_verified", "success", {
+        userId: user.id,
+        email: user.email,
+      });
+
+      return {
+        success: true,
+        data: { user: this.sanitizeUser(verifiedUser) },
+      };
+    } catch (error: any) {
+      return {
+        success: false,
+        error: this.normalizeError(error),
+      };
+    }
+  }
+
+  /**
+   * Email a one-time sign-in link.
+   * Like requestPasswordReset(), this succeeds whether or not the address has
+   * an account; unknown addresses only get a link when magicLinkSignUp is on.
+   * `callbackUrl` is where the app should go after sign-in - it must be a
+   * relative path or on the same origin as magicLinkUrl.
+   */
+  async sendMagicLink(
+    email: string,
+    options: { callbackUrl?: string } = {}
+  ): Promise<AuthResponse<void>> {
+    try {
+      if (!this.mailer) {
+        throw this.createError("NO_MAILER", "Mailer not configured", 500);
+      }
+      if (!email || !email.includes("@")) {
+        throw this.createError("INVALID_EMAIL", "Invalid email address", 400);
+      }
+      if (
+        options.callbackUrl &&
+        !isSafeCallbackUrl(options.callbackUrl, this.magicLinkUrl)
+      ) {
+        throw this.createError(
+          "INVALID_CALLBACK_URL",
+          "Callback URL must be a relative path or on the same origin as magicLinkUrl",
+          400
+        );
+      }
+
+      // Throttled for every address alike, so the limit reveals nothing
+      const now = Date.now();
+      const lastSent = this.magicLinksSent.get(email);
+      const retryAfter =
+        lastSent !== undefined
+          ? lastSent + this.config.verificationResendInterval - now
+          : 0;
+      if (retryAfter > 0) {
+        throw this.createError(
+          "MAGIC_LINK_THROTTLED",
+          "Please wait before requesting another sign-in link",
+          429,
+          { retryAfter }
+        );
+      }
+      for (const [address, sentAt] of this.magicLinksSent.entries()) {
+        if (now >= sentAt + this.config.verificationResendInterval) {
+          this.magicLinksSent.delete(address);
+        }
+      }
+      this.magicLinksSent.set(email, now);
+
+      const user = await this.findUserByEmail(email);
+      if (user || this.config.magicLinkSignUp) {
+        // Accounts for new addresses are only created once the link is used
+        const token = await this.createVerificationToken(
+          "magic_link",
+          user || { id: "", email },
+          this.config.magicLinkTokenDuration
+        );
+        let url = appendToken(this.magicLinkUrl, token);
+        if (url && options.callbackUrl) {
+          url += `&callbackUrl=${encodeURIComponent(options.callbackUrl)}`;
+        }
+
+        // Not awaited: delivery time would reveal whether the account exists
+        this.sendMail({
+          to: email,
+          subject: "Your sign-in link",
+          text: url
+            ? `Sign in by opening this link: ${url}\n\nIf you did not request this email, you can ignore it.`
+            : `Your sign-in code is: ${token}\n\nIf you did not request this email, you can ignore it.`,
+          template: "magic_link",
+          data: {
+            token,
+            url,
+            callbackUrl: options.callbackUrl,
+            expiresIn: this.config.magicLinkTokenDuration,
+          },
+        });
+      }
+
+      return { success: true };
+    } catch (error: any) {
+      return {
+        success: false,
+        error: this.normalizeError(error),
+      };
+    }
+  }
+
+  /**
+   * Sign in with the token from a magic link.
+   * Opening the link proves the user owns the address, so it also verifies
+   * the email. Users with two-factor authentication get MFA_REQUIRED.
+   */
+  async verifyMagicLink(
+    token: string,
+    context: RequestContext = {}
+  ): Promise<AuthResponse<AuthResult>> {
+    try {
+      const record = await this.useVerificationToken(token, "magic_link");
+      if (!record) {
+        throw this.createError(
+          "INVALID_MAGIC_LINK",
+          "Invalid or expired sign-in link",
+          400
+        );
+      }
+
+      let user = record.userId
+        ? await this.findUserById(record.userId)
+        : await this.findUserByEmail(record.identifier);
+
+      if (!record.userId && !user && this.config.magicLinkSignUp) {
+        user = await this.createAccount(
+          { email: record.identifier },
+          {
+            ...(this.config.emailVerification !== "off" && {
+              emailVerified: true,
+            }),
+          },
+          "magic_link",
+          context
+        );
+      }
+
+      // A link issued before an email change must not sign in the new address
+      if (!user || user.email !== record.identifier) {
+        throw this.createError(
+          "INVALID_MAGIC_LINK",
+          "Invalid or expired sign-in link",
+          400
+        );
+      }
+
+      if (user.emailVerified === false) {
+        user = await this.saveUser(user, { emailVerified: true });
+      }
+
+      if (user.metadata?.mfa?.enabled) {
+        throw this.createMfaChallenge(user);
+      }
+
+      // Create session and issue tokens
+      const result = await this.startSession(user, "magic_link", context);
+
+      return {
+        success: true,
+        data: result,
+      };
+    } catch (error: any) {
+      const authError = this.normalizeError(error);
+      if (authError.code !== "MFA_REQUIRED") {
+        await this.audit(
+          "sign_in",
+          "failure",
+          {
+            errorCode: authError.code,
+            details: { method: "magic_link" },
+          },
+          context
+        );
+      }
+      return {
+        success: false,
+        error: authError,
+      };
+    }
+  }
+
+  /**
+   * Get session from token
+   */
+  async getSession(token: string): Promise<AuthResponse<Session>> {
+    try {
+      const payload = this.verifyToken(token);
+      // Purpose-bound tokens (e.g. MFA challenges) are not access tokens
+      if (!payload || payload.purpose) {
+        throw this.createError(
+          "INVALID_TOKEN",
+          "Invalid or expired token",
+          401
+        );
+      }
+
+      const sessionCreatedAt = payload.sessionCreatedAt ?? payload.iat * 1000;
+
+      // Stateless mode - get user data from token or memory
+      if (this.statelessMode) {
+        let storedSession = await this.ensureSessionActive(
+          payload.sessionId,
+          payload.userId,
+          sessionCreatedAt
+        );
+        if (storedSession) {
+          storedSession = await this.recordActivity(storedSession);
+        }
+
+        let userWithoutPassword: User;
+        const user = this.statelessUsers.get(payload.userId);
+
+        // Tokens limited to tokenUserFields carry a partial user, so the
+        // copy in memory wins when there is one
+        if (payload.userData && !(this.tokenUserFields && user)) {
+          // User data is embedded in token
+          userWithoutPassword = payload.userData;
+        } else {
+          // Fall back to memory storage
+          if (!user) {
+            throw this.createError("USER_NOT_FOUND", "User not found", 404);
+          }
+          userWithoutPassword = this.sanitizeUser(user);
+        }
+
+        const session: Session = {
+          sessionId: payload.sessionId,
+          userId: payload.userId,
+          user: userWithoutPassword,
+          expiresAt:
+            storedSession?.expiresAt ??
+            payload.sessionExpiresAt ??
+            payload.exp * 1000,
+          createdAt: sessionCreatedAt,
+          lastActivity: storedSession?.lastActivity ?? Date.now(),
+          ...readImpersonator(payload),
+          ...readOrganization(payload),
+          ...(storedSession && {
+            ip: storedSession.ip,
+            userAgent: storedSession.userAgent,
+            device: storedSession.device,
+          }),
+        };
+
+        return {
+          success: true,
+          data: session,
+        };
+      }
+
+      // Database mode
+      if (!this.database) {
+        throw this.createError(
+          "NO_DATABASE",
+          "Database adapter not configured",
+          500
+        );
+      }
+
+      let storedSession = await this.ensureSessionActive(
+        payload.sessionId,
+        payload.userId,
+        sessionCreatedAt
+      );
+      if (storedSession) {
+        storedSession = await this.recordActivity(storedSession);
+      }
+
+      const user = await this.database.findUserById(payload.userId);
+      if (!user) {
+        throw this.createError("USER_NOT_FOUND", "User not found", 404);
+      }
+
+      const userWithoutPassword = this.sanitizeUser(user);
+
+      const session: Session = {
+        sessionId: payload.sessionId,
+        userId: user.id,
+        user: userWithoutPassword,
+        expiresAt:
+          storedSession?.expiresAt ??
+          payload.sessionExpiresAt ??
+          payload.exp * 1000,
+        createdAt: storedSession?.createdAt ?? sessionCreatedAt,
+        lastActivity: storedSession?.lastActivity ?? Date.now(),
+        ...readImpersonator(payload),
+        ...readOrganization(payload),
+        ...(storedSession && {
+          ip: storedSession.ip,
+          userAgent: storedSession.userAgent,
+          device: storedSession.device,
+        }),
+      };
+
+      return {
+        success: true,
+        data: session,
+      };
+    } catch (error: any) {
+      return {
+        success: false,
+        error: this.normalizeError(error),
+      };
+    }
+  }
+
+  /**
+   * Exchange a refresh token for a new access token.
+   * Refresh tokens are rotated on every use; replaying one that was already
+   * used revokes its whole family, signing out both the attacker and the
+   * legitimate holder.
+   */
+  async refreshSession(
+    refreshToken: string
+  ): Promise<AuthResponse<AuthResult>> {
+    try {
+      const record = refreshToken
+        ? await this.findRefreshToken(this.hashToken(refreshToken))
+        : null;
+      if (!record) {
+        throw this.createError(
+          "INVALID_REFRESH_TOKEN",
+          "Invalid refresh token",
+          401
+        );
+      }
+
+      // Reuse detection
+      if (record.usedAt || record.revokedAt) {
+        throw await this.handleRefreshTokenReuse(record);
+      }
+
+      if (Date.now() >= record.expiresAt) {
+        throw this.createError(
+          "REFRESH_TOKEN_EXPIRED",
+          "Refresh token has expired",
+          401
+        );
+      }
+
+      // A concurrent request with the same token counts as reuse too
+      const now = Date.now();
+      if (!(await this.markRefreshTokenUsed(record.id, now))) {
+        throw await this.handleRefreshTokenReuse(record);
+      }
+
+      // Refreshing checks the idle timeout but is not activity itself -
+      // clients refresh on a timer whether or not the user is there
+      let storedSession: Session | null;
+      try {
+        storedSession = await this.ensureSessionActive(
+          record.sessionId,
+          record.userId,
+          record.createdAt
+        );
+      } catch (error) {
+        await this.revokeRefreshTokenFamily(record.familyId);
+        throw error;
+      }
+
+      const user = await this.findUserById(record.userId);
+      if (!user) {
+        await this.revokeRefreshTokenFamily(record.familyId);
+        throw this.createError("USER_NOT_FOUND", "User not found", 404);
+      }
+
+      // Sliding renewal carries over through the stored session
+      const session: Session = {
+        sessionId: record.sessionId,
+        userId: user.id,
+        user: this.sanitizeUser(user),
+        expiresAt: storedSession?.expiresAt ?? record.expiresAt,
+        createdAt: record.createdAt,
+        lastActivity: storedSession?.lastActivity ?? now,
+        ...(storedSession && {
+          ip: storedSession.ip,
+          userAgent: storedSession.userAgent,
+          device: storedSession.device,
+        }),
+        ...(record.impersonator && { impersonator: record.impersonator }),
+      };
+      // Membership changes (or removal) take effect here
+      if (record.organizationId) {
+        const organization = await this.loadActiveOrganization(
+          record.organizationId,
+          user.id
+        );
+        if (organization) session.organization = organization;
+      }
+
+      const result = await this.issueTokens(session, record.familyId);
+
+      // Reuse detection or a sign-out while this ran revoked the family,
+      // perhaps before the new token was saved - make sure it is included
+      const current = await this.findRefreshToken(record.tokenHash);
+      if (!current || current.revokedAt) {
+        await this.revokeRefreshTokenFamily(record.familyId);
+        throw this.createError(
+          "SESSION_REVOKED",
+          "Session has been revoked",
+          401
+        );
+      }
+
+      return {
+        success: true,
+        data: result,
+      };
+    } catch (error: any) {
+      return {
+        success: false,
+        error: this.normalizeError(error),
+      };
+    }
+  }
+
+  /**
+   * Sign out (invalidate session)
+   */
+  async signOut(
+    sessionId: string,
+    context: RequestContext = {}
+  ): Promise<AuthResponse<void>> {
+    try {
+      await this.endSession(sessionId);
+
+      await this.audit("sign_out", "success", { sessionId }, context);
+      await this.runAfterHooks("onSessionRevoked", {
+        reason: "sign_out",
+        sessionId,
+      });
+
+      return { success: true };
+    } catch (error: any) {
+      return {
+        success: false,
+        error: this.normalizeError(error),
+      };
+    }
+  }
+
+  /**
+   * Sign in as another user, e.g. for support staff reproducing an issue.
+   * The admin (identified by their access token) needs one of the
+   * configured impersonation roles or permissions. The new session carries
+   * the admin in session.impersonator and the token's `act` claim, and
+   * lasts impersonation.duration without being extended.
+   */
+  async impersonate(
+    adminSessionToken: string,
+    targetUserId: string,
+    context: RequestContext = {}
+  ): Promise<AuthResponse<AuthResult>> {
+    try {
+      const impersonation = this.requireImpersonationConfig();
+
+      const current = await this.getSession(adminSessionToken);
+      if (!current.success) {
+        throw current.error;
+      }
+      if (current.data!.impersonator) {
+        throw this.createError(
+          "IMPERSONATION_FORBIDDEN",
+          "Stop impersonating before switching to another user",
+          403,
+          undefined,
+          "IMPERSONATION_FORBIDDEN.nested"
+        );
+      }
+
+      const admin = await this.findUserById(current.data!.userId);
+      if (!admin || !this.canImpersonate(admin, impersonation)) {
+        throw this.createError(
+          "IMPERSONATION_FORBIDDEN",
+          "You are not allowed to impersonate users",
+          403
+        );
+      }
+
+      const target = await this.findUserById(targetUserId);
+      if (!target) {
+        throw this.createError("USER_NOT_FOUND", "User not found", 404);
+      }
+      // Impersonating another admin would hand over their privileges
+      if (
+        target.id === admin.id ||
+        this.canImpersonate(target, impersonation)
+      ) {
+        throw this.createError(
+          "IMPERSONATION_FORBIDDEN",
+          "This user cannot be impersonated",
+          403,
+          undefined,
+          "IMPERSONATION_FORBIDDEN.target"
+        );
+      }
+
+      const session = await this.createSession(
+        target.id,
+        this.sanitizeUser(target),
+        context,
+        {
+          expiresAt: Date.now() + impersonation.duration,
+          impersonator: {
+            userId: admin.id,
+            email: admin.email,
+            sessionId: current.data!.sessionId,
+          },
+        }
+      );
+      const result = await this.issueTokens(session, session.sessionId);
+
+      await this.audit(
+        "impersonation_started",
+        "success",
+        {
+          userId: admin.id,
+          sessionId: session.sessionId,
+          details: { targetUserId: target.id },
+        },
+        context
+      );
+
+      return {
+        success: true,
+        data: result,
+      };
+    } catch (error: any) {
+      const authError = this.normalizeError(error);
+      await this.audit(
+        "impersonation_started",
+        "failure",
+        { errorCode: authError.code, details: { targetUserId } },
+        context
+      );
+      return {
+        success: false,
+        error: authError,
+      };
+    }
+  }
+
+  /**
+   * End an impersonation session and issue new tokens for the admin's own
+   * session, which stays signed in meanwhile
+   */
+  async stopImpersonation(
+    token: string,
+    context: RequestContext = {}
+  ): Promise<AuthResponse<AuthResult>> {
+    try {
+      const current = await this.getSession(token);
+      if (!current.success) {
+        throw current.error;
+      }
+      const { sessionId, userId, impersonator } = current.data!;
+      if (!impersonator) {
+        throw this.createError(
+          "NOT_IMPERSONATING",
+          "This session is not impersonating a user",
+          400
+        );
+      }
+
+      await this.endSession(sessionId);
+      await this.audit(
+        "impersonation_stopped",
+        "success",
+        {
+          userId: impersonator.userId,
+          sessionId,
+          details: { targetUserId: userId },
+        },
+        context
+      );
+      await this.runAfterHooks("onSessionRevoked", {
+        reason: "impersonation_stopped",
+        sessionId,
+        userId,
+      });
+
+      const adminSession = await this.findSession(impersonator.sessionId);
+      if (!adminSession || adminSession.userId !== impersonator.userId) {
+        throw this.createError(
+          "SESSION_REVOKED",
+          "Your session has ended. Please sign in again.",
+          401,
+          undefined,
+          "SESSION_REVOKED.ended"
+        );
+      }
+      await this.ensureSessionActive(
+        adminSession.sessionId,
+        adminSession.userId,
+        adminSession.createdAt
+      );
+
+      const admin = await this.findUserById(adminSession.userId);
+      if (!admin) {
+        throw this.createError("USER_NOT_FOUND", "User not found", 404);
+      }
+
+      return {
+        success: true,
+        data: await this.reissueTokens({
+          ...adminSession,
+          user: this.sanitizeUser(admin),
+        }),
+      };
+    } catch (error: any) {
+      return {
+        success: false,
+        error: this.normalizeError(error),
+      };
+    }
+  }
+
+  /**
+   * Create an organization. The creator becomes its first member with the
+   * configured owner roles.
+   */
+  async createOrganization(
+    userId: string,
+    data: {
+      name: string;
+      slug?: string;
+      metadata?: Record<string, any>;
+      assignableRoles?: string[];
+    },
+    context: RequestContext = {}
+  ): Promise<
+    AuthResponse<{ organization: Organization; membership: Membership }>
+  > {
+    try {
+      const { ownerRoles, assignableRoles } = this.requireOrganizationConfig();
+      if (!data?.name?.trim()) {
+        throw this.createError(
+          "INVALID_ORGANIZATION",
+          "Organization name is required",
+          400
+        );
+      }
+      if (data.assignableRoles) {
+        this.assertAssignableRoles(assignableRoles, data.assignableRoles);
+      }
+      if (!(await this.findUserById(userId))) {
+        throw this.createError("USER_NOT_FOUND", "User not found", 404);
+      }
+
+      const now = Date.now();
+      const organization: Organization = {
+        id: nanoid(),
+        name: data.name.trim(),
+        ...(data.slug && { slug: data.slug }),
+        ...(data.metadata && { metadata: data.metadata }),
+        ...(data.assignableRoles && {
+          assignableRoles: [
+            ...new Set([...data.assignableRoles, ...ownerRoles]),
+          ],
+        }),
+        createdAt: now,
+      };
+      await this.saveOrganization(organization);
+
+      const membership: Membership = {
+        id: nanoid(),
+        organizationId: organization.id,
+        userId,
+        roles: [...ownerRoles],
+        permissions: [],
+        createdAt: now,
+      };
+      await this.saveMembership(membership);
+
+      await this.audit(
+        "organization_created",
+        "success",
+        { userId, details: { organizationId: organization.id } },
+        context
+      );
+
+      return {
+        success: true,
+        data: { organization, membership },
+      };
+    } catch (error: any) {
+      return {
+        success: false,
+        error: this.normalizeError(error),
+      };
+    }
+  }
+
+  /**
+   * Organizations a user belongs to, with their membership in each
+   */
+  async listOrganizations(
+    userId: string
+  ): Promise<
+    AuthResponse<Array<{ organization: Organization; membership: Membership }>>
+  > {
+    try {
+      this.requireOrganizationConfig();
+      const memberships = await this.findUserMemberships(userId);
+      const results: Array<{
+        organization: Organization;
+        membership: Membership;
+      }> = [];
+      for (const membership of memberships) {
+        const organization = await this.findOrganization(
+          membership.organizationId
+        );
+        if (organization) results.push({ organization, membership });
+      }
+
+      return {
+        success: true,
+        data: results,
+      };
+    } catch (error: any) {
+      return {
+        success: false,
+        error: this.normalizeError(error),
+      };
+    }
+  }
+
+  /**
+   * Members of an organization - any member may list them
+   */
+  async listMembers(
+    actorId: string,
+    organizationId: string
+  ): Promise<
+    AuthResponse<
+      Array<{
+        membership: Membership;
+        user: Pick<User, "id" | "email" | "name" | "image"> | null;
+      }>
+    >
+  > {
+    try {
+      this.requireOrganizationConfig();
+      await this.requireMembership(organizationId, actorId);
+
+      const memberships = await this.findOrganizationMemberships(
+        organizationId
+      );
+      const members = [];
+      for (const membership of memberships) {
+        const user = await this.findUserById(membership.userId);
+        members.push({
+          membership,
+          user: user
+            ? {
+                id: user.id,
+                email: user.email,
+                name: user.name,
+                image: user.image,
+              }
+            : null,
+        });
+      }
+
+      return {
+        success: true,
+        data: members,
+      };
+    } catch (error: any) {
+      return {
+        success: false,
+        error: this.normalizeError(error),
+      };
+    }
+  }
+
+  /**
+   * Email an invitation to join an organization. Only managers may invite,
+   * only owners may invite owners, and managers can only grant permissions
+   * they hold in the organization. The link is bound to the address.
+   */
+  async inviteMember(
+    actorId: string,
+    organizationId: string,
+    email: string,
+    options: { roles?: string[]; permissions?: string[] } = {},
+    context: RequestContext = {}
+  ): Promise<AuthResponse<OrganizationInvitation>> {
+    try {
+      const organizations = this.requireOrganizationConfig();
+      if (!this.mailer) {
+        throw this.createError("NO_MAILER", "Mailer not configured", 500);
+      }
+      if (!email || !email.includes("@")) {
+        throw this.createError("INVALID_EMAIL", "Invalid email address", 400);
+      }
+
+      const roles = options.roles ?? ["member"];
+      const permissions = options.permissions ?? [];
+      const actor = await this.requireManager(organizationId, actorId);
+      this.assertCanManageOwners(actor, roles);
+      this.assertGrantablePermissions(actor, permissions);
+
+      const organization = await this.findOrganization(organizationId);
+      if (!organization) {
+        throw this.createError(
+          "ORGANIZATION_NOT_FOUND",
+          "Organization not found",
+          404
+        );
+      }
+      this.assertAssignableRoles(
+        organization.assignableRoles ?? organizations.assignableRoles,
+        roles
+      );
+      const existingUser = await this.findUserByEmail(email);
+      if (
+        existingUser &&
+        (await this.findMembership(organizationId, existingUser.id))
+      ) {
+        throw this.createError(
+          "ALREADY_MEMBER",
+          "This user is already a member of the organization",
+          400
+        );
+      }
+
+      const token = nanoid(32);
+      const now = Date.now();
+      const invitation: OrganizationInvitation = {
+        id: nanoid(),
+        tokenHash: this.hashToken(token),
+        organizationId,
+        email,
+        roles,
+        permissions,
+        invitedBy: actorId,
+        expiresAt: now + organizations.invitationDuration,
+        createdAt: now,
+      };
+      await this.saveInvitation(invitation);
+
+      const inviter = await this.findUserById(actorId);
+      const url = appendToken(organizations.invitationUrl, token);
+      this.sendMail({
+        to: email,
+        subject: `You're invited to join ${organization.name}`,
+        text: url
+          ? `${
+              inviter?.name || inviter?.email || "A teammate"
+            } invited you to join ${
+              organization.name
+            }. Accept by opening this link: ${url}`
+          : `Your invitation code for ${organization.name} is: ${token}`,
+        template: "organization_invitation",
+        data: {
+          token,
+          url,
+          organizationName: organization.name,
+          invitedBy: inviter?.email,
+          expiresIn: organizations.invitationDuration,
+        },
+      });
+
+      await this.audit(
+        "member_invited",
+        "success",
+        { userId: actorId, details: { organizationId, email, roles } },
+        context
+      );
+
+      return {
+        success: true,
+        data: invitation,
+      };
+    } catch (error: any) {
+      return {
+        success: false,
+        error: this.normalizeError(error),
+      };
+    }
+  }
+
+  /**
+   * Pending invitations of an organization (managers only)
+   */
+  async listInvitations(
+    actorId: string,
+    organizationId: string
+  ): Promise<AuthResponse<OrganizationInvitation[]>> {
+    try {
+      this.requireOrganizationConfig();
+      await this.requireManager(organizationId, actorId);
+
+      const now = Date.now();
+      const invitations = await this.findOrganizationInvitations(
+        organizationId
+      );
+      return {
+        success: true,
+        data: invitations.filter((invitation) => now < invitation.expiresAt),
+      };
+    } catch (error: any) {
+      return {
+        success: false,
+        error: this.normalizeError(error),
+      };
+    }
+  }
+
+  /**
+   * Cancel a pending invitation (managers only)
+   */
+  async revokeInvitation(
+    actorId: string,
+    organizationId: string,
+    invitationId: string
+  ): Promise<AuthResponse<void>> {
+    try {
+      this.requireOrganizationConfig();
+      await this.requireManager(organizationId, actorId);
+
+      const invitations = await this.findOrganizationInvitations(
+        organizationId
+      );
+      const invitation = invitations.find((i) => i.id === invitationId);
+      if (!invitation) {
+        throw this.createError(
+          "INVITATION_NOT_FOUND",
+          "Invitation not found",
+          404
+        );
+      }
+      await this.deleteInvitation(invitation);
+
+      return { success: true };
+    } catch (error: any) {
+      return {
+        success: false,
+        error: this.normalizeError(error),
+      };
+    }
+  }
+
+  /**
+   * Join an organization with the token from an invitation email. The
+   * signed-in user's email must match the invited address.
+   */
+  async acceptInvitation(
+    token: string,
+    userId: string,
+    context: RequestContext = {}
+  ): Promise<
+    AuthResponse<{ organization: Organization; membership: Membership }>
+  > {
+    try {
+      this.requireOrganizationConfig();
+      const invitation = token
+        ? await this.findInvitation(this.hashToken(token))
+        : null;
+      const organization =
+        invitation && Date.now() < invitation.expiresAt
+          ? await this.findOrganization(invitation.organizationId)
+          : null;
+      if (!invitation || !organization) {
+        throw this.createError(
+          "INVALID_INVITATION",
+          "Invalid or expired invitation",
+          400
+        );
+      }
+
+      const user = await this.findUserById(userId);
+      if (!user) {
+        throw this.createError("USER_NOT_FOUND", "User not found", 404);
+      }
+      if (user.email.toLowerCase() !== invitation.email.toLowerCase()) {
+        throw this.createError(
+          "INVITATION_EMAIL_MISMATCH",
+          "This invitation was sent to a different email address",
+          403
+        );
+      }
+
+      let membership = await this.findMembership(organization.id, user.id);
+      if (!membership) {
+        membership = {
+          id: nanoid(),
+          organizationId: organization.id,
+          userId: user.id,
+          roles: invitation.roles,
+          permissions: invitation.permissions,
+          createdAt: Date.now(),
+        };
+        await this.saveMembership(membership);
+
+        await this.audit(
+          "member_joined",
+          "success",
+          {
+            userId: user.id,
+            details: {
+              organizationId: organization.id,
+              invitedBy: invitation.invitedBy,
+            },
+          },
+          context
+        );
+      }
+      await this.deleteInvitation(invitation);
+
+      return {
+        success: true,
+        data: { organization, membership },
+      };
+    } catch (error: any) {
+      return {
+        success: false,
+        error: this.normalizeError(error),
+      };
+    }
+  }
+
+  /**
+   * Change a member's roles or permissions (managers only). Only owners
+   * may change owners or grant owner roles, and the last owner stays one.
+   * Roles must be on the organization's allowlist, managers can only grant
+   * permissions they hold in the organization, and they can drop but never
+   * add their own roles or permissions. Active sessions pick up the change
+   * on their next refresh.
+   */
+  async updateMember(
+    actorId: string,
+    organizationId: string,
+    memberUserId: string,
+    data: { roles?: string[]; permissions?: string[] },
+    context: RequestContext = {}
+  ): Promise<AuthResponse<Membership>> {
+    try {
+      const organizations = this.requireOrganizationConfig();
+      const actor = await this.requireManager(organizationId, actorId);
+      const member = await this.findMembership(organizationId, memberUserId);
+      if (!member) {
+        throw this.createError("MEMBER_NOT_FOUND", "Member not found", 404);
+      }
+
+      const update: Partial<Membership> = {
+        ...(data.roles && { roles: data.roles }),
+        ...(data.permissions && { permissions: data.permissions }),
+      };
+      const updated = { ...member, ...update };
+      if (
+        actorId === memberUserId &&
+        (updated.roles.some((role) => !member.roles.includes(role)) ||
+          updated.permissions.some((p) => !member.permissions.includes(p)))
+      ) {
+        throw this.createError(
+          "ORGANIZATION_FORBIDDEN",
+          "You cannot raise your own roles or permissions",
+          403,
+          undefined,
+          "ORGANIZATION_FORBIDDEN.self"
+        );
+      }
+      if (data.roles) {
+        const organization = await this.findOrganization(organizationId);
+        this.assertAssignableRoles(
+          organization?.assignableRoles ?? organizations.assignableRoles,
+          data.roles
+        );
+      }
+      this.assertCanManageOwners(actor, [...member.roles, ...updated.roles]);
+      this.assertGrantablePermissions(
+        actor,
+        updated.permissions.filter((p) => !member.permissions.includes(p))
+      );
+      if (this.isOwner(member) && !this.isOwner(updated)) {
+        await this.assertNotLastOwner(organizationId);
+      }
+
+      await this.updateMembership(member.id, update);
+      await this.audit(
+        "member_updated",
+        "success",
+        {
+          userId: actorId,
+          details: {
+            organizationId,
+            memberUserId,
+            roles: updated.roles,
+            permissions: updated.permissions,
+          },
+        },
+        context
+      );
+
+      return {
+        success: true,
+        data: updated,
+      };
+    } catch (error: any) {
+      return {
+        success: false,
+        error: this.normalizeError(error),
+      };
+    }
+  }
+
+  /**
+   * Remove a member (managers only), or leave when actorId is the member.
+   * The last owner cannot be removed. Active sessions drop the organization
+   * on their next refresh.
+   */
+  async removeMember(
+    actorId: string,
+    organizationId: string,
+    memberUserId: string,
+    context: RequestContext = {}
+  ): Promise<AuthResponse<void>> {
+    try {
+      this.requireOrganizationConfig();
+      const member = await this.findMembership(organizationId, memberUserId);
+      if (actorId !== memberUserId) {
+        const actor = await this.requireManager(organizationId, actorId);
+        if (member) this.assertCanManageOwners(actor, member.roles);
+      }
+      if (!member) {
+        throw this.createError("MEMBER_NOT_FOUND", "Member not found", 404);
+      }
+      if (this.isOwner(member)) {
+        await this.assertNotLastOwner(organizationId);
+      }
+
+      await this.deleteMembership(member.id);
+      await this.audit(
+        "member_removed",
+        "success",
+        { userId: actorId, details: { organizationId, memberUserId } },
+        context
+      );
+
+      return { success: true };
+    } catch (error: any) {
+      return {
+        success: false,
+        error: this.normalizeError(error),
+      };
+    }
+  }
+
+  /**
+   * Make an organization active for the current session, or clear it with
+   * null. Returns new tokens whose `org` claim carries the membership roles
+   * and permissions.
+   */
+  async switchOrganization(
+    token: string,
+    organizationId: string | null
+  ): Promise<AuthResponse<AuthResult>> {
+    try {
+      this.requireOrganizationConfig();
+      const current = await this.getSession(token);
+      if (!current.success) {
+        throw current.error;
+      }
+
+      const session = current.data!;
+      let organization: ActiveOrganization | null = null;
+      if (organizationId) {
+        organization = await this.loadActiveOrganization(
+          organizationId,
+          session.userId
+        );
+        if (!organization) {
+          throw this.createError(
+            "NOT_A_MEMBER",
+            "You are not a member of this organization",
+            403
+          );
+        }
+      }
+
+      return {
+        success: true,
+        data: await this.reissueTokens({
+          ...session,
+          organization: organization ?? undefined,
+        }),
+      };
+    } catch (error: any) {
+      return {
+        success: false,
+        error: this.normalizeError(error),
+      };
+    }
+  }
+
+  /**
+   * Issue an API key for machine clients. The key is returned once and
+   * only its hash is stored. Scoped keys can only use permissions the user
+   * holds; without scopes the key acts with the user's full access.
+   */
+  async createApiKey(
+    userId: string,
+    options: { name: string; scopes?: string[]; expiresIn?: number },
+    context: RequestContext = {}
+  ): Promise<AuthResponse<{ key: string; apiKey: ApiKeyInfo }>> {
+    try {
+      if (!options?.name?.trim()) {
+        throw this.createError(
+          "INVALID_API_KEY_NAME",
+          "API key name is required",
+          400
+        );
+      }
+      const user = await this.findUserById(userId);
+      if (!user) {
+        throw this.createError("USER_NOT_FOUND", "User not found", 404);
+      }
+
+      const effective = this.sanitizeUser(user);
+      const invalidScopes = (options.scopes ?? []).filter(
+        (scope) => !this.hasPermission(effective, scope)
+      );
+      if (invalidScopes.length > 0) {
+        throw this.createError(
+          "INVALID_SCOPE",
+          "API key scopes must be permissions you have",
+          400,
+          { invalidScopes }
+        );
+      }
+
+      // The prefix is fixed-length, so it can be split off without a separator
+      const prefix = `${API_KEY_PREFIX}${nanoid(12)}`;
+      const key = `${prefix}${nanoid(32)}`;
+      const now = Date.now();
+      const apiKey: ApiKey = {
+        id: nanoid(),
+        userId,
+        name: options.name.trim(),
+        prefix,
+        keyHash: this.hashToken(key),
+        ...(options.scopes && { scopes: options.scopes }),
+        ...(options.expiresIn && { expiresAt: now + options.expiresIn }),
+        createdAt: now,
+      };
+      await this.saveApiKey(apiKey);
+
+      await this.audit(
+        "api_key_created",
+        "success",
+        {
+          userId,
+          details: { apiKeyId: apiKey.id, prefix, scopes: apiKey.scopes },
+        },
+        context
+      );
+
+      return {
+        success: true,
+        data: { key, apiKey: toApiKeyInfo(apiKey) },
+      };
+    } catch (error: any) {
+      return {
+        success: false,
+        error: this.normalizeError(error),
+      };
+    }
+  }
+
+  /**
+   * A user's active API keys, newest first
+   */
+  async listApiKeys(userId: string): Promise<AuthResponse<ApiKeyInfo[]>> {
+    try {
+      const now = Date.now();
+      const apiKeys = await this.findUserApiKeys(userId);
+      return {
+        success: true,
+        data: apiKeys
+          .filter(
+            (apiKey) =>
+              !apiKey.revokedAt && (!apiKey.expiresAt || now < apiKey.expiresAt)
+          )
+          .sort((a, b) => b.createdAt - a.createdAt)
+          .map(toApiKeyInfo),
+      };
+    } catch (error: any) {
+      return {
+        success: false,
+        error: this.normalizeError(error),
+      };
+    }
+  }
+
+  /**
+   * Revoke one of a user's API keys
+   */
+  async revokeApiKey(
+    userId: string,
+    apiKeyId: string,
+    context: RequestContext = {}
+  ): Promise<AuthResponse<void>> {
+    try {
+      const apiKey = (await this.findUserApiKeys(userId)).find(
+        (k) => k.id === apiKeyId && !k.revokedAt
+      );
+      if (!apiKey) {
+        throw this.createError("API_KEY_NOT_FOUND", "API key not found", 404);
+      }
+
+      await this.updateApiKey(apiKey.id, { revokedAt: Date.now() });
+      await this.audit(
+        "api_key_revoked",
+        "success",
+        { userId, details: { apiKeyId, prefix: apiKey.prefix } },
+        context
+      );
+
+      return { success: true };
+    } catch (error: any) {
+      return {
+        success: false,
+        error: this.normalizeError(error),
+      };
+    }
+  }
+
+  /**
+   * Authenticate a request made with an API key. Scoped keys get a user
+   * without roles whose permissions are the scopes the user still holds,
+   * so existing permission checks apply unchanged.
+   */
+  async verifyApiKey(key: string): Promise<AuthResponse<ApiKeySession>> {
+    try {
+      const apiKey = key?.startsWith(API_KEY_PREFIX)
+        ? await this.findApiKeyByPrefix(
+            key.slice(0, API_KEY_PREFIX.length + 12)
+          )
+        : null;
+      if (!apiKey || !safeEqual(apiKey.keyHash, this.hashToken(key))) {
+        throw this.createError("INVALID_API_KEY", "Invalid API key", 401);
+      }
+      if (apiKey.revokedAt) {
+        throw this.createError(
+          "API_KEY_REVOKED",
+          "API key has been revoked",
+          401
+        );
+      }
+      const now = Date.now();
+      if (apiKey.expiresAt && now >= apiKey.expiresAt) {
+        throw this.createError("API_KEY_EXPIRED", "API key has expired", 401);
+      }
+
+      const user = await this.findUserById(apiKey.userId);
+      if (!user) {
+        throw this.createError("USER_NOT_FOUND", "User not found", 404);
+      }
+
+      if (now - (apiKey.lastUsedAt ?? 0) >= API_KEY_USAGE_INTERVAL) {
+        apiKey.lastUsedAt = now;
+        await this.updateApiKey(apiKey.id, { lastUsedAt: now });
+      }
+
+      const effective = this.sanitizeUser(user);
+      return {
+        success: true,
+        data: {
+          user: apiKey.scopes
+            ? {
+                ...effective,
+                roles: [],
+                permissions: apiKey.scopes.filter((scope) =>
+                  this.hasPermission(effective, scope)
+                ),
+              }
+            : effective,
+          apiKey: toApiKeyInfo(apiKey),
+        },
+      };
+    } catch (error: any) {
+      return {
+        success: false,
+        error: this.normalizeError(error),
+      };
+    }
+  }
+
+  /**
+   * List a user's active sessions, most recently used first - for a
+   * "where you're signed in" page. Without an adapter findUserSessions
+   * method only sessions started since the server started are known.
+   */
+  async listUserSessions(userId: string): Promise<AuthResponse<Session[]>> {
+    try {
+      const stored = this.database?.findUserSessions
+        ? await this.database.findUserSessions(userId)
+        : Array.from(this.sessions.values()).filter(
+            (session) => session.userId === userId
+          );
+
+      const now = Date.now();
+      const revokedBefore = this.revokedUsers.get(userId);
+      const sessions = stored
+        .filter(
+          (session) =>
+            now < session.expiresAt &&
+            !this.revokedSessions.has(session.sessionId) &&
+            (revokedBefore === undefined || session.createdAt >= revokedBefore)
+        )
+        .sort((a, b) => b.lastActivity - a.lastActivity);
+
+      return {
+        success: true,
+        data: sessions,
+      };
+    } catch (error: any) {
+      return {
+        success: false,
+        error: this.normalizeError(error),
+      };
+    }
+  }
+
+  /**
+   * Sign out one of a user's sessions, e.g. a lost phone
+   */
+  async revokeSession(
+    userId: string,
+    sessionId: string,
+    context: RequestContext = {}
+  ): Promise<AuthResponse<void>> {
+    try {
+      // Only the owner may revoke a session, so unknown IDs and other
+      // users' sessions look the same
+      const session = await this.findSession(sessionId);
+      if (!session || session.userId !== userId) {
+        throw this.createError("SESSION_NOT_FOUND", "Session not found", 404);
+      }
+
+      await this.endSession(sessionId);
+
+      await this.audit(
+        "session_revoked",
+        "success",
+        { userId, sessionId },
+        context
+      );
+      await this.runAfterHooks("onSessionRevoked", {
+        reason: "revoke_session",
+        sessionId,
+        userId,
+      });
+
+      return { success: true };
+    } catch (error: any) {
+      return {
+        success: false,
+        error: this.normalizeError(error),
+      };
+    }
+  }
+
+  /**
+   * Sign out every session of a user except the current one
+   */
+  async revokeOtherSessions(
+    userId: string,
+    currentSessionId: string,
+    context: RequestContext = {}
+  ): Promise<AuthResponse<void>> {
+    try {
+      const listed = await this.listUserSessions(userId);
+      if (!listed.success) {
+        throw listed.error;
+      }
+
+      const others = listed.data!.filter(
+        (session) => session.sessionId !== currentSessionId
+      );
+      for (const session of others) {
+        await this.endSession(session.sessionId);
+      }
+
+      await this.audit(
+        "sessions_revoked",
+        "success",
+        {
+          userId,
+          details: { keptSessionId: currentSessionId, count: others.length },
+        },
+        context
+      );
+      for (const session of others) {
+        await this.runAfterHooks("onSessionRevoked", {
+          reason: "revoke_others",
+          sessionId: session.sessionId,
+          userId,
+        });
+      }
+
+      return { success: true };
+    } catch (error: any) {
+      return {
+        success: false,
+        error: this.normalizeError(error),
+      };
+    }
+  }
+
+  /**
+   * Revoke every session of a user ("log out everywhere")
+   */
+  async revokeUserSessions(
+    userId: string,
+    context: RequestContext = {}
+  ): Promise<AuthResponse<void>> {
+    try {
+      if (this.database?.deleteUserSessions) {
+        await this.database.deleteUserSessions(userId);
+      }
+
+      if (!this.database?.getSession || !this.database?.deleteUserSessions) {
+        this.pruneRevocations();
+        this.revokedUsers.set(userId, Date.now());
+      }
+      for (const [sessionId, session] of this.sessions.entries()) {
+        if (session.userId === userId) {
+          this.sessions.delete(sessionId);
+        }
+      }
+
+      await this.audit("sessions_revoked", "success", { userId }, context);
+      await this.runAfterHooks("onSessionRevoked", {
+        reason: "revoke_all",
+        userId,
+      });
+
+      return { success: true };
+    } catch (error: any) {
+      return {
+        success: false,
+        error: this.normalizeError(error),
+      };
+    }
+  }
+
+  /**
+   * Record an app-level audit event, e.g. a role change in your admin panel
+   */
+  async recordAuditEvent(
+    event: Omit<AuditEvent, "id" | "timestamp">
+  ): Promise<void> {
+    const { ip, userAgent, ...fields } = event;
+    await this.audit(event.type, event.outcome, fields, { ip, userAgent });
+  }
+
+  /**
+   * Query the audit log, newest first (for admin screens)
+   */
+  async listAuditEvents(
+    query: AuditEventQuery = {}
+  ): Promise<AuthResponse<AuditEvent[]>> {
+    try {
+      if (!this.auditSink?.query) {
+        throw this.createError(
+          "AUDIT_QUERY_UNSUPPORTED",
+          "The configured audit log cannot be queried",
+          500
+        );
+      }
+
+      return {
+        success: true,
+        data: await this.auditSink.query(query),
+      };
+    } catch (error: any) {
+      return {
+        success: false,
+        error: this.normalizeError(error),
+      };
+    }
+  }
+
+  /**
+   * Ensure a session has not been signed out, revoked, expired or left
+   * idle. The in-memory denylist is always consulted; when the adapter can
+   * look up sessions the stored session must also still exist.
+   */
+  private async ensureSessionActive(
+    sessionId: string,
+    userId: string,
+    createdAt: number
+  ): Promise<Session | null> {
+    const revokedBefore = this.revokedUsers.get(userId);
+    // Sessions started right after a revocation (e.g. by changePassword) in
+    // the same millisecond stay valid
+    if (
+      this.revokedSessions.has(sessionId) ||
+      (revokedBefore !== undefined && createdAt < revokedBefore)
+    ) {
+      throw this.createError(
+        "SESSION_REVOKED",
+        "Session has been revoked",
+        401
+      );
+    }
+
+    const stored = await this.findSession(sessionId);
+    if (!stored) {
+      // Server memory is lost on restart, so only the adapter can tell
+      if (!this.database?.getSession) {
+        return null;
+      }
+      throw this.createError(
+        "SESSION_REVOKED",
+        "Session has been revoked",
+        401
+      );
+    }
+
+    const now = Date.now();
+    if (now >= stored.expiresAt) {
+      throw this.createError("SESSION_EXPIRED", "Session has expired", 401);
+    }
+    if (
+      this.config.sessionIdleTimeout &&
+      now - stored.lastActivity >= this.config.sessionIdleTimeout
+    ) {
+      await this.endSession(sessionId);
+      await this.runAfterHooks("onSessionRevoked", {
+        reason: "idle_timeout",
+        sessionId,
+        userId,
+      });
+      throw this.createError(
+        "SESSION_IDLE_TIMEOUT",
+        "Session ended after a period of inactivity",
+        401
+      );
+    }
+    return stored;
+  }
+
+  /**
+   * Persist lastActivity, at most once per sessionActivityInterval, and
+   * move expiresAt forward when sliding sessions are enabled
+   */
+  private async recordActivity(session: Session): Promise<Session> {
+    const now = Date.now();
+    if (now - session.lastActivity < this.config.sessionActivityInterval) {
+      return session;
+    }
+
+    const data: Partial<Session> = {
+      lastActivity: now,
+      // Impersonation sessions keep their fixed duration
+      ...(this.config.slidingSessions &&
+        !session.impersonator && {
+          expiresAt: this.getSessionExpiry(session.createdAt, now),
+        }),
+    };
+    if (this.database?.getSession) {
+      await this.database.updateSession?.(session.sessionId, data);
+    } else {
+      this.sessions.set(session.sessionId, { ...session, ...data });
+    }
+    return { ...session, ...data };
+  }
+
+  /**
+   * Expiry of a session started at `createdAt` and last used at `usedAt` -
+   * sessionDuration after use, capped by sessionMaxLifetime
+   */
+  private getSessionExpiry(createdAt: number, usedAt: number): number {
+    const expiresAt = usedAt + this.config.sessionDuration;
+    return this.config.sessionMaxLifetime
+      ? Math.min(expiresAt, createdAt + this.config.sessionMaxLifetime)
+      : expiresAt;
+  }
+
+  /**
+   * Drop denylist entries that can no longer match a live session
+   */
+  private pruneRevocations(): void {
+    const now = Date.now();
+    for (const [sessionId, expiresAt] of this.revokedSessions.entries()) {
+      if (now >= expiresAt) {
+        this.revokedSessions.delete(sessionId);
+      }
+    }
+    for (const [userId, revokedAt] of this.revokedUsers.entries()) {
+      if (now >= revokedAt + this.config.sessionDuration) {
+        this.revokedUsers.delete(userId);
+      }
+    }
+  }
+
+  /**
+   * Create a session, recording the device it was started from
+   */
+  private async createSession(
+    userId: string,
+    user: User,
+    request: RequestContext = {},
+    overrides: Partial<Session> = {}
+  ): Promise<Session> {
+    const sessionId = nanoid();
+    const now = Date.now();
+    const session: Session = {
+      sessionId,
+      userId,
+      user,
+      expiresAt: this.getSessionExpiry(now, now),
+      createdAt: now,
       lastActivity: now,
+      ...(request.ip && { ip: request.ip }),
+      ...(request.userAgent && { userAgent: request.userAgent }),
+      device: getDeviceLabel(request.userAgent),
+      ...overrides,
+    };
+
+    if (!this.database?.findUserSessions) {
+      for (const [id, existing] of this.sessions.entries()) {
+        if (now >= existing.expiresAt) {
+          this.sessions.delete(id);
+        }
+      }
+      this.sessions.set(sessionId, session);
+    }
+
+    if (this.database?.createSession) {
+      return await this.database.createSession(userId, session);
+    }
+
+    return session;
+  }
+
+  /**
+   * Look up a stored session - through the adapter when it can, otherwise
+   * from server memory
+   */
+  private async findSession(sessionId: string): Promise<Session | null> {
+    if (this.database?.getSession) {
+      return this.database.getSession(sessionId);
+    }
+    return this.sessions.get(sessionId) || null;
+  }
+
+  /**
+   * Delete a session and its refresh tokens. The session is denylisted when
+   * the adapter cannot look sessions up.
+   */
+  private async endSession(sessionId: string): Promise<void> {
+    if (this.database?.deleteSession) {
+      await this.database.deleteSession(sessionId);
+    }
+    this.sessions.delete(sessionId);
+
+    await this.revokeRefreshTokenFamily(sessionId);
+
+    if (!this.database?.getSession || !this.database?.deleteSession) {
+      this.pruneRevocations();
+      this.revokedSessions.set(
+        sessionId,
+        Date.now() + this.config.sessionDuration
+      );
+    }
+  }
+
+  /**
+   * Create a session for a user and issue its first token pair.
+   * Every sign-in method ends here, so this is where sign-in hooks run.
+   */
+  private async startSession(
+    user: User,
+    method: SignInMethod,
+    request: RequestContext = {}
+  ): Promise<AuthResult> {
+    const context = { method, request };
+    const sanitizedUser = this.sanitizeUser(user);
+    // Hooks can only block the sign-in: they get a copy, and a returned
+    // value is dropped
+    await this.runBeforeHooks(
+      "beforeSignIn",
+      structuredClone(sanitizedUser),
+      context
+    );
+
+    const session = await this.createSession(user.id, sanitizedUser, request);
+    const result = await this.issueTokens(session, session.sessionId);
+
+    await this.audit(
+      "sign_in",
+      "success",
+      { userId: user.id, sessionId: session.sessionId, details: { method } },
+      request
+    );
+    await this.runAfterHooks("afterSignIn", result, context);
+    return result;
+  }
+
+  /**
+   * Issue a short-lived access token and a new refresh token for a session
+   */
+  private async issueTokens(
+    session: Session,
+    familyId: string
+  ): Promise<AuthResult> {
+    const now = Date.now();
+    const tokenExpiresAt = Math.min(
+      now + this.config.accessTokenDuration,
+      session.expiresAt
+    );
+
+    const claims = {
+      userId: session.userId,
+      sessionId: session.sessionId,
+      // Embed user data in token when there is no database to look it up
+      ...(this.statelessMode && { userData: this.toTokenUser(session.user) }),
+      sessionCreatedAt: session.createdAt,
+      sessionExpiresAt: session.expiresAt,
+      // Actor claim (RFC 8693) - who is really behind this session
+      ...(session.impersonator && {
+        act: {
+          sub: session.impersonator.userId,
+          email: session.impersonator.email,
+          sid: session.impersonator.sessionId,
+        },
+      }),
+      ...(session.organization && { org: session.organization }),
+      exp: Math.floor(tokenExpiresAt / 1000),
+      iat: Math.floor(now / 1000),
+    };
+    const customClaims = await this.runBeforeHooks(
+      "beforeTokenIssue",
+      { ...claims },
+      { user: session.user, session }
+    );
+    const token = this.generateToken({ ...customClaims, ...claims });
+
+    const refreshToken = nanoid(48);
+    await this.saveRefreshToken({
+      id: nanoid(),
+      tokenHash: this.hashToken(refreshToken),
+      familyId,
+      userId: session.userId,
+      sessionId: session.sessionId,
+      // Follows the session - rotation alone never extends it
+      expiresAt: session.expiresAt,
+      createdAt: session.createdAt,
+      ...(session.impersonator && { impersonator: session.impersonator }),
+      ...(session.organization && {
+        organizationId: session.organization.id,
+      }),
+    });
+
+    return {
+      user: session.user,
+      token,
+      tokenExpiresAt,
+      refreshToken,
+      session,
+    };
+  }
+
+  /**
+   * Issue a new pair for a session that already has one. The family's
+   * earlier refresh tokens are retired first, so presenting one later
+   * counts as reuse instead of keeping a second copy of the session alive.
+   */
+  private async reissueTokens(session: Session): Promise<AuthResult> {
+    await this.revokeRefreshTokenFamily(session.sessionId);
+    return this.issueTokens(session, session.sessionId);
+  }
+
+  /**
+   * The user as embedded in stateless tokens - only the tokenUserFields
+   * allowlist (plus the ID) when one is configured
+   */
+  private toTokenUser(user: User): Partial<User> {
+    if (!this.tokenUserFields) return user;
+    const embedded: Partial<User> = { id: user.id };
+    for (const field of this.tokenUserFields) {
+      if (user[field] !== undefined) {
+        (embedded as any)[field] = user[field];
+      }
+    }
+    return embedded;
+  }
+
+  /**
+   * Hash an opaque token for storage
+   */
+  private hashToken(token: string): string {
+    return createHash("sha256").update(token).digest("hex");
+  }
+
+  /**
+   * Refresh token storage - uses the adapter when it supports refresh
+   * tokens, otherwise falls back to server memory
+   */
+  private async saveRefreshToken(record: RefreshTokenRecord): Promise<void> {
+    if (this.database?.createRefreshToken) {
+      await this.database.createRefreshToken(record);
+      return;
+    }
+    this.refreshTokens.set(record.tokenHash, record);
+  }
+
+  private async findRefreshToken(
+    tokenHash: string
+  ): Promise<RefreshTokenRecord | null> {
+    if (this.database?.findRefreshToken) {
+      return this.database.findRefreshToken(tokenHash);
+    }
+    return this.refreshTokens.get(tokenHash) || null;
+  }
+
+  /**
+   * Mark a refresh token used unless it already is (or was revoked), in one
+   * step. Adapters without markRefreshTokenUsed cannot do this atomically.
+   */
+  private async markRefreshTokenUsed(
+    id: string,
+    usedAt: number
+  ): Promise<boolean> {
+    if (this.database?.markRefreshTokenUsed) {
+      return this.database.markRefreshTokenUsed(id, usedAt);
+    }
+    if (this.database?.updateRefreshToken) {
+      await this.database.updateRefreshToken(id, { usedAt });
+      return true;
+    }
+    for (const [tokenHash, record] of this.refreshTokens.entries()) {
+      if (record.id === id) {
+        if (record.usedAt || record.revokedAt) return false;
+        this.refreshTokens.set(tokenHash, { ...record, usedAt });
+        return true;
+      }
+    }
+    return false;
+  }
+
+  /**
+   * A used or revoked refresh token came back, so it may have been stolen -
+   * revoke its whole family and return the error to throw
+   */
+  private async handleRefreshTokenReuse(
+    record: RefreshTokenRecord
+  ): Promise<AuthError> {
+    await this.revokeRefreshTokenFamily(record.familyId);
+    await this.audit("refresh_token_reused", "failure", {
+      userId: record.userId,
+      sessionId: record.sessionId,
+      errorCode: "REFRESH_TOKEN_REUSED",
+    });
+    await this.runAfterHooks("onSessionRevoked", {
+      reason: "refresh_token_reused",
+      sessionId: record.sessionId,
+      userId: record.userId,
+    });
+    return this.createError(
+      "REFRESH_TOKEN_REUSED",
+      "Refresh token has already been used",
+      401
+    );
+  }
+
+  private async revokeRefreshTokenFamily(familyId: string): Promise<void> {
+    if (this.database?.revokeRefreshTokenFamily) {
+      await this.database.revokeRefreshTokenFamily(familyId);
+      return;
+    }
+    const now = Date.now();
+    for (const [tokenHash, record] of this.refreshTokens.entries()) {
+      if (record.familyId === familyId && !record.revokedAt) {
+        this.refreshTokens.set(tokenHash, { ...record, revokedAt: now });
+      }
+    }
+  }
+
+  /**
+   * Reject passwords that fail the configured policy with WEAK_PASSWORD
+   */
+  private assertPasswordAllowed(
+    password: string,
+    user: { email?: string; name?: string }
+  ): void {
+    if (!this.passwordPolicy) return;
+
+    // New passwords are hashed by the first hasher, so its limit applies
+    const failedRules = checkPasswordPolicy(
+      password,
+      this.passwordPolicy,
+      user,
+      this.passwordHashers[0]
+    );
+    if (failedRules.length > 0) {
+      throw this.createError(
+        "WEAK_PASSWORD",
+        failedRules.map((failure) => failure.message).join(". "),
+        400,
+        { failedRules }
+      );
+    }
+  }
+
+  /**
+   * Check the password of a signed-in user again before a sensitive change.
+   * Wrong passwords count towards the same lockout as failed sign-ins.
+   */
+  private async reauthenticate(
+    userId: string,
+    password: string,
+    context: RequestContext
+  ): Promise<User> {
+    const user = await this.findUserById(userId);
+    if (!user) {
+      throw this.createError("USER_NOT_FOUND", "User not found", 404);
+    }
+
+    await this.checkBruteForce(user.email, context.ip);
+
+    const passwordHash = user.metadata?.password;
+    const isValid =
+      !!password &&
+      !!passwordHash &&
+      (await this.verifyPassword(password, passwordHash));
+    if (!isValid) {
+      await this.bruteForce?.recordFailure(user.email, context.ip);
+      throw this.createError(
+        "INVALID_CREDENTIALS",
+        "Current password is incorrect",
+        401,
+        undefined,
+        "INVALID_CREDENTIALS.currentPassword"
+      );
+    }
+
+    await this.bruteForce?.recordSuccess(user.email);
+    return user;
+  }
+
+  /**
+   * Refuse attempts against locked accounts or IPs, after applying the
+   * progressive delay for earlier failures
+   */
+  private async checkBruteForce(email: string, ip?: string): Promise<void> {
+    const lock = await this.bruteForce?.check(email, ip);
+    if (!lock) return;
+
+    if (lock.scope === "account") {
+      throw this.createError(
+        "ACCOUNT_LOCKED",
+        "Too many failed sign-in attempts. Please try again later.",
+        423,
+        { retryAfter: lock.retryAfter }
+      );
+    }
+    throw this.createError(
+      "TOO_MANY_ATTEMPTS",
+      "Too many failed sign-in attempts from this address. Please try again later.",
+      429,
+      { retryAfter: lock.retryAfter }
+    );
+  }
+
+  /**
+   * Build an MFA_REQUIRED error carrying a short-lived challenge token
+   */
+  private createMfaChallenge(user: User): AuthError {
+    const challengeToken = this.generateToken({
+      purpose: "mfa_challenge",
+      userId: user.id,
+      exp: Math.floor(Date.now() / 1000) + 5 * 60, // 5 minutes
+    });
+    return this.createError(
+      "MFA_REQUIRED",
+      "Two-factor authentication required",
+      401,
+      { challengeToken }
+    );
+  }
+
+  /**
+   * Write an audit event. A failing sink is logged but never fails the
+   * operation being audited.
+   */
+  private async audit(
+    type: string,
+    outcome: AuditEvent["outcome"],
+    fields: Omit<
+      AuditEvent,
+      "id" | "type" | "outcome" | "ip" | "userAgent" | "timestamp"
+    >,
+    context: RequestContext = {}
+  ): Promise<void> {
+    if (!this.auditSink) return;
+
+    const event: AuditEvent = {
+      id: nanoid(),
+      type,
+      outcome,
+      ...fields,
+      ...(context.ip && { ip: context.ip }),
+      ...(context.userAgent && { userAgent: context.userAgent }),
+      timestamp: Date.now(),
+    };
+    for (const key of Object.keys(event) as (keyof AuditEvent)[]) {
+      if (event[key] === undefined) delete event[key];
+    }
+
+    try {
+      await this.auditSink.write(event);
+    } catch (error) {
+      console.error("[Vista Auth] Failed to write audit event:", error);
+    }
+  }
+
+  /**
+   * Register a plugin's hooks and extra methods
+   */
+  private registerPlugin(plugin: AuthPlugin): void {
+    if (this.plugins.some((p) => p.name === plugin.name)) {
+      throw new Error(`[Vista Auth] Duplicate plugin: ${plugin.name}`);
+    }
+
+    for (const [name, method] of Object.entries(plugin.methods || {})) {
+      if (name in this) {
+        throw new Error(
+          `[Vista Auth] Plugin ${plugin.name} cannot add method "${name}": the name is already taken`
+        );
+      }
+      (this as any)[name] = (...args: any[]) => method(this, ...args);
+    }
+
+    this.plugins.push(plugin);
+  }
+
+  /**
+   * Run a 'before' hook of every plugin in order. A hook may return a
+   * replacement value; errors propagate so hooks can reject the operation.
+   */
+  private async runBeforeHooks<T>(
+    name: "beforeSignUp" | "beforeSignIn" | "beforeTokenIssue",
+    value: T,
+    context: any
+  ): Promise<T> {
+    for (const plugin of this.plugins) {
+      const hook = plugin.hooks?.[name] as
+        | ((value: T, context: any) => any)
+        | undefined;
+      if (!hook) continue;
+      const result = await hook(value, context);
+      if (result !== undefined) {
+        value = result;
+      }
+    }
+    return value;
+  }
+
+  /**
+   * Run a notification hook of every plugin in order. The operation has
+   * already happened, so failures are logged rather than returned.
+   */
+  private async runAfterHooks<
+    K extends "afterSignUp" | "afterSignIn" | "onSessionRevoked"
+  >(name: K, ...args: Parameters<NonNullable<AuthHooks[K]>>): Promise<void> {
+    for (const plugin of this.plugins) {
+      const hook = plugin.hooks?.[name] as
+        | ((...args: any[]) => any)
+        | undefined;
+      if (!hook) continue;
+      try {
+        await hook(...args);
+      } catch (error) {
+        console.error(
+          `[Vista Auth] ${name} hook of plugin ${plugin.name} failed:`,
+          error
+        );
+      }
+    }
+  }
+
+  private requirePasskeyConfig(): Required<PasskeyConfig> {
+    if (!this.passkeyConfig) {
+      throw this.createError(
+        "PASSKEYS_NOT_CONFIGURED",
+        "Passkeys are not configured",
+        500
+      );
+    }
+    return this.passkeyConfig;
+  }
+
+  private requireImpersonationConfig(): Required<ImpersonationConfig> {
+    if (!this.impersonationConfig) {
+      throw this.createError(
+        "IMPERSONATION_NOT_CONFIGURED",
+        "Impersonation is not configured",
+        500
+      );
+    }
+    return this.impersonationConfig;
+  }
+
+  private requireOrganizationConfig(): Required<OrganizationConfig> {
+    if (!this.organizationConfig) {
+      throw this.createError(
+        "ORGANIZATIONS_NOT_CONFIGURED",
+        "Organizations are not configured",
+        500
+      );
+    }
+    return this.organizationConfig;
+  }
+
+  private async requireMembership(
+    organizationId: string,
+    userId: string
+  ): Promise<Membership> {
+    const membership = await this.findMembership(organizationId, userId);
+    if (!membership) {
+      throw this.createError(
+        "NOT_A_MEMBER",
+        "You are not a member of this organization",
+        403
+      );
+    }
+    return membership;
+  }
+
+  private async requireManager(
+    organizationId: string,
+    userId: string
+  ): Promise<Membership> {
+    const membership = await this.requireMembership(organizationId, userId);
+    const { managerRoles } = this.requireOrganizationConfig();
+    if (
+      !managerRoles.some((role) => this.hasMembershipRole(membership, role))
+    ) {
+      throw this.createError(
+        "ORGANIZATION_FORBIDDEN",
+        "You cannot manage members of this organization",
+        403
+      );
+    }
+    return membership;
+  }
+
+  private isOwner(membership: Pick<Membership, "roles">): boolean {
+    const { ownerRoles } = this.requireOrganizationConfig();
+    return ownerRoles.some((role) => this.hasMembershipRole(membership, role));
+  }
+
+  /**
+   * Membership roles resolve through the registry's 'org:' entries, never
+   * the global roles of the same name
+   */
+  private hasMembershipRole(
+    membership: Pick<Membership, "roles">,
+    role: string
+  ): boolean {
+    return this.roles.hasRole(
+      { roles: toOrganizationScope(membership.roles) },
+      `${ORGANIZATION_SCOPE}${role}`
+    );
+  }
+
+  private assertAssignableRoles(allowed: string[], roles: string[]): void {
+    const invalidRoles = roles.filter((role) => !allowed.includes(role));
+    if (invalidRoles.length > 0) {
+      throw this.createError(
+        "INVALID_ROLE",
+        "These roles cannot be assigned in this organization",
+        400,
+        { invalidRoles }
+      );
+    }
+  }
+
+  /**
+   * Owner roles can only be granted, changed or taken away by owners
+   */
+  private assertCanManageOwners(actor: Membership, roles: string[]): void {
+    if (!this.isOwner(actor) && this.isOwner({ roles })) {
+      throw this.createError(
+        "ORGANIZATION_FORBIDDEN",
+        "Only owners can manage owners",
+        403,
+        undefined,
+        "ORGANIZATION_FORBIDDEN.owners"
+      );
+    }
+  }
+
+  /**
+   * Managers can only grant permissions they hold in the organization
+   * themselves, through their membership roles or permissions
+   */
+  private assertGrantablePermissions(
+    actor: Membership,
+    permissions: string[]
+  ): void {
+    const scoped = {
+      roles: toOrganizationScope(actor.roles),
+      permissions: toOrganizationScope(actor.permissions),
     };
+    const invalidPermissions = permissions.filter(
+      (permission) =>
+        !this.roles.hasPermission(scoped, `${ORGANIZATION_SCOPE}${permission}`)
+    );
+    if (invalidPermissions.length > 0) {
+      throw this.createError(
+        "ORGANIZATION_FORBIDDEN",
+        "You can only grant permissions you have",
+        403,
+        { invalidPermissions },
+        "ORGANIZATION_FORBIDDEN.permissions"
+      );
+    }
+  }
 
-    if (this.database?.createSession) {
-      return await this.database.createSession(userId, session);
+  private async assertNotLastOwner(organizationId: string): Promise<void> {
+    const memberships = await this.findOrganizationMemberships(organizationId);
+    if (memberships.filter((m) => this.isOwner(m)).length <= 1) {
+      throw this.createError(
+        "LAST_OWNER",
+        "An organization needs at least one owner",
+        400
+      );
     }
+  }
 
-    return session;
+  /**
+   * The session's view of a membership, or null when the user is not a
+   * member (anymore)
+   */
+  private async loadActiveOrganization(
+    organizationId: string,
+    userId: string
+  ): Promise<ActiveOrganization | null> {
+    const membership = await this.findMembership(organizationId, userId);
+    const organization = membership
+      ? await this.findOrganization(organizationId)
+      : null;
+    if (!membership || !organization) return null;
+    return {
+      id: organization.id,
+      name: organization.name,
+      roles: membership.roles,
+      permissions: membership.permissions,
+    };
+  }
+
+  /**
+   * Organization storage - uses the adapter when it supports
+   * organizations, otherwise falls back to server memory
+   */
+  private async saveOrganization(organization: Organization): Promise<void> {
+    if (this.database?.createOrganization) {
+      await this.database.createOrganization(organization);
+      return;
+    }
+    this.organizations.set(organization.id, organization);
+  }
+
+  private async findOrganization(id: string): Promise<Organization | null> {
+    if (this.database?.findOrganizationById) {
+      return this.database.findOrganizationById(id);
+    }
+    return this.organizations.get(id) || null;
+  }
+
+  private async saveMembership(membership: Membership): Promise<void> {
+    if (this.database?.createMembership) {
+      await this.database.createMembership(membership);
+      return;
+    }
+    this.memberships.set(membership.id, membership);
+  }
+
+  private async findMembership(
+    organizationId: string,
+    userId: string
+  ): Promise<Membership | null> {
+    if (!organizationId || !userId) return null;
+    if (this.database?.findMembership) {
+      return this.database.findMembership(organizationId, userId);
+    }
+    return (
+      Array.from(this.memberships.values()).find(
+        (m) => m.organizationId === organizationId && m.userId === userId
+      ) || null
+    );
+  }
+
+  private async findUserMemberships(userId: string): Promise<Membership[]> {
+    if (this.database?.findUserMemberships) {
+      return this.database.findUserMemberships(userId);
+    }
+    return Array.from(this.memberships.values()).filter(
+      (m) => m.userId === userId
+    );
+  }
+
+  private async findOrganizationMemberships(
+    organizationId: string
+  ): Promise<Membership[]> {
+    if (this.database?.findOrganizationMemberships) {
+      return this.database.findOrganizationMemberships(organizationId);
+    }
+    return Array.from(this.memberships.values()).filter(
+      (m) => m.organizationId === organizationId
+    );
+  }
+
+  private async updateMembership(
+    id: string,
+    data: Partial<Membership>
+  ): Promise<void> {
+    if (this.database?.updateMembership) {
+      await this.database.updateMembership(id, data);
+      return;
+    }
+    const membership = this.memberships.get(id);
+    if (membership) {
+      this.memberships.set(id, { ...membership, ...data });
+    }
+  }
+
+  private async deleteMembership(id: string): Promise<void> {
+    if (this.database?.deleteMembership) {
+      await this.database.deleteMembership(id);
+      return;
+    }
+    this.memberships.delete(id);
+  }
+
+  private async saveInvitation(
+    invitation: OrganizationInvitation
+  ): Promise<void> {
+    if (this.database?.createInvitation) {
+      await this.database.createInvitation(invitation);
+      return;
+    }
+    this.invitations.set(invitation.tokenHash, invitation);
+  }
+
+  private async findInvitation(
+    tokenHash: string
+  ): Promise<OrganizationInvitation | null> {
+    if (this.database?.findInvitation) {
+      return this.database.findInvitation(tokenHash);
+    }
+    return this.invitations.get(tokenHash) || null;
+  }
+
+  private async findOrganizationInvitations(
+    organizationId: string
+  ): Promise<OrganizationInvitation[]> {
+    if (this.database?.findOrganizationInvitations) {
+      return this.database.findOrganizationInvitations(organizationId);
+    }
+    return Array.from(this.invitations.values()).filter(
+      (i) => i.organizationId === organizationId
+    );
+  }
+
+  private async deleteInvitation(
+    invitation: OrganizationInvitation
+  ): Promise<void> {
+    if (this.database?.deleteInvitation) {
+      await this.database.deleteInvitation(invitation.id);
+      return;
+    }
+    this.invitations.delete(invitation.tokenHash);
+  }
+
+  /**
+   * Whether a user holds one of the impersonation roles or permissions.
+   * Roles are read as the user would get them, so restricted (unverified)
+   * accounts never qualify.
+   */
+  private canImpersonate(
+    user: User,
+    impersonation: Required<ImpersonationConfig>
+  ): boolean {
+    const effective = this.sanitizeUser(user);
+    return (
+      impersonation.roles.some((role) => this.hasRole(effective, role)) ||
+      impersonation.permissions.some((p) => this.hasPermission(effective, p))
+    );
+  }
+
+  /**
+   * API key storage - uses the adapter when it supports API keys,
+   * otherwise falls back to server memory
+   */
+  private async saveApiKey(apiKey: ApiKey): Promise<void> {
+    if (this.database?.createApiKey) {
+      await this.database.createApiKey(apiKey);
+      return;
+    }
+    this.apiKeys.set(apiKey.prefix, apiKey);
+  }
+
+  private async findApiKeyByPrefix(prefix: string): Promise<ApiKey | null> {
+    if (this.database?.findApiKeyByPrefix) {
+      return this.database.findApiKeyByPrefix(prefix);
+    }
+    return this.apiKeys.get(prefix) || null;
+  }
+
+  private async findUserApiKeys(userId: string): Promise<ApiKey[]> {
+    if (this.database?.findUserApiKeys) {
+      return this.database.findUserApiKeys(userId);
+    }
+    return Array.from(this.apiKeys.values()).filter(
+      (apiKey) => apiKey.userId === userId
+    );
+  }
+
+  private async updateApiKey(id: string, data: Partial<ApiKey>): Promise<void> {
+    if (this.database?.updateApiKey) {
+      await this.database.updateApiKey(id, data);
+      return;
+    }
+    for (const apiKey of this.apiKeys.values()) {
+      if (apiKey.id === id) Object.assign(apiKey, data);
+    }
+  }
+
+  /**
+   * Passkey storage - uses the adapter when it supports passkeys,
+   * otherwise falls back to server memory
+   */
+  private async savePasskey(passkey: PasskeyCredential): Promise<void> {
+    if (this.database?.createPasskey) {
+      await this.database.createPasskey(passkey);
+      return;
+    }
+    this.passkeys.set(passkey.id, passkey);
+  }
+
+  private async findPasskey(
+    credentialId: string
+  ): Promise<PasskeyCredential | null> {
+    if (!credentialId) return null;
+    if (this.database?.findPasskey) {
+      return this.database.findPasskey(credentialId);
+    }
+    return this.passkeys.get(credentialId) || null;
+  }
+
+  private async findUserPasskeys(userId: string): Promise<PasskeyCredential[]> {
+    if (this.database?.findUserPasskeys) {
+      return this.database.findUserPasskeys(userId);
+    }
+    return Array.from(this.passkeys.values()).filter(
+      (passkey) => passkey.userId === userId
+    );
+  }
+
+  private async updatePasskey(
+    credentialId: string,
+    data: Partial<PasskeyCredential>
+  ): Promise<void> {
+    if (this.database?.updatePasskey) {
+      await this.database.updatePasskey(credentialId, data);
+      return;
+    }
+    const passkey = this.passkeys.get(credentialId);
+    if (passkey) {
+      this.passkeys.set(credentialId, { ...passkey, ...data });
+    }
+  }
+
+  private requireOAuthProvider(providerId: string): OAuthProvider {
+    const provider = this.oauthProviders.get(providerId);
+    if (!provider) {
+      throw this.createError(
+        "UNKNOWN_PROVIDER",
+        `OAuth provider "${providerId}" is not configured`,
+        404,
+        { provider: providerId }
+      );
+    }
+    return provider;
+  }
+
+  /**
+   * Find the user linked to a provider account, linking or creating one
+   * on first sign-in
+   */
+  private async resolveOAuthUser(
+    provider: OAuthProvider,
+    profile: OAuthProfile,
+    context: RequestContext
+  ): Promise<User> {
+    const linkedUser = await this.findUserByAccount(provider.id, profile.id);
+    if (linkedUser) {
+      return linkedUser;
+    }
+
+    if (!profile.email) {
+      throw this.createError(
+        "OAUTH_EMAIL_REQUIRED",
+        `${provider.name} did not share an email address`,
+        400,
+        { provider: provider.name }
+      );
+    }
+
+    let user = await this.findUserByEmail(profile.email);
+    if (user) {
+      // Linking on an unverified email would let anyone who registers the
+      // address at the provider take over the account
+      if (!profile.emailVerified) {
+        throw this.createError(
+          "OAUTH_ACCOUNT_NOT_LINKED",
+          "An account with this email already exists. Sign in with your password to continue.",
+          409
+        );
+      }
+      if (user.emailVerified === false) {
+        // The address was never confirmed, so whoever set the password may
+        // not own it - drop the password rather than share the account
+        const { password, ...metadata } = user.metadata || {};
+        user = await this.saveUser(user, { emailVerified: true, metadata });
+      }
+    } else {
+      const verifyEmail = this.config.emailVerification !== "off";
+      user = await this.createAccount(
+        { email: profile.email, name: profile.name, image: profile.image },
+        { ...(verifyEmail && { emailVerified: !!profile.emailVerified }) },
+        "oauth",
+        context
+      );
+      if (verifyEmail && !profile.emailVerified) {
+        await this.issueVerificationEmail(user);
+      }
+    }
+
+    await this.linkAccount(provider.id, profile.id, user.id);
+    return user;
+  }
+
+  /**
+   * Linked account storage - uses the adapter when it supports accounts,
+   * otherwise falls back to server memory
+   */
+  private async findUserByAccount(
+    provider: string,
+    providerAccountId: string
+  ): Promise<User | null> {
+    if (this.database?.findUserByAccount) {
+      return this.database.findUserByAccount(provider, providerAccountId);
+    }
+    const userId = this.linkedAccounts.get(`${provider}:${providerAccountId}`);
+    return userId ? this.findUserById(userId) : null;
+  }
+
+  private async linkAccount(
+    provider: string,
+    providerAccountId: string,
+    userId: string
+  ): Promise<void> {
+    if (this.database?.linkAccount) {
+      await this.database.linkAccount({
+        provider,
+        providerAccountId,
+        userId,
+        createdAt: Date.now(),
+      });
+      return;
+    }
+    this.linkedAccounts.set(`${provider}:${providerAccountId}`, userId);
+  }
+
+  /**
+   * Check a TOTP or recovery code and record its use so it cannot be
+   * replayed. Returns the updated user, or null when the code is invalid.
+   */
+  private async consumeMfaCode(user: User, code: string): Promise<User | null> {
+    const mfa = user.metadata?.mfa;
+    const normalized = normalizeMfaCode(code);
+
+    if (/^\d{6}$/.test(normalized)) {
+      const step = verifyTotp(mfa.secret, normalized);
+      if (step === null || step <= (mfa.lastUsedStep ?? -1)) {
+        return null;
+      }
+      return this.updateUserMetadata(user, {
+        mfa: { ...mfa, lastUsedStep: step },
+      });
+    }
+
+    const codeHash = this.hashToken(normalized);
+    const recoveryCodes: string[] = mfa.recoveryCodes || [];
+    if (!recoveryCodes.includes(codeHash)) {
+      return null;
+    }
+    return this.updateUserMetadata(user, {
+      mfa: {
+        ...mfa,
+        recoveryCodes: recoveryCodes.filter((c) => c !== codeHash),
+      },
+    });
+  }
+
+  /**
+   * Issue a single-use emailed token and store its hash
+   */
+  private async createVerificationToken(
+    purpose: string,
+    user: Pick<User, "id" | "email">,
+    duration: number
+  ): Promise<string> {
+    const token = nanoid(32);
+    const now = Date.now();
+    const record: VerificationToken = {
+      tokenHash: this.hashToken(token),
+      purpose,
+      userId: user.id,
+      identifier: user.email,
+      expiresAt: now + duration,
+      createdAt: now,
+    };
+
+    if (this.database?.createVerificationToken) {
+      await this.database.createVerificationToken(record);
+    } else {
+      for (const [tokenHash, existing] of this.verificationTokens.entries()) {
+        if (now >= existing.expiresAt) {
+          this.verificationTokens.delete(tokenHash);
+        }
+      }
+      this.verificationTokens.set(record.tokenHash, record);
+    }
+
+    return token;
+  }
+
+  /**
+   * Consume a single-use token. Returns null when it is unknown, expired or
+   * was issued for a different purpose.
+   */
+  private async useVerificationToken(
+    token: string,
+    purpose: string
+  ): Promise<VerificationToken | null> {
+    if (!token) return null;
+
+    const tokenHash = this.hashToken(token);
+    let record: VerificationToken | null;
+    if (this.database?.useVerificationToken) {
+      record = await this.database.useVerificationToken(tokenHash);
+    } else {
+      record = this.verificationTokens.get(tokenHash) || null;
+      this.verificationTokens.delete(tokenHash);
+    }
+
+    if (
+      !record ||
+      record.purpose !== purpose ||
+      Date.now() >= record.expiresAt
+    ) {
+      return null;
+    }
+    return record;
+  }
+
+  /**
+   * Issue a verification token and email the link to the user
+   */
+  private async issueVerificationEmail(user: User): Promise<void> {
+    if (!this.mailer) {
+      console.warn(
+        "[Vista Auth] Email verification is enabled but no mailer is configured."
+      );
+      return;
+    }
+
+    const now = Date.now();
+    for (const [email, sentAt] of this.verificationEmailsSent.entries()) {
+      if (now >= sentAt + this.config.verificationResendInterval) {
+        this.verificationEmailsSent.delete(email);
+      }
+    }
+    this.verificationEmailsSent.set(user.email, now);
+
+    const token = await this.createVerificationToken(
+      "email_verification",
+      user,
+      this.config.emailVerificationTokenDuration
+    );
+    const url = appendToken(this.emailVerificationUrl, token);
+
+    this.sendMail({
+      to: user.email,
+      subject: "Verify your email address",
+      text: url
+        ? `Confirm your email address by opening this link: ${url}`
+        : `Your email verification code is: ${token}`,
+      template: "email_verification",
+      data: {
+        token,
+        url,
+        expiresIn: this.config.emailVerificationTokenDuration,
+      },
+    });
+  }
+
+  private createEmailNotVerifiedError(user: User): AuthError {
+    return this.createError(
+      "EMAIL_NOT_VERIFIED",
+      "Please verify your email address before signing in",
+      403,
+      { email: user.email }
+    );
+  }
+
+  /**
+   * Deliver an email without letting delivery failures reach the caller
+   */
+  private sendMail(message: MailMessage): void {
+    this.mailer?.send(message).catch((error) => {
+      console.error("[Vista Auth] Failed to send email:", error);
+    });
+  }
+
+  /**
+   * Create a new account. Password sign-ups, magic links and OAuth all
+   * create users here, so every account runs the sign-up hooks and audit.
+   */
+  private async createAccount(
+    data: SignUpHookData,
+    fields: Partial<User>,
+    method: "password" | "magic_link" | "oauth",
+    context: RequestContext
+  ): Promise<User> {
+    const prepared = await this.runBeforeHooks("beforeSignUp", data, {
+      request: context,
+      method,
+    });
+    // Magic links and OAuth proved ownership of the original address
+    const email = method === "password" ? prepared.email : data.email;
+
+    // Check if user already exists
+    const existingUser = await this.findUserByEmail(email);
+    if (existingUser) {
+      throw this.createError(
+        "USER_EXISTS",
+        "User with this email already exists",
+        400
+      );
+    }
+
+    let password: string | undefined;
+    if (method === "password") {
+      this.assertPasswordAllowed(prepared.password ?? "", prepared);
+      password = await this.hashPassword(prepared.password ?? "");
+    }
+
+    const user = await this.insertUser({
+      id: nanoid(),
+      email,
+      name: prepared.name,
+      image: prepared.image,
+      roles: ["user"], // Default role
+      permissions: [],
+      ...fields,
+      metadata: {
+        ...prepared.metadata,
+        ...(password && { password }),
+      },
+    });
+
+    const verificationRequired =
+      method === "password" && this.config.emailVerification === "block";
+    await this.audit(
+      "sign_up",
+      "success",
+      {
+        userId: user.id,
+        email: user.email,
+        details: {
+          method,
+          ...(verificationRequired && { verificationRequired }),
+        },
+      },
+      context
+    );
+    await this.runAfterHooks("afterSignUp", this.sanitizeUser(user), {
+      request: context,
+      method,
+    });
+    return user;
+  }
+
+  /**
+   * User storage - in-memory in stateless mode, the adapter otherwise
+   */
+  private async findUserByEmail(email: string): Promise<User | null> {
+    if (this.statelessMode) {
+      return (
+        Array.from(this.statelessUsers.values()).find(
+          (u) => u.email === email
+        ) || null
+      );
+    }
+    return this.requireDatabase().findUserByEmail(email);
+  }
+
+  private async findUserById(id: string): Promise<User | null> {
+    if (this.statelessMode) {
+      return this.statelessUsers.get(id) || null;
+    }
+    return this.requireDatabase().findUserById(id);
+  }
+
+  private async insertUser(data: User): Promise<User> {
+    if (this.statelessMode) {
+      this.statelessUsers.set(data.id, data);
+      return data;
+    }
+    return this.requireDatabase().createUser(data);
+  }
+
+  private async saveUser(user: User, data: Partial<User>): Promise<User> {
+    const updatedUser = { ...user, ...data };
+    if (this.statelessMode) {
+      this.statelessUsers.set(user.id, updatedUser);
+    } else {
+      // Some adapters only echo the changed fields, so merge locally
+      await this.requireDatabase().updateUser(user.id, data);
+    }
+    return updatedUser;
+  }
+
+  private async updateUserMetadata(
+    user: User,
+    metadata: Record<string, any>
+  ): Promise<User> {
+    return this.saveUser(user, {
+      metadata: { ...user.metadata, ...metadata },
+    });
+  }
+
+  private requireDatabase(): DatabaseAdapter {
+    if (!this.database) {
+      throw this.createError(
+        "NO_DATABASE",
+        "Database adapter not configured",
+        500
+      );
+    }
+    return this.database;
   }
 
   /**
@@ -479,22 +4716,36 @@ export class VistaAuthServer {
    */
   private sanitizeUser(user: User): User {
     const { metadata, ...rest } = user;
-    const { password, ...cleanMetadata } = metadata || {};
+    const { password, mfa, ...cleanMetadata } = metadata || {};
+    const restricted =
+      this.config.emailVerification === "restrict" &&
+      user.emailVerified === false;
     return {
       ...rest,
+      // Unverified users only get the 'unverified' role until they confirm
+      ...(restricted && { roles: ["unverified"], permissions: [] }),
+      mfaEnabled: !!mfa?.enabled,
       metadata: cleanMetadata,
     };
   }
 
   /**
-   * Create an auth error
+   * Create an auth error. `message` is the English fallback; the returned
+   * message comes from the catalog in the configured locale. `messageKey`
+   * picks a variant when one code has several messages.
    */
   private createError(
     code: string,
     message: string,
-    statusCode: number = 400
+    statusCode: number = 400,
+    details?: Record<string, any>,
+    messageKey?: string
   ): AuthError {
-    return { code, message, statusCode };
+    const error: AuthError = { code, message, statusCode };
+    if (details) error.details = details;
+    if (messageKey) error.messageKey = messageKey;
+    error.message = this.catalog.formatError(error);
+    return error;
   }
 
   /**
@@ -512,19 +4763,96 @@ export class VistaAuthServer {
   }
 }
 
-// Export singleton instance
-let serverInstance: VistaAuthServer | null = null;
+/**
+ * Read the impersonating admin from an access token's `act` claim
+ */
+function readImpersonator(payload: any): { impersonator?: Impersonator } {
+  const act = payload.act;
+  if (!act?.sub) return {};
+  return {
+    impersonator: { userId: act.sub, email: act.email, sessionId: act.sid },
+  };
+}
+
+/**
+ * Read the active organization from an access token's `org` claim
+ */
+function readOrganization(payload: any): {
+  organization?: ActiveOrganization;
+} {
+  return payload.org?.id ? { organization: payload.org } : {};
+}
+
+/**
+ * An API key's public fields, without the key hash
+ */
+function toApiKeyInfo(apiKey: ApiKey): ApiKeyInfo {
+  const { keyHash, ...info } = apiKey;
+  return info;
+}
+
+function safeEqual(a: string, b: string): boolean {
+  return (
+    a.length === b.length && timingSafeEqual(Buffer.from(a), Buffer.from(b))
+  );
+}
+
+function appendToken(url: string | undefined, token: string): string | null {
+  if (!url) return null;
+  const separator = url.includes("?") ? "&" : "?";
+  return `${url}${separator}token=${encodeURIComponent(token)}`;
+}
+
+/**
+ * Allow relative paths, and absolute URLs on the same origin as `baseUrl`
+ */
+function isSafeCallbackUrl(callbackUrl: string, baseUrl?: string): boolean {
+  // '//host' and '/\host' are protocol-relative in browsers, which also
+  // drop tabs and newlines, so '/\t/host' is rejected too
+  if (/^\/(?![\/\\])\S*$/.test(callbackUrl)) {
+    return true;
+  }
+  if (!baseUrl) return false;
+  try {
+    return new URL(callbackUrl).origin === new URL(baseUrl).origin;
+  } catch {
+    return false;
+  }
+}
+
+function normalizeMfaCode(code: string): string {
+  return (code || "").replace(/\s/g, "").toLowerCase();
+}
+
+function generateRecoveryCode(): string {
+  const hex = randomBytes(5).toString("hex");
+  return `${hex.slice(0, 5)}-${hex.slice(5)}`;
+}
+
+// Instances by name - creating one with an existing name replaces it
+const instances = new Map<string, VistaAuthServer>();
 
 export function createVistaAuth(config?: AuthConfig): VistaAuthServer {
-  serverInstance = new VistaAuthServer(config);
-  return serverInstance;
+  const instance = new VistaAuthServer(config);
+  instances.set(instance.name, instance);
+  return instance;
 }
 
-export function getVistaAuth(): VistaAuthServer {
-  if (!serverInstance) {
+export function getVistaAuth(name: string = DEFAULT_INSTANCE): VistaAuthServer {
+  const instance = instances.get(name);
+  if (!instance) {
     throw new Error(
-      "[Vista Auth] Server not initialized. Call createVistaAuth() first."
+      name === DEFAULT_INSTANCE
+        ? "[Vista Auth] Server not initialized. Call createVistaAuth() first."
+        : `[Vista Auth] No instance named "${name}". Call createVistaAuth({ name: "${name}" }) first.`
     );
   }
-  return serverInstance;
+  return instance;
+}
+
+/**
+ * Names of every instance created so far
+ */
+export function listVistaAuthInstances(): string[] {
+  return Array.from(instances.keys());
 }
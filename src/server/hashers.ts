@@ -0,0 +1,154 @@
+/**
+ * Vista Auth - Password Hashers
+ * Pluggable password hashing with self-describing hash strings
+ */
+
+import { randomBytes, scrypt, timingSafeEqual } from "crypto";
+import bcrypt from "bcryptjs";
+import type { PasswordHasher } from "../types";
+
+/**
+ * bcrypt ignores everything after the first 72 bytes, so longer passwords
+ * would silently share a hash with their prefix
+ */
+const BCRYPT_MAX_BYTES = 72;
+
+/**
+ * bcrypt Hasher
+ * Hashes use the standard modular crypt format: $2b$<cost>$<salt+hash>
+ */
+export function createBcryptHasher(
+  options: { rounds?: number } = {}
+): PasswordHasher {
+  const rounds = options.rounds || 10;
+
+  return {
+    id: "bcrypt",
+    maxPasswordBytes: BCRYPT_MAX_BYTES,
+
+    identifies(hash: string) {
+      return /^\$2[aby]\$\d{2}\$/.test(hash);
+    },
+
+    hash(password: string) {
+      return bcrypt.hash(password, rounds);
+    },
+
+    verify(password: string, hash: string) {
+      return bcrypt.compare(password, hash);
+    },
+
+    needsRehash(hash: string) {
+      return Number(hash.split("$")[2]) !== rounds;
+    },
+  };
+}
+
+/**
+ * scrypt Hasher (Node crypto)
+ * Hashes use the PHC string format: $scrypt$ln=<log2 N>,r=<r>,p=<p>$<salt>$<hash>
+ */
+export function createScryptHasher(
+  options: {
+    cost?: number; // log2 of N, default 15 (N = 32768)
+    blockSize?: number; // r, default 8
+    parallelization?: number; // p, default 1
+  } = {}
+): PasswordHasher {
+  const params = {
+    ln: options.cost || 15,
+    r: options.blockSize || 8,
+    p: options.parallelization || 1,
+  };
+
+  return {
+    id: "scrypt",
+
+    identifies(hash: string) {
+      return hash.startsWith("$scrypt$");
+    },
+
+    async hash(password: string) {
+      const salt = randomBytes(16);
+      const key = await deriveScryptKey(password, salt, params, 32);
+      return `$scrypt$ln=${params.ln},r=${params.r},p=${params.p}$${encodeB64(
+        salt
+      )}$${encodeB64(key)}`;
+    },
+
+    async verify(password: string, hash: string) {
+      const parsed = parseScryptHash(hash);
+      if (!parsed) return false;
+      const key = await deriveScryptKey(
+        password,
+        parsed.salt,
+        parsed.params,
+        parsed.key.length
+      );
+      return timingSafeEqual(key, parsed.key);
+    },
+
+    needsRehash(hash: string) {
+      const parsed = parseScryptHash(hash);
+      return (
+        !parsed ||
+        parsed.params.ln !== params.ln ||
+        parsed.params.r !== params.r ||
+        parsed.params.p !== params.p
+      );
+    },
+  };
+}
+
+function deriveScryptKey(
+  password: string,
+  salt: Buffer,
+  params: { ln: number; r: number; p: number },
+  keyLength: number
+): Promise<Buffer> {
+  const N = 2 ** params.ln;
+  return new Promise((resolve, reject) => {
+    scrypt(
+      password.normalize("NFKC"),
+      salt,
+      keyLength,
+      // Node's default maxmem (32 MiB) is exactly what N=2^15, r=8 needs
+      { N, r: params.r, p: params.p, maxmem: 256 * N * params.r },
+      (error, key) => (error ? reject(error) : resolve(key))
+    );
+  });
+}
+
+function parseScryptHash(hash: string): {
+  params: { ln: number; r: number; p: number };
+  salt: Buffer;
+  key: Buffer;
+} | null {
+  const [, id, paramString, salt, key] = hash.split("$");
+  if (id !== "scrypt" || !paramString || !salt || !key) return null;
+
+  const params = Object.fromEntries(
+    paramString.split(",").map((pair) => {
+      const [name, value] = pair.split("=");
+      return [name, Number(value)];
+    })
+  );
+  if (
+    !Number.isInteger(params.ln) ||
+    !Number.isInteger(params.r) ||
+    !Number.isInteger(params.p)
+  ) {
+    return null;
+  }
+
+  return {
+    params: { ln: params.ln, r: params.r, p: params.p },
+    salt: Buffer.from(salt, "base64"),
+    key: Buffer.from(key, "base64"),
+  };
+}
+
+// PHC strings use base64 without padding
+function encodeB64(data: Buffer): string {
+  return data.toString("base64").replace(/=+$/, "");
+}
@@ -2,4 +2,58 @@
  * Vista Auth - Server Exports
  */
 
-export { VistaAuthServer, createVistaAuth, getVistaAuth } from "./core";
+export {
+  VistaAuthServer,
+  createVistaAuth,
+  getVistaAuth,
+  listVistaAuthInstances,
+} from "./core";
+export { createConsoleMailer, createMemoryMailer } from "./mailer";
+export { checkPasswordPolicy } from "./password-policy";
+export { createBcryptHasher, createScryptHasher } from "./hashers";
+export { KeyRing, generateSigningKey, createJwksHandler } from "./keys";
+export {
+  createGitHubProvider,
+  createGoogleProvider,
+  createOIDCProvider,
+} from "./oauth";
+export type { OAuthProviderOptions, OIDCProviderOptions } from "./oauth";
+export {
+  verifyRegistrationResponse,
+  verifyAuthenticationResponse,
+  parseAuthenticatorData,
+} from "./webauthn";
+export type {
+  ExpectedCeremony,
+  VerifiedRegistration,
+  VerifiedAuthentication,
+} from "./webauthn";
+export {
+  createMemoryAuditSink,
+  createFileAuditSink,
+  createAdapterAuditSink,
+} from "./audit";
+export { getDeviceLabel } from "./user-agent";
+export {
+  createRoleResolver,
+  matchPermission,
+  scopeToOrganization,
+  toOrganizationScope,
+  ORGANIZATION_SCOPE,
+} from "../roles";
+export type { RoleResolver } from "../roles";
+export { createPolicy } from "../policy";
+export type { Policy } from "../policy";
+export { createErrorCatalog, negotiateLocale, builtInMessages } from "../i18n";
+export type { ErrorCatalog } from "../i18n";
+export {
+  createMemoryAttemptStore,
+  createAdapterAttemptStore,
+} from "./throttle";
+export {
+  generateTotpSecret,
+  generateTotp,
+  verifyTotp,
+  buildOtpauthUri,
+} from "./totp";
+export type { TotpOptions } from "./totp";
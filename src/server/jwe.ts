@@ -0,0 +1,88 @@
+/**
+ * Vista Auth - Token Encryption
+ * Compact JWE with a direct AES-256-GCM key ("dir" / "A256GCM"). Tokens are
+ * signed first and the signed JWT is encrypted, so signature checks and key
+ * rotation work unchanged underneath.
+ */
+
+import {
+  createCipheriv,
+  createDecipheriv,
+  hkdfSync,
+  randomBytes,
+} from "crypto";
+
+// The middleware derives the same key with Web Crypto
+const KEY_INFO = "vista-auth token encryption";
+
+/**
+ * Derive the 256-bit content encryption key from a secret (HKDF-SHA256)
+ */
+export function deriveEncryptionKey(secret: string): Buffer {
+  return Buffer.from(hkdfSync("sha256", secret, "", KEY_INFO, 32));
+}
+
+/**
+ * Whether a token uses the five-segment JWE compact serialization
+ */
+export function isEncryptedToken(token: string): boolean {
+  return token.split(".").length === 5;
+}
+
+/**
+ * Encrypt a signed JWT. `exp` is copied into the protected header, which is
+ * authenticated but readable, so clients can schedule refreshes.
+ */
+export function encryptToken(jwt: string, key: Buffer, exp?: number): string {
+  const header = Buffer.from(
+    JSON.stringify({ alg: "dir", enc: "A256GCM", cty: "JWT", exp })
+  ).toString("base64url");
+  const iv = randomBytes(12);
+  const cipher = createCipheriv("aes-256-gcm", key, iv);
+  // The encoded header is the additional authenticated data (RFC 7516)
+  cipher.setAAD(Buffer.from(header, "ascii"));
+  const ciphertext = Buffer.concat([
+    cipher.update(jwt, "utf8"),
+    cipher.final(),
+  ]);
+
+  return [
+    header,
+    "", // No encrypted key with direct encryption
+    iv.toString("base64url"),
+    ciphertext.toString("base64url"),
+    cipher.getAuthTag().toString("base64url"),
+  ].join(".");
+}
+
+/**
+ * Decrypt a token from encryptToken. Returns the signed JWT, or null when
+ * the token was not encrypted with this key or has been tampered with.
+ */
+export function decryptToken(token: string, key: Buffer): string | null {
+  try {
+    const [header, encryptedKey, iv, ciphertext, tag] = token.split(".");
+    const { alg, enc } = JSON.parse(
+      Buffer.from(header, "base64url").toString("utf8")
+    );
+    if (alg !== "dir" || enc !== "A256GCM" || encryptedKey !== "") {
+      return null;
+    }
+
+    const decipher = createDecipheriv(
+      "aes-256-gcm",
+      key,
+      Buffer.from(iv, "base64url"),
+      // Reject truncated tags
+      { authTagLength: 16 }
+    );
+    decipher.setAAD(Buffer.from(header, "ascii"));
+    decipher.setAuthTag(Buffer.from(tag, "base64url"));
+    return Buffer.concat([
+      decipher.update(Buffer.from(ciphertext, "base64url")),
+      decipher.final(),
+    ]).toString("utf8");
+  } catch {
+    return null;
+  }
+}
@@ -0,0 +1,261 @@
+/**
+ * Vista Auth - Signing Keys
+ * Asymmetric JWT signing (RS256, ES256, EdDSA) with key rotation and JWKS export
+ */
+
+import {
+  createPrivateKey,
+  createPublicKey,
+  generateKeyPairSync,
+  sign,
+  verify,
+  KeyObject,
+} from "crypto";
+import type {
+  JsonWebKeySet,
+  PublicJsonWebKey,
+  SigningAlgorithm,
+  SigningKey,
+} from "../types";
+
+interface LoadedKey {
+  kid: string;
+  algorithm: SigningAlgorithm;
+  privateKey: KeyObject | null;
+  publicKey: KeyObject;
+  activeFrom: number;
+  retireAt: number;
+}
+
+const KEY_TYPES: Record<SigningAlgorithm, string> = {
+  RS256: "rsa",
+  ES256: "ec",
+  EdDSA: "ed25519",
+};
+
+/**
+ * Generate a PEM key pair for use in `signingKeys`
+ */
+export function generateSigningKey(
+  algorithm: SigningAlgorithm,
+  kid: string = `${algorithm.toLowerCase()}-${Date.now()}`
+): Required<
+  Pick<SigningKey, "kid" | "algorithm" | "privateKey" | "publicKey">
+> {
+  const publicKeyEncoding = { type: "spki", format: "pem" } as const;
+  const privateKeyEncoding = { type: "pkcs8", format: "pem" } as const;
+
+  const { privateKey, publicKey } =
+    algorithm === "RS256"
+      ? generateKeyPairSync("rsa", {
+          modulusLength: 2048,
+          publicKeyEncoding,
+          privateKeyEncoding,
+        })
+      : algorithm === "ES256"
+      ? generateKeyPairSync("ec", {
+          namedCurve: "P-256",
+          publicKeyEncoding,
+          privateKeyEncoding,
+        })
+      : generateKeyPairSync("ed25519", {
+          publicKeyEncoding,
+          privateKeyEncoding,
+        });
+
+  return { kid, algorithm, privateKey, publicKey };
+}
+
+/**
+ * A set of signing keys.
+ * The newest key whose `activeFrom` has passed signs new tokens; every key
+ * that has not reached `retireAt` still verifies, so tokens signed by a
+ * previous key stay valid until it is retired.
+ */
+export class KeyRing {
+  private keys: LoadedKey[];
+
+  constructor(keys: SigningKey[]) {
+    this.keys = keys.map((key) => loadKey(key));
+
+    const kids = new Set<string>();
+    for (const key of this.keys) {
+      if (kids.has(key.kid)) {
+        throw new Error(`[Vista Auth] Duplicate signing key id: ${key.kid}`);
+      }
+      kids.add(key.kid);
+    }
+  }
+
+  /**
+   * Sign a payload with the current key
+   */
+  sign(payload: Record<string, any>): string {
+    const key = this.getSigningKey();
+    const header = { alg: key.algorithm, typ: "JWT", kid: key.kid };
+    const signingInput = `${encodeSegment(header)}.${encodeSegment(payload)}`;
+    const signature = sign(
+      digestFor(key.algorithm),
+      Buffer.from(signingInput),
+      signingOptions(key, key.privateKey!)
+    );
+    return `${signingInput}.${signature.toString("base64url")}`;
+  }
+
+  /**
+   * Verify a token signed by one of the keys.
+   * Returns the payload, or null when the signature, key or expiry is invalid.
+   */
+  verify(token: string): any {
+    try {
+      const [headerSegment, payloadSegment, signatureSegment] =
+        token.split(".");
+      const header = decodeSegment(headerSegment);
+      const now = Date.now();
+      const key = this.keys.find((k) => k.kid === header.kid);
+      if (!key || key.algorithm !== header.alg || now >= key.retireAt) {
+        return null;
+      }
+
+      const valid = verify(
+        digestFor(key.algorithm),
+        Buffer.from(`${headerSegment}.${payloadSegment}`),
+        signingOptions(key, key.publicKey),
+        Buffer.from(signatureSegment, "base64url")
+      );
+      if (!valid) return null;
+
+      const payload = decodeSegment(payloadSegment);
+      const seconds = Math.floor(now / 1000);
+      if (typeof payload.exp === "number" && seconds >= payload.exp) {
+        return null;
+      }
+      if (typeof payload.nbf === "number" && seconds < payload.nbf) {
+        return null;
+      }
+      return payload;
+    } catch {
+      return null;
+    }
+  }
+
+  /**
+   * Whether a token header names one of these keys
+   */
+  hasKeyFor(token: string): boolean {
+    try {
+      const header = decodeSegment(token.split(".")[0]);
+      return !!header.kid && this.keys.some((k) => k.kid === header.kid);
+    } catch {
+      return false;
+    }
+  }
+
+  /**
+   * Public keys of every key that has not been retired, including keys
+   * scheduled to become active, so verifiers can cache them in advance
+   */
+  getJwks(): JsonWebKeySet {
+    const now = Date.now();
+    return {
+      keys: this.keys
+        .filter((key) => now < key.retireAt)
+        .map(
+          (key) =>
+            ({
+              ...key.publicKey.export({ format: "jwk" }),
+              kid: key.kid,
+              alg: key.algorithm,
+              use: "sig",
+            } as PublicJsonWebKey)
+        ),
+    };
+  }
+
+  private getSigningKey(): LoadedKey {
+    const now = Date.now();
+    const candidates = this.keys.filter(
+      (key) => key.privateKey && key.activeFrom <= now && now < key.retireAt
+    );
+    if (candidates.length === 0) {
+      throw new Error(
+        "[Vista Auth] No active signing key. Check signingKeys activeFrom/retireAt."
+      );
+    }
+    return candidates.reduce((latest, key) =>
+      key.activeFrom > latest.activeFrom ? key : latest
+    );
+  }
+}
+
+/**
+ * Route handler serving the JSON Web Key Set, e.g. at
+ * /.well-known/jwks.json (works with any Fetch API framework)
+ */
+export function createJwksHandler(auth: { getJwks(): JsonWebKeySet }) {
+  return async function handler(): Promise<Response> {
+    return new Response(JSON.stringify(auth.getJwks()), {
+      headers: {
+        "Content-Type": "application/json",
+        "Cache-Control": "public, max-age=300",
+      },
+    });
+  };
+}
+
+function loadKey(key: SigningKey): LoadedKey {
+  if (!KEY_TYPES[key.algorithm]) {
+    throw new Error(
+      `[Vista Auth] Unsupported signing algorithm "${key.algorithm}" for key ${key.kid}`
+    );
+  }
+  if (!key.privateKey && !key.publicKey) {
+    throw new Error(
+      `[Vista Auth] Signing key ${key.kid} needs a privateKey or publicKey`
+    );
+  }
+
+  const privateKey = key.privateKey ? createPrivateKey(key.privateKey) : null;
+  const publicKey = createPublicKey(key.publicKey || key.privateKey!);
+
+  if (publicKey.asymmetricKeyType !== KEY_TYPES[key.algorithm]) {
+    throw new Error(
+      `[Vista Auth] Signing key ${key.kid} is not a valid ${key.algorithm} key`
+    );
+  }
+  if (
+    key.algorithm === "ES256" &&
+    publicKey.asymmetricKeyDetails?.namedCurve !== "prime256v1"
+  ) {
+    throw new Error(`[Vista Auth] ES256 key ${key.kid} must use curve P-256`);
+  }
+
+  return {
+    kid: key.kid,
+    algorithm: key.algorithm,
+    privateKey,
+    publicKey,
+    activeFrom: key.activeFrom ?? 0,
+    retireAt: key.retireAt ?? Infinity,
+  };
+}
+
+function digestFor(algorithm: SigningAlgorithm): string | null {
+  // Ed25519 hashes internally
+  return algorithm === "EdDSA" ? null : "sha256";
+}
+
+function signingOptions(key: LoadedKey, keyObject: KeyObject) {
+  // JWS uses raw r||s ECDSA signatures rather than DER
+  return key.algorithm === "ES256"
+    ? { key: keyObject, dsaEncoding: "ieee-p1363" as const }
+    : keyObject;
+}
+
+function encodeSegment(value: Record<string, any>): string {
+  return Buffer.from(JSON.stringify(value)).toString("base64url");
+}
+
+function decodeSegment(segment: string): any {
+  return JSON.parse(Buffer.from(segment, "base64url").toString("utf8"));
+}
@@ -0,0 +1,50 @@
+/**
+ * Vista Auth - Mailers
+ * Built-in mailers for development and testing
+ */
+
+import type { Mailer, MailMessage } from "../types";
+
+/**
+ * Console Mailer
+ * Logs every message instead of sending it - for local development only,
+ * since links in the output grant access to accounts
+ */
+export function createConsoleMailer(): Mailer {
+  return {
+    async send(message: MailMessage) {
+      console.log(
+        `[Vista Auth] Mail to ${message.to}: ${message.subject}\n${message.text}`
+      );
+    },
+  };
+}
+
+/**
+ * Memory Mailer
+ * Collects messages in memory so tests can read links and tokens
+ */
+export function createMemoryMailer(): Mailer & {
+  messages: MailMessage[];
+  lastMessage: (to?: string) => MailMessage | undefined;
+  clear: () => void;
+} {
+  const messages: MailMessage[] = [];
+
+  return {
+    messages,
+
+    async send(message: MailMessage) {
+      messages.push(message);
+    },
+
+    lastMessage(to?: string) {
+      const matching = to ? messages.filter((m) => m.to === to) : messages;
+      return matching[matching.length - 1];
+    },
+
+    clear() {
+      messages.length = 0;
+    },
+  };
+}
@@ -0,0 +1,287 @@
+/**
+ * Vista Auth - OAuth 2.0 / OpenID Connect
+ * Social login providers (authorization code flow with PKCE)
+ */
+
+import { createHash, randomBytes } from "crypto";
+import type { OAuthProvider, OAuthTokens } from "../types";
+
+export interface OAuthProviderOptions {
+  clientId: string;
+  clientSecret: string;
+  scopes?: string[];
+  authorizationParams?: Record<string, string>; // e.g. { prompt: "consent" }
+}
+
+export interface OIDCProviderOptions extends OAuthProviderOptions {
+  id: string;
+  name?: string;
+  issuer: string; // e.g. 'https://login.example.com' - discovery is used
+}
+
+interface OIDCConfiguration {
+  issuer: string;
+  authorization_endpoint: string;
+  token_endpoint: string;
+  userinfo_endpoint?: string;
+}
+
+/**
+ * GitHub Provider
+ */
+export function createGitHubProvider(
+  options: OAuthProviderOptions & {
+    baseUrl?: string; // default 'https://github.com'
+    apiUrl?: string; // default 'https://api.github.com'
+  }
+): OAuthProvider {
+  const baseUrl = options.baseUrl || "https://github.com";
+  const apiUrl = options.apiUrl || "https://api.github.com";
+  const headers = (tokens: OAuthTokens) => ({
+    Authorization: `Bearer ${tokens.accessToken}`,
+    Accept: "application/vnd.github+json",
+    "User-Agent": "vista-auth",
+  });
+
+  return {
+    id: "github",
+    name: "GitHub",
+    clientId: options.clientId,
+    clientSecret: options.clientSecret,
+    scopes: options.scopes || ["read:user", "user:email"],
+    authorizationParams: options.authorizationParams,
+
+    async getEndpoints() {
+      return {
+        authorizationUrl: `${baseUrl}/login/oauth/authorize`,
+        tokenUrl: `${baseUrl}/login/oauth/access_token`,
+      };
+    },
+
+    async getProfile(tokens: OAuthTokens) {
+      const user = await fetchJson(`${apiUrl}/user`, {
+        headers: headers(tokens),
+      });
+
+      // The public profile email is optional - ask for the verified primary one
+      let email: string | undefined;
+      let emailVerified = false;
+      try {
+        const emails: any[] = await fetchJson(`${apiUrl}/user/emails`, {
+          headers: headers(tokens),
+        });
+        const primary = emails.find((e) => e.primary) || emails[0];
+        email = primary?.email;
+        emailVerified = !!primary?.verified;
+      } catch {
+        email = user.email || undefined;
+      }
+
+      return {
+        id: String(user.id),
+        email,
+        emailVerified,
+        name: user.name || user.login,
+        image: user.avatar_url,
+        raw: user,
+      };
+    },
+  };
+}
+
+/**
+ * Generic OpenID Connect Provider
+ * Endpoints are read from {issuer}/.well-known/openid-configuration
+ */
+export function createOIDCProvider(
+  options: OIDCProviderOptions
+): OAuthProvider {
+  const issuer = options.issuer.replace(/\/$/, "");
+  let discovery: Promise<OIDCConfiguration> | null = null;
+
+  const discover = () => {
+    if (!discovery) {
+      discovery = fetchJson(`${issuer}/.well-known/openid-configuration`).catch(
+        (error) => {
+          discovery = null; // Retry on the next request
+          throw error;
+        }
+      );
+    }
+    return discovery!;
+  };
+
+  const getEndpoints = async () => {
+    const configuration = await discover();
+    return {
+      authorizationUrl: configuration.authorization_endpoint,
+      tokenUrl: configuration.token_endpoint,
+      userInfoUrl: configuration.userinfo_endpoint,
+      issuer: configuration.issuer,
+    };
+  };
+
+  return {
+    id: options.id,
+    name: options.name || options.id,
+    clientId: options.clientId,
+    clientSecret: options.clientSecret,
+    scopes: options.scopes || ["openid", "email", "profile"],
+    authorizationParams: options.authorizationParams,
+    oidc: true,
+    getEndpoints,
+
+    async getProfile(tokens: OAuthTokens) {
+      const { userInfoUrl } = await getEndpoints();
+      const claims = userInfoUrl
+        ? await fetchJson(userInfoUrl, {
+            headers: { Authorization: `Bearer ${tokens.accessToken}` },
+          })
+        : decodeIdToken(tokens.idToken!);
+
+      return {
+        id: String(claims.sub),
+        email: claims.email,
+        emailVerified: claims.email_verified === true,
+        name: claims.name,
+        image: claims.picture,
+        raw: claims,
+      };
+    },
+  };
+}
+
+/**
+ * Google Provider
+ */
+export function createGoogleProvider(
+  options: OAuthProviderOptions
+): OAuthProvider {
+  return createOIDCProvider({
+    ...options,
+    id: "google",
+    name: "Google",
+    issuer: "https://accounts.google.com",
+  });
+}
+
+/**
+ * PKCE verifier and S256 challenge (RFC 7636)
+ */
+export function createPkcePair(): { verifier: string; challenge: string } {
+  const verifier = randomBytes(32).toString("base64url");
+  const challenge = createHash("sha256").update(verifier).digest("base64url");
+  return { verifier, challenge };
+}
+
+/**
+ * Build the provider's authorization URL
+ */
+export async function buildAuthorizationUrl(
+  provider: OAuthProvider,
+  params: {
+    redirectUri: string;
+    state: string;
+    codeChallenge: string;
+    nonce?: string;
+  }
+): Promise<string> {
+  const { authorizationUrl } = await provider.getEndpoints();
+  const url = new URL(authorizationUrl);
+  const search = new URLSearchParams({
+    response_type: "code",
+    client_id: provider.clientId,
+    redirect_uri: params.redirectUri,
+    scope: provider.scopes.join(" "),
+    state: params.state,
+    code_challenge: params.codeChallenge,
+    code_challenge_method: "S256",
+    ...(params.nonce && { nonce: params.nonce }),
+    ...provider.authorizationParams,
+  });
+  search.forEach((value, key) => url.searchParams.set(key, value));
+  return url.toString();
+}
+
+/**
+ * Exchange an authorization code for tokens
+ */
+export async function exchangeAuthorizationCode(
+  provider: OAuthProvider,
+  params: { code: string; redirectUri: string; codeVerifier: string }
+): Promise<OAuthTokens> {
+  const { tokenUrl } = await provider.getEndpoints();
+  const response = await fetchJson(tokenUrl, {
+    method: "POST",
+    headers: {
+      "Content-Type": "application/x-www-form-urlencoded",
+      Accept: "application/json",
+    },
+    body: new URLSearchParams({
+      grant_type: "authorization_code",
+      code: params.code,
+      redirect_uri: params.redirectUri,
+      client_id: provider.clientId,
+      client_secret: provider.clientSecret,
+      code_verifier: params.codeVerifier,
+    }).toString(),
+  });
+
+  if (response.error || !response.access_token) {
+    throw new Error(
+      `Token exchange failed: ${
+        response.error_description || response.error || "no access token"
+      }`
+    );
+  }
+
+  return {
+    accessToken: response.access_token,
+    idToken: response.id_token,
+    refreshToken: response.refresh_token,
+    expiresIn: response.expires_in,
+    scope: response.scope,
+  };
+}
+
+/**
+ * Check the ID token claims of an OpenID Connect response.
+ * The token comes straight from the token endpoint over TLS, so its
+ * signature does not need to be checked (OIDC Core 3.1.3.7).
+ */
+export async function validateIdToken(
+  provider: OAuthProvider,
+  idToken: string,
+  nonce: string
+): Promise<void> {
+  const claims = decodeIdToken(idToken);
+  const { issuer } = await provider.getEndpoints();
+  const audiences = Array.isArray(claims.aud) ? claims.aud : [claims.aud];
+
+  if (issuer && claims.iss !== issuer) {
+    throw new Error("ID token issuer mismatch");
+  }
+  if (!audiences.includes(provider.clientId)) {
+    throw new Error("ID token audience mismatch");
+  }
+  if (claims.nonce !== nonce) {
+    throw new Error("ID token nonce mismatch");
+  }
+  if (typeof claims.exp === "number" && Date.now() / 1000 >= claims.exp) {
+    throw new Error("ID token expired");
+  }
+}
+
+function decodeIdToken(idToken: string): any {
+  return JSON.parse(
+    Buffer.from(idToken.split(".")[1], "base64url").toString("utf8")
+  );
+}
+
+async function fetchJson(url: string, init?: RequestInit): Promise<any> {
+  const response = await fetch(url, init);
+  if (!response.ok) {
+    throw new Error(`Request to ${url} failed with status ${response.status}`);
+  }
+  return response.json();
+}
@@ -0,0 +1,127 @@
+/**
+ * Vista Auth - Password Policy
+ * Strength rules and common-password checks for new passwords
+ */
+
+import type {
+  PasswordHasher,
+  PasswordPolicy,
+  PasswordRuleFailure,
+} from "../types";
+import { isCommonPassword } from "./common-passwords";
+import { createBcryptHasher } from "./hashers";
+
+/**
+ * Length cap for hashers that take passwords of any length, so huge request
+ * bodies are never hashed
+ */
+const DEFAULT_MAX_BYTES = 1024;
+
+// The server hashes with bcrypt unless passwordHashers says otherwise
+const DEFAULT_HASHER = createBcryptHasher();
+
+/**
+ * Check a password against a policy.
+ * Returns the rules it fails - an empty array means it is acceptable. The
+ * default maximum length is the limit of the hasher new passwords go to.
+ */
+export function checkPasswordPolicy(
+  password: string,
+  policy: PasswordPolicy = {},
+  user: { email?: string; name?: string } = {},
+  hasher: Pick<PasswordHasher, "maxPasswordBytes"> = DEFAULT_HASHER
+): PasswordRuleFailure[] {
+  const minLength = policy.minLength ?? 8;
+  const maxLength =
+    policy.maxLength ?? hasher.maxPasswordBytes ?? DEFAULT_MAX_BYTES;
+  const failures: PasswordRuleFailure[] = [];
+  const value = typeof password === "string" ? password : "";
+
+  if (value.length < minLength) {
+    failures.push({
+      rule: "minLength",
+      message: `Password must be at least ${minLength} characters`,
+      params: { min: minLength },
+    });
+  }
+
+  if (Buffer.byteLength(value, "utf8") > maxLength) {
+    failures.push({
+      rule: "maxLength",
+      message: `Password must be at most ${maxLength} bytes`,
+      params: { max: maxLength },
+    });
+  }
+
+  if (policy.requireLowercase && !/[a-z]/.test(value)) {
+    failures.push({
+      rule: "requireLowercase",
+      message: "Password must contain a lowercase letter",
+    });
+  }
+
+  if (policy.requireUppercase && !/[A-Z]/.test(value)) {
+    failures.push({
+      rule: "requireUppercase",
+      message: "Password must contain an uppercase letter",
+    });
+  }
+
+  if (policy.requireNumber && !/[0-9]/.test(value)) {
+    failures.push({
+      rule: "requireNumber",
+      message: "Password must contain a number",
+    });
+  }
+
+  if (policy.requireSymbol && !/[^A-Za-z0-9]/.test(value)) {
+    failures.push({
+      rule: "requireSymbol",
+      message: "Password must contain a symbol",
+    });
+  }
+
+  if (
+    policy.disallowPersonalInfo !== false &&
+    containsPersonalInfo(value, user)
+  ) {
+    failures.push({
+      rule: "personalInfo",
+      message: "Password must not contain your name or email address",
+    });
+  }
+
+  if (
+    policy.checkCommonPasswords !== false &&
+    value &&
+    (isCommonPassword(value) ||
+      policy.blocklist?.some((p) => p.toLowerCase() === value.toLowerCase()))
+  ) {
+    failures.push({
+      rule: "commonPassword",
+      message: "Password is too common or has appeared in a data breach",
+    });
+  }
+
+  return failures;
+}
+
+/**
+ * Whether the password contains the email's local part or any part of the
+ * user's name (ignoring fragments shorter than 3 characters)
+ */
+function containsPersonalInfo(
+  password: string,
+  user: { email?: string; name?: string }
+): boolean {
+  const lowered = password.toLowerCase();
+  const fragments = [
+    user.email?.split("@")[0],
+    ...(user.name?.split(/\s+/) || []),
+  ]
+    .filter((fragment): fragment is string => !!fragment)
+    .map((fragment) => fragment.toLowerCase())
+    .filter((fragment) => fragment.length >= 3);
+
+  return fragments.some((fragment) => lowered.includes(fragment));
+}
@@ -0,0 +1,170 @@
+/**
+ * Vista Auth - Sign-in Throttling
+ * Brute-force protection: progressive delays and temporary lockouts
+ */
+
+import type {
+  BruteForceConfig,
+  DatabaseAdapter,
+  LoginAttempts,
+  LoginAttemptStore,
+} from "../types";
+
+/**
+ * Memory Attempt Store
+ * Default store - counters are per server instance
+ */
+export function createMemoryAttemptStore(): LoginAttemptStore {
+  const entries = new Map<
+    string,
+    { attempts: LoginAttempts; expiresAt: number }
+  >();
+
+  return {
+    async get(key: string) {
+      const entry = entries.get(key);
+      if (!entry) return null;
+      if (Date.now() >= entry.expiresAt) {
+        entries.delete(key);
+        return null;
+      }
+      return entry.attempts;
+    },
+
+    async set(key: string, attempts: LoginAttempts, expiresAt: number) {
+      // Drop stale counters so the map cannot grow without bound
+      const now = Date.now();
+      for (const [k, entry] of entries.entries()) {
+        if (now >= entry.expiresAt) {
+          entries.delete(k);
+        }
+      }
+      entries.set(key, { attempts, expiresAt });
+    },
+
+    async delete(key: string) {
+      entries.delete(key);
+    },
+  };
+}
+
+/**
+ * Adapter Attempt Store
+ * Keeps counters in the database so limits hold across server instances
+ */
+export function createAdapterAttemptStore(
+  adapter: DatabaseAdapter
+): LoginAttemptStore {
+  if (
+    !adapter.getLoginAttempts ||
+    !adapter.setLoginAttempts ||
+    !adapter.deleteLoginAttempts
+  ) {
+    throw new Error(
+      "[Vista Auth] Database adapter does not implement getLoginAttempts, setLoginAttempts and deleteLoginAttempts."
+    );
+  }
+
+  return {
+    get: (key) => adapter.getLoginAttempts!(key),
+    set: (key, attempts, expiresAt) =>
+      adapter.setLoginAttempts!(key, attempts, expiresAt),
+    delete: (key) => adapter.deleteLoginAttempts!(key),
+  };
+}
+
+export class BruteForceGuard {
+  private config: Required<Omit<BruteForceConfig, "store">>;
+  private store: LoginAttemptStore;
+
+  constructor(config: BruteForceConfig, store: LoginAttemptStore) {
+    this.config = {
+      maxAttempts: config.maxAttempts || 5,
+      maxAttemptsPerIp: config.maxAttemptsPerIp || 50,
+      attemptWindow: config.attemptWindow || 15 * 60 * 1000, // 15 minutes
+      lockoutDuration: config.lockoutDuration || 15 * 60 * 1000, // 15 minutes
+      baseDelay: config.baseDelay ?? 250,
+      maxDelay: config.maxDelay ?? 5000,
+    };
+    this.store = store;
+  }
+
+  /**
+   * Check whether an attempt may proceed.
+   * Returns the lock that blocks it, or null after waiting out the
+   * progressive delay earned by previous failures.
+   */
+  async check(
+    email: string,
+    ip?: string
+  ): Promise<{ scope: "account" | "ip"; retryAfter: number } | null> {
+    const now = Date.now();
+    const account = await this.store.get(accountKey(email));
+    if (account?.lockedUntil && account.lockedUntil > now) {
+      return { scope: "account", retryAfter: account.lockedUntil - now };
+    }
+
+    const client = ip ? await this.store.get(ipKey(ip)) : null;
+    if (client?.lockedUntil && client.lockedUntil > now) {
+      return { scope: "ip", retryAfter: client.lockedUntil - now };
+    }
+
+    const failures = Math.max(account?.failures || 0, client?.failures || 0);
+    if (failures > 0 && this.config.baseDelay > 0) {
+      const delay = Math.min(
+        this.config.baseDelay * 2 ** (failures - 1),
+        this.config.maxDelay
+      );
+      await new Promise((resolve) => setTimeout(resolve, delay));
+    }
+
+    return null;
+  }
+
+  /**
+   * Count a failed attempt against the account and the client IP
+   */
+  async recordFailure(email: string, ip?: string): Promise<void> {
+    await this.increment(accountKey(email), this.config.maxAttempts);
+    if (ip) {
+      await this.increment(ipKey(ip), this.config.maxAttemptsPerIp);
+    }
+  }
+
+  /**
+   * Clear the account counter after a successful sign-in.
+   * The IP counter is left alone so one valid account cannot be used to
+   * reset the limit for guesses against others.
+   */
+  async recordSuccess(email: string): Promise<void> {
+    await this.store.delete(accountKey(email));
+  }
+
+  private async increment(key: string, maxAttempts: number): Promise<void> {
+    const now = Date.now();
+    const existing = await this.store.get(key);
+    const withinWindow =
+      existing && now - existing.lastFailureAt < this.config.attemptWindow;
+
+    const failures = (withinWindow ? existing.failures : 0) + 1;
+    const attempts: LoginAttempts = {
+      failures,
+      lastFailureAt: now,
+      ...(failures >= maxAttempts && {
+        lockedUntil: now + this.config.lockoutDuration,
+      }),
+    };
+
+    const expiresAt =
+      now + Math.max(this.config.attemptWindow, this.config.lockoutDuration);
+    await this.store.set(key, attempts, expiresAt);
+  }
+}
+
+function accountKey(email: string): string {
+  return `email:${(email || "").trim().toLowerCase()}`;
+}
+
+function ipKey(ip: string): string {
+  return `ip:${ip}`;
+}
@@ -0,0 +1,144 @@
+/**
+ * Vista Auth - TOTP
+ * Time-based one-time passwords (RFC 6238) for two-factor authentication
+ */
+
+import { createHmac, randomBytes, timingSafeEqual } from "crypto";
+
+const BASE32_ALPHABET = "ABCDEFGHIJKLMNOPQRSTUVWXYZ234567";
+
+export interface TotpOptions {
+  period?: number; // seconds, default 30
+  digits?: number; // default 6
+  window?: number; // accepted steps before/after the current one, default 1
+}
+
+/**
+ * Generate a random base32-encoded secret (160 bits, as recommended by RFC 4226)
+ */
+export function generateTotpSecret(): string {
+  return base32Encode(randomBytes(20));
+}
+
+/**
+ * Build an otpauth:// URI for authenticator apps (usually rendered as a QR code)
+ */
+export function buildOtpauthUri(
+  secret: string,
+  accountName: string,
+  issuer: string,
+  options: TotpOptions = {}
+): string {
+  const label = `${encodeURIComponent(issuer)}:${encodeURIComponent(
+    accountName
+  )}`;
+  const params = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: "SHA1",
+    digits: String(options.digits || 6),
+    period: String(options.period || 30),
+  });
+  return `otpauth://totp/${label}?${params.toString()}`;
+}
+
+/**
+ * Generate the code for a given time step
+ */
+export function generateTotp(
+  secret: string,
+  timestamp: number = Date.now(),
+  options: TotpOptions = {}
+): string {
+  const period = options.period || 30;
+  return hotp(secret, Math.floor(timestamp / 1000 / period), options.digits);
+}
+
+/**
+ * Verify a code, allowing for clock drift.
+ * Returns the matched time step so callers can reject replays, or null.
+ */
+export function verifyTotp(
+  secret: string,
+  code: string,
+  timestamp: number = Date.now(),
+  options: TotpOptions = {}
+): number | null {
+  const period = options.period || 30;
+  const window = options.window ?? 1;
+  const currentStep = Math.floor(timestamp / 1000 / period);
+
+  for (let offset = -window; offset <= window; offset++) {
+    const step = currentStep + offset;
+    if (safeEqual(hotp(secret, step, options.digits), code)) {
+      return step;
+    }
+  }
+  return null;
+}
+
+/**
+ * HOTP (RFC 4226)
+ */
+function hotp(secret: string, counter: number, digits: number = 6): string {
+  const buffer = Buffer.alloc(8);
+  buffer.writeBigUInt64BE(BigInt(counter));
+
+  const digest = createHmac("sha1", base32Decode(secret))
+    .update(buffer)
+    .digest();
+  const offset = digest[digest.length - 1] & 0x0f;
+  const binary =
+    ((digest[offset] & 0x7f) << 24) |
+    (digest[offset + 1] << 16) |
+    (digest[offset + 2] << 8) |
+    digest[offset + 3];
+
+  return (binary % 10 ** digits).toString().padStart(digits, "0");
+}
+
+function safeEqual(a: string, b: string): boolean {
+  const bufferA = Buffer.from(a);
+  const bufferB = Buffer.from(b);
+  return bufferA.length === bufferB.length && timingSafeEqual(bufferA, bufferB);
+}
+
+function base32Encode(buffer: Buffer): string {
+  let bits = 0;
+  let value = 0;
+  let output = "";
+
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+  return output;
+}
+
+function base32Decode(input: string): Buffer {
+  const clean = input.toUpperCase().replace(/=+$/, "").replace(/\s/g, "");
+  let bits = 0;
+  let value = 0;
+  const output: number[] = [];
+
+  for (const char of clean) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) {
+      throw new Error(`Invalid base32 character: ${char}`);
+    }
+    value = (value << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      output.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+  return Buffer.from(output);
+}
@@ -0,0 +1,39 @@
+/**
+ * Vista Auth - User Agents
+ * Friendly device labels for session lists
+ */
+
+// Checked in order - e.g. Edge and Opera also claim to be Chrome and Safari
+const BROWSERS: [RegExp, string][] = [
+  [/Edg(?:e|A|iOS)?\//, "Edge"],
+  [/OPR\/|Opera/, "Opera"],
+  [/SamsungBrowser\//, "Samsung Internet"],
+  [/Firefox\/|FxiOS\//, "Firefox"],
+  [/Chrome\/|CriOS\//, "Chrome"],
+  [/Safari\//, "Safari"],
+];
+
+// iOS also claims to be Mac OS X, and Android to be Linux
+const SYSTEMS: [RegExp, string][] = [
+  [/iPhone/, "iPhone"],
+  [/iPad/, "iPad"],
+  [/Android/, "Android"],
+  [/Windows/, "Windows"],
+  [/CrOS/, "ChromeOS"],
+  [/Macintosh|Mac OS X/, "macOS"],
+  [/Linux/, "Linux"],
+];
+
+/**
+ * Describe a user agent as e.g. 'Chrome on macOS'.
+ * Other clients (curl, mobile apps) are labelled with their product name.
+ */
+export function getDeviceLabel(userAgent?: string): string {
+  if (!userAgent) return "Unknown device";
+
+  const browser = BROWSERS.find(([pattern]) => pattern.test(userAgent))?.[1];
+  const system = SYSTEMS.find(([pattern]) => pattern.test(userAgent))?.[1];
+  if (browser && system) return `${browser} on ${system}`;
+
+  return browser || system || userAgent.split(/[\s/]/)[0] || "Unknown device";
+}
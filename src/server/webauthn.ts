@@ -0,0 +1,411 @@
+/**
+ * Vista Auth - WebAuthn
+ * Passkey attestation and assertion verification (no external dependencies)
+ */
+
+import { createHash, createPublicKey, verify, KeyObject } from "crypto";
+import type {
+  PasskeyAuthenticationResponse,
+  PasskeyRegistrationResponse,
+} from "../types";
+
+/**
+ * COSE algorithms we accept: ES256, EdDSA, RS256
+ */
+export const SUPPORTED_ALGORITHMS = [-7, -8, -257];
+
+export interface ExpectedCeremony {
+  challenge: string; // base64url, as sent in the options
+  origin: string | string[]; // e.g. 'https://app.com'
+  rpId: string; // e.g. 'app.com'
+  requireUserVerification?: boolean;
+}
+
+export interface VerifiedRegistration {
+  credentialId: string; // base64url
+  publicKey: string; // COSE key, base64url
+  algorithm: number;
+  counter: number;
+  aaguid: string; // Authenticator model, all zeros when not attested
+  userVerified: boolean;
+  backedUp: boolean; // Synced passkey
+  transports?: string[];
+}
+
+export interface VerifiedAuthentication {
+  credentialId: string;
+  counter: number;
+  userVerified: boolean;
+  backedUp: boolean;
+}
+
+export interface AuthenticatorData {
+  rpIdHash: Buffer;
+  flags: {
+    userPresent: boolean;
+    userVerified: boolean;
+    backupEligible: boolean;
+    backedUp: boolean;
+    attestedCredentialData: boolean;
+    extensionData: boolean;
+  };
+  counter: number;
+  credential?: {
+    aaguid: Buffer;
+    id: Buffer;
+    publicKey: Buffer; // COSE key bytes
+  };
+}
+
+/**
+ * Verify a registration (navigator.credentials.create) response.
+ * Attestation statements are not checked - options ask for 'none', so the
+ * authenticator model is never used to make trust decisions.
+ * Throws when the response is invalid.
+ */
+export function verifyRegistrationResponse(
+  response: PasskeyRegistrationResponse,
+  expected: ExpectedCeremony
+): VerifiedRegistration {
+  if (response?.type !== "public-key") {
+    throw new Error("Unexpected credential type");
+  }
+
+  verifyClientData(
+    response.response.clientDataJSON,
+    "webauthn.create",
+    expected
+  );
+
+  const attestation = decodeCbor(
+    fromBase64Url(response.response.attestationObject)
+  ).value;
+  if (!(attestation instanceof Map) || !attestation.has("authData")) {
+    throw new Error("Malformed attestation object");
+  }
+
+  const authData = parseAuthenticatorData(attestation.get("authData"));
+  verifyAuthenticatorData(authData, expected);
+
+  if (!authData.credential) {
+    throw new Error("No credential data in attestation");
+  }
+
+  const credentialId = toBase64Url(authData.credential.id);
+  if (response.id !== credentialId) {
+    throw new Error("Credential ID mismatch");
+  }
+
+  // Also checks the key is one we can use
+  const { algorithm } = coseToPublicKey(authData.credential.publicKey);
+
+  return {
+    credentialId,
+    publicKey: toBase64Url(authData.credential.publicKey),
+    algorithm,
+    counter: authData.counter,
+    aaguid: formatAaguid(authData.credential.aaguid),
+    userVerified: authData.flags.userVerified,
+    backedUp: authData.flags.backedUp,
+    transports: response.response.transports,
+  };
+}
+
+/**
+ * Verify an authentication (navigator.credentials.get) response against a
+ * stored credential. Rejects counters that did not increase, which means
+ * the authenticator was cloned. Throws when the response is invalid.
+ */
+export function verifyAuthenticationResponse(
+  response: PasskeyAuthenticationResponse,
+  expected: ExpectedCeremony & {
+    credential: { id: string; publicKey: string; counter: number };
+  }
+): VerifiedAuthentication {
+  if (response?.type !== "public-key") {
+    throw new Error("Unexpected credential type");
+  }
+  if (response.id !== expected.credential.id) {
+    throw new Error("Credential ID mismatch");
+  }
+
+  const clientDataHash = verifyClientData(
+    response.response.clientDataJSON,
+    "webauthn.get",
+    expected
+  );
+
+  const rawAuthData = fromBase64Url(response.response.authenticatorData);
+  const authData = parseAuthenticatorData(rawAuthData);
+  verifyAuthenticatorData(authData, expected);
+
+  const { key, algorithm } = coseToPublicKey(
+    fromBase64Url(expected.credential.publicKey)
+  );
+  const valid = verify(
+    algorithm === -8 ? null : "sha256",
+    Buffer.concat([rawAuthData, clientDataHash]),
+    key,
+    fromBase64Url(response.response.signature)
+  );
+  if (!valid) {
+    throw new Error("Invalid signature");
+  }
+
+  // Authenticators without a counter (most synced passkeys) always send 0
+  if (
+    (authData.counter > 0 || expected.credential.counter > 0) &&
+    authData.counter <= expected.credential.counter
+  ) {
+    throw new Error("Signature counter did not increase");
+  }
+
+  return {
+    credentialId: response.id,
+    counter: authData.counter,
+    userVerified: authData.flags.userVerified,
+    backedUp: authData.flags.backedUp,
+  };
+}
+
+/**
+ * Read the challenge from a response's client data, to look up the
+ * stored ceremony before verifying it
+ */
+export function readClientDataChallenge(clientDataJSON: string): string | null {
+  try {
+    const clientData = JSON.parse(
+      fromBase64Url(clientDataJSON).toString("utf8")
+    );
+    return typeof clientData.challenge === "string"
+      ? clientData.challenge
+      : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Parse the authenticator data structure (WebAuthn 6.1)
+ */
+export function parseAuthenticatorData(data: Buffer): AuthenticatorData {
+  if (data.length < 37) {
+    throw new Error("Authenticator data is too short");
+  }
+
+  const flags = data[32];
+  const result: AuthenticatorData = {
+    rpIdHash: data.subarray(0, 32),
+    flags: {
+      userPresent: !!(flags & 0x01),
+      userVerified: !!(flags & 0x04),
+      backupEligible: !!(flags & 0x08),
+      backedUp: !!(flags & 0x10),
+      attestedCredentialData: !!(flags & 0x40),
+      extensionData: !!(flags & 0x80),
+    },
+    counter: data.readUInt32BE(33),
+  };
+
+  if (result.flags.attestedCredentialData) {
+    const aaguid = data.subarray(37, 53);
+    const idLength = data.readUInt16BE(53);
+    const id = data.subarray(55, 55 + idLength);
+    const keyStart = 55 + idLength;
+    const { offset } = decodeCbor(data, keyStart);
+    result.credential = {
+      aaguid,
+      id,
+      publicKey: data.subarray(keyStart, offset),
+    };
+  }
+
+  return result;
+}
+
+/**
+ * Check the client data and return its SHA-256 hash, which is part of the
+ * signed data
+ */
+function verifyClientData(
+  clientDataJSON: string,
+  type: "webauthn.create" | "webauthn.get",
+  expected: ExpectedCeremony
+): Buffer {
+  const raw = fromBase64Url(clientDataJSON);
+  const clientData = JSON.parse(raw.toString("utf8"));
+  const origins = Array.isArray(expected.origin)
+    ? expected.origin
+    : [expected.origin];
+
+  if (clientData.type !== type) {
+    throw new Error(`Unexpected ceremony type ${clientData.type}`);
+  }
+  if (clientData.challenge !== expected.challenge) {
+    throw new Error("Challenge mismatch");
+  }
+  if (!origins.includes(clientData.origin)) {
+    throw new Error(`Unexpected origin ${clientData.origin}`);
+  }
+  if (clientData.crossOrigin === true) {
+    throw new Error("Cross-origin ceremonies are not allowed");
+  }
+
+  return createHash("sha256").update(raw).digest();
+}
+
+function verifyAuthenticatorData(
+  authData: AuthenticatorData,
+  expected: ExpectedCeremony
+): void {
+  const rpIdHash = createHash("sha256").update(expected.rpId).digest();
+  if (!authData.rpIdHash.equals(rpIdHash)) {
+    throw new Error("Relying party ID mismatch");
+  }
+  if (!authData.flags.userPresent) {
+    throw new Error("User presence is required");
+  }
+  if (expected.requireUserVerification && !authData.flags.userVerified) {
+    throw new Error("User verification is required");
+  }
+}
+
+/**
+ * Convert a COSE_Key (RFC 9053) to a Node public key
+ */
+function coseToPublicKey(cose: Buffer): {
+  key: KeyObject;
+  algorithm: number;
+} {
+  const map = decodeCbor(cose).value;
+  if (!(map instanceof Map)) {
+    throw new Error("Malformed credential public key");
+  }
+
+  const keyType = map.get(1);
+  const algorithm = map.get(3);
+  if (!SUPPORTED_ALGORITHMS.includes(algorithm)) {
+    throw new Error(`Unsupported credential algorithm ${algorithm}`);
+  }
+
+  let jwk: Record<string, string>;
+  if (keyType === 2 && algorithm === -7 && map.get(-1) === 1) {
+    jwk = {
+      kty: "EC",
+      crv: "P-256",
+      x: toBase64Url(map.get(-2)),
+      y: toBase64Url(map.get(-3)),
+    };
+  } else if (keyType === 1 && algorithm === -8 && map.get(-1) === 6) {
+    jwk = { kty: "OKP", crv: "Ed25519", x: toBase64Url(map.get(-2)) };
+  } else if (keyType === 3 && algorithm === -257) {
+    jwk = {
+      kty: "RSA",
+      n: toBase64Url(map.get(-1)),
+      e: toBase64Url(map.get(-2)),
+    };
+  } else {
+    throw new Error("Unsupported credential public key");
+  }
+
+  return { key: createPublicKey({ key: jwk, format: "jwk" }), algorithm };
+}
+
+/**
+ * Minimal CBOR decoder (RFC 8949) covering what authenticators emit.
+ * Maps decode to Map so integer keys keep their type.
+ */
+export function decodeCbor(
+  data: Buffer,
+  offset: number = 0
+): { value: any; offset: number } {
+  const initial = data[offset++];
+  if (initial === undefined) {
+    throw new Error("Unexpected end of CBOR data");
+  }
+  const majorType = initial >> 5;
+  const info = initial & 0x1f;
+
+  let length: number;
+  if (info < 24) {
+    length = info;
+  } else if (info === 24) {
+    length = data.readUInt8(offset);
+    offset += 1;
+  } else if (info === 25) {
+    length = data.readUInt16BE(offset);
+    offset += 2;
+  } else if (info === 26) {
+    length = data.readUInt32BE(offset);
+    offset += 4;
+  } else if (info === 27) {
+    length = Number(data.readBigUInt64BE(offset));
+    offset += 8;
+  } else {
+    throw new Error("Indefinite-length CBOR is not supported");
+  }
+
+  switch (majorType) {
+    case 0:
+      return { value: length, offset };
+    case 1:
+      return { value: -1 - length, offset };
+    case 2:
+    case 3: {
+      const end = offset + length;
+      if (end > data.length) {
+        throw new Error("Unexpected end of CBOR data");
+      }
+      const bytes = data.subarray(offset, end);
+      return {
+        value: majorType === 2 ? Buffer.from(bytes) : bytes.toString("utf8"),
+        offset: end,
+      };
+    }
+    case 4: {
+      const items: any[] = [];
+      for (let i = 0; i < length; i++) {
+        const item = decodeCbor(data, offset);
+        items.push(item.value);
+        offset = item.offset;
+      }
+      return { value: items, offset };
+    }
+    case 5: {
+      const map = new Map<any, any>();
+      for (let i = 0; i < length; i++) {
+        const key = decodeCbor(data, offset);
+        const entry = decodeCbor(data, key.offset);
+        map.set(key.value, entry.value);
+        offset = entry.offset;
+      }
+      return { value: map, offset };
+    }
+    case 6:
+      // Tags carry no meaning we need - return the tagged item
+      return decodeCbor(data, offset);
+    default: {
+      if (info === 20) return { value: false, offset };
+      if (info === 21) return { value: true, offset };
+      if (info === 22) return { value: null, offset };
+      if (info === 23) return { value: undefined, offset };
+      throw new Error("Unsupported CBOR simple value");
+    }
+  }
+}
+
+function formatAaguid(aaguid: Buffer): string {
+  const hex = aaguid.toString("hex");
+  return `${hex.slice(0, 8)}-${hex.slice(8, 12)}-${hex.slice(
+    12,
+    16
+  )}-${hex.slice(16, 20)}-${hex.slice(20)}`;
+}
+
+function toBase64Url(data: Buffer): string {
+  return Buffer.from(data).toString("base64url");
+}
+
+function fromBase64Url(data: string): Buffer {
+  return Buffer.from(data || "", "base64url");
+}
@@ -8,8 +8,10 @@ export interface User {
   email: string;
   name?: string;
   image?: string;
+  emailVerified?: boolean; // Accounts without the flag predate verification and count as verified
   roles?: string[];
   permissions?: string[];
+  mfaEnabled?: boolean;
   metadata?: Record<string, any>;
 }
 
@@ -20,22 +22,105 @@ export interface Session {
   expiresAt: number;
   createdAt: number;
   lastActivity: number;
+  ip?: string; // Client IP at sign-in
+  userAgent?: string;
+  device?: string; // Friendly label from the user agent, e.g. 'Chrome on macOS'
+  impersonator?: Impersonator; // Set while an admin is signed in as this user
+  organization?: ActiveOrganization; // Roles and permissions apply within this organization
+}
+
+export interface ActiveOrganization {
+  id: string;
+  name: string;
+  roles: string[]; // The user's membership roles in this organization
+  permissions: string[];
+}
+
+export interface Impersonator {
+  userId: string;
+  email: string;
+  sessionId: string; // The admin's own session, resumed by stopImpersonation()
 }
 
 export interface AuthConfig {
+  // Instances - separate realms (e.g. customers and staff) each need a name
+  name?: string; // Registry key for getVistaAuth(name), default 'default'
+  issuer?: string; // 'iss' claim required on tokens, default 'vista-auth:<name>' for named instances
+  audience?: string; // 'aud' claim required on tokens, default none
+  cookieName?: string; // Where the client stores the access token and middleware reads it, default 'vista-auth-token'
+
   // Session configuration
   sessionDuration?: number; // milliseconds, default 7 days
+  slidingSessions?: boolean; // Extend expiresAt to sessionDuration after the last activity, default false
+  sessionIdleTimeout?: number; // milliseconds without activity before SESSION_IDLE_TIMEOUT, default off
+  sessionMaxLifetime?: number; // milliseconds from sign-in that sliding renewal cannot pass, default off
+  sessionActivityInterval?: number; // milliseconds between lastActivity writes, default 60 seconds
   sessionStorage?: "localStorage" | "sessionStorage" | "cookie" | "indexedDB";
   sessionSyncEnabled?: boolean; // WebSocket sync for real-time apps
 
   // Security
   bcryptRounds?: number; // default 10
+  // The first hasher hashes new passwords, the others only verify existing
+  // hashes, which are upgraded on the next sign-in. bcrypt can always verify.
+  passwordHashers?: PasswordHasher[]; // default [createBcryptHasher({ rounds: bcryptRounds })]
   jwtSecret?: string;
   jwtExpiresIn?: string; // default '7d'
+  signingKeys?: SigningKey[]; // Asymmetric keys - replaces jwtSecret for new tokens
+  tokenEncryption?: TokenEncryptionConfig; // Encrypt tokens so their claims cannot be read (disabled unless set)
+  tokenUserFields?: Array<keyof User>; // User fields embedded in stateless tokens, default all
+  accessTokenDuration?: number; // milliseconds, default 15 minutes
+  mfaIssuer?: string; // Shown in authenticator apps, default 'Vista Auth'
+  bruteForceProtection?: BruteForceConfig | false; // Enabled by default
+  passwordPolicy?: PasswordPolicy | false; // Enabled by default
+
+  // Role registry - share the same definitions with AuthProvider and middleware
+  roles?: RoleDefinitions;
+  // Attribute-based rules for can() - permissions still apply without a matching rule
+  policies?: PolicyRule[];
 
   // Database adapter (optional)
   database?: DatabaseAdapter;
 
+  // Email delivery (required for password reset)
+  mailer?: Mailer;
+  passwordResetUrl?: string; // Page that accepts ?token=..., e.g. 'https://app.com/reset-password'
+  passwordResetTokenDuration?: number; // milliseconds, default 1 hour
+
+  // Email verification
+  // 'off' (default) sends nothing, 'optional' sends a link on sign-up,
+  // 'restrict' signs unverified users in with only the 'unverified' role,
+  // 'block' refuses to sign them in
+  emailVerification?: "off" | "optional" | "restrict" | "block";
+  emailVerificationUrl?: string; // Page that accepts ?token=...
+  emailVerificationTokenDuration?: number; // milliseconds, default 24 hours
+  verificationResendInterval?: number; // milliseconds between emails, default 60 seconds
+
+  // Email changes - the confirmation link lasts emailVerificationTokenDuration
+  emailChangeUrl?: string; // Page that accepts ?token=..., e.g. 'https://app.com/confirm-email'
+
+  // Passwordless sign-in (requires a mailer)
+  magicLinkUrl?: string; // Page that accepts ?token=..., e.g. 'https://app.com/auth/magic-link'
+  magicLinkTokenDuration?: number; // milliseconds, default 15 minutes
+  magicLinkSignUp?: boolean; // Create accounts for unknown emails, default false
+
+  // Passkeys (WebAuthn)
+  passkeys?: PasskeyConfig;
+
+  // Support staff signing in as customers (disabled unless set)
+  impersonation?: ImpersonationConfig;
+
+  // Workspaces with per-organization roles (disabled unless set)
+  organizations?: OrganizationConfig;
+
+  // Social login (see createGitHubProvider, createGoogleProvider, createOIDCProvider)
+  oauthProviders?: OAuthProvider[];
+
+  // Audit log (see createMemoryAuditSink, createFileAuditSink, createAdapterAuditSink)
+  auditLog?: AuditSink;
+
+  // Server plugins - hooks run in array order
+  plugins?: AuthPlugin[];
+
   // Offline support
   offlineFallback?: boolean;
   offlineStorage?: "indexedDB";
@@ -44,6 +129,10 @@ export interface AuthConfig {
   toastEnabled?: boolean;
   errorMessagesEnabled?: boolean;
 
+  // Localization - built in: 'en', 'es', 'fr', 'de'
+  locale?: string; // Default locale for error messages and toasts, default 'en'
+  messages?: Record<string, MessageCatalog>; // New locales, or overrides merged over the built-in ones
+
   // WebSocket for real-time session sync
   websocketUrl?: string;
 
@@ -54,6 +143,35 @@ export interface AuthConfig {
   onError?: (error: AuthError) => void;
 }
 
+export type SigningAlgorithm = "RS256" | "ES256" | "EdDSA";
+
+export interface SigningKey {
+  kid: string; // Key ID, written to the token header
+  algorithm: SigningAlgorithm;
+  privateKey?: string; // PEM - keys without one only verify
+  publicKey?: string; // PEM - derived from privateKey when omitted
+  activeFrom?: number; // Timestamp (ms) from which the key signs new tokens
+  retireAt?: number; // Timestamp (ms) after which tokens signed by it are rejected
+}
+
+export interface TokenEncryptionConfig {
+  // Tokens are encrypted as JWE (dir / A256GCM) with a key derived from this
+  // secret via HKDF-SHA256. Defaults to jwtSecret, which must then be set.
+  secret?: string;
+}
+
+export interface PublicJsonWebKey {
+  kty: string;
+  kid: string;
+  alg: SigningAlgorithm;
+  use: "sig";
+  [param: string]: any; // n/e (RSA), crv/x/y (EC, OKP)
+}
+
+export interface JsonWebKeySet {
+  keys: PublicJsonWebKey[];
+}
+
 export interface DatabaseAdapter {
   // User operations
   findUserByEmail: (email: string) => Promise<User | null>;
@@ -67,12 +185,499 @@ export interface DatabaseAdapter {
   getSession?: (sessionId: string) => Promise<Session | null>;
   deleteSession?: (sessionId: string) => Promise<void>;
   deleteUserSessions?: (userId: string) => Promise<void>;
+  // Unexpired sessions of a user, for listUserSessions()
+  findUserSessions?: (userId: string) => Promise<Session[]>;
+  // Persists lastActivity and sliding expiresAt - required for
+  // sessionIdleTimeout and slidingSessions when getSession is implemented
+  updateSession?: (sessionId: string, data: Partial<Session>) => Promise<void>;
+
+  // Refresh token operations (optional - kept in server memory otherwise)
+  createRefreshToken?: (
+    record: RefreshTokenRecord
+  ) => Promise<RefreshTokenRecord>;
+  findRefreshToken?: (tokenHash: string) => Promise<RefreshTokenRecord | null>;
+  updateRefreshToken?: (
+    id: string,
+    data: Partial<RefreshTokenRecord>
+  ) => Promise<void>;
+  revokeRefreshTokenFamily?: (familyId: string) => Promise<void>;
+  // Set usedAt only if the token is neither used nor revoked, in one atomic
+  // step. Returns false when another request got there first, so two
+  // concurrent refreshes cannot both rotate the same token.
+  markRefreshTokenUsed?: (id: string, usedAt: number) => Promise<boolean>;
+
+  // Single-use token operations (optional - kept in server memory otherwise)
+  createVerificationToken?: (
+    token: VerificationToken
+  ) => Promise<VerificationToken>;
+  // Must return the token and delete it, so it can only be used once
+  useVerificationToken?: (
+    tokenHash: string
+  ) => Promise<VerificationToken | null>;
+
+  // Sign-in attempt counters (optional - see createAdapterAttemptStore)
+  getLoginAttempts?: (key: string) => Promise<LoginAttempts | null>;
+  setLoginAttempts?: (
+    key: string,
+    attempts: LoginAttempts,
+    expiresAt: number
+  ) => Promise<void>;
+  deleteLoginAttempts?: (key: string) => Promise<void>;
+
+  // Passkey operations (optional - kept in server memory otherwise)
+  createPasskey?: (passkey: PasskeyCredential) => Promise<PasskeyCredential>;
+  findPasskey?: (credentialId: string) => Promise<PasskeyCredential | null>;
+  findUserPasskeys?: (userId: string) => Promise<PasskeyCredential[]>;
+  updatePasskey?: (
+    credentialId: string,
+    data: Partial<PasskeyCredential>
+  ) => Promise<void>;
+  deletePasskey?: (credentialId: string) => Promise<void>;
+
+  // Audit events (optional - see createAdapterAuditSink)
+  createAuditEvent?: (event: AuditEvent) => Promise<void>;
+  listAuditEvents?: (query: AuditEventQuery) => Promise<AuditEvent[]>;
+
+  // Linked OAuth accounts (optional - kept in server memory otherwise)
+  linkAccount?: (account: LinkedAccount) => Promise<LinkedAccount>;
+  findUserByAccount?: (
+    provider: string,
+    providerAccountId: string
+  ) => Promise<User | null>;
+
+  // Organizations (optional - kept in server memory otherwise)
+  createOrganization?: (organization: Organization) => Promise<Organization>;
+  findOrganizationById?: (id: string) => Promise<Organization | null>;
+  createMembership?: (membership: Membership) => Promise<Membership>;
+  findMembership?: (
+    organizationId: string,
+    userId: string
+  ) => Promise<Membership | null>;
+  findUserMemberships?: (userId: string) => Promise<Membership[]>;
+  findOrganizationMemberships?: (
+    organizationId: string
+  ) => Promise<Membership[]>;
+  updateMembership?: (id: string, data: Partial<Membership>) => Promise<void>;
+  deleteMembership?: (id: string) => Promise<void>;
+  createInvitation?: (
+    invitation: OrganizationInvitation
+  ) => Promise<OrganizationInvitation>;
+  findInvitation?: (
+    tokenHash: string
+  ) => Promise<OrganizationInvitation | null>;
+  findOrganizationInvitations?: (
+    organizationId: string
+  ) => Promise<OrganizationInvitation[]>;
+  deleteInvitation?: (id: string) => Promise<void>;
+
+  // API keys (optional - kept in server memory otherwise)
+  createApiKey?: (apiKey: ApiKey) => Promise<ApiKey>;
+  findApiKeyByPrefix?: (prefix: string) => Promise<ApiKey | null>;
+  findUserApiKeys?: (userId: string) => Promise<ApiKey[]>;
+  updateApiKey?: (id: string, data: Partial<ApiKey>) => Promise<void>;
+}
+
+export interface BruteForceConfig {
+  maxAttempts?: number; // Failures per email before lockout, default 5
+  maxAttemptsPerIp?: number; // Failures per client IP before lockout, default 50
+  attemptWindow?: number; // milliseconds failures are remembered, default 15 minutes
+  lockoutDuration?: number; // milliseconds, default 15 minutes
+  baseDelay?: number; // milliseconds, doubled after each failure, default 250
+  maxDelay?: number; // milliseconds, default 5 seconds
+  store?: LoginAttemptStore; // Default: the adapter when it stores attempts, else memory
+}
+
+export interface PasswordHasher {
+  id: string; // e.g. 'bcrypt', 'scrypt'
+  identifies: (hash: string) => boolean; // Whether the hash was made by this hasher
+  hash: (password: string) => Promise<string>;
+  verify: (password: string, hash: string) => Promise<boolean>;
+  needsRehash: (hash: string) => boolean; // Outdated cost or parameters
+  maxPasswordBytes?: number; // Longest password it hashes in full, e.g. 72 for bcrypt
+}
+
+export interface PasswordPolicy {
+  minLength?: number; // default 8
+  maxLength?: number; // bytes, default the first hasher's maxPasswordBytes (72 for bcrypt), else 1024
+  requireLowercase?: boolean;
+  requireUppercase?: boolean;
+  requireNumber?: boolean;
+  requireSymbol?: boolean;
+  disallowPersonalInfo?: boolean; // Reject passwords containing the email or name, default true
+  checkCommonPasswords?: boolean; // Check the bundled common/breached list, default true
+  blocklist?: string[]; // Extra passwords to reject, e.g. your product name
+}
+
+export interface PasswordRuleFailure {
+  rule: string; // e.g. 'minLength', 'commonPassword'
+  message: string;
+  params?: Record<string, any>;
+}
+
+export interface LoginAttempts {
+  failures: number;
+  lastFailureAt: number;
+  lockedUntil?: number;
+}
+
+export interface LoginAttemptStore {
+  get: (key: string) => Promise<LoginAttempts | null>;
+  set: (
+    key: string,
+    attempts: LoginAttempts,
+    expiresAt: number
+  ) => Promise<void>;
+  delete: (key: string) => Promise<void>;
+}
+
+export interface VerificationToken {
+  tokenHash: string; // SHA-256 of the emailed token, never the token itself
+  purpose: string; // e.g. 'password_reset', 'email_verification'
+  userId: string; // Empty for magic links sent to addresses without an account
+  identifier: string; // Email address the token was sent to
+  expiresAt: number;
+  createdAt: number;
+}
+
+export interface MailMessage {
+  to: string;
+  subject: string;
+  text: string;
+  html?: string;
+  template: string; // e.g. 'password_reset' - lets mailers render their own templates
+  data?: Record<string, any>;
+}
+
+export interface Mailer {
+  send: (message: MailMessage) => Promise<void>;
+}
+
+export interface RefreshTokenRecord {
+  id: string;
+  tokenHash: string; // SHA-256 of the opaque token, never the token itself
+  familyId: string; // All tokens rotated from one sign-in share a family
+  userId: string;
+  sessionId: string;
+  expiresAt: number;
+  createdAt: number;
+  usedAt?: number; // Set when the token is rotated
+  revokedAt?: number;
+  impersonator?: Impersonator; // Kept so refreshed tokens stay marked
+  organizationId?: string; // Active organization - membership is re-read on refresh
+}
+
+export interface RoleDefinition {
+  extends?: string | string[]; // Inherit the permissions of other roles
+  permissions?: string[]; // 'posts:*' grants every 'posts:...' permission, '*' grants all
+}
+
+export type RoleDefinitions = Record<string, RoleDefinition>; // role name -> definition
+
+export type PolicyCondition = (
+  user: User,
+  action: string,
+  resource: any,
+  context: Record<string, any>
+) => boolean;
+
+export interface PolicyRule {
+  action: string | string[]; // Matched like permissions - 'posts:*' covers 'posts:edit'
+  effect?: "allow" | "deny"; // default 'allow' - a matching deny always wins
+  roles?: string[]; // Only applies to these roles (inherited roles count)
+  when?: PolicyCondition; // e.g. (user, action, post) => post.authorId === user.id
+}
+
+export interface ApiKey {
+  id: string;
+  userId: string;
+  name: string; // e.g. 'CI deploys'
+  prefix: string; // First characters of the key, unique - used for lookup and shown in lists
+  keyHash: string; // SHA-256 of the key, never the key itself
+  scopes?: string[]; // Permissions the key may use - omitted for full access
+  expiresAt?: number; // Never expires when omitted
+  lastUsedAt?: number; // Updated at most once a minute
+  revokedAt?: number;
+  createdAt: number;
+}
+
+export type ApiKeyInfo = Omit<ApiKey, "keyHash">; // Safe to show the owner
+
+export interface ApiKeySession {
+  user: User; // Scoped keys carry no roles and only their scopes as permissions
+  apiKey: ApiKeyInfo;
+}
+
+export interface OrganizationConfig {
+  ownerRoles?: string[]; // Given to whoever creates the organization, default ['owner']
+  managerRoles?: string[]; // May invite, update and remove members, default ['owner', 'admin']
+  assignableRoles?: string[]; // Membership roles that may be granted, default owner and manager roles plus 'member'
+  invitationUrl?: string; // Page that accepts ?token=..., e.g. 'https://app.com/join'
+  invitationDuration?: number; // milliseconds, default 7 days
+}
+
+export interface Organization {
+  id: string;
+  name: string;
+  slug?: string;
+  metadata?: Record<string, any>;
+  assignableRoles?: string[]; // This organization's allowlist, within OrganizationConfig.assignableRoles
+  createdAt: number;
+}
+
+export interface Membership {
+  id: string;
+  organizationId: string;
+  userId: string;
+  roles: string[]; // Resolved with the role registry, like User.roles
+  permissions: string[];
+  createdAt: number;
+}
+
+export interface OrganizationInvitation {
+  id: string;
+  tokenHash: string; // SHA-256 of the emailed token, never the token itself
+  organizationId: string;
+  email: string; // Only this address can accept
+  roles: string[];
+  permissions: string[];
+  invitedBy: string; // User ID
+  expiresAt: number;
+  createdAt: number;
+}
+
+export interface ImpersonationConfig {
+  // Users with any of these roles or permissions may impersonate,
+  // default roles ['admin']
+  roles?: string[];
+  permissions?: string[];
+  duration?: number; // milliseconds, default 1 hour - never extended
+}
+
+export interface PasskeyConfig {
+  rpId: string; // Domain passkeys are bound to, e.g. 'app.com'
+  rpName?: string; // Shown by the browser, default 'Vista Auth'
+  origin: string | string[]; // Allowed page origins, e.g. 'https://app.com'
+  userVerification?: "required" | "preferred" | "discouraged"; // default 'preferred'
+  timeout?: number; // milliseconds, default 5 minutes
+}
+
+export interface PasskeyCredential {
+  id: string; // Credential ID, base64url
+  userId: string;
+  publicKey: string; // COSE key, base64url
+  counter: number; // Signature counter, 0 for authenticators without one
+  transports?: string[];
+  backedUp?: boolean; // Synced between devices
+  name?: string; // e.g. 'MacBook Touch ID'
+  createdAt: number;
+  lastUsedAt?: number;
+}
+
+// Options for navigator.credentials.create(), binary fields as base64url
+export interface PasskeyRegistrationOptions {
+  challenge: string;
+  rp: { id: string; name: string };
+  user: { id: string; name: string; displayName: string };
+  pubKeyCredParams: { type: "public-key"; alg: number }[];
+  timeout: number;
+  attestation: "none";
+  excludeCredentials: {
+    type: "public-key";
+    id: string;
+    transports?: string[];
+  }[];
+  authenticatorSelection: {
+    residentKey: "required" | "preferred" | "discouraged";
+    requireResidentKey: boolean;
+    userVerification: "required" | "preferred" | "discouraged";
+  };
+}
+
+// Options for navigator.credentials.get(), binary fields as base64url
+export interface PasskeyAuthenticationOptions {
+  challenge: string;
+  rpId: string;
+  timeout: number;
+  allowCredentials: { type: "public-key"; id: string; transports?: string[] }[];
+  userVerification: "required" | "preferred" | "discouraged";
+}
+
+export interface PasskeyRegistrationResponse {
+  id: string;
+  rawId: string;
+  type: "public-key";
+  response: {
+    clientDataJSON: string;
+    attestationObject: string;
+    transports?: string[];
+  };
+}
+
+export interface PasskeyAuthenticationResponse {
+  id: string;
+  rawId: string;
+  type: "public-key";
+  response: {
+    clientDataJSON: string;
+    authenticatorData: string;
+    signature: string;
+    userHandle?: string | null;
+  };
+}
+
+export interface OAuthProvider {
+  id: string; // Used in URLs and linked accounts, e.g. 'github'
+  name: string;
+  clientId: string;
+  clientSecret: string;
+  scopes: string[];
+  authorizationParams?: Record<string, string>;
+  oidc?: boolean; // Request and check an ID token (nonce, issuer, audience)
+  getEndpoints: () => Promise<{
+    authorizationUrl: string;
+    tokenUrl: string;
+    userInfoUrl?: string;
+    issuer?: string;
+  }>;
+  getProfile: (tokens: OAuthTokens) => Promise<OAuthProfile>;
+}
+
+export interface OAuthTokens {
+  accessToken: string;
+  idToken?: string;
+  refreshToken?: string;
+  expiresIn?: number; // seconds
+  scope?: string;
+}
+
+export interface OAuthProfile {
+  id: string; // The provider's stable user id
+  email?: string;
+  emailVerified?: boolean; // Only verified emails are linked to existing users
+  name?: string;
+  image?: string;
+  raw?: Record<string, any>;
+}
+
+export interface LinkedAccount {
+  provider: string;
+  providerAccountId: string;
+  userId: string;
+  createdAt: number;
 }
 
 export interface AuthError {
   code: string;
-  message: string;
+  message: string; // Localized for AuthConfig.locale
   statusCode?: number;
+  details?: Record<string, any>; // e.g. { challengeToken } for MFA_REQUIRED - also the message parameters
+  messageKey?: string; // Catalog key when the message is a variant of the code's, e.g. 'INVALID_CREDENTIALS.currentPassword'
+}
+
+// Message templates by error code (or other key), with {param} placeholders
+export type MessageCatalog = Record<string, string>;
+
+export interface AuditEvent {
+  id: string;
+  // Built-in: 'sign_up', 'sign_in', 'sign_out', 'session_revoked',
+  // 'sessions_revoked', 'refresh_token_reused', 'mfa_enabled', 'mfa_disabled',
+  // 'password_reset_requested', 'password_reset', 'password_changed',
+  // 'email_change_requested', 'email_changed', 'email_verified',
+  // 'passkey_registered', 'passkey_removed', 'impersonation_started',
+  // 'impersonation_stopped', 'organization_created', 'member_invited',
+  // 'member_joined', 'member_updated', 'member_removed', 'api_key_created',
+  // 'api_key_revoked' - plus your own via recordAuditEvent()
+  type: string;
+  outcome: "success" | "failure";
+  userId?: string;
+  sessionId?: string;
+  email?: string; // Set when the user is not known, e.g. failed sign-ins
+  ip?: string;
+  userAgent?: string;
+  errorCode?: string; // AuthError code of failures
+  details?: Record<string, any>; // e.g. { method: 'passkey' }
+  timestamp: number;
+}
+
+export interface AuditEventQuery {
+  userId?: string;
+  type?: string | string[];
+  outcome?: "success" | "failure";
+  from?: number; // Timestamp (ms), inclusive
+  to?: number; // Timestamp (ms), inclusive
+  limit?: number; // default 100, newest first
+}
+
+export interface AuditSink {
+  write: (event: AuditEvent) => Promise<void>;
+  query?: (query: AuditEventQuery) => Promise<AuditEvent[]>;
+}
+
+export interface AuthPlugin {
+  name: string;
+  hooks?: AuthHooks;
+  // Extra server methods, added to the VistaAuthServer instance.
+  // Each one receives the server as its first argument.
+  methods?: Record<string, (auth: any, ...args: any[]) => any>;
+}
+
+// 'before' hooks can reject by throwing an AuthError ({ code, message,
+// statusCode }); errors in the other hooks are logged and ignored
+export interface AuthHooks {
+  // Runs for every new account, whichever way it was created. May return
+  // replacement data; magic link and OAuth sign-ups keep their email
+  beforeSignUp?: (
+    data: SignUpHookData,
+    context: AuthHookContext
+  ) => SignUpHookData | void | Promise<SignUpHookData | void>;
+  afterSignUp?: (user: User, context: AuthHookContext) => void | Promise<void>;
+  // Runs before every new session, whichever way the user signed in.
+  // Receives the sanitized user; throw to block the sign-in, the return
+  // value is ignored
+  beforeSignIn?: (user: User, context: AuthHookContext) => void | Promise<void>;
+  afterSignIn?: (
+    result: AuthResult,
+    context: AuthHookContext
+  ) => void | Promise<void>;
+  // May return replacement access token claims; the built-in claims
+  // (userId, sessionId, exp, ...) always win
+  beforeTokenIssue?: (
+    claims: Record<string, any>,
+    context: { user: User; session: Session }
+  ) => Record<string, any> | void | Promise<Record<string, any> | void>;
+  onSessionRevoked?: (event: SessionRevokedEvent) => void | Promise<void>;
+}
+
+export type SignInMethod =
+  | "password"
+  | "mfa"
+  | "oauth"
+  | "magic_link"
+  | "passkey"
+  | "sign_up";
+
+export interface AuthHookContext {
+  request: RequestContext;
+  method?: SignInMethod; // Set for sign-up and sign-in hooks
+}
+
+export interface SessionRevokedEvent {
+  reason:
+    | "sign_out"
+    | "revoke_session"
+    | "revoke_others"
+    | "revoke_all"
+    | "idle_timeout"
+    | "impersonation_stopped"
+    | "refresh_token_reused";
+  sessionId?: string;
+  userId?: string;
+}
+
+// Details about the incoming request, passed by your route handler
+export interface RequestContext {
+  ip?: string;
+  userAgent?: string;
 }
 
 export interface SignInCredentials {
@@ -87,6 +692,27 @@ export interface SignUpData {
   metadata?: Record<string, any>;
 }
 
+// Only password sign-ups have a password; OAuth sign-ups may add an image
+export interface SignUpHookData extends Omit<SignUpData, "password"> {
+  password?: string;
+  image?: string;
+}
+
+export interface AuthResult {
+  user: User;
+  token: string; // Short-lived access token (JWT)
+  tokenExpiresAt: number;
+  refreshToken: string; // Opaque, single-use refresh token
+  session: Session;
+}
+
+// signUp() result when emailVerification is 'block': the account exists but
+// gets no session until the address is confirmed
+export interface PendingVerificationResult {
+  user: User;
+  verificationRequired: true;
+}
+
 export interface AuthResponse<T = any> {
   success: boolean;
   data?: T;
@@ -97,6 +723,7 @@ export interface RouteGuardConfig {
   roles?: string[];
   permissions?: string[];
   requireAll?: boolean; // If true, user must have ALL roles/permissions
+  forbidImpersonation?: boolean; // Block admins signed in as this user
   redirect?: string;
   onUnauthorized?: () => void;
 }
@@ -105,5 +732,20 @@ export interface MiddlewareConfig {
   publicPaths?: string[];
   protectedPaths?: string[];
   roleBasedPaths?: Record<string, string[]>; // path pattern -> required roles
+  roles?: RoleDefinitions; // Same registry as AuthConfig.roles, for inherited roles
+  policies?: PolicyRule[]; // Same rules as AuthConfig.policies
+  permissionBasedPaths?: Record<string, string[]>; // path pattern -> actions, any of which can() must allow
+  // Resolve API keys sent as Bearer tokens, e.g.
+  // (key) => auth.verifyApiKey(key).then((result) => result.data ?? null)
+  verifyApiKey?: (key: string) => Promise<ApiKeySession | null>;
+  impersonationBlockedPaths?: string[]; // Forbidden while an admin impersonates a user
+  cookieName?: string; // Same as AuthConfig.cookieName, default 'vista-auth-token'
+  sessionEndpoint?: string; // Session route of the instance to ask (Next.js), default '/api/auth/session'
+  instance?: string; // Name of the server instance that issues the tokens, for its default issuer
+  issuer?: string; // Required 'iss' claim with jwksUrl or jwtSecret, default 'vista-auth:<instance>' - none for the unnamed instance
+  audience?: string; // Required 'aud' claim with jwksUrl or jwtSecret
+  jwksUrl?: string; // Verify tokens locally with these public keys instead of calling the session endpoint
+  jwtSecret?: string; // Same as AuthConfig.jwtSecret, to verify HS256 tokens locally when there is no jwksUrl
+  tokenEncryption?: TokenEncryptionConfig; // Same as the server's, to read encrypted tokens locally - the secret defaults to jwtSecret
   onUnauthorized?: (path: string) => Response | void;
 }
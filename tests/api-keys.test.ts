@@ -0,0 +1,86 @@
+import { afterEach, describe, expect, it, vi } from "vitest";
+import { createAuth, signUp } from "./helpers";
+
+describe("API keys", () => {
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+
+  it("only grants scopes the creator holds", async () => {
+    const { auth, database } = createAuth();
+    const { user } = await signUp(auth);
+    await database.updateUser(user.id, {
+      permissions: ["deployments:create", "deployments:read"],
+    });
+
+    const rejected = await auth.createApiKey(user.id, {
+      name: "Deploy bot",
+      scopes: ["deployments:create", "billing:read"],
+    });
+    expect(rejected.error?.code).toBe("INVALID_SCOPE");
+    expect(rejected.error?.details?.invalidScopes).toEqual(["billing:read"]);
+
+    const created = await auth.createApiKey(user.id, {
+      name: "Deploy bot",
+      scopes: ["deployments:create"],
+    });
+    const verified = await auth.verifyApiKey(created.data!.key);
+    expect(verified.data!.user.roles).toEqual([]);
+    expect(verified.data!.user.permissions).toEqual(["deployments:create"]);
+
+    // Scopes the user has since lost are dropped
+    await database.updateUser(user.id, { permissions: [] });
+    const narrowed = await auth.verifyApiKey(created.data!.key);
+    expect(narrowed.data!.user.permissions).toEqual([]);
+  });
+
+  it("rejects revoked, expired and unknown keys", async () => {
+    vi.useFakeTimers({ toFake: ["Date"] });
+    const { auth } = createAuth();
+    const { user } = await signUp(auth);
+
+    const revoked = await auth.createApiKey(user.id, { name: "Old" });
+    await auth.revokeApiKey(user.id, revoked.data!.apiKey.id);
+    expect((await auth.verifyApiKey(revoked.data!.key)).error?.code).toBe(
+      "API_KEY_REVOKED"
+    );
+
+    const expiring = await auth.createApiKey(user.id, {
+      name: "Short-lived",
+      expiresIn: 60 * 1000,
+    });
+    expect((await auth.verifyApiKey(expiring.data!.key)).success).toBe(true);
+    vi.advanceTimersByTime(60 * 1000);
+    expect((await auth.verifyApiKey(expiring.data!.key)).error?.code).toBe(
+      "API_KEY_EXPIRED"
+    );
+    expect((await auth.listApiKeys(user.id)).data).toEqual([]);
+
+    // A known prefix with the wrong secret part
+    const forged = `${expiring.data!.apiKey.prefix}${"x".repeat(32)}`;
+    expect((await auth.verifyApiKey(forged)).error?.code).toBe(
+      "INVALID_API_KEY"
+    );
+  });
+
+  it("writes lastUsedAt at most once a minute", async () => {
+    vi.useFakeTimers({ toFake: ["Date"] });
+    const { auth, database } = createAuth();
+    const { user } = await signUp(auth);
+    const { data } = await auth.createApiKey(user.id, { name: "CI" });
+    const updateApiKey = vi.spyOn(database, "updateApiKey");
+
+    await auth.verifyApiKey(data!.key);
+    await auth.verifyApiKey(data!.key);
+    vi.advanceTimersByTime(59 * 1000);
+    await auth.verifyApiKey(data!.key);
+    expect(updateApiKey).toHaveBeenCalledTimes(1);
+
+    vi.advanceTimersByTime(1000);
+    await auth.verifyApiKey(data!.key);
+    expect(updateApiKey).toHaveBeenCalledTimes(2);
+    expect((await auth.listApiKeys(user.id)).data![0].lastUsedAt).toBe(
+      Date.now()
+    );
+  });
+});
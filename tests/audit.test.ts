@@ -0,0 +1,177 @@
+import { mkdtemp, rm } from "fs/promises";
+import { tmpdir } from "os";
+import { join } from "path";
+import { afterEach, describe, expect, it, vi } from "vitest";
+import { createMemoryAdapter } from "../src/database/index";
+import {
+  createAdapterAuditSink,
+  createFileAuditSink,
+  createMemoryAuditSink,
+} from "../src/server/audit";
+import type { AuditEvent, AuditSink } from "../src/types";
+import { createAuth, PASSWORD, signUp } from "./helpers";
+
+const event = (
+  id: string,
+  timestamp: number,
+  fields: Partial<AuditEvent> = {}
+): AuditEvent => ({
+  id,
+  type: "sign_in",
+  outcome: "success",
+  userId: "user-1",
+  timestamp,
+  ...fields,
+});
+
+const EVENTS = [
+  event("a", 1000),
+  event("b", 2000, { userId: "user-2" }),
+  event("c", 3000, { type: "sign_out" }),
+  event("d", 3000, { outcome: "failure", errorCode: "INVALID_CREDENTIALS" }),
+  event("e", 4000, { type: "password_changed" }),
+];
+
+let directory: string | null = null;
+
+afterEach(async () => {
+  if (directory) {
+    await rm(directory, { recursive: true, force: true });
+    directory = null;
+  }
+});
+
+const sinks: [string, () => Promise<AuditSink>][] = [
+  ["memory", async () => createMemoryAuditSink()],
+  [
+    "file",
+    async () => {
+      directory = await mkdtemp(join(tmpdir(), "vista-audit-"));
+      return createFileAuditSink(join(directory, "audit.log"));
+    },
+  ],
+  ["adapter", async () => createAdapterAuditSink(createMemoryAdapter())],
+];
+
+describe.each(sinks)("%s audit sink", (_name, createSink) => {
+  async function filled() {
+    const sink = await createSink();
+    for (const e of EVENTS) {
+      await sink.write(e);
+    }
+    return sink;
+  }
+
+  const ids = async (sink: AuditSink, query = {}) =>
+    (await sink.query!(query)).map((e) => e.id);
+
+  it("returns events newest first", async () => {
+    const sink = await filled();
+    expect(await ids(sink)).toEqual(["e", "d", "c", "b", "a"]);
+    expect(await sink.query!({ type: "password_changed" })).toEqual([
+      EVENTS[4],
+    ]);
+  });
+
+  it("filters by user, type and outcome", async () => {
+    const sink = await filled();
+    expect(await ids(sink, { userId: "user-2" })).toEqual(["b"]);
+    expect(await ids(sink, { type: "sign_out" })).toEqual(["c"]);
+    expect(await ids(sink, { type: ["sign_out", "password_changed"] })).toEqual(
+      ["e", "c"]
+    );
+    expect(await ids(sink, { outcome: "failure" })).toEqual(["d"]);
+    expect(await ids(sink, { userId: "user-1", type: "sign_in" })).toEqual([
+      "d",
+      "a",
+    ]);
+  });
+
+  it("filters by an inclusive time range and limits the results", async () => {
+    const sink = await filled();
+    expect(await ids(sink, { from: 2000, to: 3000 })).toEqual(["d", "c", "b"]);
+    expect(await ids(sink, { from: 3500 })).toEqual(["e"]);
+    expect(await ids(sink, { limit: 2 })).toEqual(["e", "d"]);
+  });
+});
+
+describe("audit sinks", () => {
+  it("keeps the newest maxEvents in memory", async () => {
+    const sink = createMemoryAuditSink({ maxEvents: 3 });
+    for (const e of EVENTS) {
+      await sink.write(e);
+    }
+    expect(sink.events.map((e) => e.id)).toEqual(["c", "d", "e"]);
+    sink.clear();
+    expect(await sink.query!({})).toEqual([]);
+  });
+
+  it("reads a missing log file as empty and keeps concurrent lines whole", async () => {
+    directory = await mkdtemp(join(tmpdir(), "vista-audit-"));
+    const sink = createFileAuditSink(join(directory, "audit.log"));
+    expect(await sink.query!({})).toEqual([]);
+
+    await Promise.all(EVENTS.map((e) => sink.write(e)));
+    expect(await sink.query!({ limit: 10 })).toHaveLength(EVENTS.length);
+  });
+
+  it("requires an adapter that stores audit events", () => {
+    const { createAuditEvent: _, ...adapter } = createMemoryAdapter();
+    expect(() => createAdapterAuditSink(adapter)).toThrow(
+      "does not implement createAuditEvent"
+    );
+  });
+});
+
+describe("server audit log", () => {
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  it("records sign-ins with the request context", async () => {
+    const sink = createMemoryAuditSink();
+    const { auth } = createAuth({ auditLog: sink });
+    const { user } = await signUp(auth);
+    const context = { ip: "203.0.113.7", userAgent: "test-agent" };
+
+    await auth.signIn({ email: "ada@example.com", password: "wrong" }, context);
+    await auth.signIn(
+      { email: "ada@example.com", password: PASSWORD },
+      context
+    );
+
+    // Sign-up started the first session
+    const signIns = await auth.listAuditEvents({ type: "sign_in", limit: 2 });
+    expect(signIns.data).toMatchObject([
+      { outcome: "success", userId: user.id, ip: "203.0.113.7" },
+      {
+        outcome: "failure",
+        email: "ada@example.com",
+        errorCode: "INVALID_CREDENTIALS",
+        userAgent: "test-agent",
+      },
+    ]);
+    expect(signIns.data![1]).not.toHaveProperty("userId");
+    expect(
+      (await auth.listAuditEvents({ type: "sign_up", userId: user.id })).data
+    ).toHaveLength(1);
+  });
+
+  it("keeps working when the sink fails", async () => {
+    vi.spyOn(console, "error").mockImplementation(() => undefined);
+    const { auth } = createAuth({
+      auditLog: {
+        write: async () => {
+          throw new Error("disk full");
+        },
+      },
+    });
+
+    expect(
+      (await auth.signUp({ email: "ada@example.com", password: PASSWORD }))
+        .success
+    ).toBe(true);
+    const query = await auth.listAuditEvents();
+    expect(query.error?.code).toBe("AUDIT_QUERY_UNSUPPORTED");
+  });
+});
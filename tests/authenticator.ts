@@ -0,0 +1,189 @@
+/**
+ * Software passkey authenticator for the WebAuthn tests. It produces the
+ * same structures a browser returns, signed with a Node key pair.
+ */
+
+import { createHash, generateKeyPairSync, randomBytes, sign } from "crypto";
+import type { KeyObject } from "crypto";
+import type {
+  PasskeyAuthenticationResponse,
+  PasskeyRegistrationResponse,
+} from "../src/types";
+
+export const RP_ID = "app.example.com";
+export const ORIGIN = "https://app.example.com";
+
+// Authenticator data flags (WebAuthn 6.1)
+export const FLAGS = {
+  userPresent: 0x01,
+  userVerified: 0x04,
+  backupEligible: 0x08,
+  backedUp: 0x10,
+  attestedCredentialData: 0x40,
+};
+
+export interface TestAuthenticator {
+  credentialId: Buffer;
+  privateKey: KeyObject;
+  counter: number; // Stays 0 for synced passkeys
+  register(
+    challenge: string,
+    options?: { flags?: number; origin?: string }
+  ): PasskeyRegistrationResponse;
+  authenticate(
+    challenge: string,
+    options?: { flags?: number; userHandle?: string }
+  ): PasskeyAuthenticationResponse;
+}
+
+export function createTestAuthenticator(
+  options: { algorithm?: "ES256" | "EdDSA"; synced?: boolean } = {}
+): TestAuthenticator {
+  const algorithm = options.algorithm ?? "ES256";
+  const { privateKey, publicKey } =
+    algorithm === "ES256"
+      ? generateKeyPairSync("ec", { namedCurve: "P-256" })
+      : generateKeyPairSync("ed25519");
+  const jwk = publicKey.export({ format: "jwk" });
+  const coseKey =
+    algorithm === "ES256"
+      ? new Map<number, any>([
+          [1, 2],
+          [3, -7],
+          [-1, 1],
+          [-2, Buffer.from(jwk.x!, "base64url")],
+          [-3, Buffer.from(jwk.y!, "base64url")],
+        ])
+      : new Map<number, any>([
+          [1, 1],
+          [3, -8],
+          [-1, 6],
+          [-2, Buffer.from(jwk.x!, "base64url")],
+        ]);
+  const backup = options.synced ? FLAGS.backupEligible | FLAGS.backedUp : 0;
+  const counting = !options.synced;
+
+  const authenticator: TestAuthenticator = {
+    credentialId: randomBytes(16),
+    privateKey,
+    counter: 0,
+
+    register(challenge, { flags, origin } = {}) {
+      const clientDataJSON = clientData("webauthn.create", challenge, origin);
+      const credential = Buffer.alloc(2 + authenticator.credentialId.length);
+      credential.writeUInt16BE(authenticator.credentialId.length, 0);
+      authenticator.credentialId.copy(credential, 2);
+      const authData = Buffer.concat([
+        authenticatorData(
+          flags ??
+            FLAGS.userPresent |
+              FLAGS.userVerified |
+              FLAGS.attestedCredentialData |
+              backup,
+          authenticator.counter
+        ),
+        Buffer.alloc(16), // AAGUID, zero for 'none' attestation
+        credential,
+        encodeCbor(coseKey),
+      ]);
+      const attestationObject = encodeCbor(
+        new Map<string, any>([
+          ["fmt", "none"],
+          ["attStmt", new Map()],
+          ["authData", authData],
+        ])
+      );
+
+      return {
+        id: authenticator.credentialId.toString("base64url"),
+        rawId: authenticator.credentialId.toString("base64url"),
+        type: "public-key",
+        response: {
+          clientDataJSON: clientDataJSON.toString("base64url"),
+          attestationObject: attestationObject.toString("base64url"),
+          transports: ["internal"],
+        },
+      };
+    },
+
+    authenticate(challenge, { flags, userHandle } = {}) {
+      if (counting) authenticator.counter++;
+      const clientDataJSON = clientData("webauthn.get", challenge);
+      const authData = authenticatorData(
+        flags ?? FLAGS.userPresent | FLAGS.userVerified | backup,
+        authenticator.counter
+      );
+      const signed = Buffer.concat([
+        authData,
+        createHash("sha256").update(clientDataJSON).digest(),
+      ]);
+      const signature = sign(
+        algorithm === "ES256" ? "sha256" : null,
+        signed,
+        privateKey
+      );
+
+      return {
+        id: authenticator.credentialId.toString("base64url"),
+        rawId: authenticator.credentialId.toString("base64url"),
+        type: "public-key",
+        response: {
+          clientDataJSON: clientDataJSON.toString("base64url"),
+          authenticatorData: authData.toString("base64url"),
+          signature: signature.toString("base64url"),
+          ...(userHandle && { userHandle }),
+        },
+      };
+    },
+  };
+  return authenticator;
+}
+
+function clientData(
+  type: string,
+  challenge: string,
+  origin: string = ORIGIN
+): Buffer {
+  return Buffer.from(JSON.stringify({ type, challenge, origin }));
+}
+
+function authenticatorData(flags: number, counter: number): Buffer {
+  const data = Buffer.alloc(37);
+  createHash("sha256").update(RP_ID).digest().copy(data, 0);
+  data[32] = flags;
+  data.writeUInt32BE(counter, 33);
+  return data;
+}
+
+/**
+ * CBOR encoder for the integers, byte and text strings and maps used above
+ */
+export function encodeCbor(value: any): Buffer {
+  const head = (majorType: number, length: number): Buffer => {
+    if (length < 24) return Buffer.from([(majorType << 5) | length]);
+    if (length < 0x100) return Buffer.from([(majorType << 5) | 24, length]);
+    const buffer = Buffer.alloc(3);
+    buffer[0] = (majorType << 5) | 25;
+    buffer.writeUInt16BE(length, 1);
+    return buffer;
+  };
+
+  if (typeof value === "number") {
+    return value >= 0 ? head(0, value) : head(1, -1 - value);
+  }
+  if (Buffer.isBuffer(value)) {
+    return Buffer.concat([head(2, value.length), value]);
+  }
+  if (typeof value === "string") {
+    const bytes = Buffer.from(value, "utf8");
+    return Buffer.concat([head(3, bytes.length), bytes]);
+  }
+  if (value instanceof Map) {
+    const entries = [...value.entries()].flatMap(([key, entry]) => [
+      encodeCbor(key),
+      encodeCbor(entry),
+    ]);
+    return Buffer.concat([head(5, value.size), ...entries]);
+  }
+  throw new Error(`Cannot encode ${typeof value} as CBOR`);
+}
@@ -0,0 +1,135 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from "vitest";
+import {
+  BruteForceGuard,
+  createMemoryAttemptStore,
+} from "../src/server/throttle";
+import { createAuth, PASSWORD, signUp } from "./helpers";
+
+const MINUTE = 60 * 1000;
+
+describe("BruteForceGuard", () => {
+  beforeEach(() => {
+    vi.useFakeTimers();
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+
+  const createGuard = (config = {}) =>
+    new BruteForceGuard(
+      { maxAttempts: 3, maxAttemptsPerIp: 5, baseDelay: 0, ...config },
+      createMemoryAttemptStore()
+    );
+
+  it("locks an account after maxAttempts failures", async () => {
+    const guard = createGuard();
+    for (let i = 0; i < 3; i++) {
+      expect(await guard.check("ada@example.com")).toBeNull();
+      await guard.recordFailure("ada@example.com");
+    }
+
+    // Addresses are matched case-insensitively
+    expect(await guard.check("ADA@example.com")).toEqual({
+      scope: "account",
+      retryAfter: 15 * MINUTE,
+    });
+    expect(await guard.check("grace@example.com")).toBeNull();
+
+    vi.advanceTimersByTime(15 * MINUTE);
+    expect(await guard.check("ada@example.com")).toBeNull();
+  });
+
+  it("forgets failures outside the attempt window", async () => {
+    const guard = createGuard({ attemptWindow: 5 * MINUTE });
+    await guard.recordFailure("ada@example.com");
+    await guard.recordFailure("ada@example.com");
+    vi.advanceTimersByTime(5 * MINUTE);
+    await guard.recordFailure("ada@example.com");
+    expect(await guard.check("ada@example.com")).toBeNull();
+  });
+
+  it("limits an IP across accounts", async () => {
+    const guard = createGuard();
+    for (let i = 0; i < 5; i++) {
+      await guard.recordFailure(`user${i}@example.com`, "203.0.113.7");
+    }
+
+    expect(await guard.check("new@example.com", "203.0.113.7")).toEqual({
+      scope: "ip",
+      retryAfter: 15 * MINUTE,
+    });
+    expect(await guard.check("new@example.com", "198.51.100.1")).toBeNull();
+  });
+
+  it("keeps the IP counter after a successful sign-in", async () => {
+    const guard = createGuard({ maxAttempts: 10 });
+    for (let i = 0; i < 4; i++) {
+      await guard.recordFailure("ada@example.com", "203.0.113.7");
+    }
+    await guard.recordSuccess("ada@example.com");
+    await guard.recordFailure("grace@example.com", "203.0.113.7");
+
+    expect((await guard.check("grace@example.com", "203.0.113.7"))?.scope).toBe(
+      "ip"
+    );
+  });
+
+  it("doubles the delay after each failure up to maxDelay", async () => {
+    const guard = createGuard({
+      maxAttempts: 10,
+      baseDelay: 100,
+      maxDelay: 300,
+    });
+
+    // Resolves to how long check() waited
+    const delayOf = async () => {
+      let done = false;
+      const check = guard.check("ada@example.com").then(() => (done = true));
+      let waited = 0;
+      await vi.advanceTimersByTimeAsync(0);
+      while (!done) {
+        await vi.advanceTimersByTimeAsync(50);
+        waited += 50;
+      }
+      await check;
+      return waited;
+    };
+
+    expect(await delayOf()).toBe(0);
+    await guard.recordFailure("ada@example.com");
+    expect(await delayOf()).toBe(100);
+    await guard.recordFailure("ada@example.com");
+    expect(await delayOf()).toBe(200);
+    await guard.recordFailure("ada@example.com");
+    expect(await delayOf()).toBe(300);
+    await guard.recordFailure("ada@example.com");
+    expect(await delayOf()).toBe(300);
+  });
+});
+
+describe("sign-in lockout", () => {
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+
+  it("locks the account, then lets the right password in after the lockout", async () => {
+    vi.useFakeTimers({ toFake: ["Date"] });
+    const { auth } = createAuth({
+      bruteForceProtection: { maxAttempts: 2, baseDelay: 0 },
+    });
+    await signUp(auth);
+    const signIn = (password: string) =>
+      auth.signIn({ email: "ada@example.com", password });
+
+    expect((await signIn("wrong")).error?.code).toBe("INVALID_CREDENTIALS");
+    expect((await signIn("wrong")).error?.code).toBe("INVALID_CREDENTIALS");
+    const locked = await signIn(PASSWORD);
+    expect(locked.error?.code).toBe("ACCOUNT_LOCKED");
+    expect(locked.error?.statusCode).toBe(423);
+    expect(locked.error?.details?.retryAfter).toBe(15 * MINUTE);
+
+    vi.advanceTimersByTime(15 * MINUTE);
+    expect((await signIn(PASSWORD)).success).toBe(true);
+  });
+});
@@ -0,0 +1,78 @@
+import { describe, expect, it } from "vitest";
+import { createAuth, createTestMailer, PASSWORD, signUp } from "./helpers";
+
+const NEW_PASSWORD = "Battery-Staple-77!";
+
+describe("password change", () => {
+  it("requires the current password", async () => {
+    const mailer = createTestMailer();
+    const { auth } = createAuth({ mailer });
+    const { user } = await signUp(auth);
+
+    const result = await auth.changePassword(
+      user.id,
+      "Wrong-Horse-42!",
+      NEW_PASSWORD
+    );
+    expect(result.error?.code).toBe("INVALID_CREDENTIALS");
+    expect(result.error?.message).toBe("Current password is incorrect");
+    expect(mailer.sent).toEqual([]);
+
+    const signIn = await auth.signIn({
+      email: "ada@example.com",
+      password: PASSWORD,
+    });
+    expect(signIn.success).toBe(true);
+  });
+
+  it("checks the new password against the policy", async () => {
+    const { auth } = createAuth();
+    const { user } = await signUp(auth);
+
+    const result = await auth.changePassword(user.id, PASSWORD, "password123");
+    expect(result.error?.code).toBe("WEAK_PASSWORD");
+  });
+
+  it("keeps other sessions unless asked to revoke them", async () => {
+    const mailer = createTestMailer();
+    const { auth } = createAuth({ mailer });
+    const { user, token } = await signUp(auth);
+
+    const changed = await auth.changePassword(user.id, PASSWORD, NEW_PASSWORD);
+    expect(changed).toEqual({ success: true });
+    expect((await auth.getSession(token)).success).toBe(true);
+    expect(mailer.sent.map((message) => message.template)).toEqual([
+      "password_changed",
+    ]);
+
+    const signIn = await auth.signIn({
+      email: "ada@example.com",
+      password: NEW_PASSWORD,
+    });
+    expect(signIn.success).toBe(true);
+  });
+
+  it("revokes every other session and returns a new one", async () => {
+    const { auth } = createAuth();
+    const first = await signUp(auth);
+    const second = await auth.signIn({
+      email: "ada@example.com",
+      password: PASSWORD,
+    });
+
+    const changed = await auth.changePassword(
+      first.user.id,
+      PASSWORD,
+      NEW_PASSWORD,
+      { revokeOtherSessions: true }
+    );
+    expect(changed.success).toBe(true);
+
+    for (const token of [first.token, second.data!.token]) {
+      expect((await auth.getSession(token)).success).toBe(false);
+    }
+    expect((await auth.refreshSession(first.refreshToken)).success).toBe(false);
+    const session = await auth.getSession(changed.data!.token);
+    expect(session.data!.userId).toBe(first.user.id);
+  });
+});
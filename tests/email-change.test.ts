@@ -0,0 +1,126 @@
+import { afterEach, describe, expect, it, vi } from "vitest";
+import { createAuth, createTestMailer, PASSWORD, signUp } from "./helpers";
+
+describe("email change", () => {
+  it("frees the old address once the new one is confirmed", async () => {
+    const mailer = createTestMailer();
+    const { auth, database } = createAuth({ mailer });
+    const { user } = await signUp(auth, "old@example.com");
+
+    const requested = await auth.changeEmail(
+      user.id,
+      "new@example.com",
+      PASSWORD
+    );
+    expect(requested.success).toBe(true);
+    const confirmed = await auth.confirmEmailChange(mailer.sent[0].data!.token);
+    expect(confirmed.data!.user.email).toBe("new@example.com");
+
+    expect(await database.findUserByEmail("old@example.com")).toBeNull();
+    const oldSignIn = await auth.signIn({
+      email: "old@example.com",
+      password: PASSWORD,
+    });
+    expect(oldSignIn.error?.code).toBe("INVALID_CREDENTIALS");
+    const newSignIn = await auth.signIn({
+      email: "new@example.com",
+      password: PASSWORD,
+    });
+    expect(newSignIn.data!.user.id).toBe(user.id);
+
+    // Someone else can now sign up with the old address
+    const other = await signUp(auth, "old@example.com");
+    expect(other.user.id).not.toBe(user.id);
+  });
+
+  it("requires the current password", async () => {
+    const mailer = createTestMailer();
+    const { auth } = createAuth({ mailer });
+    const { user } = await signUp(auth, "old@example.com");
+
+    const result = await auth.changeEmail(
+      user.id,
+      "new@example.com",
+      "Wrong-Horse-42!"
+    );
+    expect(result.error?.code).toBe("INVALID_CREDENTIALS");
+    expect(mailer.sent).toEqual([]);
+  });
+
+  it("sends a single-use token to the new address only", async () => {
+    const mailer = createTestMailer();
+    const { auth, database } = createAuth({ mailer });
+    const { user } = await signUp(auth, "old@example.com");
+
+    await auth.changeEmail(user.id, "new@example.com", PASSWORD);
+    expect(mailer.sent).toEqual([
+      expect.objectContaining({
+        to: "new@example.com",
+        template: "email_change",
+      }),
+    ]);
+    // Nothing changes until the link is opened
+    expect((await database.findUserById(user.id))!.email).toBe(
+      "old@example.com"
+    );
+
+    const { token } = mailer.sent[0].data!;
+    expect((await auth.confirmEmailChange(token)).success).toBe(true);
+    expect(mailer.sent[1]).toMatchObject({
+      to: "old@example.com",
+      template: "email_changed",
+    });
+
+    const replay = await auth.confirmEmailChange(token);
+    expect(replay.error?.code).toBe("INVALID_EMAIL_CHANGE_TOKEN");
+    expect((await auth.confirmEmailChange("not-a-token")).error?.code).toBe(
+      "INVALID_EMAIL_CHANGE_TOKEN"
+    );
+  });
+
+  describe("confirmation link", () => {
+    afterEach(() => {
+      vi.useRealTimers();
+    });
+
+    it("expires after emailVerificationTokenDuration", async () => {
+      vi.useFakeTimers({ toFake: ["Date"] });
+      const mailer = createTestMailer();
+      const { auth } = createAuth({
+        mailer,
+        emailVerificationTokenDuration: 60 * 60 * 1000,
+      });
+      const { user } = await signUp(auth, "old@example.com");
+      await auth.changeEmail(user.id, "new@example.com", PASSWORD);
+
+      vi.advanceTimersByTime(60 * 60 * 1000 + 1);
+      const expired = await auth.confirmEmailChange(mailer.sent[0].data!.token);
+      expect(expired.error?.code).toBe("INVALID_EMAIL_CHANGE_TOKEN");
+    });
+  });
+
+  it("refuses an address taken before the link is opened", async () => {
+    const mailer = createTestMailer();
+    const { auth } = createAuth({ mailer });
+    const { user } = await signUp(auth, "old@example.com");
+    await auth.changeEmail(user.id, "new@example.com", PASSWORD);
+
+    await signUp(auth, "new@example.com");
+    const result = await auth.confirmEmailChange(mailer.sent[0].data!.token);
+    expect(result.error?.code).toBe("USER_EXISTS");
+  });
+
+  it("signs out everywhere with revokeSessions", async () => {
+    const mailer = createTestMailer();
+    const { auth } = createAuth({ mailer });
+    const { user, token } = await signUp(auth, "old@example.com");
+    await auth.changeEmail(user.id, "new@example.com", PASSWORD);
+
+    const confirmed = await auth.confirmEmailChange(
+      mailer.sent[0].data!.token,
+      { revokeSessions: true }
+    );
+    expect(confirmed.success).toBe(true);
+    expect((await auth.getSession(token)).success).toBe(false);
+  });
+});
@@ -0,0 +1,66 @@
+/**
+ * Recorded passkey ceremonies for rpId 'app.example.com' and origin
+ * 'https://app.example.com'. The ES256 credential is device-bound with a
+ * signature counter; the Ed25519 one is a synced passkey whose counter
+ * stays 0.
+ */
+
+import type {
+  PasskeyAuthenticationResponse,
+  PasskeyRegistrationResponse,
+} from "../../src/types";
+
+export const REGISTRATION_CHALLENGE = "Hq7IwDbBnZ_uf3zXv9lYpiQDTrA3gkmM";
+export const AUTHENTICATION_CHALLENGE = "vXn2r8kSxJ0cM1qT5bWd7fYh3LpE9uAz";
+
+export const ES256_REGISTRATION: PasskeyRegistrationResponse = {
+  id: "pS0NT_dMrqgYql4E8SedDA",
+  rawId: "pS0NT_dMrqgYql4E8SedDA",
+  type: "public-key",
+  response: {
+    clientDataJSON:
+      "eyJ0eXBlIjoid2ViYXV0aG4uY3JlYXRlIiwiY2hhbGxlbmdlIjoiSHE3SXdEYkJuWl91ZjN6WHY5bFlwaVFEVHJBM2drbU0iLCJvcmlnaW4iOiJodHRwczovL2FwcC5leGFtcGxlLmNvbSJ9",
+    attestationObject:
+      "o2NmbXRkbm9uZWdhdHRTdG10oGhhdXRoRGF0YViUKAWYKbEFHwTvAxGQZ8DOCeBSd2EokPjgh08djs4a4DRFAAAAAAAAAAAAAAAAAAAAAAAAAAAAEKUtDU_3TK6oGKpeBPEnnQylAQIDJiABIVggVHADbSl1cGLEGcGLpqk8KLemA1n50xQ1cO5hfyu24vEiWCBJtaNTjXDNWa-qNBL2PGQQOSBuTaCZK2fo7AMtLo2nPw",
+    transports: ["internal"],
+  },
+};
+
+export const ES256_AUTHENTICATION: PasskeyAuthenticationResponse = {
+  id: "pS0NT_dMrqgYql4E8SedDA",
+  rawId: "pS0NT_dMrqgYql4E8SedDA",
+  type: "public-key",
+  response: {
+    clientDataJSON:
+      "eyJ0eXBlIjoid2ViYXV0aG4uZ2V0IiwiY2hhbGxlbmdlIjoidlhuMnI4a1N4SjBjTTFxVDViV2Q3ZlloM0xwRTl1QXoiLCJvcmlnaW4iOiJodHRwczovL2FwcC5leGFtcGxlLmNvbSJ9",
+    authenticatorData: "KAWYKbEFHwTvAxGQZ8DOCeBSd2EokPjgh08djs4a4DQFAAAAAQ",
+    signature:
+      "MEUCIFM9gXhse7BBXQVEU0zhkoptbp4sx7HQwglbTPn7Jl94AiEAjosTgL7iw8NSOy5TNpcVaAZ8Qb3G-TPqezjo33AjXDU",
+  },
+};
+
+export const ED25519_REGISTRATION: PasskeyRegistrationResponse = {
+  id: "XTBmhtCvNiuvphxI_xzqlg",
+  rawId: "XTBmhtCvNiuvphxI_xzqlg",
+  type: "public-key",
+  response: {
+    clientDataJSON:
+      "eyJ0eXBlIjoid2ViYXV0aG4uY3JlYXRlIiwiY2hhbGxlbmdlIjoiSHE3SXdEYkJuWl91ZjN6WHY5bFlwaVFEVHJBM2drbU0iLCJvcmlnaW4iOiJodHRwczovL2FwcC5leGFtcGxlLmNvbSJ9",
+    attestationObject:
+      "o2NmbXRkbm9uZWdhdHRTdG10oGhhdXRoRGF0YVhxKAWYKbEFHwTvAxGQZ8DOCeBSd2EokPjgh08djs4a4DRdAAAAAAAAAAAAAAAAAAAAAAAAAAAAEF0wZobQrzYrr6YcSP8c6pakAQEDJyAGIVggIaTnJ7bUaOIF9QeJ_8xK_v-LFp8tQmbPHXs3zuEtPj4",
+    transports: ["internal"],
+  },
+};
+
+export const ED25519_AUTHENTICATION: PasskeyAuthenticationResponse = {
+  id: "XTBmhtCvNiuvphxI_xzqlg",
+  rawId: "XTBmhtCvNiuvphxI_xzqlg",
+  type: "public-key",
+  response: {
+    clientDataJSON:
+      "eyJ0eXBlIjoid2ViYXV0aG4uZ2V0IiwiY2hhbGxlbmdlIjoidlhuMnI4a1N4SjBjTTFxVDViV2Q3ZlloM0xwRTl1QXoiLCJvcmlnaW4iOiJodHRwczovL2FwcC5leGFtcGxlLmNvbSJ9",
+    authenticatorData: "KAWYKbEFHwTvAxGQZ8DOCeBSd2EokPjgh08djs4a4DQdAAAAAA",
+    signature:
+      "n0S5H-ZKbNjZfZjZZN3U_Z1l6ynGRr4QMpXrJbzHDr32dtb2jjO8bjZZqtZzUYHn7H_pKiUH8eFtb_qgM5qOCQ",
+  },
+};
@@ -0,0 +1,88 @@
+import bcrypt from "bcryptjs";
+import { describe, expect, it } from "vitest";
+import { createMemoryAdapter } from "../src/database/index";
+import { createBcryptHasher, createScryptHasher } from "../src/server/hashers";
+import { createAuth, PASSWORD, signUp } from "./helpers";
+
+// Cheaper than the default cost, to keep the suite fast
+const scrypt = createScryptHasher({ cost: 10 });
+
+describe("scrypt hasher", () => {
+  it("round-trips a PHC string", async () => {
+    const hash = await scrypt.hash(PASSWORD);
+
+    expect(hash).toMatch(
+      /^\$scrypt\$ln=10,r=8,p=1\$[A-Za-z0-9+/]+\$[A-Za-z0-9+/]+$/
+    );
+    expect(scrypt.identifies(hash)).toBe(true);
+    expect(await scrypt.verify(PASSWORD, hash)).toBe(true);
+    expect(await scrypt.verify("Wrong-Horse-42!", hash)).toBe(false);
+    // Salted, so the same password hashes differently
+    expect(await scrypt.hash(PASSWORD)).not.toBe(hash);
+  });
+
+  it("flags hashes with other parameters for rehashing", async () => {
+    const hash = await scrypt.hash(PASSWORD);
+    expect(scrypt.needsRehash(hash)).toBe(false);
+    expect(createScryptHasher({ cost: 11 }).needsRehash(hash)).toBe(true);
+    // Still verifies with the parameters stored in the hash
+    expect(await createScryptHasher({ cost: 11 }).verify(PASSWORD, hash)).toBe(
+      true
+    );
+    expect(scrypt.needsRehash("$scrypt$ln=x$salt$key")).toBe(true);
+    expect(await scrypt.verify(PASSWORD, "$scrypt$ln=x$salt$key")).toBe(false);
+  });
+
+  it("treats a bcrypt hash as someone else's", async () => {
+    const hash = await bcrypt.hash(PASSWORD, 4);
+    expect(scrypt.identifies(hash)).toBe(false);
+    expect(createBcryptHasher().identifies(hash)).toBe(true);
+    expect(createBcryptHasher({ rounds: 4 }).needsRehash(hash)).toBe(false);
+    expect(createBcryptHasher({ rounds: 10 }).needsRehash(hash)).toBe(true);
+  });
+});
+
+describe("password hash agility", () => {
+  it("verifies bcrypt hashes while scrypt comes first", async () => {
+    const { auth } = createAuth({ passwordHashers: [scrypt] });
+    const bcryptHash = await bcrypt.hash(PASSWORD, 4);
+
+    expect(await auth.verifyPassword(PASSWORD, bcryptHash)).toBe(true);
+    expect(await auth.verifyPassword("Wrong-Horse-42!", bcryptHash)).toBe(
+      false
+    );
+    expect(await auth.hashPassword(PASSWORD)).toMatch(/^\$scrypt\$/);
+    expect(await auth.verifyPassword(PASSWORD, "unknown-format")).toBe(false);
+  });
+
+  it("upgrades the stored hash after a successful sign-in", async () => {
+    const database = createMemoryAdapter();
+    const { auth: before } = createAuth({ database });
+    const { user } = await signUp(before);
+    const stored = async () =>
+      (await database.findUserById(user.id))!.metadata!.password as string;
+    const bcryptHash = await stored();
+    expect(bcryptHash).toMatch(/^\$2[aby]\$/);
+
+    const { auth: after } = createAuth({ database, passwordHashers: [scrypt] });
+    const failed = await after.signIn({
+      email: "ada@example.com",
+      password: "Wrong-Horse-42!",
+    });
+    expect(failed.success).toBe(false);
+    expect(await stored()).toBe(bcryptHash);
+
+    const signIn = await after.signIn({
+      email: "ada@example.com",
+      password: PASSWORD,
+    });
+    expect(signIn.success).toBe(true);
+    const upgraded = await stored();
+    expect(upgraded).toMatch(/^\$scrypt\$ln=10,/);
+    expect(signIn.data!.user.metadata?.password).toBeUndefined();
+
+    // The new hash works, and is not rewritten again
+    await after.signIn({ email: "ada@example.com", password: PASSWORD });
+    expect(await stored()).toBe(upgraded);
+  });
+});
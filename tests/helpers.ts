@@ -0,0 +1,44 @@
+/**
+ * Shared setup for the server tests
+ */
+
+import { VistaAuthServer } from "../src/server/core";
+import { createMemoryAdapter } from "../src/database/index";
+import type { AuthConfig, DatabaseAdapter, MailMessage } from "../src/types";
+
+export const SECRET = "test-secret-0123456789abcdef0123456789abcdef";
+export const PASSWORD = "Correct-Horse-42!";
+
+export function createAuth(config: AuthConfig = {}): {
+  auth: VistaAuthServer;
+  database: DatabaseAdapter;
+} {
+  const database = config.database ?? createMemoryAdapter();
+  const auth = new VistaAuthServer({ jwtSecret: SECRET, database, ...config });
+  return { auth, database };
+}
+
+export async function signUp(
+  auth: VistaAuthServer,
+  email: string = "ada@example.com",
+  password: string = PASSWORD
+) {
+  const result = await auth.signUp({ email, password, name: "Ada" });
+  if (!result.success || !("token" in result.data!)) {
+    throw new Error(`signUp failed: ${result.error?.code}`);
+  }
+  return result.data;
+}
+
+/**
+ * Mailer that keeps every message, for reading tokens out of links
+ */
+export function createTestMailer() {
+  const sent: MailMessage[] = [];
+  return {
+    sent,
+    async send(message: MailMessage) {
+      sent.push(message);
+    },
+  };
+}
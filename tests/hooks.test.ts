@@ -0,0 +1,228 @@
+import { afterEach, describe, expect, it, vi } from "vitest";
+import { createMemoryAuditSink } from "../src/server/audit";
+import type {
+  AuthHookContext,
+  AuthPlugin,
+  OAuthProvider,
+  SignUpHookData,
+  User,
+} from "../src/types";
+import { createAuth, createTestMailer, PASSWORD, signUp } from "./helpers";
+
+// Records every sign-up and sign-in hook call
+function createRecorder() {
+  const signUps: { data: SignUpHookData; context: AuthHookContext }[] = [];
+  const created: User[] = [];
+  const signIns: User[] = [];
+  const plugin: AuthPlugin = {
+    name: "recorder",
+    hooks: {
+      beforeSignUp(data, context) {
+        signUps.push({ data, context });
+        return { ...data, name: data.name ?? "From hook" };
+      },
+      afterSignUp(user) {
+        created.push(user);
+      },
+      beforeSignIn(user) {
+        signIns.push(user);
+      },
+    },
+  };
+  return { plugin, signUps, created, signIns };
+}
+
+const provider: OAuthProvider = {
+  id: "test",
+  name: "Test",
+  clientId: "client",
+  clientSecret: "secret",
+  scopes: ["email"],
+  async getEndpoints() {
+    return {
+      authorizationUrl: "https://id.example.com/authorize",
+      tokenUrl: "https://id.example.com/token",
+    };
+  },
+  async getProfile() {
+    return {
+      id: "account-1",
+      email: "grace@example.com",
+      emailVerified: true,
+      image: "https://id.example.com/grace.png",
+    };
+  },
+};
+
+describe("sign-up hooks", () => {
+  afterEach(() => {
+    vi.unstubAllGlobals();
+  });
+
+  it("run for password sign-ups", async () => {
+    const recorder = createRecorder();
+    const { auth } = createAuth({ plugins: [recorder.plugin] });
+    await signUp(auth);
+
+    expect(recorder.signUps[0].context.method).toBe("password");
+    expect(recorder.created[0].metadata?.password).toBeUndefined();
+  });
+
+  it("run for magic link sign-ups", async () => {
+    const recorder = createRecorder();
+    const mailer = createTestMailer();
+    const auditLog = createMemoryAuditSink();
+    const { auth } = createAuth({
+      plugins: [recorder.plugin],
+      mailer,
+      auditLog,
+      magicLinkSignUp: true,
+    });
+
+    await auth.sendMagicLink("grace@example.com");
+    await vi.waitFor(() => expect(mailer.sent).toHaveLength(1));
+    const result = await auth.verifyMagicLink(mailer.sent[0].data!.token);
+
+    expect(result.data!.user.name).toBe("From hook");
+    expect(recorder.signUps).toHaveLength(1);
+    expect(recorder.signUps[0].data).toEqual({ email: "grace@example.com" });
+    expect(recorder.signUps[0].context.method).toBe("magic_link");
+    expect(recorder.created[0].id).toBe(result.data!.user.id);
+
+    const events = await auth.listAuditEvents({ type: "sign_up" });
+    expect(events.data!.map((event) => event.details)).toEqual([
+      { method: "magic_link" },
+    ]);
+  });
+
+  it("run for OAuth sign-ups", async () => {
+    const recorder = createRecorder();
+    const auditLog = createMemoryAuditSink();
+    const { auth } = createAuth({
+      plugins: [recorder.plugin],
+      oauthProviders: [provider],
+      auditLog,
+    });
+    vi.stubGlobal(
+      "fetch",
+      vi.fn(async () => Response.json({ access_token: "provider-token" }))
+    );
+
+    const start = await auth.getAuthorizationUrl("test", {
+      redirectUri: "https://app.example.com/callback",
+    });
+    const state = new URL(start.data!.url).searchParams.get("state");
+    const result = await auth.handleOAuthCallback("test", {
+      code: "code",
+      state,
+      flowToken: start.data!.flowToken,
+    });
+
+    expect(result.data!.user).toMatchObject({
+      email: "grace@example.com",
+      name: "From hook",
+      image: "https://id.example.com/grace.png",
+    });
+    expect(recorder.signUps[0].context.method).toBe("oauth");
+    expect(recorder.created).toHaveLength(1);
+
+    const events = await auth.listAuditEvents({ type: "sign_up" });
+    expect(events.data!.map((event) => event.details)).toEqual([
+      { method: "oauth" },
+    ]);
+  });
+
+  it("cannot replace an address a magic link proved", async () => {
+    const mailer = createTestMailer();
+    const { auth } = createAuth({
+      plugins: [
+        {
+          name: "rewrite",
+          hooks: {
+            beforeSignUp: (data) => ({ ...data, email: "eve@example.com" }),
+          },
+        },
+      ],
+      mailer,
+      magicLinkSignUp: true,
+    });
+
+    await auth.sendMagicLink("grace@example.com");
+    await vi.waitFor(() => expect(mailer.sent).toHaveLength(1));
+    const result = await auth.verifyMagicLink(mailer.sent[0].data!.token);
+    expect(result.data!.user.email).toBe("grace@example.com");
+  });
+
+  it("can reject sign-ups of every kind", async () => {
+    const mailer = createTestMailer();
+    const { auth } = createAuth({
+      plugins: [
+        {
+          name: "closed",
+          hooks: {
+            beforeSignUp() {
+              throw {
+                code: "SIGN_UPS_CLOSED",
+                message: "Sign-ups are closed",
+                statusCode: 403,
+              };
+            },
+          },
+        },
+      ],
+      mailer,
+      magicLinkSignUp: true,
+    });
+
+    const password = await auth.signUp({
+      email: "ada@example.com",
+      password: PASSWORD,
+    });
+    expect(password.error?.code).toBe("SIGN_UPS_CLOSED");
+
+    await auth.sendMagicLink("grace@example.com");
+    await vi.waitFor(() => expect(mailer.sent).toHaveLength(1));
+    const link = await auth.verifyMagicLink(mailer.sent[0].data!.token);
+    expect(link.error?.code).toBe("SIGN_UPS_CLOSED");
+  });
+});
+
+describe("beforeSignIn", () => {
+  it("receives the user without secrets", async () => {
+    const recorder = createRecorder();
+    const { auth } = createAuth({ plugins: [recorder.plugin] });
+    await signUp(auth);
+    await auth.signIn({ email: "ada@example.com", password: PASSWORD });
+
+    expect(recorder.signIns).toHaveLength(2);
+    for (const user of recorder.signIns) {
+      expect(user.email).toBe("ada@example.com");
+      expect(user.metadata?.password).toBeUndefined();
+    }
+  });
+
+  it("cannot change the signed-in user", async () => {
+    const { auth } = createAuth({
+      plugins: [
+        {
+          name: "mutate",
+          hooks: {
+            beforeSignIn(user) {
+              user.roles?.push("admin");
+              return { ...user, id: "someone-else" } as any;
+            },
+          },
+        },
+      ],
+    });
+    const { user } = await signUp(auth);
+
+    expect(user.roles).toEqual(["user"]);
+    const session = await auth.signIn({
+      email: "ada@example.com",
+      password: PASSWORD,
+    });
+    expect(session.data!.user.id).toBe(user.id);
+    expect(session.data!.user.roles).toEqual(["user"]);
+  });
+});
@@ -0,0 +1,49 @@
+import { describe, expect, it } from "vitest";
+import { createErrorCatalog, negotiateLocale } from "../src/i18n";
+import { builtInMessages } from "../src/i18n";
+import { createAuth, signUp } from "./helpers";
+
+describe("error catalog", () => {
+  it("translates every English key in the built-in locales", () => {
+    const keys = Object.keys(builtInMessages.en).sort();
+    for (const locale of ["es", "fr", "de"]) {
+      expect(Object.keys(builtInMessages[locale]).sort()).toEqual(keys);
+    }
+  });
+
+  it("negotiates Accept-Language with quality values", () => {
+    const locales = ["en", "es", "fr", "de"];
+    expect(negotiateLocale("fr-CA,fr;q=0.9,en;q=0.8", locales)).toBe("fr");
+    expect(negotiateLocale("en;q=0.2,es;q=0.9", locales)).toBe("es");
+    expect(negotiateLocale("ja", locales, "de")).toBe("de");
+    expect(negotiateLocale(["pt-BR", "de-AT"], locales)).toBe("de");
+  });
+
+  it("fills parameters and merges overrides", () => {
+    const catalog = createErrorCatalog({
+      messages: { it: { WELCOME: "Benvenuto, {name}!" } },
+    });
+    expect(catalog.format("WELCOME", { name: "Ada" }, "it")).toBe(
+      "Benvenuto, Ada!"
+    );
+    // Missing keys fall back to English
+    expect(catalog.format("SIGNED_OUT", {}, "it")).toBe(
+      "Signed out successfully"
+    );
+  });
+
+  it("localizes server errors", async () => {
+    const { auth } = createAuth({ locale: "de" });
+    await signUp(auth);
+    const result = await auth.signIn({
+      email: "ada@example.com",
+      password: "wrong-password",
+    });
+    expect(result.error!.message).toBe(
+      "Ungültige E-Mail-Adresse oder ungültiges Passwort"
+    );
+    expect(auth.localizeError(result.error!, "fr").message).toBe(
+      "E-mail ou mot de passe incorrect"
+    );
+  });
+});
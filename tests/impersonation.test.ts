@@ -0,0 +1,93 @@
+import { describe, expect, it } from "vitest";
+import type { ImpersonationConfig } from "../src/types";
+import { createAuth, signUp } from "./helpers";
+
+async function start(impersonation: ImpersonationConfig = {}) {
+  const { auth, database } = createAuth({ impersonation });
+  const admin = await signUp(auth, "admin@example.com");
+  await database.updateUser(admin.user.id, { roles: ["admin"] });
+  const customer = await signUp(auth, "customer@example.com");
+  return { auth, database, admin, customer };
+}
+
+describe("impersonation", () => {
+  it("signs an admin in as a customer", async () => {
+    const { auth, admin, customer } = await start();
+
+    const impersonated = await auth.impersonate(admin.token, customer.user.id);
+    expect(impersonated.data!.user.id).toBe(customer.user.id);
+    const session = await auth.getSession(impersonated.data!.token);
+    expect(session.data!.impersonator).toEqual({
+      userId: admin.user.id,
+      email: "admin@example.com",
+      sessionId: expect.any(String),
+    });
+  });
+
+  it("refuses users without an impersonation role or permission", async () => {
+    const { auth, customer } = await start();
+    const other = await signUp(auth, "other@example.com");
+
+    const result = await auth.impersonate(other.token, customer.user.id);
+    expect(result.error?.code).toBe("IMPERSONATION_FORBIDDEN");
+    expect(result.error?.message).toBe(
+      "You are not allowed to impersonate users"
+    );
+  });
+
+  it("refuses to impersonate another admin or yourself", async () => {
+    const { auth, database, admin } = await start();
+    const other = await signUp(auth, "other-admin@example.com");
+    await database.updateUser(other.user.id, { roles: ["admin"] });
+
+    for (const target of [other.user.id, admin.user.id]) {
+      const result = await auth.impersonate(admin.token, target);
+      expect(result.error?.code).toBe("IMPERSONATION_FORBIDDEN");
+      expect(result.error?.message).toBe("This user cannot be impersonated");
+    }
+  });
+
+  it("guards targets holding an impersonation permission", async () => {
+    const { auth, database, admin, customer } = await start({
+      roles: [],
+      permissions: ["users:impersonate"],
+    });
+    await database.updateUser(admin.user.id, {
+      roles: [],
+      permissions: ["users:impersonate"],
+    });
+    const support = await signUp(auth, "support@example.com");
+    await database.updateUser(support.user.id, {
+      permissions: ["users:impersonate"],
+    });
+
+    expect(
+      (await auth.impersonate(admin.token, customer.user.id)).success
+    ).toBe(true);
+    const result = await auth.impersonate(admin.token, support.user.id);
+    expect(result.error?.message).toBe("This user cannot be impersonated");
+  });
+
+  it("refuses to impersonate from an impersonated session", async () => {
+    const { auth, admin, customer } = await start();
+    const other = await signUp(auth, "other@example.com");
+    const impersonated = await auth.impersonate(admin.token, customer.user.id);
+
+    const nested = await auth.impersonate(
+      impersonated.data!.token,
+      other.user.id
+    );
+    expect(nested.error?.code).toBe("IMPERSONATION_FORBIDDEN");
+    expect(nested.error?.message).toBe(
+      "Stop impersonating before switching to another user"
+    );
+  });
+
+  it("is disabled without the impersonation option", async () => {
+    const { auth } = createAuth();
+    const { token } = await signUp(auth);
+
+    const result = await auth.impersonate(token, "user-2");
+    expect(result.error?.code).toBe("IMPERSONATION_NOT_CONFIGURED");
+  });
+});
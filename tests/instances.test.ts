@@ -0,0 +1,95 @@
+import { generateKeyPairSync } from "crypto";
+import { afterEach, describe, expect, it, vi } from "vitest";
+import { createExpressMiddleware } from "../src/middleware/index";
+import type { AuthConfig, MiddlewareConfig } from "../src/types";
+import { createAuth, signUp } from "./helpers";
+
+describe("instance isolation", () => {
+  it("keeps named realms' tokens out of the unnamed instance", async () => {
+    const { auth: staff } = createAuth({ name: "staff" });
+    const { auth: unnamed } = createAuth();
+    const { token } = await signUp(staff);
+
+    expect(staff.verifyToken(token).iss).toBe("vista-auth:staff");
+    expect(unnamed.verifyToken(token)).toBeNull();
+  });
+
+  it("keeps the unnamed instance's tokens out of named realms", async () => {
+    const { auth: unnamed } = createAuth();
+    const { auth: staff } = createAuth({ name: "staff" });
+    const { token } = await signUp(unnamed);
+
+    expect(unnamed.verifyToken(token)).not.toBeNull();
+    expect(staff.verifyToken(token)).toBeNull();
+  });
+
+  it("checks the audience both ways", async () => {
+    const { auth: admin } = createAuth({ audience: "admin-api" });
+    const { auth: plain } = createAuth();
+    const { auth: billing } = createAuth({ audience: "billing-api" });
+    const { token } = await signUp(admin);
+
+    expect(admin.verifyToken(token).aud).toBe("admin-api");
+    expect(plain.verifyToken(token)).toBeNull();
+    expect(billing.verifyToken(token)).toBeNull();
+  });
+});
+
+describe("middleware instance option", () => {
+  const { privateKey } = generateKeyPairSync("ec", { namedCurve: "P-256" });
+  const signingKeys = [
+    {
+      kid: "key-1",
+      algorithm: "ES256" as const,
+      privateKey: privateKey.export({ type: "pkcs8", format: "pem" }) as string,
+    },
+  ];
+
+  afterEach(() => {
+    vi.unstubAllGlobals();
+  });
+
+  // Runs the Express middleware for one request and returns the status
+  async function request(
+    authConfig: AuthConfig,
+    middlewareConfig: MiddlewareConfig
+  ): Promise<number> {
+    const { auth } = createAuth({ ...authConfig, signingKeys });
+    const { token } = await signUp(auth);
+    vi.stubGlobal(
+      "fetch",
+      vi.fn(async () => new Response(JSON.stringify(auth.getJwks())))
+    );
+
+    const middleware = createExpressMiddleware({
+      jwksUrl: `https://${authConfig.name ?? "auth"}.example.com/jwks`,
+      ...middlewareConfig,
+    });
+    let status = 200;
+    const res = {
+      status(code: number) {
+        status = code;
+        return { json: () => undefined };
+      },
+    };
+    await middleware(
+      { path: "/dashboard", headers: { authorization: `Bearer ${token}` } },
+      res,
+      () => undefined
+    );
+    return status;
+  }
+
+  it("accepts tokens from its instance", async () => {
+    expect(await request({ name: "staff" }, { instance: "staff" })).toBe(200);
+    expect(await request({}, {})).toBe(200);
+  });
+
+  it("rejects tokens from another instance", async () => {
+    expect(await request({ name: "staff" }, {})).toBe(401);
+    expect(await request({ name: "customers" }, { instance: "staff" })).toBe(
+      401
+    );
+    expect(await request({}, { instance: "staff" })).toBe(401);
+  });
+});
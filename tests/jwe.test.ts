@@ -0,0 +1,70 @@
+import { describe, expect, it } from "vitest";
+import {
+  decryptToken,
+  deriveEncryptionKey,
+  encryptToken,
+  isEncryptedToken,
+} from "../src/server/jwe";
+import { createAuth, signUp, SECRET } from "./helpers";
+
+describe("token encryption", () => {
+  const key = deriveEncryptionKey("encryption-secret");
+
+  it("round-trips a signed JWT", () => {
+    const token = encryptToken("a.b.c", key, 1700000000);
+    expect(isEncryptedToken(token)).toBe(true);
+    expect(decryptToken(token, key)).toBe("a.b.c");
+
+    const header = JSON.parse(
+      Buffer.from(token.split(".")[0], "base64url").toString("utf8")
+    );
+    expect(header).toEqual({
+      alg: "dir",
+      enc: "A256GCM",
+      cty: "JWT",
+      exp: 1700000000,
+    });
+  });
+
+  it("rejects a wrong key and tampered segments", () => {
+    const token = encryptToken("a.b.c", key);
+    expect(decryptToken(token, deriveEncryptionKey("other"))).toBeNull();
+
+    const segments = token.split(".");
+    const flip = (value: string) =>
+      (value[0] === "A" ? "B" : "A") + value.slice(1);
+    for (const index of [0, 2, 3, 4]) {
+      const tampered = [...segments];
+      tampered[index] = flip(tampered[index]);
+      expect(decryptToken(tampered.join("."), key)).toBeNull();
+    }
+  });
+
+  it("rejects truncated authentication tags", () => {
+    const segments = encryptToken("a.b.c", key).split(".");
+    segments[4] = segments[4].slice(0, 8);
+    expect(decryptToken(segments.join("."), key)).toBeNull();
+  });
+
+  it("hides claims in issued tokens", async () => {
+    const { auth } = createAuth({ tokenEncryption: {} });
+    const { token, user } = await signUp(auth);
+
+    expect(token.split(".")).toHaveLength(5);
+    expect(
+      Buffer.from(token.split(".")[3], "base64url").toString()
+    ).not.toContain(user.id);
+    expect(auth.verifyToken(token).userId).toBe(user.id);
+  });
+
+  it("still accepts signed-only tokens issued before encryption", async () => {
+    const { auth: plain, database } = createAuth();
+    const { token, user } = await signUp(plain);
+    const { auth: encrypted } = createAuth({
+      database,
+      jwtSecret: SECRET,
+      tokenEncryption: {},
+    });
+    expect(encrypted.verifyToken(token).userId).toBe(user.id);
+  });
+});
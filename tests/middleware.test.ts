@@ -0,0 +1,324 @@
+import jwt from "jsonwebtoken";
+import { afterEach, describe, expect, it, vi } from "vitest";
+import {
+  createExpressMiddleware,
+  createNextMiddleware,
+  createRemixLoader,
+} from "../src/middleware/index";
+import { VistaAuthServer } from "../src/server/core";
+import { generateSigningKey } from "../src/server/keys";
+import type { MiddlewareConfig } from "../src/types";
+import { createAuth, SECRET, signUp } from "./helpers";
+
+// Without a database the server embeds the user in its tokens
+const createStatelessAuth = () => new VistaAuthServer({ jwtSecret: SECRET });
+
+// Runs the Express middleware for one request and returns the status and
+// the user and session it attached
+async function express(token: string, config: MiddlewareConfig) {
+  const middleware = createExpressMiddleware(config);
+  const req: any = {
+    path: "/dashboard",
+    headers: { authorization: `Bearer ${token}` },
+  };
+  let status = 200;
+  const res = {
+    status(code: number) {
+      status = code;
+      return { json: () => undefined };
+    },
+  };
+  await middleware(req, res, () => undefined);
+  return { status, user: req.user, session: req.session };
+}
+
+describe("middleware with jwtSecret", () => {
+  it("verifies the server's HS256 tokens", async () => {
+    const auth = createStatelessAuth();
+    const { token, user } = await signUp(auth);
+
+    const result = await express(token, { jwtSecret: SECRET });
+    expect(result.status).toBe(200);
+    expect(result.user).toMatchObject({ id: user.id, email: user.email });
+  });
+
+  it("rejects another secret, a tampered token and non-access tokens", async () => {
+    const { auth } = createAuth();
+    const { token, user } = await signUp(auth);
+
+    expect((await express(token, { jwtSecret: "other-secret" })).status).toBe(
+      401
+    );
+
+    const [header, payload, signature] = token.split(".");
+    const claims = JSON.parse(Buffer.from(payload, "base64url").toString());
+    const forged = Buffer.from(
+      JSON.stringify({ ...claims, userId: "someone-else" })
+    ).toString("base64url");
+    expect(
+      (await express(`${header}.${forged}.${signature}`, { jwtSecret: SECRET }))
+        .status
+    ).toBe(401);
+
+    const challenge = jwt.sign(
+      { purpose: "mfa_challenge", userId: user.id },
+      SECRET
+    );
+    expect((await express(challenge, { jwtSecret: SECRET })).status).toBe(401);
+  });
+
+  it("rejects expired tokens", async () => {
+    const expired = jwt.sign(
+      { userId: "user-1", exp: Math.floor(Date.now() / 1000) - 10 },
+      SECRET
+    );
+    expect((await express(expired, { jwtSecret: SECRET })).status).toBe(401);
+  });
+
+  it("checks the issuer and audience", async () => {
+    const { auth: staff } = createAuth({ name: "staff", audience: "admin" });
+    const { token } = await signUp(staff);
+
+    expect((await express(token, { jwtSecret: SECRET })).status).toBe(401);
+    expect(
+      (await express(token, { jwtSecret: SECRET, instance: "staff" })).status
+    ).toBe(401);
+    expect(
+      (
+        await express(token, {
+          jwtSecret: SECRET,
+          instance: "staff",
+          audience: "admin",
+        })
+      ).status
+    ).toBe(200);
+  });
+
+  it("reads encrypted tokens", async () => {
+    const { auth } = createAuth({ tokenEncryption: {} });
+    const { token } = await signUp(auth);
+    expect(token.split(".")).toHaveLength(5);
+
+    expect((await express(token, { jwtSecret: SECRET })).status).toBe(401);
+    expect(
+      (
+        await express(token, {
+          jwtSecret: SECRET,
+          tokenEncryption: { secret: SECRET },
+        })
+      ).status
+    ).toBe(200);
+  });
+
+  it("decrypts with jwtSecret when tokenEncryption has no secret", async () => {
+    // Configured like the server, whose encryption secret defaults to jwtSecret
+    const { auth } = createAuth({ tokenEncryption: {} });
+    const { token, user } = await signUp(auth);
+
+    const result = await express(token, {
+      jwtSecret: SECRET,
+      tokenEncryption: {},
+    });
+    expect(result.status).toBe(200);
+    expect(result.user).toMatchObject({ id: user.id });
+    expect(
+      (
+        await express(token, {
+          jwtSecret: "other-secret",
+          tokenEncryption: {},
+        })
+      ).status
+    ).toBe(401);
+  });
+
+  it("rejects every token without jwtSecret or jwksUrl", async () => {
+    const { auth } = createAuth();
+    const { token } = await signUp(auth);
+    expect((await express(token, {})).status).toBe(401);
+  });
+
+  it("verifies tokens in the Remix loader", async () => {
+    const auth = createStatelessAuth();
+    const { token, user } = await signUp(auth);
+    const loader = createRemixLoader({ jwtSecret: SECRET });
+    const request = (value: string) =>
+      new Request("https://app.example.com/dashboard", {
+        headers: { Cookie: `vista-auth-token=${value}` },
+      });
+
+    const result = await loader({ request: request(token) });
+    expect(result).toMatchObject({ user: { id: user.id } });
+    await expect(loader({ request: request("a.b.c") })).rejects.toMatchObject({
+      status: 401,
+    });
+
+    const adminOnly = createRemixLoader({
+      jwtSecret: SECRET,
+      roleBasedPaths: { "/dashboard": ["admin"] },
+    });
+    await expect(adminOnly({ request: request(token) })).rejects.toMatchObject({
+      status: 403,
+    });
+  });
+
+  it("verifies tokens in Next.js without calling the session endpoint", async () => {
+    const { auth } = createAuth();
+    const { token } = await signUp(auth);
+    const middleware = createNextMiddleware({ jwtSecret: SECRET });
+    const request = (value: string) => ({
+      url: "https://app.example.com/dashboard",
+      nextUrl: new URL("https://app.example.com/dashboard"),
+      cookies: { get: () => ({ value }) },
+      headers: new Headers(),
+    });
+
+    expect(await middleware(request(token))).toBeUndefined();
+    const rejected = await middleware(request("a.b.c"));
+    expect(rejected?.headers.get("location")).toBe(
+      "https://app.example.com/login"
+    );
+  });
+});
+
+describe("middleware with jwksUrl", () => {
+  afterEach(() => {
+    vi.unstubAllGlobals();
+  });
+
+  it("verifies tokens against the server's JWKS", async () => {
+    const { auth } = createAuth({
+      signingKeys: [generateSigningKey("ES256", "es-1")],
+    });
+    const { token, user } = await signUp(auth);
+    const { auth: impostor } = createAuth({
+      signingKeys: [generateSigningKey("ES256", "es-1")],
+    });
+    const { token: forged } = await signUp(impostor);
+    const fetchJwks = vi.fn(async () => Response.json(auth.getJwks()));
+    vi.stubGlobal("fetch", fetchJwks);
+    // The middleware caches key sets per URL
+    const config = { jwksUrl: "https://auth.example.com/jwks/es256" };
+
+    const result = await express(token, config);
+    expect(result.status).toBe(200);
+    expect(result.user).toMatchObject({ id: user.id });
+    expect(fetchJwks).toHaveBeenCalledWith(config.jwksUrl);
+
+    // Same kid, other key
+    expect((await express(forged, config)).status).toBe(401);
+  });
+});
+
+describe("middleware with permissionBasedPaths", () => {
+  it("lets can() decide each path", async () => {
+    const auth = createStatelessAuth();
+    const { token } = await signUp(auth);
+    const roles = { user: { permissions: ["reports:read"] } };
+
+    const allowed = await express(token, {
+      jwtSecret: SECRET,
+      roles,
+      permissionBasedPaths: { "/dashboard": ["reports:read"] },
+    });
+    expect(allowed.status).toBe(200);
+
+    const missing = await express(token, {
+      jwtSecret: SECRET,
+      roles,
+      permissionBasedPaths: { "/dashboard": ["billing:read"] },
+    });
+    expect(missing.status).toBe(403);
+
+    // Other paths are not checked
+    const elsewhere = await express(token, {
+      jwtSecret: SECRET,
+      roles,
+      permissionBasedPaths: { "/billing/*": ["billing:read"] },
+    });
+    expect(elsewhere.status).toBe(200);
+
+    const denied = await express(token, {
+      jwtSecret: SECRET,
+      roles,
+      permissionBasedPaths: { "/dashboard": ["reports:read"] },
+      policies: [
+        {
+          action: "reports:*",
+          effect: "deny",
+          when: (_user, _action, _resource, context) =>
+            context.path === "/dashboard",
+        },
+      ],
+    });
+    expect(denied.status).toBe(403);
+  });
+});
+
+describe("middleware with API keys", () => {
+  it("accepts a key through verifyApiKey", async () => {
+    const { auth, database } = createAuth();
+    const { user } = await signUp(auth);
+    await database.updateUser(user.id, { permissions: ["deployments:create"] });
+    const { data } = await auth.createApiKey(user.id, {
+      name: "Deploy bot",
+      scopes: ["deployments:create"],
+    });
+    const config: MiddlewareConfig = {
+      verifyApiKey: (key) => auth.verifyApiKey(key).then((r) => r.data ?? null),
+      permissionBasedPaths: { "/dashboard": ["deployments:create"] },
+    };
+
+    const result = await express(data!.key, config);
+    expect(result.status).toBe(200);
+    expect(result.user).toMatchObject({ id: user.id, roles: [] });
+    expect(result.session.apiKey.id).toBe(data!.apiKey.id);
+
+    // The key only carries its scopes
+    const billing = await express(data!.key, {
+      ...config,
+      permissionBasedPaths: { "/dashboard": ["billing:read"] },
+    });
+    expect(billing.status).toBe(403);
+
+    await auth.revokeApiKey(user.id, data!.apiKey.id);
+    expect((await express(data!.key, config)).status).toBe(401);
+  });
+
+  it("rejects keys when no verifyApiKey hook is set", async () => {
+    const { auth } = createAuth();
+    const { user } = await signUp(auth);
+    const { data } = await auth.createApiKey(user.id, { name: "CI" });
+
+    expect((await express(data!.key, { jwtSecret: SECRET })).status).toBe(401);
+    expect((await express("a.b.c.d", { jwtSecret: SECRET })).status).toBe(401);
+  });
+});
+
+describe("middleware with impersonationBlockedPaths", () => {
+  it("blocks impersonated sessions only", async () => {
+    const { auth, database } = createAuth({ impersonation: {} });
+    const admin = await signUp(auth, "admin@example.com");
+    await database.updateUser(admin.user.id, { roles: ["admin"] });
+    const customer = await signUp(auth, "customer@example.com");
+    const impersonated = await auth.impersonate(admin.token, customer.user.id);
+    const { token } = impersonated.data!;
+
+    const config = {
+      jwtSecret: SECRET,
+      impersonationBlockedPaths: ["/dashboard"],
+    };
+    const blocked = await express(token, config);
+    expect(blocked.status).toBe(403);
+    expect((await express(admin.token, config)).status).toBe(200);
+    expect((await express(customer.token, config)).status).toBe(200);
+
+    // Other paths stay open, with the admin on the session
+    const elsewhere = await express(token, {
+      ...config,
+      impersonationBlockedPaths: ["/billing/*"],
+    });
+    expect(elsewhere.status).toBe(200);
+    expect(elsewhere.user.id).toBe(customer.user.id);
+    expect(elsewhere.session.impersonator.userId).toBe(admin.user.id);
+  });
+});
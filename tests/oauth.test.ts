@@ -0,0 +1,144 @@
+import { afterEach, beforeEach, describe, expect, it } from "vitest";
+import { createOIDCProvider } from "../src/server/oauth";
+import { createMemoryAdapter } from "../src/database/index";
+import type { VistaAuthServer } from "../src/server/core";
+import type { DatabaseAdapter } from "../src/types";
+import { createAuth, createTestMailer, PASSWORD } from "./helpers";
+import {
+  CLIENT_ID,
+  CLIENT_SECRET,
+  startOidcServer,
+  type TestOidcServer,
+} from "./oidc-server";
+
+const REDIRECT_URI = "https://app.example.com/auth/callback/corp";
+
+describe("OpenID Connect sign-in", () => {
+  let oidc: TestOidcServer;
+
+  beforeEach(async () => {
+    oidc = await startOidcServer({
+      sub: "corp-user-1",
+      email: "grace@example.com",
+      email_verified: true,
+      name: "Grace",
+    });
+  });
+
+  afterEach(async () => {
+    await oidc.close();
+  });
+
+  function createOidcAuth(database: DatabaseAdapter = createMemoryAdapter()) {
+    return createAuth({
+      database,
+      mailer: createTestMailer(),
+      oauthProviders: [
+        createOIDCProvider({
+          id: "corp",
+          issuer: oidc.issuer,
+          clientId: CLIENT_ID,
+          clientSecret: CLIENT_SECRET,
+        }),
+      ],
+    });
+  }
+
+  // Follows the authorization redirect like a browser and returns the
+  // callback parameters with the flow cookie
+  async function authorize(auth: VistaAuthServer) {
+    const start = await auth.getAuthorizationUrl("corp", {
+      redirectUri: REDIRECT_URI,
+    });
+    const response = await fetch(start.data!.url, { redirect: "manual" });
+    const callback = new URL(response.headers.get("location")!);
+    return {
+      code: callback.searchParams.get("code"),
+      state: callback.searchParams.get("state"),
+      flowToken: start.data!.flowToken,
+    };
+  }
+
+  it("creates a user on first sign-in", async () => {
+    const { auth } = createOidcAuth();
+    const result = await auth.handleOAuthCallback(
+      "corp",
+      await authorize(auth)
+    );
+
+    expect(result.error).toBeUndefined();
+    expect(result.data!.user).toMatchObject({
+      email: "grace@example.com",
+      name: "Grace",
+    });
+    expect(auth.verifyToken(result.data!.token)?.userId).toBe(
+      result.data!.user.id
+    );
+  });
+
+  it("finds the linked user through the adapter after a restart", async () => {
+    const database = createMemoryAdapter();
+    const { auth: first } = createOidcAuth(database);
+    const created = await first.handleOAuthCallback(
+      "corp",
+      await authorize(first)
+    );
+
+    // The provider now reports another address for the same account
+    oidc.user = { ...oidc.user, email: "grace@corp.example.com" };
+    const { auth: restarted } = createOidcAuth(database);
+    const result = await restarted.handleOAuthCallback(
+      "corp",
+      await authorize(restarted)
+    );
+
+    expect(result.data!.user.id).toBe(created.data!.user.id);
+    expect(await database.findUserByAccount!("corp", "corp-user-1")).toEqual(
+      expect.objectContaining({ id: created.data!.user.id })
+    );
+  });
+
+  it("links an existing account only on a verified email", async () => {
+    const { auth } = createOidcAuth();
+    const signUp = await auth.signUp({
+      email: "grace@example.com",
+      password: PASSWORD,
+    });
+
+    oidc.user = { ...oidc.user, email_verified: false };
+    const unverified = await auth.handleOAuthCallback(
+      "corp",
+      await authorize(auth)
+    );
+    expect(unverified.error?.code).toBe("OAUTH_ACCOUNT_NOT_LINKED");
+
+    oidc.user = { ...oidc.user, email_verified: true };
+    const verified = await auth.handleOAuthCallback(
+      "corp",
+      await authorize(auth)
+    );
+    expect(verified.data!.user.id).toBe(signUp.data!.user.id);
+  });
+
+  it("rejects a callback from another browser's flow", async () => {
+    const { auth } = createOidcAuth();
+    const mine = await authorize(auth);
+    const theirs = await authorize(auth);
+
+    const result = await auth.handleOAuthCallback("corp", {
+      ...theirs,
+      flowToken: mine.flowToken,
+    });
+    expect(result.error?.code).toBe("INVALID_OAUTH_STATE");
+  });
+
+  it("fails when the provider rejects the code", async () => {
+    const { auth } = createOidcAuth();
+    const params = await authorize(auth);
+    await auth.handleOAuthCallback("corp", params);
+
+    // Authorization codes are single-use at the provider
+    const replay = await auth.handleOAuthCallback("corp", params);
+    expect(replay.error?.code).toBe("OAUTH_PROVIDER_ERROR");
+  });
+});
@@ -0,0 +1,145 @@
+/**
+ * Local OpenID Connect provider for the OAuth tests. It serves discovery,
+ * the authorization, token and userinfo endpoints, and checks the client
+ * credentials, redirect URI and PKCE verifier like a real provider would.
+ */
+
+import { createHash, createHmac, randomBytes } from "crypto";
+import { createServer } from "http";
+import type { AddressInfo } from "net";
+
+export const CLIENT_ID = "vista-client";
+export const CLIENT_SECRET = "vista-client-secret";
+
+export interface OidcUser {
+  sub: string;
+  email?: string;
+  email_verified?: boolean;
+  name?: string;
+  picture?: string;
+}
+
+interface PendingCode {
+  user: OidcUser;
+  clientId: string;
+  redirectUri: string;
+  codeChallenge: string;
+  nonce?: string;
+}
+
+export interface TestOidcServer {
+  issuer: string;
+  user: OidcUser; // Who signs in at the authorization endpoint
+  close(): Promise<void>;
+}
+
+export async function startOidcServer(user: OidcUser): Promise<TestOidcServer> {
+  const codes = new Map<string, PendingCode>();
+  const accessTokens = new Map<string, OidcUser>();
+  let issuer = "";
+
+  const server = createServer(async (req, res) => {
+    const url = new URL(req.url!, issuer);
+    const json = (status: number, body: any) => {
+      res.writeHead(status, { "Content-Type": "application/json" });
+      res.end(JSON.stringify(body));
+    };
+
+    if (url.pathname === "/.well-known/openid-configuration") {
+      return json(200, {
+        issuer,
+        authorization_endpoint: `${issuer}/authorize`,
+        token_endpoint: `${issuer}/token`,
+        userinfo_endpoint: `${issuer}/userinfo`,
+      });
+    }
+
+    if (url.pathname === "/authorize") {
+      const params = url.searchParams;
+      if (
+        params.get("client_id") !== CLIENT_ID ||
+        params.get("code_challenge_method") !== "S256"
+      ) {
+        return json(400, { error: "invalid_request" });
+      }
+      const code = randomBytes(16).toString("base64url");
+      codes.set(code, {
+        user: oidc.user,
+        clientId: CLIENT_ID,
+        redirectUri: params.get("redirect_uri")!,
+        codeChallenge: params.get("code_challenge")!,
+        nonce: params.get("nonce") ?? undefined,
+      });
+      const redirect = new URL(params.get("redirect_uri")!);
+      redirect.searchParams.set("code", code);
+      redirect.searchParams.set("state", params.get("state")!);
+      res.writeHead(302, { Location: redirect.toString() });
+      return res.end();
+    }
+
+    if (url.pathname === "/token" && req.method === "POST") {
+      let body = "";
+      for await (const chunk of req) body += chunk;
+      const form = new URLSearchParams(body);
+      const pending = codes.get(form.get("code") ?? "");
+      codes.delete(form.get("code") ?? ""); // Codes are single-use
+      const challenge = createHash("sha256")
+        .update(form.get("code_verifier") ?? "")
+        .digest("base64url");
+      if (
+        !pending ||
+        form.get("client_id") !== pending.clientId ||
+        form.get("client_secret") !== CLIENT_SECRET ||
+        form.get("redirect_uri") !== pending.redirectUri ||
+        challenge !== pending.codeChallenge
+      ) {
+        return json(400, { error: "invalid_grant" });
+      }
+      const accessToken = randomBytes(16).toString("base64url");
+      accessTokens.set(accessToken, pending.user);
+      return json(200, {
+        access_token: accessToken,
+        token_type: "Bearer",
+        expires_in: 3600,
+        id_token: signIdToken({
+          iss: issuer,
+          aud: pending.clientId,
+          sub: pending.user.sub,
+          nonce: pending.nonce,
+          exp: Math.floor(Date.now() / 1000) + 300,
+        }),
+      });
+    }
+
+    if (url.pathname === "/userinfo") {
+      const token = req.headers.authorization?.replace(/^Bearer /, "");
+      const claims = token && accessTokens.get(token);
+      return claims ? json(200, claims) : json(401, { error: "invalid_token" });
+    }
+
+    json(404, { error: "not_found" });
+  });
+
+  await new Promise<void>((resolve) => server.listen(0, "127.0.0.1", resolve));
+  issuer = `http://127.0.0.1:${(server.address() as AddressInfo).port}`;
+
+  const oidc: TestOidcServer = {
+    issuer,
+    user,
+    close: () =>
+      new Promise((resolve, reject) =>
+        server.close((error) => (error ? reject(error) : resolve()))
+      ),
+  };
+  return oidc;
+}
+
+function signIdToken(claims: Record<string, any>): string {
+  const encode = (value: any) =>
+    Buffer.from(JSON.stringify(value)).toString("base64url");
+  const body = `${encode({ alg: "HS256", typ: "JWT" })}.${encode(claims)}`;
+  const signature = createHmac("sha256", CLIENT_SECRET)
+    .update(body)
+    .digest("base64url");
+  return `${body}.${signature}`;
+}
@@ -0,0 +1,123 @@
+import { describe, expect, it } from "vitest";
+import { createRoleResolver, scopeToOrganization } from "../src/roles";
+import { createAuth, createTestMailer, signUp } from "./helpers";
+
+describe("organization roles", () => {
+  it("keeps membership roles out of the global namespace", async () => {
+    const { auth } = createAuth({ organizations: {} });
+    const { user, token } = await signUp(auth);
+    const created = await auth.createOrganization(user.id, { name: "Acme" });
+    const organizationId = created.data!.organization.id;
+
+    const switched = await auth.switchOrganization(token, organizationId);
+    const session = (await auth.getSession(switched.data!.token)).data!;
+    const scoped = scopeToOrganization(session.user!, session.organization);
+
+    const roles = createRoleResolver();
+    expect(roles.hasRole(scoped, "org:owner")).toBe(true);
+    expect(roles.hasRole(scoped, "owner")).toBe(false);
+    expect(roles.hasRole(scoped, "admin")).toBe(false);
+  });
+
+  it("stops members from raising their own roles", async () => {
+    const { auth } = createAuth({ organizations: {} });
+    const { user } = await signUp(auth);
+    const created = await auth.createOrganization(user.id, { name: "Acme" });
+    const organizationId = created.data!.organization.id;
+
+    const raised = await auth.updateMember(user.id, organizationId, user.id, {
+      roles: ["owner", "admin"],
+    });
+    expect(raised.error?.code).toBe("ORGANIZATION_FORBIDDEN");
+    expect(raised.error?.message).toBe(
+      "You cannot raise your own roles or permissions"
+    );
+  });
+
+  it("only assigns roles on the organization's allowlist", async () => {
+    const { auth } = createAuth({
+      mailer: createTestMailer(),
+      organizations: { assignableRoles: ["admin", "editor", "member"] },
+    });
+    const { user } = await signUp(auth);
+
+    const invalid = await auth.createOrganization(user.id, {
+      name: "Acme",
+      assignableRoles: ["superuser"],
+    });
+    expect(invalid.error?.code).toBe("INVALID_ROLE");
+
+    const created = await auth.createOrganization(user.id, {
+      name: "Acme",
+      assignableRoles: ["member"],
+    });
+    const organizationId = created.data!.organization.id;
+    // Owner roles stay assignable so the organization keeps an owner
+    expect(created.data!.organization.assignableRoles).toEqual([
+      "member",
+      "owner",
+    ]);
+
+    const invited = await auth.inviteMember(
+      user.id,
+      organizationId,
+      "sam@example.com",
+      { roles: ["editor"] }
+    );
+    expect(invited.error?.code).toBe("INVALID_ROLE");
+    expect(invited.error?.details?.invalidRoles).toEqual(["editor"]);
+  });
+
+  it("only lets managers grant permissions they hold", async () => {
+    const mailer = createTestMailer();
+    const { auth } = createAuth({
+      mailer,
+      organizations: {},
+      roles: { "org:admin": { permissions: ["org:projects:*"] } },
+    });
+    const owner = await signUp(auth, "owner@example.com");
+    const created = await auth.createOrganization(owner.user.id, {
+      name: "Acme",
+    });
+    const organizationId = created.data!.organization.id;
+    const join = async (email: string, roles: string[]) => {
+      await auth.inviteMember(owner.user.id, organizationId, email, { roles });
+      const { user } = await signUp(auth, email);
+      await auth.acceptInvitation(mailer.sent.at(-1)!.data!.token, user.id);
+      return user;
+    };
+    const admin = await join("admin@example.com", ["admin"]);
+    const member = await join("member@example.com", ["member"]);
+
+    const escalated = await auth.inviteMember(
+      admin.id,
+      organizationId,
+      "sam@example.com",
+      { permissions: ["projects:create", "billing:manage"] }
+    );
+    expect(escalated.error?.code).toBe("ORGANIZATION_FORBIDDEN");
+    expect(escalated.error?.message).toBe(
+      "You can only grant permissions you have"
+    );
+    expect(escalated.error?.details?.invalidPermissions).toEqual([
+      "billing:manage",
+    ]);
+    const invited = await auth.inviteMember(
+      admin.id,
+      organizationId,
+      "sam@example.com",
+      { permissions: ["projects:create"] }
+    );
+    expect(invited.data!.permissions).toEqual(["projects:create"]);
+
+    const updated = await auth.updateMember(
+      admin.id,
+      organizationId,
+      member.id,
+      { permissions: ["billing:manage"] }
+    );
+    expect(updated.error?.details?.invalidPermissions).toEqual([
+      "billing:manage",
+    ]);
+  });
+});
@@ -0,0 +1,121 @@
+import { describe, expect, it } from "vitest";
+import { createScryptHasher } from "../src/server/hashers";
+import { checkPasswordPolicy } from "../src/server/password-policy";
+import { createAuth, PASSWORD } from "./helpers";
+
+const rules = (...args: Parameters<typeof checkPasswordPolicy>) =>
+  checkPasswordPolicy(...args).map((failure) => failure.rule);
+
+describe("checkPasswordPolicy", () => {
+  it("accepts a strong password", () => {
+    expect(checkPasswordPolicy(PASSWORD)).toEqual([]);
+  });
+
+  it("checks the minimum length in characters", () => {
+    expect(checkPasswordPolicy("Kx7#qp")).toEqual([
+      {
+        rule: "minLength",
+        message: "Password must be at least 8 characters",
+        params: { min: 8 },
+      },
+    ]);
+    expect(rules(PASSWORD, { minLength: 20 })).toEqual(["minLength"]);
+  });
+
+  it("checks the maximum length in bytes", () => {
+    // 36 characters, 72 bytes
+    const accented = "é".repeat(36);
+    expect(rules(accented)).toEqual([]);
+    expect(rules(`${accented}x`)).toEqual(["maxLength"]);
+    expect(rules(PASSWORD, { maxLength: 10 })).toEqual(["maxLength"]);
+  });
+
+  it("takes the default maximum from the hasher", () => {
+    const long = "Kx7#qp".repeat(20); // 120 bytes
+    expect(rules(long)).toEqual(["maxLength"]);
+    expect(rules(long, {}, {}, createScryptHasher())).toEqual([]);
+    expect(rules("Kx7#qp".repeat(200), {}, {}, createScryptHasher())).toEqual([
+      "maxLength",
+    ]);
+    expect(rules(long, {}, {}, { maxPasswordBytes: 64 })).toEqual([
+      "maxLength",
+    ]);
+  });
+
+  it("checks character classes when asked to", () => {
+    const policy = {
+      requireLowercase: true,
+      requireUppercase: true,
+      requireNumber: true,
+      requireSymbol: true,
+    };
+    expect(rules("nothing-but-lower", policy)).toEqual([
+      "requireUppercase",
+      "requireNumber",
+    ]);
+    expect(rules("NOTHINGBUTUPPER", policy)).toEqual([
+      "requireLowercase",
+      "requireNumber",
+      "requireSymbol",
+    ]);
+    expect(rules(PASSWORD, policy)).toEqual([]);
+    // Off by default
+    expect(rules("nothingbutlower")).toEqual([]);
+  });
+
+  it("rejects common passwords in any case and the blocklist", () => {
+    expect(rules("password123")).toEqual(["commonPassword"]);
+    expect(rules("PassWord123")).toEqual(["commonPassword"]);
+    expect(
+      rules("Vista-Rocks-2024", { blocklist: ["vista-rocks-2024"] })
+    ).toEqual(["commonPassword"]);
+    expect(rules("password123", { checkCommonPasswords: false })).toEqual([]);
+  });
+
+  it("rejects the user's name and email", () => {
+    const user = { email: "ada.lovelace@example.com", name: "Ada Lovelace" };
+    expect(rules("Lovelace-1815!", {}, user)).toEqual(["personalInfo"]);
+    expect(rules("ada.lovelace-99!", {}, user)).toEqual(["personalInfo"]);
+    // Fragments under 3 characters are ignored
+    expect(rules(PASSWORD, {}, { name: "Al" })).toEqual([]);
+    expect(
+      rules("Lovelace-1815!", { disallowPersonalInfo: false }, user)
+    ).toEqual([]);
+  });
+});
+
+describe("sign-up password policy", () => {
+  it("reports the failed rules", async () => {
+    const { auth } = createAuth();
+    const result = await auth.signUp({
+      email: "ada@example.com",
+      password: "password123",
+    });
+    expect(result.error?.code).toBe("WEAK_PASSWORD");
+    expect(result.error?.details?.failedRules).toEqual([
+      expect.objectContaining({ rule: "commonPassword" }),
+    ]);
+  });
+
+  it("allows passwords over 72 bytes when scrypt hashes them", async () => {
+    const long = `${PASSWORD}${"x".repeat(80)}`;
+    const signUp = (auth: ReturnType<typeof createAuth>["auth"]) =>
+      auth.signUp({ email: "ada@example.com", password: long });
+
+    const { auth: bcryptFirst } = createAuth();
+    const rejected = await signUp(bcryptFirst);
+    expect(rejected.error?.details?.failedRules).toEqual([
+      expect.objectContaining({ rule: "maxLength", params: { max: 72 } }),
+    ]);
+
+    const { auth: scryptFirst } = createAuth({
+      passwordHashers: [createScryptHasher({ cost: 10 })],
+    });
+    expect((await signUp(scryptFirst)).success).toBe(true);
+    const signIn = await scryptFirst.signIn({
+      email: "ada@example.com",
+      password: long,
+    });
+    expect(signIn.success).toBe(true);
+  });
+});
@@ -0,0 +1,66 @@
+import { afterEach, describe, expect, it, vi } from "vitest";
+import { createMemoryAdapter } from "../src/database/index";
+import { createAuth, createTestMailer, signUp } from "./helpers";
+
+const NEW_PASSWORD = "Battery-Staple-77!";
+
+describe("password reset", () => {
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+
+  it("accepts a link after a restart", async () => {
+    const database = createMemoryAdapter();
+    const mailer = createTestMailer();
+    const { auth } = createAuth({ database, mailer });
+    await signUp(auth);
+
+    await auth.requestPasswordReset("ada@example.com");
+    await vi.waitFor(() => expect(mailer.sent).toHaveLength(1));
+
+    const { auth: restarted } = createAuth({ database, mailer });
+    const token = mailer.sent[0].data!.token;
+    expect((await restarted.resetPassword(token, NEW_PASSWORD)).success).toBe(
+      true
+    );
+    const reused = await restarted.resetPassword(token, NEW_PASSWORD);
+    expect(reused.error?.code).toBe("INVALID_RESET_TOKEN");
+
+    const signIn = await restarted.signIn({
+      email: "ada@example.com",
+      password: NEW_PASSWORD,
+    });
+    expect(signIn.success).toBe(true);
+  });
+
+  it("throttles repeat requests for every address alike", async () => {
+    vi.useFakeTimers({ toFake: ["Date"] });
+    const mailer = createTestMailer();
+    const { auth } = createAuth({ mailer });
+    await signUp(auth);
+
+    for (const email of ["ada@example.com", "nobody@example.com"]) {
+      expect((await auth.requestPasswordReset(email)).success).toBe(true);
+      const repeat = await auth.requestPasswordReset(email);
+      expect(repeat.error?.code).toBe("PASSWORD_RESET_THROTTLED");
+      expect(repeat.error?.statusCode).toBe(429);
+      expect(repeat.error?.details?.retryAfter).toBe(60 * 1000);
+    }
+
+    vi.advanceTimersByTime(60 * 1000);
+    expect((await auth.requestPasswordReset("ada@example.com")).success).toBe(
+      true
+    );
+    await vi.waitFor(() => expect(mailer.sent).toHaveLength(2));
+  });
+
+  it("needs an adapter that stores verification tokens", () => {
+    const { useVerificationToken, ...database } = createMemoryAdapter();
+    expect(useVerificationToken).toBeDefined();
+    expect(() => createAuth({ database, mailer: createTestMailer() })).toThrow(
+      "emailed links need a database adapter"
+    );
+    // Without a mailer no links are sent
+    expect(() => createAuth({ database })).not.toThrow();
+  });
+});
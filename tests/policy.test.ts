@@ -0,0 +1,93 @@
+import { describe, expect, it } from "vitest";
+import { createPolicy } from "../src/policy";
+import type { User } from "../src/types";
+
+const user = (fields: Partial<User> = {}): User => ({
+  id: "user-1",
+  email: "ada@example.com",
+  roles: ["editor"],
+  permissions: [],
+  ...fields,
+});
+
+describe("createPolicy", () => {
+  it("falls back to permissions without rules", () => {
+    const policy = createPolicy({
+      roles: { editor: { permissions: ["posts:*"] } },
+    });
+    expect(policy.can(user(), "posts:edit")).toBe(true);
+    expect(policy.can(user(), "billing:read")).toBe(false);
+    expect(policy.can(null, "posts:edit")).toBe(false);
+  });
+
+  it("allows matching rules for the listed roles only", () => {
+    const policy = createPolicy({
+      rules: [
+        {
+          action: "posts:edit",
+          roles: ["author"],
+          when: (u, _action, post) => post?.authorId === u.id,
+        },
+      ],
+    });
+    const author = user({ roles: ["author"] });
+    expect(policy.can(author, "posts:edit", { authorId: "user-1" })).toBe(true);
+    expect(policy.can(author, "posts:edit", { authorId: "user-2" })).toBe(
+      false
+    );
+    expect(policy.can(user(), "posts:edit", { authorId: "user-1" })).toBe(
+      false
+    );
+  });
+
+  it("lets a matching deny override allows and permissions", () => {
+    const policy = createPolicy({
+      roles: { editor: { permissions: ["posts:*"] } },
+      rules: [
+        { action: "posts:*" },
+        {
+          action: "posts:delete",
+          effect: "deny",
+          when: (_user, _action, post) => post?.locked,
+        },
+      ],
+    });
+    expect(policy.can(user(), "posts:delete", { locked: true })).toBe(false);
+    expect(policy.can(user(), "posts:delete", { locked: false })).toBe(true);
+    expect(policy.can(user(), "posts:edit", { locked: true })).toBe(true);
+  });
+
+  it("fails closed when a condition throws", () => {
+    const broken = () => {
+      throw new Error("resource not loaded");
+    };
+    const policy = createPolicy({
+      rules: [
+        { action: "posts:edit", when: broken },
+        { action: "posts:read" },
+        { action: "posts:read", effect: "deny", when: broken },
+      ],
+    });
+    // A throwing allow grants nothing, a throwing deny still denies
+    expect(policy.can(user(), "posts:edit")).toBe(false);
+    expect(policy.can(user(), "posts:read")).toBe(false);
+  });
+
+  it("passes the context to conditions", () => {
+    const policy = createPolicy({
+      rules: [
+        {
+          action: "reports:read",
+          when: (_user, _action, _resource, context) =>
+            context.ip?.startsWith("10."),
+        },
+      ],
+    });
+    expect(
+      policy.can(user(), "reports:read", undefined, { ip: "10.0.0.1" })
+    ).toBe(true);
+    expect(
+      policy.can(user(), "reports:read", undefined, { ip: "8.8.8.8" })
+    ).toBe(false);
+  });
+});
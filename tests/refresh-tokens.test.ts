@@ -0,0 +1,142 @@
+import { describe, expect, it } from "vitest";
+import { createMemoryAuditSink } from "../src/server/audit";
+import { createMemoryAdapter } from "../src/database/index";
+import { createAuth, signUp } from "./helpers";
+
+describe("refresh token rotation", () => {
+  it("issues a new pair and retires the old refresh token", async () => {
+    const { auth } = createAuth();
+    const first = await signUp(auth);
+
+    const second = await auth.refreshSession(first.refreshToken);
+    expect(second.success).toBe(true);
+    expect(second.data!.refreshToken).not.toBe(first.refreshToken);
+    expect(second.data!.session.sessionId).toBe(first.session.sessionId);
+    expect(auth.verifyToken(second.data!.token).userId).toBe(first.user.id);
+
+    const third = await auth.refreshSession(second.data!.refreshToken);
+    expect(third.success).toBe(true);
+  });
+
+  it("revokes the whole family when a used token is replayed", async () => {
+    const { auth } = createAuth();
+    const first = await signUp(auth);
+    const second = await auth.refreshSession(first.refreshToken);
+
+    const replay = await auth.refreshSession(first.refreshToken);
+    expect(replay.error?.code).toBe("REFRESH_TOKEN_REUSED");
+
+    // The legitimate holder is signed out too
+    const next = await auth.refreshSession(second.data!.refreshToken);
+    expect(next.error?.code).toBe("REFRESH_TOKEN_REUSED");
+  });
+
+  it("records reuse in the audit log", async () => {
+    const { auth } = createAuth({ auditLog: createMemoryAuditSink() });
+    const first = await signUp(auth);
+    await auth.refreshSession(first.refreshToken);
+    await auth.refreshSession(first.refreshToken);
+
+    const events = await auth.listAuditEvents({ userId: first.user.id });
+    expect(events.data!.map((event) => event.type)).toContain(
+      "refresh_token_reused"
+    );
+  });
+
+  it("rejects unknown refresh tokens", async () => {
+    const { auth } = createAuth();
+    const result = await auth.refreshSession("not-a-token");
+    expect(result.error?.code).toBe("INVALID_REFRESH_TOKEN");
+  });
+
+  it("stops refreshing after sign-out", async () => {
+    const { auth } = createAuth();
+    const first = await signUp(auth);
+    await auth.signOut(first.session.sessionId);
+
+    const result = await auth.refreshSession(first.refreshToken);
+    expect(result.success).toBe(false);
+  });
+
+  it("retires the old refresh token when switching organization", async () => {
+    const { auth } = createAuth({ organizations: {} });
+    const first = await signUp(auth);
+    const created = await auth.createOrganization(first.user.id, {
+      name: "Acme",
+    });
+
+    const switched = await auth.switchOrganization(
+      first.token,
+      created.data!.organization.id
+    );
+    expect(switched.success).toBe(true);
+
+    const replay = await auth.refreshSession(first.refreshToken);
+    expect(replay.error?.code).toBe("REFRESH_TOKEN_REUSED");
+    // Replaying the old token revokes the family, as with any reuse
+    const next = await auth.refreshSession(switched.data!.refreshToken);
+    expect(next.error?.code).toBe("REFRESH_TOKEN_REUSED");
+  });
+
+  it("retires the admin's refresh token when impersonation stops", async () => {
+    const { auth, database } = createAuth({ impersonation: {} });
+    const admin = await signUp(auth, "admin@example.com");
+    await database.updateUser(admin.user.id, { roles: ["admin"] });
+    const customer = await signUp(auth, "customer@example.com");
+
+    const impersonated = await auth.impersonate(admin.token, customer.user.id);
+    const stopped = await auth.stopImpersonation(impersonated.data!.token);
+    expect(stopped.data!.user.id).toBe(admin.user.id);
+
+    const replay = await auth.refreshSession(admin.refreshToken);
+    expect(replay.error?.code).toBe("REFRESH_TOKEN_REUSED");
+  });
+
+  it("keeps the new pair working after a switch", async () => {
+    const { auth } = createAuth({ organizations: {} });
+    const first = await signUp(auth);
+
+    const switched = await auth.switchOrganization(first.token, null);
+    const next = await auth.refreshSession(switched.data!.refreshToken);
+    expect(next.success).toBe(true);
+  });
+});
+
+describe("concurrent refreshes", () => {
+  // Two requests race with the same token: one is reuse, so neither may
+  // leave a working refresh token behind
+  async function expectReuseDetected(database = createMemoryAdapter()) {
+    const { auth } = createAuth({ database });
+    const { refreshToken } = await signUp(auth);
+    const results = await Promise.all([
+      auth.refreshSession(refreshToken),
+      auth.refreshSession(refreshToken),
+    ]);
+
+    expect(results.filter((result) => result.success).length).toBeLessThan(2);
+    expect(results.map((result) => result.error?.code)).toContain(
+      "REFRESH_TOKEN_REUSED"
+    );
+    for (const result of results.filter((result) => result.success)) {
+      const next = await auth.refreshSession(result.data!.refreshToken);
+      expect(next.success).toBe(false);
+    }
+  }
+
+  it("lets only one request rotate the token", async () => {
+    await expectReuseDetected();
+  });
+
+  it("does the same with tokens in server memory", async () => {
+    const {
+      createRefreshToken,
+      findRefreshToken,
+      updateRefreshToken,
+      markRefreshTokenUsed,
+      revokeRefreshTokenFamily,
+      ...database
+    } = createMemoryAdapter();
+    expect(markRefreshTokenUsed).toBeDefined();
+    await expectReuseDetected(database);
+  });
+});
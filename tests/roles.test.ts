@@ -0,0 +1,86 @@
+import { describe, expect, it } from "vitest";
+import { createRoleResolver, matchPermission } from "../src/roles";
+
+describe("matchPermission", () => {
+  it("matches exact permissions only", () => {
+    expect(matchPermission("posts:edit", "posts:edit")).toBe(true);
+    expect(matchPermission("posts:edit", "posts:delete")).toBe(false);
+    expect(matchPermission("posts:edit", "posts")).toBe(false);
+    expect(matchPermission("posts", "posts:edit")).toBe(false);
+  });
+
+  it("treats '*' alone as every permission", () => {
+    expect(matchPermission("*", "posts:edit")).toBe(true);
+    expect(matchPermission("*", "billing")).toBe(true);
+  });
+
+  it("lets a trailing '*' cover every remaining segment", () => {
+    expect(matchPermission("posts:*", "posts:edit")).toBe(true);
+    expect(matchPermission("posts:*", "posts:comments:delete")).toBe(true);
+    expect(matchPermission("posts:*", "posts")).toBe(false);
+    expect(matchPermission("posts:*", "pages:edit")).toBe(false);
+  });
+
+  it("lets an inner '*' cover exactly one segment", () => {
+    expect(matchPermission("posts:*:read", "posts:drafts:read")).toBe(true);
+    expect(matchPermission("posts:*:read", "posts:drafts:edit")).toBe(false);
+    expect(matchPermission("posts:*:read", "posts:a:b:read")).toBe(false);
+    expect(matchPermission("posts:*:read", "posts")).toBe(false);
+  });
+});
+
+describe("createRoleResolver", () => {
+  const roles = createRoleResolver({
+    viewer: { permissions: ["posts:read"] },
+    editor: { extends: "viewer", permissions: ["posts:*"] },
+    billing: { permissions: ["invoices:read"] },
+    admin: { extends: ["editor", "billing"], permissions: ["users:*"] },
+  });
+
+  it("includes inherited roles and their permissions", () => {
+    const admin = { roles: ["admin"] };
+    expect(roles.getRoles(admin).sort()).toEqual([
+      "admin",
+      "billing",
+      "editor",
+      "viewer",
+    ]);
+    expect(roles.hasRole(admin, "viewer")).toBe(true);
+    expect(roles.hasPermission(admin, "posts:comments:delete")).toBe(true);
+    expect(roles.hasPermission(admin, "invoices:read")).toBe(true);
+    expect(roles.hasPermission(admin, "settings:edit")).toBe(false);
+  });
+
+  it("never grants a parent's parents to the child's children", () => {
+    const viewer = { roles: ["viewer"] };
+    expect(roles.hasRole(viewer, "editor")).toBe(false);
+    expect(roles.hasPermission(viewer, "posts:edit")).toBe(false);
+  });
+
+  it("adds direct permissions and keeps unregistered roles", () => {
+    const user = { roles: ["support"], permissions: ["tickets:*"] };
+    expect(roles.hasRole(user, "support")).toBe(true);
+    expect(roles.hasPermission(user, "tickets:close")).toBe(true);
+    expect(roles.hasPermission(user, "posts:read")).toBe(false);
+    expect(roles.hasRole(null, "viewer")).toBe(false);
+  });
+
+  it("throws on an inheritance cycle", () => {
+    expect(() =>
+      createRoleResolver({
+        a: { extends: "b" },
+        b: { extends: "c" },
+        c: { extends: "a" },
+      })
+    ).toThrow("Role inheritance cycle: a -> b -> c -> a");
+    expect(() => createRoleResolver({ a: { extends: "a" } })).toThrow(
+      "Role inheritance cycle"
+    );
+  });
+
+  it("throws when a role extends an unknown role", () => {
+    expect(() => createRoleResolver({ a: { extends: "ghost" } })).toThrow(
+      'Role "a" extends unknown role "ghost"'
+    );
+  });
+});
@@ -0,0 +1,140 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from "vitest";
+import type { VistaAuthServer } from "../src/server/core";
+import type { AuthConfig } from "../src/types";
+import { createAuth, signUp } from "./helpers";
+
+const MINUTE = 60 * 1000;
+
+describe("session lifetime", () => {
+  beforeEach(() => {
+    vi.useFakeTimers({ toFake: ["Date"] });
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+
+  async function start(config: AuthConfig) {
+    const { auth, database } = createAuth({
+      sessionDuration: 60 * MINUTE,
+      // Access tokens outlive the checks under test
+      accessTokenDuration: 24 * 60 * MINUTE,
+      sessionActivityInterval: MINUTE,
+      ...config,
+    });
+    return { auth, database, ...(await signUp(auth)) };
+  }
+
+  const sessionCode = async (auth: VistaAuthServer, token: string) =>
+    (await auth.getSession(token)).error?.code;
+
+  it("ends sessions left idle", async () => {
+    const { auth, token, refreshToken } = await start({
+      sessionIdleTimeout: 20 * MINUTE,
+    });
+
+    vi.advanceTimersByTime(19 * MINUTE);
+    expect(await sessionCode(auth, token)).toBeUndefined();
+    // The idle clock restarts with each use
+    vi.advanceTimersByTime(19 * MINUTE);
+    expect(await sessionCode(auth, token)).toBeUndefined();
+
+    vi.advanceTimersByTime(20 * MINUTE);
+    expect(await sessionCode(auth, token)).toBe("SESSION_IDLE_TIMEOUT");
+    // The session is gone, along with its refresh tokens
+    expect(await sessionCode(auth, token)).toBe("SESSION_REVOKED");
+    expect((await auth.refreshSession(refreshToken!)).success).toBe(false);
+  });
+
+  it("does not count token refreshes as activity", async () => {
+    const { auth, refreshToken } = await start({
+      sessionIdleTimeout: 20 * MINUTE,
+    });
+
+    let current = refreshToken!;
+    for (const minutes of [10, 9]) {
+      vi.advanceTimersByTime(minutes * MINUTE);
+      const refreshed = await auth.refreshSession(current);
+      expect(refreshed.success).toBe(true);
+      current = refreshed.data!.refreshToken!;
+    }
+
+    // 20 minutes after sign-in, the last activity
+    vi.advanceTimersByTime(MINUTE);
+    const idle = await auth.refreshSession(current);
+    expect(idle.error?.code).toBe("SESSION_IDLE_TIMEOUT");
+  });
+
+  it("slides the expiry forward with use", async () => {
+    const { auth, token, refreshToken } = await start({
+      slidingSessions: true,
+    });
+
+    vi.advanceTimersByTime(50 * MINUTE);
+    const used = await auth.getSession(token);
+    expect(used.data!.expiresAt).toBe(Date.now() + 60 * MINUTE);
+    // Refreshed tokens pick up the new expiry
+    const refreshed = await auth.refreshSession(refreshToken!);
+
+    vi.advanceTimersByTime(50 * MINUTE);
+    expect(await sessionCode(auth, refreshed.data!.token)).toBeUndefined();
+  });
+
+  it("expires fixed sessions after sessionDuration despite use", async () => {
+    const { auth, token, refreshToken } = await start({});
+
+    vi.advanceTimersByTime(50 * MINUTE);
+    expect(await sessionCode(auth, token)).toBeUndefined();
+
+    vi.advanceTimersByTime(10 * MINUTE);
+    expect(await sessionCode(auth, token)).toBeDefined();
+    expect((await auth.refreshSession(refreshToken!)).success).toBe(false);
+  });
+
+  it("caps sliding sessions at sessionMaxLifetime", async () => {
+    const started = await start({
+      slidingSessions: true,
+      sessionMaxLifetime: 120 * MINUTE,
+    });
+    const { auth } = started;
+    const createdAt = Date.now();
+
+    let current = { token: started.token, refreshToken: started.refreshToken! };
+    for (const [minutes, expiresAt] of [
+      [40, 100],
+      [40, 120],
+    ]) {
+      vi.advanceTimersByTime(minutes * MINUTE);
+      const session = await auth.getSession(current.token);
+      expect(session.data!.expiresAt).toBe(createdAt + expiresAt * MINUTE);
+      const refreshed = await auth.refreshSession(current.refreshToken);
+      current = {
+        token: refreshed.data!.token,
+        refreshToken: refreshed.data!.refreshToken!,
+      };
+    }
+
+    vi.advanceTimersByTime(39 * MINUTE);
+    expect(await sessionCode(auth, current.token)).toBeUndefined();
+    vi.advanceTimersByTime(MINUTE);
+    expect(await sessionCode(auth, current.token)).toBeDefined();
+    expect((await auth.refreshSession(current.refreshToken)).success).toBe(
+      false
+    );
+  });
+
+  it("writes lastActivity at most once per sessionActivityInterval", async () => {
+    const { auth, database, token } = await start({ slidingSessions: true });
+    const updateSession = vi.spyOn(database, "updateSession");
+
+    vi.advanceTimersByTime(MINUTE);
+    await auth.getSession(token);
+    vi.advanceTimersByTime(MINUTE / 2);
+    await auth.getSession(token);
+    expect(updateSession).toHaveBeenCalledTimes(1);
+
+    vi.advanceTimersByTime(MINUTE / 2);
+    await auth.getSession(token);
+    expect(updateSession).toHaveBeenCalledTimes(2);
+  });
+});
@@ -0,0 +1,50 @@
+import { describe, expect, it } from "vitest";
+import { createMemoryAuditSink } from "../src/server/audit";
+import { createAuth, createTestMailer, PASSWORD } from "./helpers";
+
+describe("sign-up", () => {
+  it("creates blocked accounts pending verification", async () => {
+    const mailer = createTestMailer();
+    const { auth } = createAuth({
+      mailer,
+      emailVerification: "block",
+      auditLog: createMemoryAuditSink(),
+    });
+
+    const result = await auth.signUp({
+      email: "ada@example.com",
+      password: PASSWORD,
+    });
+    expect(result.success).toBe(true);
+    expect(result.data).toMatchObject({
+      user: { email: "ada@example.com", emailVerified: false },
+      verificationRequired: true,
+    });
+    expect(result.data).not.toHaveProperty("token");
+    expect(result.data!.user.metadata?.password).toBeUndefined();
+    expect(mailer.sent[0].template).toBe("email_verification");
+
+    const events = await auth.listAuditEvents({ type: "sign_up" });
+    expect(events.data!.map((event) => event.outcome)).toEqual(["success"]);
+    expect(events.data![0].details).toEqual({
+      method: "password",
+      verificationRequired: true,
+    });
+
+    const signIn = await auth.signIn({
+      email: "ada@example.com",
+      password: PASSWORD,
+    });
+    expect(signIn.error?.code).toBe("EMAIL_NOT_VERIFIED");
+  });
+
+  it("signs other accounts in straight away", async () => {
+    const { auth } = createAuth({ mailer: createTestMailer() });
+    const result = await auth.signUp({
+      email: "ada@example.com",
+      password: PASSWORD,
+    });
+    expect(result.data).toHaveProperty("token");
+    expect(result.data).not.toHaveProperty("verificationRequired");
+  });
+});
@@ -0,0 +1,89 @@
+import { afterEach, describe, expect, it, vi } from "vitest";
+import { verifyJwt } from "../src/middleware/index";
+import { generateSigningKey, KeyRing } from "../src/server/keys";
+import type { SigningAlgorithm } from "../src/types";
+
+const HOUR = 60 * 60 * 1000;
+
+const kidOf = (token: string) =>
+  JSON.parse(Buffer.from(token.split(".")[0], "base64url").toString()).kid;
+
+describe("signing keys", () => {
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+
+  it.each<SigningAlgorithm>(["RS256", "ES256", "EdDSA"])(
+    "signs and verifies %s tokens",
+    async (algorithm) => {
+      const ring = new KeyRing([generateSigningKey(algorithm, "key-1")]);
+      const token = ring.sign({ userId: "user-1" });
+
+      expect(ring.verify(token)).toEqual({ userId: "user-1" });
+      // The middleware checks the same signature with Web Crypto
+      expect(await verifyJwt(token, ring.getJwks())).toEqual({
+        userId: "user-1",
+      });
+
+      const [header, , signature] = token.split(".");
+      const forged = Buffer.from(JSON.stringify({ userId: "user-2" })).toString(
+        "base64url"
+      );
+      expect(ring.verify(`${header}.${forged}.${signature}`)).toBeNull();
+      expect(
+        await verifyJwt(`${header}.${forged}.${signature}`, ring.getJwks())
+      ).toBeNull();
+    }
+  );
+
+  it("encodes ES256 signatures as raw r||s", () => {
+    const ring = new KeyRing([generateSigningKey("ES256", "key-1")]);
+    const signature = ring.sign({ userId: "user-1" }).split(".")[2];
+    // DER signatures are longer and vary in length
+    expect(Buffer.from(signature, "base64url")).toHaveLength(64);
+  });
+
+  it("rotates to the newest active key", () => {
+    vi.useFakeTimers({ toFake: ["Date"] });
+    const now = Date.now();
+    const ring = new KeyRing([
+      { ...generateSigningKey("ES256", "old"), retireAt: now + 2 * HOUR },
+      { ...generateSigningKey("EdDSA", "new"), activeFrom: now + HOUR },
+    ]);
+
+    const before = ring.sign({ userId: "user-1" });
+    expect(kidOf(before)).toBe("old");
+    // Published before it signs, so verifiers can cache it in advance
+    expect(ring.getJwks().keys.map((key) => key.kid)).toEqual(["old", "new"]);
+
+    vi.advanceTimersByTime(HOUR);
+    const after = ring.sign({ userId: "user-1" });
+    expect(kidOf(after)).toBe("new");
+    expect(ring.verify(before)).toEqual({ userId: "user-1" });
+    expect(ring.verify(after)).toEqual({ userId: "user-1" });
+  });
+
+  it("rejects tokens signed by a retired key", async () => {
+    vi.useFakeTimers({ toFake: ["Date"] });
+    const now = Date.now();
+    const ring = new KeyRing([
+      { ...generateSigningKey("RS256", "old"), retireAt: now + HOUR },
+      { ...generateSigningKey("RS256", "new"), activeFrom: now + HOUR / 2 },
+    ]);
+    const token = ring.sign({ userId: "user-1" });
+
+    vi.advanceTimersByTime(HOUR);
+    expect(ring.verify(token)).toBeNull();
+    expect(ring.getJwks().keys.map((key) => key.kid)).toEqual(["new"]);
+    expect(await verifyJwt(token, ring.getJwks())).toBeNull();
+  });
+
+  it("rejects a token whose header names another algorithm", () => {
+    const ring = new KeyRing([generateSigningKey("RS256", "key-1")]);
+    const [, payload, signature] = ring.sign({ userId: "user-1" }).split(".");
+    const header = Buffer.from(
+      JSON.stringify({ alg: "HS256", typ: "JWT", kid: "key-1" })
+    ).toString("base64url");
+    expect(ring.verify(`${header}.${payload}.${signature}`)).toBeNull();
+  });
+});
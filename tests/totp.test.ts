@@ -0,0 +1,92 @@
+import { describe, expect, it } from "vitest";
+import { buildOtpauthUri, generateTotp, verifyTotp } from "../src/server/totp";
+import { createAuth, signUp, PASSWORD } from "./helpers";
+
+// RFC 6238 appendix B, SHA-1 seed "12345678901234567890"
+const RFC_SECRET = "GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ";
+
+describe("TOTP", () => {
+  it("matches the RFC 6238 test vectors", () => {
+    expect(generateTotp(RFC_SECRET, 59 * 1000, { digits: 8 })).toBe("94287082");
+    expect(generateTotp(RFC_SECRET, 1111111109 * 1000, { digits: 8 })).toBe(
+      "07081804"
+    );
+    expect(generateTotp(RFC_SECRET, 1234567890 * 1000, { digits: 8 })).toBe(
+      "89005924"
+    );
+    expect(generateTotp(RFC_SECRET, 59 * 1000)).toBe("287082");
+  });
+
+  it("accepts one step of clock drift and returns the matched step", () => {
+    const now = 1111111109 * 1000;
+    const previous = generateTotp(RFC_SECRET, now - 30 * 1000);
+    expect(verifyTotp(RFC_SECRET, previous, now)).toBe(
+      Math.floor(now / 30000) - 1
+    );
+    const old = generateTotp(RFC_SECRET, now - 90 * 1000);
+    expect(verifyTotp(RFC_SECRET, old, now)).toBeNull();
+  });
+
+  it("builds an otpauth URI for authenticator apps", () => {
+    const uri = buildOtpauthUri(RFC_SECRET, "ada@example.com", "Vista Auth");
+    expect(uri).toBe(
+      "otpauth://totp/Vista%20Auth:ada%40example.com?secret=" +
+        RFC_SECRET +
+        "&issuer=Vista+Auth&algorithm=SHA1&digits=6&period=30"
+    );
+  });
+});
+
+describe("two-factor sign-in", () => {
+  async function enroll() {
+    const { auth } = createAuth();
+    const { user } = await signUp(auth);
+    const enrollment = await auth.enrollMfa(user.id);
+    const secret = enrollment.data!.secret;
+    const confirmed = await auth.confirmMfa(user.id, generateTotp(secret));
+    expect(confirmed.success).toBe(true);
+    return { auth, user, secret, recoveryCodes: confirmed.data!.recoveryCodes };
+  }
+
+  it("requires a second factor after the password", async () => {
+    const { auth, secret } = await enroll();
+    const signIn = await auth.signIn({
+      email: "ada@example.com",
+      password: PASSWORD,
+    });
+    expect(signIn.error?.code).toBe("MFA_REQUIRED");
+
+    // The enrollment code's step is already used, so take the next one
+    const code = generateTotp(secret, Date.now() + 30 * 1000);
+    const verified = await auth.verifyMfa(
+      signIn.error!.details!.challengeToken,
+      code
+    );
+    expect(verified.success).toBe(true);
+  });
+
+  it("rejects a replayed code", async () => {
+    const { auth, secret } = await enroll();
+    const signIn = await auth.signIn({
+      email: "ada@example.com",
+      password: PASSWORD,
+    });
+    const result = await auth.verifyMfa(
+      signIn.error!.details!.challengeToken,
+      generateTotp(secret)
+    );
+    expect(result.error?.code).toBe("INVALID_MFA_CODE");
+  });
+
+  it("accepts each recovery code once", async () => {
+    const { auth, recoveryCodes } = await enroll();
+    const challenge = async () =>
+      (await auth.signIn({ email: "ada@example.com", password: PASSWORD }))
+        .error!.details!.challengeToken;
+
+    const first = await auth.verifyMfa(await challenge(), recoveryCodes[0]);
+    expect(first.success).toBe(true);
+    const again = await auth.verifyMfa(await challenge(), recoveryCodes[0]);
+    expect(again.error?.code).toBe("INVALID_MFA_CODE");
+  });
+});
@@ -0,0 +1,258 @@
+import { describe, expect, it } from "vitest";
+import {
+  verifyAuthenticationResponse,
+  verifyRegistrationResponse,
+} from "../src/server/webauthn";
+import { createMemoryAdapter } from "../src/database/index";
+import {
+  AUTHENTICATION_CHALLENGE,
+  ED25519_AUTHENTICATION,
+  ED25519_REGISTRATION,
+  ES256_AUTHENTICATION,
+  ES256_REGISTRATION,
+  REGISTRATION_CHALLENGE,
+} from "./fixtures/webauthn";
+import { createTestAuthenticator, FLAGS, ORIGIN, RP_ID } from "./authenticator";
+import { createAuth, signUp } from "./helpers";
+
+const registration = {
+  challenge: REGISTRATION_CHALLENGE,
+  origin: ORIGIN,
+  rpId: RP_ID,
+};
+const authentication = {
+  challenge: AUTHENTICATION_CHALLENGE,
+  origin: ORIGIN,
+  rpId: RP_ID,
+};
+
+describe("verifyRegistrationResponse", () => {
+  it("verifies a recorded ES256 registration", () => {
+    const verified = verifyRegistrationResponse(
+      ES256_REGISTRATION,
+      registration
+    );
+    expect(verified).toMatchObject({
+      credentialId: ES256_REGISTRATION.id,
+      algorithm: -7,
+      counter: 0,
+      aaguid: "00000000-0000-0000-0000-000000000000",
+      userVerified: true,
+      backedUp: false,
+      transports: ["internal"],
+    });
+  });
+
+  it("verifies a recorded Ed25519 synced passkey", () => {
+    const verified = verifyRegistrationResponse(
+      ED25519_REGISTRATION,
+      registration
+    );
+    expect(verified.algorithm).toBe(-8);
+    expect(verified.backedUp).toBe(true);
+  });
+
+  it("rejects another challenge, origin or relying party", () => {
+    expect(() =>
+      verifyRegistrationResponse(ES256_REGISTRATION, {
+        ...registration,
+        challenge: AUTHENTICATION_CHALLENGE,
+      })
+    ).toThrow("Challenge mismatch");
+    expect(() =>
+      verifyRegistrationResponse(ES256_REGISTRATION, {
+        ...registration,
+        origin: "https://evil.example.com",
+      })
+    ).toThrow("Unexpected origin");
+    expect(() =>
+      verifyRegistrationResponse(ES256_REGISTRATION, {
+        ...registration,
+        rpId: "example.com",
+      })
+    ).toThrow("Relying party ID mismatch");
+  });
+
+  it("rejects an assertion's client data", () => {
+    const response = {
+      ...ES256_REGISTRATION,
+      response: {
+        ...ES256_REGISTRATION.response,
+        clientDataJSON: ES256_AUTHENTICATION.response.clientDataJSON,
+      },
+    };
+    expect(() =>
+      verifyRegistrationResponse(response, {
+        ...registration,
+        challenge: AUTHENTICATION_CHALLENGE,
+      })
+    ).toThrow("Unexpected ceremony type webauthn.get");
+  });
+
+  it("requires user verification when asked to", () => {
+    const authenticator = createTestAuthenticator();
+    const response = authenticator.register(REGISTRATION_CHALLENGE, {
+      flags: FLAGS.userPresent | FLAGS.attestedCredentialData,
+    });
+    expect(() =>
+      verifyRegistrationResponse(response, {
+        ...registration,
+        requireUserVerification: true,
+      })
+    ).toThrow("User verification is required");
+  });
+});
+
+describe("verifyAuthenticationResponse", () => {
+  const es256 = verifyRegistrationResponse(ES256_REGISTRATION, registration);
+  const ed25519 = verifyRegistrationResponse(
+    ED25519_REGISTRATION,
+    registration
+  );
+
+  it("verifies a recorded ES256 assertion", () => {
+    const verified = verifyAuthenticationResponse(ES256_AUTHENTICATION, {
+      ...authentication,
+      credential: {
+        id: es256.credentialId,
+        publicKey: es256.publicKey,
+        counter: 0,
+      },
+    });
+    expect(verified).toEqual({
+      credentialId: ES256_AUTHENTICATION.id,
+      counter: 1,
+      userVerified: true,
+      backedUp: false,
+    });
+  });
+
+  it("accepts a synced passkey whose counter stays 0", () => {
+    const verified = verifyAuthenticationResponse(ED25519_AUTHENTICATION, {
+      ...authentication,
+      credential: {
+        id: ed25519.credentialId,
+        publicKey: ed25519.publicKey,
+        counter: 0,
+      },
+    });
+    expect(verified.counter).toBe(0);
+    expect(verified.backedUp).toBe(true);
+  });
+
+  it("rejects a counter that did not increase", () => {
+    expect(() =>
+      verifyAuthenticationResponse(ES256_AUTHENTICATION, {
+        ...authentication,
+        credential: {
+          id: es256.credentialId,
+          publicKey: es256.publicKey,
+          counter: 1,
+        },
+      })
+    ).toThrow("Signature counter did not increase");
+  });
+
+  it("rejects tampered authenticator data", () => {
+    const authData = Buffer.from(
+      ES256_AUTHENTICATION.response.authenticatorData,
+      "base64url"
+    );
+    authData[32] = FLAGS.userPresent; // Drop the user verified flag
+    const response = {
+      ...ES256_AUTHENTICATION,
+      response: {
+        ...ES256_AUTHENTICATION.response,
+        authenticatorData: authData.toString("base64url"),
+      },
+    };
+    expect(() =>
+      verifyAuthenticationResponse(response, {
+        ...authentication,
+        credential: {
+          id: es256.credentialId,
+          publicKey: es256.publicKey,
+          counter: 0,
+        },
+      })
+    ).toThrow("Invalid signature");
+  });
+
+  it("rejects a signature from another credential's key", () => {
+    expect(() =>
+      verifyAuthenticationResponse(ES256_AUTHENTICATION, {
+        ...authentication,
+        credential: {
+          id: es256.credentialId,
+          publicKey: ed25519.publicKey,
+          counter: 0,
+        },
+      })
+    ).toThrow("Invalid signature");
+  });
+});
+
+describe("passkey sign-in", () => {
+  const passkeys = { rpId: RP_ID, origin: ORIGIN };
+
+  it("registers a passkey and signs in with it", async () => {
+    const { auth } = createAuth({ passkeys });
+    const { user } = await signUp(auth);
+    const authenticator = createTestAuthenticator();
+
+    const creation = await auth.generatePasskeyRegistrationOptions(user.id);
+    const registered = await auth.verifyPasskeyRegistration(
+      user.id,
+      authenticator.register(creation.data!.challenge),
+      { name: "Laptop" }
+    );
+    expect(registered.data!.passkey.name).toBe("Laptop");
+
+    const request = await auth.generatePasskeyAuthenticationOptions(user.email);
+    expect(request.data!.allowCredentials[0].id).toBe(
+      registered.data!.passkey.id
+    );
+    const assertion = authenticator.authenticate(request.data!.challenge);
+    const signedIn = await auth.verifyPasskeyAuthentication(assertion);
+    expect(signedIn.data!.user.id).toBe(user.id);
+
+    // The challenge is single-use
+    const replay = await auth.verifyPasskeyAuthentication(assertion);
+    expect(replay.error?.code).toBe("INVALID_PASSKEY_CHALLENGE");
+  });
+
+  it("rejects a cloned authenticator", async () => {
+    const { auth } = createAuth({ passkeys });
+    const { user } = await signUp(auth);
+    const authenticator = createTestAuthenticator();
+    const creation = await auth.generatePasskeyRegistrationOptions(user.id);
+    await auth.verifyPasskeyRegistration(
+      user.id,
+      authenticator.register(creation.data!.challenge)
+    );
+
+    const first = await auth.generatePasskeyAuthenticationOptions();
+    await auth.verifyPasskeyAuthentication(
+      authenticator.authenticate(first.data!.challenge)
+    );
+
+    // A copy of the key still at the old counter
+    authenticator.counter = 0;
+    const second = await auth.generatePasskeyAuthenticationOptions();
+    const result = await auth.verifyPasskeyAuthentication(
+      authenticator.authenticate(second.data!.challenge)
+    );
+    expect(result.error?.code).toBe("INVALID_PASSKEY");
+    expect(result.error?.details?.reason).toBe(
+      "Signature counter did not increase"
+    );
+  });
+
+  it("needs an adapter that stores passkeys", () => {
+    const { createPasskey, ...database } = createMemoryAdapter();
+    expect(createPasskey).toBeDefined();
+    expect(() => createAuth({ database, passkeys })).toThrow(
+      "passkeys need a database adapter"
+    );
+  });
+});